@@ -1,9 +1,21 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const readline = require('readline');
 const express = require('express');
 const mongoose = require('mongoose');
 const shortid = require('shortid');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
+const maxmind = require('maxmind');
+const UAParser = require('ua-parser-js');
+const { isbot } = require('isbot');
 
 const app = express();
 
@@ -14,8 +26,10 @@ app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 // CORS
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    // Ask Chromium browsers for full version / platform / model hints on later requests
+    res.header('Accept-CH', 'Sec-CH-UA-Full-Version-List, Sec-CH-UA-Platform-Version, Sec-CH-UA-Model');
     if (req.method === 'OPTIONS') return res.sendStatus(200);
     next();
 });
@@ -24,7 +38,7 @@ app.use((req, res, next) => {
 const MONGO_URI = process.env.MONGODB_URI;
 let useMongoDB = false;
 
-if (MONGO_URI) {
+const mongoReady = MONGO_URI ?
     mongoose.connect(MONGO_URI, {
         serverSelectionTimeoutMS: 5000,
         socketTimeoutMS: 45000,
@@ -33,39 +47,118 @@ if (MONGO_URI) {
         useMongoDB = true;
     }).catch(err => {
         console.log('⚠️ Using in-memory storage');
-    });
-}
+    }) :
+    Promise.resolve();
+
+// File persistence for in-memory storage (on by default when MongoDB is not configured)
+const DATA_DIR = process.env.DATA_DIR || (MONGO_URI ? null : path.join(__dirname, 'data'));
+const STORAGE_FORMAT = process.env.STORAGE_FORMAT || 'json'; // json | ndjson
+
+mongoose.connection.on('disconnected', () => {
+    if (useMongoDB) console.log('⚠️ MongoDB disconnected, using in-memory storage');
+    useMongoDB = false;
+});
+mongoose.connection.on('reconnected', () => {
+    console.log('⚡ MongoDB Reconnected');
+    useMongoDB = true;
+});
 
 // MongoDB Schemas
 const ClickSchema = new mongoose.Schema({
-    clickId: String,
+    clickId: { type: String, unique: true, sparse: true },
+    shortCode: { type: String, index: true },
+    deviceId: String,
+    userId: String,
     ip: String,
     country: String,
     countryCode: String,
     city: String,
     region: String,
+    asn: Number,
+    asOrg: String,
     device: String,
+    deviceVendor: String,
+    deviceModel: String,
     browser: String,
+    browserVersion: String,
     os: String,
+    osVersion: String,
+    isBot: Boolean,
+    botReason: String, // crawler | preview | head | prefetch
+    language: String, // primary Accept-Language subtag
+    ruleId: String, // redirect rule that matched (null = default destination)
+    variantId: String, // A/B variant served
+    destination: String,
     referrer: String,
+    referrerDomain: String,
+    referrerCategory: String, // social | search | email | direct | other
+    utmSource: String,
+    utmMedium: String,
+    utmCampaign: String,
+    utmTerm: String,
+    utmContent: String,
     timestamp: Date,
     userAgent: String
 });
+ClickSchema.index({ shortCode: 1, timestamp: 1 });
 
 const LinkSchema = new mongoose.Schema({
     linkId: String,
-    shortCode: String,
+    shortCode: { type: String, unique: true },
     fullUrl: String,
-    userId: String,
+    userId: { type: String, index: true },
     customAlias: String,
+    previousCodes: { type: [String], default: undefined }, // old codes of a renamed link, redirecting to shortCode
     password: String,
     clicks: [ClickSchema],
     totalClicks: { type: Number, default: 0 },
     uniqueClicks: { type: Number, default: 0 },
+    botClicks: { type: Number, default: 0 },
     expiresAt: Date,
     isActive: { type: Boolean, default: true },
+    deactivatedByExpiry: Boolean, // switched off on the first hit after expiresAt, not paused by the owner
     qrCode: String,
     tags: [String],
+    folder: String,
+    forwardQuery: { type: Boolean, default: false }, // append the short URL's query string at redirect
+    fallbackUrl: String, // where expired hits (and used-up links with limitAction 'fallback') go instead of the 410 page
+    maxClicks: Number, // stop after this many served redirects (null = unlimited)
+    servedClicks: { type: Number, default: 0 }, // redirects counted against maxClicks (bots excluded)
+    limitAction: { type: String, default: 'gone' }, // gone | fallback | page
+    limitMessage: String, // shown when limitAction is 'page'
+    activeFrom: Date, // not redirecting before this
+    schedule: { // active only inside one of the windows (null = always)
+        type: new mongoose.Schema({
+            timezone: String,
+            windows: [{ _id: false, from: Date, to: Date, days: [Number], start: String, end: String }]
+        }, { _id: false }),
+        default: null
+    },
+    redirectType: { type: Number, default: 302 }, // 301 | 302 | 307 | 308
+    preview: { type: Boolean, default: false }, // show the preview page instead of redirecting
+    rules: [{ // alternate destinations, first match wins; fullUrl is the fallback
+        _id: false,
+        ruleId: String,
+        conditions: { countries: [String], devices: [String], os: [String], languages: [String] },
+        url: String
+    }],
+    variants: [{ // A/B test: traffic split by weight, sticky per deviceId (empty = no test)
+        _id: false,
+        variantId: String,
+        url: String,
+        weight: Number
+    }],
+    publicStats: { // shared stats page at /s/:token (null = private)
+        type: new mongoose.Schema({ token: String, sections: [String], createdAt: Date }, { _id: false }),
+        default: null
+    },
+    revisions: [{
+        revisionId: String,
+        at: Date,
+        by: String,
+        via: String,
+        changes: mongoose.Schema.Types.Mixed
+    }],
     createdAt: Date,
     lastClicked: Date,
     meta: {
@@ -74,67 +167,281 @@ const LinkSchema = new mongoose.Schema({
     }
 });
 
+LinkSchema.index({ 'publicStats.token': 1 }, { unique: true, sparse: true });
+LinkSchema.index({ previousCodes: 1 }, { unique: true, sparse: true });
+
 const UserSchema = new mongoose.Schema({
-    userId: String,
+    userId: { type: String, unique: true },
     deviceId: String,
+    devices: { type: [String], index: true },
     browserId: String,
+    email: { type: String, unique: true, sparse: true },
+    passwordHash: String,
+    claimedBy: String,
     links: [String],
     createdAt: Date,
     lastSeen: Date
 });
 
+const SessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, unique: true },
+    userId: String,
+    createdAt: Date,
+    expiresAt: { type: Date, index: { expires: 0 } }
+});
+
+const ApiKeySchema = new mongoose.Schema({
+    keyId: { type: String, unique: true },
+    userId: { type: String, index: true },
+    name: String,
+    prefix: String,
+    keyHash: { type: String, unique: true },
+    scopes: [String],
+    createdAt: Date,
+    lastUsedAt: Date,
+    revokedAt: Date
+});
+
+// Saved utm_* values, one per user and name
+const UtmPresetSchema = new mongoose.Schema({
+    presetId: { type: String, unique: true },
+    userId: String,
+    name: String,
+    utm: {
+        source: String,
+        medium: String,
+        campaign: String,
+        term: String,
+        content: String
+    },
+    createdAt: Date,
+    updatedAt: Date
+});
+UtmPresetSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Hits on paused, expired or used-up links, so owners can see traffic to dead links.
+// Kept for DEAD_HIT_RETENTION_DAYS in Mongo; the memory backend keeps each owner's newest MAX_DEAD_HITS_PER_USER.
+const DEAD_HIT_RETENTION_DAYS = 90;
+const MAX_DEAD_HITS_PER_USER = 1000;
+const MAX_UNKNOWN_CODES = 10000;
+
+const DeadHitSchema = new mongoose.Schema({
+    hitId: { type: String, unique: true },
+    shortCode: String,
+    userId: { type: String, index: true }, // link owner
+    reason: String, // inactive | expired | limit | scheduled
+    fallbackUrl: String, // set when the visitor was sent on to the expiry fallback
+    referrer: String,
+    referrerDomain: String,
+    userAgent: String,
+    isBot: Boolean,
+    timestamp: { type: Date, index: { expires: DEAD_HIT_RETENTION_DAYS * 24 * 60 * 60 } }
+});
+
+// Hits on codes without a link, counted per code instead of stored one by one (scanners try many).
+// userId is the owner of the deleted link that had the code, null for codes nobody had.
+// Dropped DEAD_HIT_RETENTION_DAYS after the last hit; the memory backend keeps the MAX_UNKNOWN_CODES most recently hit.
+const UnknownCodeSchema = new mongoose.Schema({
+    shortCode: { type: String, unique: true },
+    userId: { type: String, index: true },
+    hits: { type: Number, default: 0 },
+    botHits: { type: Number, default: 0 },
+    lastHit: { type: Date, index: { expires: DEAD_HIT_RETENTION_DAYS * 24 * 60 * 60 } }
+});
+
+// Hourly click counters per link; time series are summed from these instead of raw clicks.
+// uniqueClicks counts first visits (IP + device), so buckets add up to the link's uniqueClicks.
+// dimensions splits the same counters by country, device, OS, browser and language (drill-down filters).
+const ClickRollupSchema = new mongoose.Schema({
+    shortCode: String,
+    hour: Date, // UTC hour start
+    clicks: { type: Number, default: 0 },
+    uniqueClicks: { type: Number, default: 0 },
+    botClicks: { type: Number, default: 0 },
+    dimensions: mongoose.Schema.Types.Mixed // dimensionKey -> { countryCode, ..., clicks, uniqueClicks, botClicks }
+});
+ClickRollupSchema.index({ shortCode: 1, hour: 1 }, { unique: true });
+
 const Link = mongoose.models.Link || mongoose.model('Link', LinkSchema);
 const User = mongoose.models.User || mongoose.model('User', UserSchema);
+const Click = mongoose.models.Click || mongoose.model('Click', ClickSchema);
+const Session = mongoose.models.Session || mongoose.model('Session', SessionSchema);
+const ApiKey = mongoose.models.ApiKey || mongoose.model('ApiKey', ApiKeySchema);
+const ClickRollup = mongoose.models.ClickRollup || mongoose.model('ClickRollup', ClickRollupSchema);
+const UtmPreset = mongoose.models.UtmPreset || mongoose.model('UtmPreset', UtmPresetSchema);
+const DeadHit = mongoose.models.DeadHit || mongoose.model('DeadHit', DeadHitSchema);
+const UnknownCode = mongoose.models.UnknownCode || mongoose.model('UnknownCode', UnknownCodeSchema);
+
+const startOfHour = date => {
+    const hour = new Date(date);
+    hour.setUTCMinutes(0, 0, 0);
+    return hour;
+};
+
+// Click fields the hourly rollups are also split by
+const ROLLUP_DIMENSIONS = ['countryCode', 'country', 'device', 'os', 'browser', 'language'];
+const ROLLUP_COUNTS = ['clicks', 'uniqueClicks', 'botClicks'];
+
+// rollup.dimensions key of a click's values (a valid MongoDB field name: no dots, no leading $)
+const dimensionKey = values => ROLLUP_DIMENSIONS
+    .map(field => encodeURIComponent(values[field] || '').replace(/\./g, '%2E'))
+    .join('|');
+
+const dimensionValues = values => Object.fromEntries(ROLLUP_DIMENSIONS.map(field => [field, values[field] || null]));
+
+// Add counts to an hourly rollup and to its slice for the click's dimension values
+function addToRollup(rollup, click, counts) {
+    const key = dimensionKey(click);
+    if (!rollup.dimensions) rollup.dimensions = {};
+    if (!rollup.dimensions[key]) {
+        rollup.dimensions[key] = { ...dimensionValues(click), clicks: 0, uniqueClicks: 0, botClicks: 0 };
+    }
+    Object.entries(counts).forEach(([field, count]) => {
+        rollup[field] += count;
+        rollup.dimensions[key][field] += count;
+    });
+}
+
+// In-memory storage with optional on-disk snapshots
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+// Only these fields are turned back into Dates; tags, UTM values or messages that look like dates stay strings
+const DATE_FIELDS = new Set([
+    'timestamp', 'createdAt', 'updatedAt', 'expiresAt', 'activeFrom', 'lastClicked',
+    'lastSeen', 'lastUsedAt', 'revokedAt', 'lastHit', 'hour', 'at'
+]);
+const reviveDate = value => typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+
+function reviveDates(key, value) {
+    if (DATE_FIELDS.has(key)) return reviveDate(value);
+    
+    // Schedule windows and revision changes of date fields keep their dates in from/to
+    const ranges = key === 'windows' && Array.isArray(value) ? value :
+        key === 'changes' && value && typeof value === 'object' ?
+            Object.entries(value).filter(([field]) => DATE_FIELDS.has(field)).map(([, change]) => change) : [];
+    ranges.filter(range => range && typeof range === 'object').forEach(range => {
+        if ('from' in range) range.from = reviveDate(range.from);
+        if ('to' in range) range.to = reviveDate(range.to);
+    });
+    return value;
+}
 
-// In-memory storage with persistence
 class PersistentStorage {
-    constructor() {
+    // Maps written to the snapshot file
+    static COLLECTIONS = ['links', 'clicks', 'users', 'devices', 'emails', 'sessions', 'apiKeys', 'rollups', 'utmPresets', 'deadHits', 'unknownCodes'];
+    
+    constructor(options = {}) {
         this.links = new Map();
         this.clicks = new Map();
         this.users = new Map();
         this.devices = new Map(); // deviceId -> userId mapping
+        this.emails = new Map(); // email -> userId for registered accounts
+        this.sessions = new Map(); // tokenHash -> session
+        this.apiKeys = new Map(); // keyHash -> API key
+        this.rollups = new Map(); // "shortCode|hourISO" -> hourly click counters
+        this.utmPresets = new Map(); // presetId -> UTM preset
+        this.deadHits = new Map(); // hitId -> dead link hit, oldest first
+        this.userDeadHits = null; // userId -> that owner's hitIds, oldest first, built on first use (not persisted)
+        this.unknownCodes = new Map(); // code without a link -> hit counter, least recently hit first
+        this.uniqueKeySets = new Map(); // shortCode -> Set of IP + device keys (not persisted)
+        this.rollupsByLink = null; // shortCode -> Map(hour ms -> rollup), built on first use (not persisted)
+        this.renamedCodes = null; // old code of a renamed link -> its shortCode, built on first use (not persisted)
         
-        // Load from memory
+        this.dataDir = options.dataDir || null;
+        this.format = options.format === 'ndjson' ? 'ndjson' : 'json';
+        this.dirty = false;
+        
+        // Load last snapshot
         this.loadFromStorage();
         
-        // Auto-save every 30 seconds
-        setInterval(() => this.saveToStorage(), 30000);
+        // Snapshots from before rollups (or their dimension slices) existed
+        const rollupsOutdated = this.rollups.size === 0 || [...this.rollups.values()].some(rollup => !rollup.dimensions);
+        if (rollupsOutdated && this.clicks.size > 0) this.rebuildRollups();
+        
+        // Auto-save every 30 seconds (only writes when something changed)
+        if (this.dataDir) {
+            this.saveTimer = setInterval(() => this.saveToStorage(), options.saveInterval || 30000);
+            this.saveTimer.unref();
+        }
+    }
+    
+    snapshotPath(format = this.format) {
+        return path.join(this.dataDir, `aglink-data.${format}`);
     }
     
-    // Load from localStorage if in browser, otherwise in-memory only
+    // Load snapshot from DATA_DIR (falls back to the other format's file if present)
     loadFromStorage() {
+        if (!this.dataDir) return;
+        
         try {
-            if (typeof window !== 'undefined' && window.localStorage) {
-                const saved = localStorage.getItem('aglink_data');
-                if (saved) {
-                    const data = JSON.parse(saved);
-                    if (data.links) this.links = new Map(data.links);
-                    if (data.clicks) this.clicks = new Map(data.clicks);
-                    if (data.users) this.users = new Map(data.users);
-                    if (data.devices) this.devices = new Map(data.devices);
-                    console.log('📂 Loaded from storage:', this.links.size, 'links');
-                }
+            const other = this.format === 'json' ? 'ndjson' : 'json';
+            const format = fs.existsSync(this.snapshotPath()) ? this.format :
+                fs.existsSync(this.snapshotPath(other)) ? other : null;
+            if (!format) return;
+            
+            const raw = fs.readFileSync(this.snapshotPath(format), 'utf8');
+            
+            if (format === 'json') {
+                const data = JSON.parse(raw, reviveDates);
+                PersistentStorage.COLLECTIONS.forEach(name => {
+                    if (data[name]) this[name] = new Map(data[name]);
+                });
+            } else {
+                raw.split('\n').forEach(line => {
+                    if (!line.trim()) return;
+                    const entry = JSON.parse(line, reviveDates);
+                    if (entry.collection && this[entry.collection] instanceof Map) {
+                        this[entry.collection].set(entry.key, entry.value);
+                    }
+                });
             }
+            
+            console.log('📂 Loaded from storage:', this.links.size, 'links');
         } catch (e) {
-            console.log('Storage load failed, starting fresh');
+            console.log('Storage load failed, starting fresh:', e.message);
         }
     }
     
-    // Save to localStorage
-    saveToStorage() {
+    // Mark data as changed; written on the next auto-save
+    markDirty() {
+        this.dirty = true;
+    }
+    
+    // Atomic snapshot write: temp file + rename
+    saveToStorage(force = false) {
+        if (!this.dataDir || (!this.dirty && !force)) return;
+        
+        const file = this.snapshotPath();
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        let fd;
+        
         try {
-            if (typeof window !== 'undefined' && window.localStorage) {
-                const data = {
-                    links: Array.from(this.links.entries()),
-                    clicks: Array.from(this.clicks.entries()),
-                    users: Array.from(this.users.entries()),
-                    devices: Array.from(this.devices.entries()),
-                    timestamp: new Date().toISOString()
-                };
-                localStorage.setItem('aglink_data', JSON.stringify(data));
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            fd = fs.openSync(tmpFile, 'w');
+            
+            if (this.format === 'json') {
+                const data = { timestamp: new Date().toISOString() };
+                PersistentStorage.COLLECTIONS.forEach(name => {
+                    data[name] = Array.from(this[name].entries());
+                });
+                fs.writeSync(fd, JSON.stringify(data));
+            } else {
+                fs.writeSync(fd, JSON.stringify({ timestamp: new Date().toISOString() }) + '\n');
+                PersistentStorage.COLLECTIONS.forEach(name => {
+                    this[name].forEach((value, key) => {
+                        fs.writeSync(fd, JSON.stringify({ collection: name, key, value }) + '\n');
+                    });
+                });
             }
+            
+            fs.fsyncSync(fd);
+            fs.closeSync(fd);
+            fd = null;
+            fs.renameSync(tmpFile, file);
+            this.dirty = false;
         } catch (e) {
-            console.log('Storage save failed');
+            console.log('Storage save failed:', e.message);
+            if (fd) fs.closeSync(fd);
+            fs.rmSync(tmpFile, { force: true });
         }
     }
     
@@ -159,6 +466,7 @@ class PersistentStorage {
             this.devices.set(deviceId, userId);
         }
         
+        this.markDirty();
         return this.users.get(userId);
     }
     
@@ -166,8 +474,216 @@ class PersistentStorage {
         return this.devices.get(deviceId);
     }
     
-    // Link management
+    getUser(userId) {
+        return this.users.get(userId) || null;
+    }
+    
+    // Accounts
+    createAccount({ userId, email, passwordHash }) {
+        const user = {
+            userId,
+            email,
+            passwordHash,
+            links: [],
+            createdAt: new Date(),
+            lastSeen: new Date()
+        };
+        this.users.set(userId, user);
+        this.emails.set(email, userId);
+        this.markDirty();
+        return user;
+    }
+    
+    getUserByEmail(email) {
+        const userId = this.emails.get(email);
+        return userId ? this.users.get(userId) : null;
+    }
+    
+    // Move an anonymous user's links into an account (null if not claimable)
+    claimUserLinks(fromUserId, toUserId) {
+        const anon = this.users.get(fromUserId);
+        const owner = this.users.get(toUserId);
+        if (!anon || !owner || anon.email || anon.claimedBy || fromUserId === toUserId) return null;
+        
+        let claimed = 0;
+        anon.links.forEach(code => {
+            const link = this.links.get(code);
+            if (link && link.userId === fromUserId) {
+                link.userId = toUserId;
+                if (!owner.links.includes(code)) owner.links.push(code);
+                claimed++;
+            }
+        });
+        
+        this.devices.forEach((userId, deviceId) => {
+            if (userId === fromUserId) this.devices.set(deviceId, toUserId);
+        });
+        
+        anon.links = [];
+        anon.claimedBy = toUserId;
+        this.markDirty();
+        return claimed;
+    }
+    
+    // Sessions
+    createSession(session) {
+        this.sessions.set(session.tokenHash, session);
+        this.markDirty();
+        return session;
+    }
+    
+    getSession(tokenHash) {
+        const session = this.sessions.get(tokenHash);
+        if (!session) return null;
+        
+        if (new Date(session.expiresAt) <= new Date()) {
+            this.sessions.delete(tokenHash);
+            this.markDirty();
+            return null;
+        }
+        return session;
+    }
+    
+    deleteSession(tokenHash) {
+        this.sessions.delete(tokenHash);
+        this.markDirty();
+    }
+    
+    // API keys
+    createApiKey(key) {
+        this.apiKeys.set(key.keyHash, key);
+        this.markDirty();
+        return key;
+    }
+    
+    getApiKeyByHash(keyHash) {
+        const key = this.apiKeys.get(keyHash);
+        return key && !key.revokedAt ? key : null;
+    }
+    
+    listApiKeys(userId) {
+        return Array.from(this.apiKeys.values())
+            .filter(key => key.userId === userId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    
+    touchApiKey(keyHash) {
+        const key = this.apiKeys.get(keyHash);
+        if (key) {
+            key.lastUsedAt = new Date();
+            this.markDirty();
+        }
+    }
+    
+    revokeApiKey(userId, keyId) {
+        const key = Array.from(this.apiKeys.values())
+            .find(k => k.keyId === keyId && k.userId === userId && !k.revokedAt);
+        if (!key) return false;
+        
+        key.revokedAt = new Date();
+        this.markDirty();
+        return true;
+    }
+    
+    // UTM presets (saving under an existing name replaces its values)
+    saveUtmPreset(preset) {
+        const existing = Array.from(this.utmPresets.values())
+            .find(p => p.userId === preset.userId && p.name === preset.name);
+        const saved = existing ?
+            Object.assign(existing, { utm: preset.utm, updatedAt: preset.updatedAt }) :
+            preset;
+        this.utmPresets.set(saved.presetId, saved);
+        this.markDirty();
+        return saved;
+    }
+    
+    listUtmPresets(userId) {
+        return Array.from(this.utmPresets.values())
+            .filter(preset => preset.userId === userId)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    getUtmPreset(userId, presetId) {
+        const preset = this.utmPresets.get(presetId);
+        return preset && preset.userId === userId ? preset : null;
+    }
+    
+    deleteUtmPreset(userId, presetId) {
+        if (!this.getUtmPreset(userId, presetId)) return false;
+        this.utmPresets.delete(presetId);
+        this.markDirty();
+        return true;
+    }
+    
+    // Count a served redirect against maxClicks; false once the limit is used up.
+    // Synchronous, so concurrent requests can't both take the last click.
+    claimClick(code, maxClicks) {
+        const link = this.links.get(code);
+        if (!link || (link.servedClicks || 0) >= maxClicks) return false;
+        link.servedClicks = (link.servedClicks || 0) + 1;
+        this.markDirty();
+        return true;
+    }
+    
+    // Dead link hits (an owner's oldest are dropped past MAX_DEAD_HITS_PER_USER)
+    addDeadHit(hit) {
+        const hitIds = this.deadHitIndex(hit.userId);
+        this.deadHits.set(hit.hitId, hit);
+        hitIds.push(hit.hitId);
+        if (hitIds.length > MAX_DEAD_HITS_PER_USER) this.deadHits.delete(hitIds.shift());
+        this.markDirty();
+    }
+    
+    deadHitIndex(userId) {
+        if (!this.userDeadHits) {
+            this.userDeadHits = new Map();
+            this.deadHits.forEach(hit => {
+                if (!this.userDeadHits.has(hit.userId)) this.userDeadHits.set(hit.userId, []);
+                this.userDeadHits.get(hit.userId).push(hit.hitId);
+            });
+        }
+        if (!this.userDeadHits.has(userId)) this.userDeadHits.set(userId, []);
+        return this.userDeadHits.get(userId);
+    }
+    
+    getDeadHits(userId, limit) {
+        return this.deadHitIndex(userId)
+            .map(hitId => this.deadHits.get(hitId))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+    }
+    
+    // Hits on codes without a link (the least recently hit are dropped past MAX_UNKNOWN_CODES)
+    countUnknownHit(code, { isBot, timestamp }) {
+        const counter = this.unknownCodes.get(code) || { shortCode: code, userId: null, hits: 0, botHits: 0 };
+        counter.hits++;
+        if (isBot) counter.botHits++;
+        counter.lastHit = timestamp;
+        this.unknownCodes.delete(code);
+        this.unknownCodes.set(code, counter);
+        if (this.unknownCodes.size > MAX_UNKNOWN_CODES) this.unknownCodes.delete(this.unknownCodes.keys().next().value);
+        this.markDirty();
+    }
+    
+    // Codes of a deleted link: later hits on them are counted for its former owner
+    retireCodes(codes, userId) {
+        codes.forEach(code => {
+            this.unknownCodes.delete(code);
+            this.unknownCodes.set(code, { shortCode: code, userId, hits: 0, botHits: 0, lastHit: new Date() });
+        });
+        while (this.unknownCodes.size > MAX_UNKNOWN_CODES) this.unknownCodes.delete(this.unknownCodes.keys().next().value);
+    }
+    
+    getUnknownHits(userId, limit) {
+        return Array.from(this.unknownCodes.values())
+            .filter(counter => counter.userId === userId && counter.hits > 0)
+            .sort((a, b) => new Date(b.lastHit) - new Date(a.lastHit))
+            .slice(0, limit);
+    }
+    
+    // Link management (null when the code is already taken)
     addLink(link) {
+        if (this.links.has(link.shortCode) || this.renamedCodeIndex().has(link.shortCode)) return null;
         this.links.set(link.shortCode, link);
         
         // Add to user's links
@@ -176,7 +692,7 @@ class PersistentStorage {
             user.links.push(link.shortCode);
         }
         
-        this.saveToStorage();
+        this.markDirty();
         return link;
     }
     
@@ -184,6 +700,25 @@ class PersistentStorage {
         return this.links.get(code);
     }
     
+    getLinkByStatsToken(token) {
+        return Array.from(this.links.values()).find(link => link.publicStats?.token === token) || null;
+    }
+    
+    getLinkByPreviousCode(code) {
+        const current = this.renamedCodeIndex().get(code);
+        return current ? this.links.get(current) : null;
+    }
+    
+    renamedCodeIndex() {
+        if (!this.renamedCodes) {
+            this.renamedCodes = new Map();
+            this.links.forEach(link => {
+                (link.previousCodes || []).forEach(old => this.renamedCodes.set(old, link.shortCode));
+            });
+        }
+        return this.renamedCodes;
+    }
+    
     getUserLinks(userId) {
         const user = this.users.get(userId);
         if (!user) return [];
@@ -195,43 +730,251 @@ class PersistentStorage {
     }
     
     // Click tracking
-    addClick(code, click) {
+    // Store a batch of clicks (each carries its shortCode); clicks of deleted links are skipped
+    addClicks(batch) {
+        const added = [];
+        
+        batch.forEach(click => {
+            const code = click.shortCode;
+            const link = this.links.get(code);
+            if (!link) return;
+            
+            const seen = this.uniqueKeys(code);
+            if (!this.clicks.has(code)) {
+                this.clicks.set(code, []);
+            }
+            this.clicks.get(code).push(click);
+            added.push(click);
+            
+            // Bot hits are kept (flagged) but only counted separately
+            if (click.isBot) {
+                link.botClicks = (link.botClicks || 0) + 1;
+                this.bumpRollup(code, click, { botClicks: 1 });
+                return;
+            }
+            
+            // Update link stats
+            link.totalClicks = (link.totalClicks || 0) + 1;
+            if (!link.lastClicked || click.timestamp > link.lastClicked) link.lastClicked = click.timestamp;
+            
+            // Unique clicks (by IP + device), counted incrementally
+            const uniqueKey = `${click.ip}-${click.deviceId || ''}`;
+            const firstVisit = !seen.has(uniqueKey);
+            if (firstVisit) {
+                seen.add(uniqueKey);
+                link.uniqueClicks = seen.size;
+            }
+            this.bumpRollup(code, click, { clicks: 1, uniqueClicks: firstVisit ? 1 : 0 });
+            
+            // Add to link's clicks array (limited to last 100)
+            if (!link.clicks) link.clicks = [];
+            link.clicks.unshift(click);
+            if (link.clicks.length > 100) link.clicks.pop();
+        });
+        
+        if (added.length > 0) this.markDirty();
+        return added;
+    }
+    
+    bumpRollup(code, click, counts) {
+        const hour = startOfHour(click.timestamp);
+        const key = `${code}|${hour.toISOString()}`;
+        let rollup = this.rollups.get(key);
+        if (!rollup) {
+            rollup = { shortCode: code, hour, clicks: 0, uniqueClicks: 0, botClicks: 0, dimensions: {} };
+            this.rollups.set(key, rollup);
+            this.linkRollups(code).set(hour.getTime(), rollup);
+        }
+        addToRollup(rollup, click, counts);
+    }
+    
+    linkRollups(code) {
+        if (!this.rollupsByLink) {
+            this.rollupsByLink = new Map();
+            this.rollups.forEach(rollup => {
+                if (!this.rollupsByLink.has(rollup.shortCode)) this.rollupsByLink.set(rollup.shortCode, new Map());
+                this.rollupsByLink.get(rollup.shortCode).set(new Date(rollup.hour).getTime(), rollup);
+            });
+        }
+        if (!this.rollupsByLink.has(code)) this.rollupsByLink.set(code, new Map());
+        return this.rollupsByLink.get(code);
+    }
+    
+    // Rollups of the given links with hour in [from, to)
+    getRollups(codes, { from, to }) {
+        const result = [];
+        codes.forEach(code => {
+            this.linkRollups(code).forEach((rollup, hour) => {
+                if (hour >= from.getTime() && hour < to.getTime()) result.push(rollup);
+            });
+        });
+        return result;
+    }
+    
+    // Dimension slices of the given links' rollups, summed over all hours
+    getDimensionTotals(codes) {
+        const totals = new Map();
+        codes.forEach(code => this.linkRollups(code).forEach(rollup => {
+            Object.entries(rollup.dimensions || {}).forEach(([key, slice]) => {
+                if (!totals.has(key)) totals.set(key, { ...dimensionValues(slice), clicks: 0, uniqueClicks: 0, botClicks: 0 });
+                ROLLUP_COUNTS.forEach(field => {
+                    totals.get(key)[field] += slice[field];
+                });
+            });
+        }));
+        return [...totals.values()];
+    }
+    
+    // Recompute all rollups from the stored clicks
+    rebuildRollups() {
+        this.rollups = new Map();
+        this.rollupsByLink = null;
+        this.clicks.forEach((clicks, code) => {
+            const seen = new Set();
+            [...clicks].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)).forEach(click => {
+                if (click.isBot) return this.bumpRollup(code, click, { botClicks: 1 });
+                const key = `${click.ip}-${click.deviceId || ''}`;
+                this.bumpRollup(code, click, { clicks: 1, uniqueClicks: seen.has(key) ? 0 : 1 });
+                seen.add(key);
+            });
+        });
+        this.markDirty();
+    }
+    
+    removeRollups(code) {
+        this.linkRollups(code).forEach(rollup => {
+            this.rollups.delete(`${code}|${new Date(rollup.hour).toISOString()}`);
+        });
+        this.rollupsByLink.delete(code);
+    }
+    
+    // IP + device keys already counted for a link (rebuilt from its clicks after a restart)
+    uniqueKeys(code) {
+        if (!this.uniqueKeySets.has(code)) {
+            const clicks = (this.clicks.get(code) || []).filter(c => !c.isBot);
+            this.uniqueKeySets.set(code, new Set(clicks.map(c => `${c.ip}-${c.deviceId || ''}`)));
+        }
+        return this.uniqueKeySets.get(code);
+    }
+    
+    getClicks(code) {
+        return this.clicks.get(code) || [];
+    }
+    
+    // Clicks in [from, to], oldest first, one at a time
+    *iterateClicks(code, { from, to } = {}) {
+        for (const click of this.clicks.get(code) || []) {
+            const time = new Date(click.timestamp);
+            if (from && time < from) continue;
+            if (to && time > to) continue;
+            yield { ...click, shortCode: code };
+        }
+    }
+    
+    // Newest clicks matching { includeBots, clickFilters }
+    getRecentClicks(code, limit, filter) {
+        return (this.clicks.get(code) || [])
+            .filter(click => matchesClickQuery(click, filter))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+    }
+    
+    // Clicks per redirect rule, per A/B variant (with first visits), per referrer and per UTM value
+    getClickBreakdowns(code, filter) {
+        const rules = new Map();
+        const variants = new Map();
+        const visitors = new Set();
+        const referrers = new Map();
+        const utm = Object.fromEntries(Object.keys(UTM_FIELDS).map(param => [param, new Map()]));
+        const bump = (rows, key, row, field = 'count') => {
+            if (!rows.has(key)) rows.set(key, { ...row, [field]: 0 });
+            rows.get(key)[field]++;
+            return rows.get(key);
+        };
+        
+        (this.clicks.get(code) || []).filter(click => matchesClickQuery(click, filter)).forEach(click => {
+            const ruleId = click.ruleId || null;
+            bump(rules, ruleId, { ruleId, destination: click.destination || null });
+            
+            if (click.variantId) {
+                const row = bump(variants, click.variantId, { variantId: click.variantId, destination: click.destination || null, uniqueClicks: 0 }, 'clicks');
+                const visitor = `${click.variantId}|${click.ip}-${click.deviceId || ''}`;
+                if (!visitors.has(visitor)) {
+                    visitors.add(visitor);
+                    row.uniqueClicks++;
+                }
+            }
+            
+            const referrer = referrerKey(click);
+            bump(referrers, JSON.stringify(referrer), referrer);
+            
+            Object.entries(UTM_FIELDS).forEach(([param, field]) => {
+                if (click[field]) bump(utm[param], click[field], { value: click[field] });
+            });
+        });
+        
+        return {
+            rules: [...rules.values()],
+            variants: [...variants.values()],
+            referrers: [...referrers.values()],
+            utm: Object.fromEntries(Object.entries(utm).map(([param, rows]) => [param, [...rows.values()]]))
+        };
+    }
+    
+    updateLink(code, updates) {
         const link = this.links.get(code);
         if (!link) return null;
         
-        if (!this.clicks.has(code)) {
-            this.clicks.set(code, []);
-        }
+        Object.assign(link, updates);
+        this.markDirty();
+        return link;
+    }
+    
+    // Change the short code, keeping clicks (null if taken). The old code stays reserved and
+    // redirects to the new one; a link may take back one of its own old codes.
+    renameLink(code, newCode) {
+        const link = this.links.get(code);
+        const renamed = this.renamedCodeIndex();
+        if (!link || this.links.has(newCode) || (renamed.has(newCode) && renamed.get(newCode) !== code)) return null;
         
-        const clicks = this.clicks.get(code);
-        click.clickId = uuidv4();
-        click.timestamp = new Date();
-        clicks.push(click);
+        this.links.delete(code);
+        link.shortCode = newCode;
+        link.previousCodes = [...(link.previousCodes || []).filter(old => old !== newCode), code];
+        this.links.set(newCode, link);
+        renamed.delete(newCode);
+        link.previousCodes.forEach(old => renamed.set(old, newCode));
         
-        // Update link stats
-        link.totalClicks = (link.totalClicks || 0) + 1;
-        link.lastClicked = new Date();
+        if (this.clicks.has(code)) {
+            this.clicks.set(newCode, this.clicks.get(code));
+            this.clicks.delete(code);
+        }
+        this.uniqueKeySets.delete(code);
         
-        // Calculate unique clicks (by IP + device)
-        const uniqueKey = `${click.ip}-${click.deviceId || ''}`;
-        const uniqueClicks = new Set();
-        clicks.forEach(c => {
-            const key = `${c.ip}-${c.deviceId || ''}`;
-            uniqueClicks.add(key);
+        const rollups = [...this.linkRollups(code).values()];
+        this.removeRollups(code);
+        rollups.forEach(rollup => {
+            rollup.shortCode = newCode;
+            this.rollups.set(`${newCode}|${new Date(rollup.hour).toISOString()}`, rollup);
+            this.linkRollups(newCode).set(new Date(rollup.hour).getTime(), rollup);
         });
-        link.uniqueClicks = uniqueClicks.size;
         
-        // Add to link's clicks array (limited to last 100)
-        if (!link.clicks) link.clicks = [];
-        link.clicks.unshift(click);
-        if (link.clicks.length > 100) link.clicks.pop();
+        const user = this.users.get(link.userId);
+        if (user) {
+            user.links = user.links.map(c => c === code ? newCode : c);
+        }
         
-        this.saveToStorage();
-        return click;
+        this.markDirty();
+        return link;
     }
     
-    getClicks(code) {
-        return this.clicks.get(code) || [];
+    addLinkRevision(code, revision) {
+        const link = this.links.get(code);
+        if (!link) return null;
+        
+        if (!link.revisions) link.revisions = [];
+        link.revisions.push(revision);
+        this.markDirty();
+        return revision;
     }
     
     deleteLink(userId, code) {
@@ -240,6 +983,10 @@ class PersistentStorage {
         
         this.links.delete(code);
         this.clicks.delete(code);
+        this.uniqueKeySets.delete(code);
+        this.removeRollups(code);
+        (link.previousCodes || []).forEach(old => this.renamedCodeIndex().delete(old));
+        this.retireCodes([code, ...(link.previousCodes || [])], userId);
         
         // Remove from user's links
         const user = this.users.get(userId);
@@ -247,1735 +994,7556 @@ class PersistentStorage {
             user.links = user.links.filter(c => c !== code);
         }
         
-        this.saveToStorage();
+        this.markDirty();
         return true;
     }
+    
+    counts() {
+        return {
+            links: this.links.size,
+            users: this.users.size,
+            clicks: this.clicks.size
+        };
+    }
 }
 
-const storage = new PersistentStorage();
+// Whether a click matches { includeBots, clickFilters } (bots only when included)
+const matchesClickQuery = (click, { includeBots = false, clickFilters = {} } = {}) =>
+    (includeBots || !click.isBot) && matchesClickFilters(click, clickFilters);
 
-// GeoIP Service (Free & Fast)
-const geoIPCache = new Map();
+// Same as matchesClickQuery, as a MongoDB filter on a link's clicks
+function clickQuery(code, { includeBots = false, clickFilters = {} } = {}) {
+    const query = { shortCode: code };
+    if (!includeBots) query.isBot = { $ne: true };
+    Object.entries(clickFilters).forEach(([name, value]) => {
+        query[CLICK_DIMENSIONS[name]] = new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    });
+    return query;
+}
 
-async function getGeoInfo(ip) {
-    // Clean IP
-    const cleanIp = ip?.replace('::ffff:', '').replace('::1', '127.0.0.1') || 'unknown';
-    if (cleanIp === '127.0.0.1') {
-        return { country: 'Local', countryCode: 'LOC', city: 'Local', region: 'Local' };
-    }
-    
-    // Check cache first
-    if (geoIPCache.has(cleanIp)) {
-        return geoIPCache.get(cleanIp);
+// Referrer grouping of a click: category and domain, or the raw referrer and utm_medium for clicks
+// recorded before categories were stored (classified when the stats are built)
+const referrerKey = click => click.referrerCategory ?
+    { referrerCategory: click.referrerCategory, referrerDomain: click.referrerDomain || null, referrer: null, utmMedium: null } :
+    { referrerCategory: null, referrerDomain: null, referrer: click.referrer || null, utmMedium: click.utmMedium || null };
+
+// MongoDB storage - same interface as PersistentStorage.
+// Models are passed in so tests can run it against an in-process Mongo stand-in.
+class MongoStorage {
+    constructor({ Link, User, Click, Session, ApiKey, ClickRollup, UtmPreset, DeadHit, UnknownCode }) {
+        this.Link = Link;
+        this.User = User;
+        this.Click = Click;
+        this.Session = Session;
+        this.ApiKey = ApiKey;
+        this.ClickRollup = ClickRollup;
+        this.UtmPreset = UtmPreset;
+        this.DeadHit = DeadHit;
+        this.UnknownCode = UnknownCode;
     }
     
-    try {
-        // Use free ip-api.com with timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 1000);
-        
-        const response = await fetch(`http://ip-api.com/json/${cleanIp}?fields=status,country,countryCode,city,region,isp`, {
-            signal: controller.signal,
-            timeout: 1000
-        });
+    // User management
+    async getOrCreateUser(userId, deviceId, browserId) {
+        if (!userId) return null;
         
-        clearTimeout(timeoutId);
-        
-        if (response.ok) {
-            const data = await response.json();
-            if (data.status === 'success') {
-                const result = {
-                    country: data.country || 'Unknown',
-                    countryCode: data.countryCode || 'XX',
-                    city: data.city || 'Unknown',
-                    region: data.region || 'Unknown',
-                    isp: data.isp || 'Unknown'
-                };
-                
-                // Cache for 1 hour
-                geoIPCache.set(cleanIp, result);
-                setTimeout(() => geoIPCache.delete(cleanIp), 3600000);
-                
-                return result;
-            }
+        const update = {
+            $set: { lastSeen: new Date() },
+            $setOnInsert: { userId, deviceId, browserId, links: [], createdAt: new Date() }
+        };
+        if (deviceId) {
+            update.$addToSet = { devices: deviceId };
         }
-    } catch (error) {
-        console.log('GeoIP failed, using fallback');
-    }
-    
-    // Fallback: Simple IP to country mapping
-    const fallback = {
-        'az': { country: 'Azerbaijan', countryCode: 'AZ', city: 'Baku', region: 'Baku' },
-        'tr': { country: 'Turkey', countryCode: 'TR', city: 'Istanbul', region: 'Istanbul' },
-        'ru': { country: 'Russia', countryCode: 'RU', city: 'Moscow', region: 'Moscow' },
-        'us': { country: 'USA', countryCode: 'US', city: 'New York', region: 'New York' },
-        'gb': { country: 'UK', countryCode: 'GB', city: 'London', region: 'London' },
-        'de': { country: 'Germany', countryCode: 'DE', city: 'Berlin', region: 'Berlin' },
-        'fr': { country: 'France', countryCode: 'FR', city: 'Paris', region: 'Paris' }
-    };
+        
+        return this.User.findOneAndUpdate({ userId }, update, { upsert: true, new: true }).lean();
+    }
     
-    const ipKey = cleanIp.substring(0, 2).toLowerCase();
-    const result = fallback[ipKey] || { 
-        country: 'Unknown', 
-        countryCode: 'XX', 
-        city: 'Unknown', 
-        region: 'Unknown' 
-    };
+    async getUserByDevice(deviceId) {
+        const user = await this.User.findOne({ devices: deviceId }).sort({ lastSeen: -1 }).lean();
+        return user ? user.userId : undefined;
+    }
     
-    geoIPCache.set(cleanIp, result);
-    return result;
-}
-
-// Device/browser detection
-function parseUserAgent(userAgent) {
-    const ua = userAgent || '';
+    async getUser(userId) {
+        return this.User.findOne({ userId }).lean();
+    }
     
-    // Browser detection
-    let browser = 'Unknown';
-    if (ua.includes('Chrome')) browser = 'Chrome';
-    else if (ua.includes('Firefox')) browser = 'Firefox';
-    else if (ua.includes('Safari')) browser = 'Safari';
-    else if (ua.includes('Edge')) browser = 'Edge';
-    else if (ua.includes('Opera')) browser = 'Opera';
+    // Accounts
+    async createAccount({ userId, email, passwordHash }) {
+        const user = await this.User.create({
+            userId,
+            email,
+            passwordHash,
+            links: [],
+            createdAt: new Date(),
+            lastSeen: new Date()
+        });
+        return user.toObject();
+    }
     
-    // OS detection
-    let os = 'Unknown';
-    if (ua.includes('Windows')) os = 'Windows';
-    else if (ua.includes('Mac')) os = 'macOS';
-    else if (ua.includes('Linux')) os = 'Linux';
-    else if (ua.includes('Android')) os = 'Android';
-    else if (ua.includes('iOS') || ua.includes('iPhone') || ua.includes('iPad')) os = 'iOS';
+    async getUserByEmail(email) {
+        return this.User.findOne({ email }).lean();
+    }
     
-    // Device detection
-    let device = 'Desktop';
-    if (/Mobile|Android|iPhone|iPad|iPod/i.test(ua)) device = 'Mobile';
-    else if (/Tablet|iPad/i.test(ua)) device = 'Tablet';
+    async claimUserLinks(fromUserId, toUserId) {
+        if (fromUserId === toUserId || !(await this.User.exists({ userId: toUserId }))) return null;
+        
+        // Mark as claimed first so concurrent claims can't both succeed
+        const anon = await this.User.findOneAndUpdate(
+            { userId: fromUserId, email: null, claimedBy: null },
+            { $set: { claimedBy: toUserId, links: [] } }
+        ).lean();
+        if (!anon) return null;
+        
+        const codes = await this.Link.find({ userId: fromUserId }).distinct('shortCode');
+        await this.Link.updateMany({ userId: fromUserId }, { $set: { userId: toUserId } });
+        await this.User.updateOne({ userId: toUserId }, {
+            $addToSet: { links: { $each: codes }, devices: { $each: anon.devices || [] } }
+        });
+        return codes.length;
+    }
     
-    return { browser, os, device, userAgent: ua.substring(0, 200) };
-}
-
-// Generate unique device/browser ID
-function generateDeviceId(req) {
-    const userAgent = req.headers['user-agent'] || '';
-    const accept = req.headers['accept'] || '';
-    const language = req.headers['accept-language'] || '';
-    const platform = req.headers['sec-ch-ua-platform'] || '';
+    // Sessions
+    async createSession(session) {
+        await this.Session.create(session);
+        return session;
+    }
     
-    // Create a fingerprint from browser characteristics
-    const fingerprint = `${userAgent}::${accept}::${language}::${platform}`;
+    async getSession(tokenHash) {
+        return this.Session.findOne({ tokenHash, expiresAt: { $gt: new Date() } }).lean();
+    }
     
-    // Simple hash
-    let hash = 0;
-    for (let i = 0; i < fingerprint.length; i++) {
-        const char = fingerprint.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
+    async deleteSession(tokenHash) {
+        await this.Session.deleteOne({ tokenHash });
     }
     
-    return `device_${Math.abs(hash).toString(16)}`;
-}
-
-// HTML Template with Local Storage
-const HTML_TEMPLATE = `<!DOCTYPE html>
-<html lang="az">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>AxtarGet aglink.pro | Link Qısaldıcı - Pulsuz URL Qısaldıcı və Ölkə Analitikası</title>
+    // API keys
+    async createApiKey(key) {
+        await this.ApiKey.create(key);
+        return key;
+    }
     
-    <!-- GOOGLE SEO META TAGS - Optimized for Azerbaijan -->
-    <meta name="description" content="AxtarGet aglink.pro - Pulsuz link qısaldıcı xidməti. URL-lərinizi qısaldın, klik statistikalarını izləyin, ölkə paylanmasını görün. Azərbaycan, Türkiyə, Rusiya və digər ölkələr üçün analitika. Sürətli, təhlükəsiz və pulsuz.">
+    async getApiKeyByHash(keyHash) {
+        return this.ApiKey.findOne({ keyHash, revokedAt: null }).lean();
+    }
     
-    <meta name="keywords" content="link qısaldıcı, URL qısaldıcı, link shortener, click tracker, analytics, ölkə analitikası, Azerbaijan, Azərbaycan, Türkiye, Turkey, Russia, Rusiya, pulsuz link qısaldıcı, qısa link, URL shortener, статистика, analitika, SEO, qısa URL, link takibi">
+    async listApiKeys(userId) {
+        return this.ApiKey.find({ userId }).sort({ createdAt: -1 }).lean();
+    }
     
-    <meta name="author" content="AxtarGet aglink.pro">
-    <meta name="robots" content="index, follow, max-image-preview:large, max-snippet:-1, max-video-preview:-1">
-    <meta name="googlebot" content="index, follow">
-    <meta name="bingbot" content="index, follow">
+    async touchApiKey(keyHash) {
+        await this.ApiKey.updateOne({ keyHash }, { $set: { lastUsedAt: new Date() } });
+    }
     
-    <!-- GOOGLE SITE VERIFICATION (Add your verification code here) -->
-    <!-- <meta name="google-site-verification" content="YOUR_VERIFICATION_CODE"> -->
+    async revokeApiKey(userId, keyId) {
+        const { modifiedCount } = await this.ApiKey.updateOne(
+            { keyId, userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        return modifiedCount > 0;
+    }
     
-    <!-- CANONICAL URL -->
-    <link rel="canonical" href="https://aglink.pro">
+    // UTM presets
+    async saveUtmPreset(preset) {
+        const { presetId, createdAt, ...values } = preset;
+        return this.UtmPreset.findOneAndUpdate(
+            { userId: preset.userId, name: preset.name },
+            { $set: values, $setOnInsert: { presetId, createdAt } },
+            { upsert: true, new: true }
+        ).lean();
+    }
     
-    <!-- ALTERNATE LANGUAGES -->
-    <link rel="alternate" hreflang="az" href="https://aglink.pro">
-    <link rel="alternate" hreflang="tr" href="https://aglink.pro">
-    <link rel="alternate" hreflang="en" href="https://aglink.pro">
-    <link rel="alternate" hreflang="ru" href="https://aglink.pro">
-    <link rel="alternate" hreflang="x-default" href="https://aglink.pro">
+    async listUtmPresets(userId) {
+        return this.UtmPreset.find({ userId }).sort({ name: 1 }).lean();
+    }
     
-    <!-- OPEN GRAPH / FACEBOOK -->
-    <meta property="og:type" content="website">
-    <meta property="og:url" content="https://aglink.pro">
-    <meta property="og:title" content="AxtarGet aglink.pro | Link Qısaldıcı - Pulsuz URL Qısaldıcı">
-    <meta property="og:description" content="Pulsuz link qısaldıcı xidməti. URL-lərinizi qısaldın, klik statistikalarını izləyin, ölkə paylanmasını görün.">
-    <meta property="og:image" content="https://aglink.pro/og-image.png">
-    <meta property="og:image:width" content="1200">
-    <meta property="og:image:height" content="630">
-    <meta property="og:image:alt" content="AxtarGet aglink.pro - Link Qısaldıcı">
-    <meta property="og:site_name" content="AxtarGet aglink.pro">
-    <meta property="og:locale" content="az_AZ">
+    async getUtmPreset(userId, presetId) {
+        return this.UtmPreset.findOne({ userId, presetId }).lean();
+    }
     
-    <!-- TWITTER / X -->
-    <meta name="twitter:card" content="summary_large_image">
-    <meta name="twitter:url" content="https://aglink.pro">
-    <meta name="twitter:title" content="AxtarGet aglink.pro | Link Qısaldıcı - Pulsuz URL Qısaldıcı">
-    <meta name="twitter:description" content="Pulsuz link qısaldıcı xidməti. URL-lərinizi qısaldın, klik statistikalarını izləyin, ölkə paylanmasını görün.">
-    <meta name="twitter:image" content="https://aglink.pro/twitter-image.png">
+    async deleteUtmPreset(userId, presetId) {
+        const { deletedCount } = await this.UtmPreset.deleteOne({ userId, presetId });
+        return deletedCount > 0;
+    }
     
-    <!-- ADDITIONAL META TAGS -->
-    <meta name="language" content="Azerbaijani">
-    <meta name="geo.region" content="AZ">
-    <meta name="geo.placename" content="Baku">
-    <meta name="geo.position" content="40.409264;49.867092">
-    <meta name="ICBM" content="40.409264, 49.867092">
+    // Conditional increment: only one of several concurrent requests gets the last click
+    async claimClick(code, maxClicks) {
+        const { modifiedCount } = await this.Link.updateOne(
+            { shortCode: code, $expr: { $lt: [{ $ifNull: ['$servedClicks', 0] }, maxClicks] } },
+            { $inc: { servedClicks: 1 } }
+        );
+        return modifiedCount > 0;
+    }
     
-    <!-- MOBILE OPTIMIZATION -->
-    <meta name="theme-color" content="#3b82f6">
-    <meta name="mobile-web-app-capable" content="yes">
-    <meta name="apple-mobile-web-app-capable" content="yes">
-    <meta name="apple-mobile-web-app-status-bar-style" content="black-translucent">
-    <meta name="apple-mobile-web-app-title" content="AxtarGet aglink.pro">
-    <meta name="application-name" content="AxtarGet aglink.pro">
-    <meta name="msapplication-TileColor" content="#3b82f6">
-    <meta name="msapplication-config" content="/browserconfig.xml">
+    // Dead link hits (expired by the TTL index)
+    async addDeadHit(hit) {
+        await this.DeadHit.create(hit);
+    }
     
-    <!-- FAVICONS -->
-    <link rel="icon" type="image/x-icon" href="/favicon.ico">
-    <link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">
-    <link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">
-    <link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">
-    <link rel="manifest" href="/site.webmanifest">
+    async getDeadHits(userId, limit) {
+        return this.DeadHit.find({ userId }).sort({ timestamp: -1 }).limit(limit).lean();
+    }
     
-    <!-- STRUCTURED DATA / SCHEMA.ORG -->
-    <script type="application/ld+json">
-    {
-        "@context": "https://schema.org",
-        "@type": "WebApplication",
-        "name": "AxtarGet aglink.pro",
-        "description": "Pulsuz link qısaldıcı və analitika xidməti",
-        "url": "https://aglink.pro",
-        "applicationCategory": "UtilityApplication",
-        "operatingSystem": "Any",
-        "offers": {
-            "@type": "Offer",
-            "price": "0",
-            "priceCurrency": "USD"
-        },
-        "author": {
-            "@type": "Organization",
-            "name": "AxtarGet",
-            "url": "https://aglink.pro"
-        },
-        "aggregateRating": {
-            "@type": "AggregateRating",
-            "ratingValue": "4.8",
-            "ratingCount": "1250"
-        },
-        "featureList": [
-            "Pulsuz link qısaldıcı",
-            "Ölkə analitikası",
-            "Klik statistikası",
-            "QR kod generatoru",
-            "Xüsusi link adı"
-        ]
+    // Hits on codes without a link, one counter per code (expired by the TTL index)
+    async countUnknownHit(code, { isBot, timestamp }) {
+        await this.UnknownCode.updateOne(
+            { shortCode: code },
+            { $inc: { hits: 1, botHits: isBot ? 1 : 0 }, $set: { lastHit: timestamp }, $setOnInsert: { userId: null } },
+            { upsert: true }
+        );
     }
-    </script>
     
-    <!-- ADDITIONAL SCHEMA FOR SEO -->
-    <script type="application/ld+json">
-    {
-        "@context": "https://schema.org",
-        "@type": "WebSite",
-        "url": "https://aglink.pro",
-        "name": "AxtarGet aglink.pro",
-        "description": "Pulsuz link qısaldıcı və analitika xidməti",
-        "potentialAction": {
-            "@type": "SearchAction",
-            "target": "https://aglink.pro/search?q={search_term_string}",
-            "query-input": "required name=search_term_string"
+    // Codes of a deleted link: later hits on them are counted for its former owner
+    async retireCodes(codes, userId) {
+        await this.UnknownCode.bulkWrite(codes.map(code => ({
+            updateOne: {
+                filter: { shortCode: code },
+                update: { $set: { userId, hits: 0, botHits: 0, lastHit: new Date() } },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+    
+    async getUnknownHits(userId, limit) {
+        return this.UnknownCode.find({ userId, hits: { $gt: 0 } }).sort({ lastHit: -1 }).limit(limit).lean();
+    }
+    
+    // Link management (null when the code is already taken)
+    async addLink(link) {
+        try {
+            await this.Link.create(link);
+        } catch (error) {
+            if (error.code === 11000) return null; // duplicate shortCode
+            throw error;
         }
+        // Old code of a renamed link (a rename may have freed the shortCode just before the insert)
+        if (await this.Link.exists({ previousCodes: link.shortCode })) {
+            await this.Link.deleteOne({ shortCode: link.shortCode });
+            return null;
+        }
+        await this.User.updateOne({ userId: link.userId }, { $addToSet: { links: link.shortCode } });
+        return link;
     }
-    </script>
     
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        :root {
-            --primary: #3b82f6;
-            --secondary: #1d4ed8;
-            --success: #10b981;
-            --danger: #ef4444;
-            --warning: #f59e0b;
-            --dark: #1e293b;
-            --light: #f8fafc;
+    async getLink(code) {
+        return this.Link.findOne({ shortCode: code }).lean();
+    }
+    
+    async getLinkByStatsToken(token) {
+        return this.Link.findOne({ 'publicStats.token': token }).lean();
+    }
+    
+    async getLinkByPreviousCode(code) {
+        return this.Link.findOne({ previousCodes: code }).lean();
+    }
+    
+    async getUserLinks(userId) {
+        return this.Link.find({ userId })
+            .select('-clicks -revisions')
+            .sort({ createdAt: -1 })
+            .lean();
+    }
+    
+    // Click tracking
+    // Clicks are stored before anything is counted and a retried batch skips the ones already
+    // stored (by clickId), so a retry never counts a click twice. A batch that fails after its
+    // clicks were stored leaves them uncounted instead.
+    async addClicks(batch) {
+        const stored = await this.Click.find({ clickId: { $in: batch.map(click => click.clickId) } }).select('clickId').lean();
+        const storedIds = new Set(stored.map(click => click.clickId));
+        
+        const byLink = new Map();
+        batch.filter(click => !storedIds.has(click.clickId)).forEach(click => {
+            if (!byLink.has(click.shortCode)) byLink.set(click.shortCode, []);
+            byLink.get(click.shortCode).push({ ...click, deviceId: click.deviceId || '' });
+        });
+        
+        const existing = await this.Link.find({ shortCode: { $in: [...byLink.keys()] } }).select('shortCode').lean();
+        const linkCodes = new Set(existing.map(link => link.shortCode));
+        
+        const added = [];
+        const linkUpdates = [];
+        const rollups = new Map();
+        const bumpRollup = (code, click, field) => {
+            const hour = startOfHour(click.timestamp);
+            const key = `${code}|${hour.toISOString()}`;
+            if (!rollups.has(key)) rollups.set(key, { shortCode: code, hour, clicks: 0, uniqueClicks: 0, botClicks: 0, dimensions: {} });
+            addToRollup(rollups.get(key), click, { [field]: 1 });
+        };
+        
+        for (const [code, batchClicks] of byLink) {
+            if (!linkCodes.has(code)) continue;
+            added.push(...batchClicks);
+            
+            // Bot hits are stored (flagged) but only counted separately
+            const clicks = batchClicks.filter(c => !c.isBot);
+            const botClicks = batchClicks.length - clicks.length;
+            batchClicks.filter(c => c.isBot).forEach(c => bumpRollup(code, c, 'botClicks'));
+            if (clicks.length === 0) {
+                linkUpdates.push({ updateOne: { filter: { shortCode: code }, update: { $inc: { botClicks } } } });
+                continue;
+            }
+            
+            // Unique by IP + device, same as the in-memory storage: keys already stored plus repeats within the batch
+            const keyOf = c => `${c.ip}-${c.deviceId}`;
+            const pairs = [...new Map(clicks.map(c => [keyOf(c), { ip: c.ip, deviceId: c.deviceId }])).values()];
+            const visited = await this.Click.find({ shortCode: code, isBot: { $ne: true }, $or: pairs }).select('ip deviceId').lean();
+            const seen = new Set(visited.map(keyOf));
+            let newUniques = 0;
+            clicks.forEach(c => {
+                bumpRollup(code, c, 'clicks');
+                if (!seen.has(keyOf(c))) {
+                    seen.add(keyOf(c));
+                    newUniques++;
+                    bumpRollup(code, c, 'uniqueClicks');
+                }
+            });
+            
+            linkUpdates.push({
+                updateOne: {
+                    filter: { shortCode: code },
+                    update: {
+                        $inc: { totalClicks: clicks.length, uniqueClicks: newUniques, botClicks },
+                        $max: { lastClicked: clicks.reduce((latest, c) => (c.timestamp > latest ? c.timestamp : latest), clicks[0].timestamp) },
+                        // Keep the last 100 clicks embedded in the link
+                        $push: { clicks: { $each: [...clicks].reverse(), $position: 0, $slice: 100 } }
+                    }
+                }
+            });
         }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            background: linear-gradient(135deg, #f1f5f9 0%, #e2e8f0 100%);
-            min-height: 100vh;
-            color: var(--dark);
+        
+        if (added.length > 0) {
+            await this.Click.insertMany(added, { ordered: true });
+            await this.Link.bulkWrite(linkUpdates, { ordered: false });
+            await this.ClickRollup.bulkWrite([...rollups.values()].map(({ shortCode, hour, dimensions, ...counts }) => {
+                // Slice counters are added, their dimension values set
+                const update = { $inc: counts, $set: {} };
+                Object.entries(dimensions).forEach(([key, slice]) => {
+                    Object.entries(slice).forEach(([field, value]) => {
+                        if (ROLLUP_COUNTS.includes(field)) update.$inc[`dimensions.${key}.${field}`] = value;
+                        else update.$set[`dimensions.${key}.${field}`] = value;
+                    });
+                });
+                return { updateOne: { filter: { shortCode, hour }, update, upsert: true } };
+            }), { ordered: false });
         }
-        .navbar {
-            background: white;
-            padding: 1rem;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-            position: sticky;
-            top: 0;
-            z-index: 1000;
+        return added;
+    }
+    
+    // Rollups with hour in [from, to); the dimension slices only when asked for
+    async getRollups(codes, { from, to }, { dimensions = false } = {}) {
+        const query = this.ClickRollup.find({ shortCode: { $in: codes }, hour: { $gte: from, $lt: to } });
+        return (dimensions ? query : query.select('-dimensions')).lean();
+    }
+    
+    // Dimension slices of the given links' rollups, summed over all hours
+    async getDimensionTotals(codes) {
+        const totals = await this.ClickRollup.aggregate([
+            { $match: { shortCode: { $in: codes } } },
+            { $project: { slice: { $objectToArray: '$dimensions' } } },
+            { $unwind: '$slice' },
+            { $group: {
+                _id: '$slice.k',
+                values: { $first: '$slice.v' },
+                clicks: { $sum: '$slice.v.clicks' },
+                uniqueClicks: { $sum: '$slice.v.uniqueClicks' },
+                botClicks: { $sum: '$slice.v.botClicks' }
+            } }
+        ]).allowDiskUse(true);
+        return totals.map(({ values, clicks, uniqueClicks, botClicks }) => ({ ...dimensionValues(values), clicks, uniqueClicks, botClicks }));
+    }
+    
+    // Build rollups from the stored clicks once (databases from before rollups or their dimension slices existed)
+    async ensureRollups() {
+        const outdated = (await this.ClickRollup.estimatedDocumentCount()) === 0 ||
+            await this.ClickRollup.exists({ dimensions: { $exists: false } });
+        if (!outdated || (await this.Click.estimatedDocumentCount()) === 0) return;
+        
+        const hourOf = date => ({ $dateTrunc: { date, unit: 'hour' } });
+        const dimensionsOf = prefix => Object.fromEntries(ROLLUP_DIMENSIONS.map(field => [field, `${prefix}${field}`]));
+        const [counts, firstVisits] = await Promise.all([
+            this.Click.aggregate([
+                { $group: {
+                    _id: { shortCode: '$shortCode', hour: hourOf('$timestamp'), ...dimensionsOf('$') },
+                    clicks: { $sum: { $cond: ['$isBot', 0, 1] } },
+                    botClicks: { $sum: { $cond: ['$isBot', 1, 0] } }
+                } }
+            ]).allowDiskUse(true),
+            this.Click.aggregate([
+                { $match: { isBot: { $ne: true } } },
+                { $sort: { timestamp: 1 } },
+                { $group: { _id: { shortCode: '$shortCode', ip: '$ip', deviceId: '$deviceId' }, first: { $first: '$$ROOT' } } },
+                { $group: {
+                    _id: { shortCode: '$first.shortCode', hour: hourOf('$first.timestamp'), ...dimensionsOf('$first.') },
+                    uniqueClicks: { $sum: 1 }
+                } }
+            ]).allowDiskUse(true)
+        ]);
+        
+        const rollups = new Map();
+        const rollupOf = ({ shortCode, hour }) => {
+            const key = `${shortCode}|${hour.toISOString()}`;
+            if (!rollups.has(key)) rollups.set(key, { shortCode, hour, clicks: 0, uniqueClicks: 0, botClicks: 0, dimensions: {} });
+            return rollups.get(key);
+        };
+        counts.forEach(({ _id, clicks, botClicks }) => addToRollup(rollupOf(_id), _id, { clicks, botClicks }));
+        firstVisits.forEach(({ _id, uniqueClicks }) => addToRollup(rollupOf(_id), _id, { uniqueClicks }));
+        
+        await this.ClickRollup.deleteMany({});
+        if (rollups.size > 0) await this.ClickRollup.insertMany([...rollups.values()], { ordered: false });
+        console.log(`📈 ${rollups.size} saatlıq rollup yaradıldı`);
+    }
+    
+    async getClicks(code) {
+        return this.Click.find({ shortCode: code }).sort({ timestamp: 1 }).lean();
+    }
+    
+    // Cursor over clicks in [from, to], oldest first
+    async iterateClicks(code, { from, to } = {}) {
+        const filter = { shortCode: code };
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = from;
+            if (to) filter.timestamp.$lte = to;
         }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 0 1rem;
+        return this.Click.find(filter).sort({ timestamp: 1 }).lean().cursor();
+    }
+    
+    // Newest clicks matching { includeBots, clickFilters }
+    async getRecentClicks(code, limit, filter) {
+        return this.Click.find(clickQuery(code, filter)).sort({ timestamp: -1 }).limit(limit).lean();
+    }
+    
+    // Clicks per redirect rule, per A/B variant (with first visits), per referrer and per UTM value
+    async getClickBreakdowns(code, filter) {
+        const count = { $sum: 1 };
+        const categorized = { $ifNull: ['$referrerCategory', false] };
+        const [facets] = await this.Click.aggregate([
+            { $match: clickQuery(code, filter) },
+            { $facet: {
+                rules: [{ $group: { _id: '$ruleId', destination: { $first: '$destination' }, count } }],
+                variants: [
+                    { $match: { variantId: { $nin: [null, ''] } } },
+                    { $group: { _id: { variantId: '$variantId', ip: '$ip', deviceId: '$deviceId' }, destination: { $first: '$destination' }, count } },
+                    { $group: { _id: '$_id.variantId', destination: { $first: '$destination' }, clicks: { $sum: '$count' }, uniqueClicks: { $sum: 1 } } }
+                ],
+                referrers: [{ $group: {
+                    _id: {
+                        referrerCategory: '$referrerCategory',
+                        referrerDomain: { $cond: [categorized, '$referrerDomain', null] },
+                        referrer: { $cond: [categorized, null, '$referrer'] },
+                        utmMedium: { $cond: [categorized, null, '$utmMedium'] }
+                    },
+                    count
+                } }],
+                ...Object.fromEntries(Object.entries(UTM_FIELDS).map(([param, field]) => [param, [
+                    { $match: { [field]: { $nin: [null, ''] } } },
+                    { $group: { _id: `$${field}`, count } }
+                ]]))
+            } }
+        ]).allowDiskUse(true);
+        
+        return {
+            rules: facets.rules.map(({ _id, destination, count }) => ({ ruleId: _id || null, destination: destination || null, count })),
+            variants: facets.variants.map(({ _id, destination, clicks, uniqueClicks }) => ({ variantId: _id, destination: destination || null, clicks, uniqueClicks })),
+            referrers: facets.referrers.map(({ _id, count }) => ({ ...referrerKey(_id), count })),
+            utm: Object.fromEntries(Object.keys(UTM_FIELDS).map(param => [param, facets[param].map(({ _id, count }) => ({ value: _id, count }))]))
+        };
+    }
+    
+    async updateLink(code, updates) {
+        return this.Link.findOneAndUpdate({ shortCode: code }, { $set: updates }, { new: true }).lean();
+    }
+    
+    async renameLink(code, newCode) {
+        if (await this.Link.exists({ previousCodes: newCode, shortCode: { $ne: code } })) return null;
+        
+        let link;
+        try {
+            link = await this.Link.findOneAndUpdate(
+                { shortCode: code },
+                { $set: { shortCode: newCode }, $push: { previousCodes: code } },
+                { new: true }
+            ).lean();
+        } catch (error) {
+            if (error.code === 11000) return null; // duplicate shortCode or old code
+            throw error;
         }
-        .logo {
-            font-size: 1.5rem;
-            font-weight: 800;
-            background: linear-gradient(45deg, var(--primary), var(--secondary));
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            display: flex;
-            align-items: center;
-            gap: 0.5rem;
+        if (!link) return null;
+        
+        // Taking back one of its own old codes
+        if (link.previousCodes.includes(newCode)) {
+            await this.Link.updateOne({ shortCode: newCode }, { $pull: { previousCodes: newCode } });
+            link.previousCodes = link.previousCodes.filter(old => old !== newCode);
         }
-        .btn {
-            padding: 0.5rem 1rem;
-            border: none;
-            border-radius: 6px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.2s;
-            font-size: 0.9rem;
-            display: inline-flex;
-            align-items: center;
-            gap: 0.4rem;
-        }
-        .btn-primary {
-            background: var(--primary);
-            color: white;
-        }
-        .btn-primary:hover {
-            background: var(--secondary);
-            transform: translateY(-1px);
-        }
-        .btn-outline {
-            background: transparent;
-            border: 2px solid var(--primary);
-            color: var(--primary);
-        }
-        .btn-group {
-            display: flex;
-            gap: 0.5rem;
-            flex-wrap: wrap;
+        
+        await Promise.all([
+            this.Click.updateMany({ shortCode: code }, { $set: { shortCode: newCode } }),
+            this.ClickRollup.updateMany({ shortCode: code }, { $set: { shortCode: newCode } }),
+            this.User.updateOne({ userId: link.userId, links: code }, { $set: { 'links.$': newCode } })
+        ]);
+        return link;
+    }
+    
+    async addLinkRevision(code, revision) {
+        const { matchedCount } = await this.Link.updateOne({ shortCode: code }, { $push: { revisions: revision } });
+        return matchedCount ? revision : null;
+    }
+    
+    async deleteLink(userId, code) {
+        const link = await this.Link.findOneAndDelete({ shortCode: code, userId }).select('previousCodes').lean();
+        if (!link) return false;
+        
+        await Promise.all([
+            this.Click.deleteMany({ shortCode: code }),
+            this.ClickRollup.deleteMany({ shortCode: code }),
+            this.User.updateOne({ userId }, { $pull: { links: code } }),
+            this.retireCodes([code, ...(link.previousCodes || [])], userId)
+        ]);
+        return true;
+    }
+    
+    async counts() {
+        const [links, users, clicks] = await Promise.all([
+            this.Link.estimatedDocumentCount(),
+            this.User.estimatedDocumentCount(),
+            this.Click.estimatedDocumentCount()
+        ]);
+        return { links, users, clicks };
+    }
+}
+
+// Storage adapter - routes always talk to this.
+// Uses MongoDB while connected and falls back to memory otherwise.
+const STORAGE_METHODS = [
+    'getOrCreateUser', 'getUserByDevice', 'getUser',
+    'createAccount', 'getUserByEmail', 'claimUserLinks',
+    'createSession', 'getSession', 'deleteSession',
+    'createApiKey', 'getApiKeyByHash', 'listApiKeys', 'touchApiKey', 'revokeApiKey',
+    'saveUtmPreset', 'listUtmPresets', 'getUtmPreset', 'deleteUtmPreset',
+    'addDeadHit', 'getDeadHits', 'countUnknownHit', 'getUnknownHits',
+    'addLink', 'getLink', 'getLinkByStatsToken', 'getLinkByPreviousCode', 'getUserLinks', 'updateLink', 'renameLink', 'addLinkRevision', 'deleteLink', 'claimClick',
+    'addClicks', 'getClicks', 'iterateClicks', 'getRecentClicks', 'getClickBreakdowns', 'getRollups', 'getDimensionTotals',
+    'counts'
+];
+
+class StorageAdapter {
+    constructor(memory, mongo, isMongoConnected) {
+        this.memory = memory;
+        this.mongo = mongo;
+        this.isMongoConnected = isMongoConnected;
+    }
+    
+    get backend() {
+        return this.mongo && this.isMongoConnected() ? this.mongo : this.memory;
+    }
+}
+
+STORAGE_METHODS.forEach(method => {
+    StorageAdapter.prototype[method] = async function (...args) {
+        return this.backend[method](...args);
+    };
+});
+
+const storage = new StorageAdapter(
+    new PersistentStorage({ dataDir: DATA_DIR, format: STORAGE_FORMAT }),
+    new MongoStorage({ Link, User, Click, Session, ApiKey, ClickRollup, UtmPreset, DeadHit, UnknownCode }),
+    () => useMongoDB
+);
+
+// ===== GeoIP =====
+// Pluggable providers; the default reads a local database so the redirect path never
+// waits on the network:
+//   mmdb   - MaxMind-style City/Country database (+ optional ASN database)
+//   csv    - IP range file: start,end,countryCode,country,region,city,asn,asOrg
+//            (header optional; only start, end and countryCode are required)
+//   ip-api - ip-api.com over HTTP (opt-in)
+//   none   - no lookups
+const GEOIP_DIR = path.join(__dirname, 'geoip');
+const GEOIP_PROVIDER = process.env.GEOIP_PROVIDER || 'auto';
+const GEOIP_DB = process.env.GEOIP_DB || path.join(GEOIP_DIR, 'GeoLite2-City.mmdb');
+const GEOIP_ASN_DB = process.env.GEOIP_ASN_DB || path.join(GEOIP_DIR, 'GeoLite2-ASN.mmdb');
+const GEOIP_CSV = process.env.GEOIP_CSV || path.join(GEOIP_DIR, 'ip-ranges.csv');
+const GEOIP_CACHE_SIZE = parseInt(process.env.GEOIP_CACHE_SIZE) || 10000;
+
+// Bounded cache, least recently used entry evicted first
+function createLruCache(max) {
+    const entries = new Map();
+    return {
+        get(key) {
+            if (!entries.has(key)) return undefined;
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, value);
+            if (entries.size > max) entries.delete(entries.keys().next().value);
+        },
+        get size() {
+            return entries.size;
         }
-        .card {
-            background: white;
-            border-radius: 10px;
-            padding: 1.5rem;
-            box-shadow: 0 4px 6px rgba(0,0,0,0.05);
-            margin-bottom: 1rem;
+    };
+}
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+function countryName(code) {
+    try {
+        return countryNames.of(code);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Same shape for every provider
+function geoResult(data = {}) {
+    const countryCode = data.countryCode ? String(data.countryCode).toUpperCase() : 'XX';
+    return {
+        country: data.country || (data.countryCode && countryName(countryCode)) || 'Unknown',
+        countryCode,
+        city: data.city || 'Unknown',
+        region: data.region || 'Unknown',
+        asn: data.asn ? Number(data.asn) : null,
+        asOrg: data.asOrg || null
+    };
+}
+
+// IPv4/IPv6 address -> BigInt (null if invalid)
+function ipToBigInt(ip) {
+    if (/^\d+$/.test(ip)) return BigInt(ip);
+    if (net.isIPv4(ip)) return ip.split('.').reduce((n, part) => (n << 8n) + BigInt(part), 0n);
+    if (!net.isIPv6(ip)) return null;
+
+    // Embedded IPv4 tail (::ffff:1.2.3.4)
+    const v4Tail = ip.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4Tail) {
+        const n = ipToBigInt(v4Tail[1]);
+        ip = ip.slice(0, -v4Tail[1].length) + (n >> 16n).toString(16) + ':' + (n & 0xffffn).toString(16);
+    }
+
+    const [head, tail] = ip.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : Array(8 - headParts.length - tailParts.length).fill('0');
+    return [...headParts, ...zeros, ...tailParts].reduce((n, part) => (n << 16n) + BigInt(parseInt(part, 16)), 0n);
+}
+
+async function createMmdbGeoProvider(cityPath, asnPath) {
+    const city = await maxmind.open(cityPath);
+    const asn = fs.existsSync(asnPath) ? await maxmind.open(asnPath) : null;
+    const name = names => names?.en || (names && Object.values(names)[0]);
+
+    return {
+        name: `mmdb (${path.basename(cityPath)}${asn ? ', ' + path.basename(asnPath) : ''})`,
+        lookup(ip) {
+            if (!maxmind.validate(ip)) return null;
+            const record = city.get(ip) || {};
+            const as = asn?.get(ip) || {};
+            const country = record.country || record.registered_country || {};
+            return {
+                country: name(country.names),
+                countryCode: country.iso_code,
+                region: name(record.subdivisions?.[0]?.names),
+                city: name(record.city?.names),
+                asn: as.autonomous_system_number,
+                asOrg: as.autonomous_system_organization
+            };
         }
-        .form-group {
-            margin-bottom: 1rem;
+    };
+}
+
+// Ranges are loaded into sorted arrays (one per address family) and binary searched
+async function createCsvGeoProvider(csvPath) {
+    const ranges = { 4: [], 6: [] };
+    const lines = readline.createInterface({ input: fs.createReadStream(csvPath), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const [startIp, endIp, countryCode, country, region, city, asn, asOrg] = parseCsv(line)[0].map(cell => cell.trim());
+        const start = ipToBigInt(startIp);
+        const end = ipToBigInt(endIp);
+        if (start === null || end === null) continue; // header or junk
+
+        const family = net.isIPv6(startIp) ? 6 : 4;
+        ranges[family].push({ start, end, data: { countryCode, country, region, city, asn, asOrg } });
+    }
+    Object.values(ranges).forEach(list => list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0)));
+
+    return {
+        name: `csv (${path.basename(csvPath)}, ${ranges[4].length + ranges[6].length} ranges)`,
+        lookup(ip) {
+            const value = ipToBigInt(ip);
+            if (value === null || /^\d+$/.test(ip)) return null;
+            const list = ranges[net.isIPv6(ip) ? 6 : 4];
+
+            let low = 0;
+            let high = list.length - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (value < list[mid].start) high = mid - 1;
+                else if (value > list[mid].end) low = mid + 1;
+                else return list[mid].data;
+            }
+            return null;
         }
-        .form-label {
-            display: block;
-            margin-bottom: 0.5rem;
-            font-weight: 600;
-            font-size: 0.9rem;
+    };
+}
+
+function createIpApiGeoProvider() {
+    return {
+        name: 'ip-api.com',
+        async lookup(ip) {
+            const response = await fetch(`http://ip-api.com/json/${ip}?fields=status,country,countryCode,city,region,as,isp`, {
+                signal: AbortSignal.timeout(1000)
+            });
+            const data = response.ok ? await response.json() : null;
+            if (data?.status !== 'success') return null;
+            return {
+                country: data.country,
+                countryCode: data.countryCode,
+                city: data.city,
+                region: data.region,
+                asn: (data.as || '').match(/^AS(\d+)/)?.[1],
+                asOrg: data.isp
+            };
         }
-        .form-control {
-            width: 100%;
-            padding: 0.75rem;
-            border: 2px solid #e2e8f0;
-            border-radius: 6px;
-            font-size: 1rem;
+    };
+}
+
+const noGeoProvider = { name: 'none', lookup: () => null };
+
+async function createGeoProvider(kind) {
+    switch (kind) {
+        case 'mmdb': return createMmdbGeoProvider(GEOIP_DB, GEOIP_ASN_DB);
+        case 'csv': return createCsvGeoProvider(GEOIP_CSV);
+        case 'ip-api': return createIpApiGeoProvider();
+        case 'none': return noGeoProvider;
+        case 'auto':
+            if (fs.existsSync(GEOIP_DB)) return createMmdbGeoProvider(GEOIP_DB, GEOIP_ASN_DB);
+            if (fs.existsSync(GEOIP_CSV)) return createCsvGeoProvider(GEOIP_CSV);
+            console.log('⚠️ GeoIP bazası tapılmadı (GEOIP_DB / GEOIP_CSV), ölkələr təyin olunmayacaq');
+            return noGeoProvider;
+        default:
+            throw new Error(`Unknown GEOIP_PROVIDER: ${kind}`);
+    }
+}
+
+const geoReady = createGeoProvider(GEOIP_PROVIDER).catch(error => {
+    console.log(`⚠️ GeoIP yüklənmədi: ${error.message}`);
+    return noGeoProvider;
+});
+const geoIPCache = createLruCache(GEOIP_CACHE_SIZE);
+
+// Address as looked up: IPv4-mapped IPv6 (::ffff:1.2.3.4) unwrapped, IPv6 loopback as 127.0.0.1
+function normalizeIp(ip) {
+    if (!ip) return 'unknown';
+    if (ip === '::1') return '127.0.0.1';
+    const mapped = /^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i.exec(ip);
+    return mapped ? mapped[1] : ip;
+}
+
+async function getGeoInfo(ip) {
+    const cleanIp = normalizeIp(ip);
+    if (cleanIp === '127.0.0.1') {
+        return { country: 'Local', countryCode: 'LOC', city: 'Local', region: 'Local', asn: null, asOrg: null };
+    }
+    
+    // Check cache first
+    const cached = geoIPCache.get(cleanIp);
+    if (cached) return cached;
+    
+    const provider = await geoReady;
+    let data = null;
+    try {
+        data = await provider.lookup(cleanIp);
+    } catch (error) {
+        console.log(`GeoIP lookup failed (${provider.name})`);
+    }
+    
+    const result = geoResult(data || {});
+    geoIPCache.set(cleanIp, result);
+    return result;
+}
+
+// ===== Device/browser detection =====
+// UA string parsed by ua-parser-js, refined with client hints (sec-ch-ua*) when the browser sends them
+
+const CLIENT_HINT_HEADERS = [
+    'sec-ch-ua', 'sec-ch-ua-full-version-list', 'sec-ch-ua-mobile',
+    'sec-ch-ua-platform', 'sec-ch-ua-platform-version', 'sec-ch-ua-model'
+];
+
+const DEVICE_TYPES = {
+    mobile: 'Mobile', tablet: 'Tablet', smarttv: 'TV', console: 'Console',
+    wearable: 'Wearable', embedded: 'Embedded', xr: 'XR'
+};
+
+const OS_NAMES = { 'Mac OS': 'macOS', 'Chromium OS': 'ChromeOS', 'Chrome OS': 'ChromeOS' };
+
+// Brand names in sec-ch-ua -> browser names as ua-parser-js reports them
+const HINT_BRANDS = {
+    'Google Chrome': 'Chrome', 'Microsoft Edge': 'Edge', 'Opera': 'Opera', 'Opera GX': 'Opera GX',
+    'Brave': 'Brave', 'Vivaldi': 'Vivaldi', 'YaBrowser': 'Yandex', 'Yandex': 'Yandex',
+    'Samsung Internet': 'Samsung Browser'
+};
+
+// '"Chromium";v="120", "Google Chrome";v="120"' -> [{ brand, version }], GREASE entries removed
+function parseBrandList(header) {
+    const brands = [];
+    for (const [, brand, version] of String(header || '').matchAll(/"([^"]*)"\s*;\s*v="([^"]*)"/g)) {
+        if (!/not.a.brand/i.test(brand)) brands.push({ brand, version });
+    }
+    return brands;
+}
+
+// Link preview fetchers (chat apps, social networks) that isbot may not label
+const PREVIEW_FETCHERS = /slackbot|slack-imgproxy|whatsapp|telegrambot|facebookexternalhit|facebot|meta-externalagent|twitterbot|linkedinbot|discordbot|skypeuripreview|pinterestbot|redditbot|embedly|iframely|vkshare|mastodon|cardyb|google-pagerenderer|microsoftpreview/i;
+
+// Non-human requests only the request itself reveals (HEAD checks, browser prefetch/prerender)
+function requestBotReason(req) {
+    if (req.method === 'HEAD') return 'head';
+    const purpose = ['purpose', 'sec-purpose', 'x-purpose', 'x-moz'].map(name => req.headers[name] || '').join(' ');
+    return /prefetch|prerender|preview/i.test(purpose) ? 'prefetch' : null;
+}
+
+// crawler | preview | head | prefetch, or null for a human click
+function botReason(userAgent, parsed, requestReason) {
+    if (requestReason) return requestReason;
+    if (PREVIEW_FETCHERS.test(userAgent || '')) return 'preview';
+    return parsed.isBot ? 'crawler' : null;
+}
+
+// ===== Referrers & UTM =====
+const UTM_FIELDS = { utm_source: 'utmSource', utm_medium: 'utmMedium', utm_campaign: 'utmCampaign', utm_term: 'utmTerm', utm_content: 'utmContent' };
+const REFERRER_CATEGORIES = ['social', 'search', 'email', 'direct', 'other'];
+
+// Checked in order, so webmail hosts win over their search-engine parents
+const REFERRER_DOMAINS = [
+    ['email', /^(webmail|mail|email)\.|(^|\.)(outlook\.live\.com|outlook\.office\.com|outlook\.office365\.com|mail\.proton\.me)$/],
+    ['search', /(^|\.)(google\.[a-z.]+|bing\.com|yandex\.[a-z.]+|duckduckgo\.com|yahoo\.com|baidu\.com|ecosia\.org|search\.brave\.com|ask\.com|naver\.com|qwant\.com|startpage\.com)$/],
+    ['social', /(^|\.)(facebook\.com|fb\.com|fb\.me|instagram\.com|t\.co|twitter\.com|x\.com|linkedin\.com|lnkd\.in|reddit\.com|pinterest\.com|tiktok\.com|youtube\.com|youtu\.be|vk\.com|ok\.ru|t\.me|telegram\.org|whatsapp\.com|wa\.me|threads\.net|snapchat\.com|quora\.com|tumblr\.com|bsky\.app|discord\.com)$/]
+];
+
+// utm_medium values that say where an unrecognised (or missing) referrer came from
+const UTM_MEDIUM_CATEGORIES = [
+    ['email', /^(e-?mail|newsletter)/i],
+    ['social', /^(social|social-media|social-network|sm)$/i],
+    ['search', /^(cpc|ppc|paid-?search|organic|search)$/i]
+];
+
+// utm_* query parameters of the inbound request, as click fields
+function pickUtm(query = {}) {
+    return Object.fromEntries(Object.entries(UTM_FIELDS).map(([param, field]) => {
+        const value = [].concat(query[param] ?? [])[0];
+        return [field, typeof value === 'string' && value.trim() ? value.trim().substring(0, 100) : null];
+    }));
+}
+
+// { referrerDomain, referrerCategory } for a Referer header and optional utm_medium
+function classifyReferrer(referrer, utmMedium) {
+    let domain = null;
+    if (referrer) {
+        try {
+            domain = new URL(referrer).hostname.toLowerCase().replace(/^www\./, '') || null;
+        } catch (e) {
+            domain = null;
         }
-        .form-control:focus {
-            outline: none;
-            border-color: var(--primary);
+    }
+
+    const byDomain = domain && REFERRER_DOMAINS.find(([, pattern]) => pattern.test(domain));
+    const byMedium = utmMedium && UTM_MEDIUM_CATEGORIES.find(([, pattern]) => pattern.test(utmMedium));
+    const category = byDomain ? byDomain[0] : byMedium ? byMedium[0] : referrer ? 'other' : 'direct';
+
+    return { referrerDomain: domain, referrerCategory: category };
+}
+
+// Primary language of an Accept-Language header ("az-AZ,az;q=0.9,en;q=0.8" -> "az")
+function primaryLanguage(header) {
+    const best = String(header || '').split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { tag: tag.trim().toLowerCase(), q: q ? parseFloat(q.slice(2)) : 1 };
+        })
+        .filter(entry => /^[a-z]{2,3}(-|$)/.test(entry.tag) && entry.q > 0)
+        .sort((a, b) => b.q - a.q)[0];
+    return best ? best.tag.split('-')[0] : null;
+}
+
+// Lower-cased client hint headers picked from a request
+function pickClientHints(headers) {
+    return Object.fromEntries(CLIENT_HINT_HEADERS.filter(name => headers[name]).map(name => [name, headers[name]]));
+}
+
+const unquote = value => String(value || '').replace(/^"|"$/g, '');
+
+function parseUserAgent(userAgent, hints = {}) {
+    const ua = userAgent || '';
+    const { browser, os, device } = new UAParser(ua).getResult();
+
+    const result = {
+        browser: browser.name || 'Unknown',
+        browserVersion: browser.version || null,
+        os: OS_NAMES[os.name] || os.name || 'Unknown',
+        osVersion: os.version || null,
+        device: DEVICE_TYPES[device.type] || 'Desktop',
+        deviceVendor: device.vendor || null,
+        deviceModel: device.model || null,
+        isBot: isbot(ua)
+    };
+
+    // Client hints are more precise than the (frozen) UA string of Chromium browsers
+    const brands = parseBrandList(hints['sec-ch-ua-full-version-list'] || hints['sec-ch-ua']);
+    // "Chromium" alone says nothing the UA string doesn't
+    const brand = brands.find(b => HINT_BRANDS[b.brand] && b.brand !== 'Chromium');
+    if (brand) {
+        result.browser = HINT_BRANDS[brand.brand];
+        result.browserVersion = brand.version;
+    }
+
+    const platform = unquote(hints['sec-ch-ua-platform']);
+    if (platform && platform !== 'Unknown') {
+        result.os = OS_NAMES[platform] || platform;
+        const platformVersion = unquote(hints['sec-ch-ua-platform-version']);
+        if (platformVersion && platform === 'Windows') {
+            // Windows 11 reports platform version 13+, Windows 10 1..12
+            const major = parseInt(platformVersion);
+            if (major >= 13) result.osVersion = '11';
+            else if (major > 0) result.osVersion = '10';
+        } else if (platformVersion) {
+            result.osVersion = platformVersion;
         }
-        .stats-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
-            gap: 1rem;
-            margin-bottom: 1.5rem;
+    }
+
+    if (hints['sec-ch-ua-mobile'] === '?1' && result.device === 'Desktop') result.device = 'Mobile';
+    const model = unquote(hints['sec-ch-ua-model']);
+    if (model) result.deviceModel = model;
+
+    return { ...result, userAgent: ua.substring(0, 200) };
+}
+
+// Generate unique device/browser ID
+function generateDeviceId(req) {
+    const userAgent = req.headers['user-agent'] || '';
+    const accept = req.headers['accept'] || '';
+    const language = req.headers['accept-language'] || '';
+    const platform = req.headers['sec-ch-ua-platform'] || '';
+    
+    // Create a fingerprint from browser characteristics
+    const fingerprint = `${userAgent}::${accept}::${language}::${platform}`;
+    
+    // Simple hash
+    let hash = 0;
+    for (let i = 0; i < fingerprint.length; i++) {
+        const char = fingerprint.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+    }
+    
+    return `device_${Math.abs(hash).toString(16)}`;
+}
+
+// Password hashing (scrypt, stored as salt:hash)
+const scryptAsync = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, 64);
+    return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    if (!password || !stored || !stored.includes(':')) return false;
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Simple in-memory rate limiter (fixed window per key)
+function createRateLimiter({ windowMs, max }) {
+    const hits = new Map();
+    
+    // Drop expired windows
+    setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    }, windowMs).unref();
+    
+    return {
+        isLimited(key) {
+            const entry = hits.get(key);
+            return !!entry && entry.resetAt > Date.now() && entry.count >= max;
+        },
+        hit(key) {
+            const now = Date.now();
+            const entry = hits.get(key);
+            if (!entry || entry.resetAt <= now) {
+                hits.set(key, { count: 1, resetAt: now + windowMs });
+            } else {
+                entry.count++;
+            }
+        },
+        retryAfter(key) {
+            const entry = hits.get(key);
+            return entry ? Math.max(0, Math.ceil((entry.resetAt - Date.now()) / 1000)) : 0;
         }
-        .stat-card {
-            background: white;
-            padding: 1rem;
-            border-radius: 8px;
-            border-left: 4px solid var(--primary);
+    };
+}
+
+// Failed password attempts: 5 per 15 minutes per IP
+const unlockLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 5 });
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// ===== ERRORS =====
+// code: [HTTP status, message for /api/v1, message for the legacy UI routes]
+const ERRORS = {
+    INVALID_JSON: [400, 'Request body is not valid JSON', 'Yanlış məlumat formatı'],
+    VALIDATION_FAILED: [400, 'Request validation failed', 'Yanlış məlumat'],
+    URL_REQUIRED: [400, 'fullUrl is required', 'URL tələb olunur'],
+    INVALID_URL: [400, 'fullUrl is not a valid http(s) URL', 'URL düzgün deyil'],
+    INVALID_EXPIRY: [400, 'Expiry must be seconds, "forever" or a future date', 'Müddət düzgün deyil'],
+    INVALID_FORMAT: [400, 'format must be one of: csv, json, ndjson', 'Format: csv, json, ndjson'],
+    INVALID_RANGE: [400, 'from/to must be valid dates with from <= to', 'Tarix aralığı düzgün deyil'],
+    INVALID_GRANULARITY: [400, 'granularity must be one of: hour, day, week, month', 'Interval: hour, day, week, month'],
+    INVALID_TIMEZONE: [400, 'timezone must be an IANA time zone such as Asia/Baku', 'Saat qurşağı düzgün deyil'],
+    RANGE_TOO_LARGE: [400, 'Too many points for this range; use a coarser granularity', 'Aralıq çox böyükdür, daha böyük interval seçin'],
+    BATCH_EMPTY: [400, 'No rows to import', 'İdxal üçün sətir yoxdur'],
+    ALIAS_TOO_SHORT: [400, 'Custom alias must be at least 2 characters', 'Minimum 2 simvol'],
+    USER_ID_REQUIRED: [400, 'userId is required', 'userId tələb olunur'],
+    INVALID_EMAIL: [400, 'A valid email is required', 'Düzgün email daxil edin'],
+    WEAK_PASSWORD: [400, 'Password must be at least 8 characters', 'Şifrə minimum 8 simvol olmalıdır'],
+    INVALID_UTM: [400, 'utm must be an object of string source, medium, campaign, term, content values', 'UTM dəyərləri düzgün deyil'],
+    UTM_REQUIRED: [400, 'A UTM preset needs at least one value', 'Ən azı bir UTM dəyəri daxil edin'],
+    PRESET_NAME_REQUIRED: [400, 'Preset name is required', 'Şablon adı tələb olunur'],
+    INVALID_RULES: [400, 'rules must be an array of { conditions: { countries, devices, os, languages }, url }', 'Yönləndirmə qaydaları düzgün deyil'],
+    INVALID_LIMIT: [400, 'maxClicks must be a positive whole number and limitAction one of gone, fallback, page', 'Klik limiti düzgün deyil'],
+    INVALID_SCHEDULE: [400, 'schedule must be { timezone, windows: [{ days: [1-7], start: "HH:MM", end: "HH:MM" } or { from, to }] }', 'Aktivlik cədvəli düzgün deyil'],
+    INVALID_VARIANTS: [400, 'variants must be an array of 2-10 { url, weight } (weight: whole number 1-1000)', 'A/B variantları düzgün deyil (2-10 URL, çəki 1-1000)'],
+    INVALID_SECTIONS: [400, 'sections must be a non-empty subset of: overview, destination, activity, countries, devices, referrers, utm, recentClicks', 'Bölmələr düzgün deyil (ən azı bir bölmə seçin)'],
+    INVALID_SCOPES: [400, 'Scopes must be a non-empty subset of: create, read-stats, update, delete', 'İcazələr: create, read-stats, update, delete'],
+    UNAUTHORIZED: [401, 'Authentication required', 'Giriş tələb olunur'],
+    INVALID_TOKEN: [401, 'Token is invalid, expired or revoked', 'Token etibarsızdır'],
+    INVALID_CREDENTIALS: [401, 'Email or password is incorrect', 'Email və ya şifrə yanlışdır'],
+    INSUFFICIENT_SCOPE: [403, 'API key is missing the required scope', 'API açarının bu əməliyyat üçün icazəsi yoxdur'],
+    SESSION_REQUIRED: [403, 'This action requires a logged-in session, not an API key', 'Bu əməliyyat üçün hesaba daxil olun'],
+    LINK_NOT_FOUND: [404, 'Link not found', 'Link tapılmadı'],
+    KEY_NOT_FOUND: [404, 'API key not found', 'Açar tapılmadı'],
+    PRESET_NOT_FOUND: [404, 'UTM preset not found', 'UTM şablonu tapılmadı'],
+    VARIANT_NOT_FOUND: [404, 'A/B variant not found', 'Variant tapılmadı'],
+    ROUTE_NOT_FOUND: [404, 'Route not found', 'Tapılmadı'],
+    ALIAS_TAKEN: [409, 'This short code is already in use', 'Bu kod artıq istifadədədir'],
+    EMAIL_TAKEN: [409, 'An account with this email already exists', 'Bu email artıq qeydiyyatdan keçib'],
+    CLAIM_FAILED: [409, 'These links were already claimed or do not exist', 'Bu linklər artıq götürülüb və ya tapılmadı'],
+    BATCH_TOO_LARGE: [413, 'Too many rows in one request', 'Bir sorğuda çox sayda sətir'],
+    RATE_LIMITED: [429, 'Too many attempts, try again later', 'Çox sayda uğursuz cəhd. Bir az sonra yenidən yoxlayın.'],
+    INTERNAL_ERROR: [500, 'Internal server error', 'Server xətası']
+};
+
+class ApiError extends Error {
+    constructor(code, details) {
+        const [status, message, legacyMessage] = ERRORS[code] || ERRORS.INTERNAL_ERROR;
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.legacyMessage = legacyMessage;
+        this.details = details;
+    }
+}
+
+// Express 4 doesn't catch rejected promises - forward them to the error handler
+const asyncRoute = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// ===== AUTHENTICATION =====
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Failed logins: 10 per 15 minutes per IP
+const loginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// Issue a session token; only its hash is stored
+async function startSession(userId) {
+    const token = `sess_${crypto.randomBytes(32).toString('base64url')}`;
+    await storage.createSession({
+        tokenHash: hashToken(token),
+        userId,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + SESSION_TTL)
+    });
+    return token;
+}
+
+// Personal API keys ("agk_..." Bearer tokens) and what they may do
+const API_KEY_PREFIX = 'agk_';
+const API_SCOPES = ['create', 'read-stats', 'update', 'delete'];
+
+// Resolve the caller from the Bearer token - a session or an API key
+// (req.auth stays empty for anonymous requests, invalid tokens get 401)
+async function authenticate(req, res, next) {
+    try {
+        const token = getBearerToken(req);
+        if (token && token.startsWith(API_KEY_PREFIX)) {
+            const key = await storage.getApiKeyByHash(hashToken(token));
+            if (key) {
+                req.auth = { userId: key.userId, type: 'apiKey', keyId: key.keyId, scopes: key.scopes };
+                await storage.touchApiKey(key.keyHash);
+            }
+        } else if (token) {
+            const session = await storage.getSession(hashToken(token));
+            if (session) {
+                req.auth = { userId: session.userId, type: 'session', tokenHash: session.tokenHash };
+            }
         }
-        .link-item {
-            background: white;
-            padding: 1rem;
-            border-radius: 8px;
-            margin-bottom: 0.75rem;
-            border: 1px solid #e2e8f0;
-            transition: all 0.2s;
+        
+        // A token was sent but is unknown, expired or revoked
+        if (token && !req.auth) {
+            return next(new ApiError('INVALID_TOKEN'));
         }
-        .link-item:hover {
-            border-color: var(--primary);
-            box-shadow: 0 2px 8px rgba(59, 130, 246, 0.1);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+function requireAuth(req, res, next) {
+    next(req.auth ? undefined : new ApiError('UNAUTHORIZED'));
+}
+
+// Account management is only allowed from a logged-in session, not with an API key
+function requireSession(req, res, next) {
+    if (!req.auth) return next(new ApiError('UNAUTHORIZED'));
+    next(req.auth.type === 'session' ? undefined : new ApiError('SESSION_REQUIRED'));
+}
+
+// API keys need the scope; sessions can do everything. Anonymous callers pass through.
+function checkScope(scope) {
+    return (req, res, next) => {
+        if (req.auth && req.auth.type === 'apiKey' && !req.auth.scopes.includes(scope)) {
+            return next(new ApiError('INSUFFICIENT_SCOPE', { scope }));
         }
-        .badge {
-            padding: 0.25rem 0.5rem;
-            border-radius: 12px;
-            font-size: 0.75rem;
-            font-weight: 600;
-            display: inline-flex;
+        next();
+    };
+}
+
+const requireScope = scope => [requireAuth, checkScope(scope)];
+
+function publicUtmPreset(preset) {
+    return {
+        presetId: preset.presetId,
+        name: preset.name,
+        utm: preset.utm || {},
+        createdAt: preset.createdAt,
+        updatedAt: preset.updatedAt || preset.createdAt
+    };
+}
+
+function publicApiKey(key) {
+    return {
+        keyId: key.keyId,
+        name: key.name,
+        prefix: key.prefix,
+        scopes: key.scopes,
+        createdAt: key.createdAt,
+        lastUsedAt: key.lastUsedAt || null,
+        revokedAt: key.revokedAt || null
+    };
+}
+
+function publicUser(user) {
+    return { userId: user.userId, email: user.email, createdAt: user.createdAt };
+}
+
+// Public link fields (never expose the password hash)
+function publicLink(link) {
+    const { password, _id, __v, ...rest } = link;
+    return { ...rest, hasPassword: !!password };
+}
+
+// Interstitial page for password-protected links
+// (search keeps the short URL's query string for links that forward it)
+function renderUnlockPage(code, error, search = '') {
+    const safeCode = escapeHtml(code);
+    return `<!DOCTYPE html>
+<html lang="az">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>🔒 Qorunan Link | AxtarGet aglink.pro</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #f1f5f9 0%, #e2e8f0 100%);
+            min-height: 100vh;
+            display: flex;
             align-items: center;
-            gap: 0.25rem;
-            margin-right: 0.5rem;
-        }
-        .badge-primary { background: var(--primary); color: white; }
-        .badge-success { background: var(--success); color: white; }
-        .badge-danger { background: var(--danger); color: white; }
-        .badge-warning { background: var(--warning); color: white; }
-        .flag {
-            font-size: 1.2em;
-            margin-right: 0.25rem;
-        }
-        .tab-content {
-            padding: 1.5rem 0;
-        }
-        .notification {
-            position: fixed;
-            top: 1rem;
-            right: 1rem;
-            background: white;
-            padding: 1rem;
-            border-radius: 8px;
-            box-shadow: 0 10px 25px rgba(0,0,0,0.1);
-            z-index: 9999;
-            animation: slideIn 0.3s ease;
-            max-width: 300px;
-            border-left: 4px solid var(--success);
-        }
-        @keyframes slideIn {
-            from { transform: translateX(100%); opacity: 0; }
-            to { transform: translateX(0); opacity: 1; }
-        }
-        .loading {
-            display: inline-block;
-            width: 20px;
-            height: 20px;
-            border: 3px solid #f3f3f3;
-            border-top: 3px solid var(--primary);
-            border-radius: 50%;
-            animation: spin 1s linear infinite;
-        }
-        @keyframes spin {
-            0% { transform: rotate(0deg); }
-            100% { transform: rotate(360deg); }
+            justify-content: center;
+            color: #1e293b;
         }
-        .modal {
-            display: none;
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0,0,0,0.5);
-            z-index: 10000;
+        .card { background: white; border-radius: 10px; padding: 2rem; box-shadow: 0 4px 6px rgba(0,0,0,0.05); width: 90%; max-width: 400px; }
+        h1 { font-size: 1.3rem; margin-bottom: 0.5rem; }
+        p { color: #64748b; font-size: 0.9rem; margin-bottom: 1.5rem; }
+        input { width: 100%; padding: 0.75rem; border: 2px solid #e2e8f0; border-radius: 6px; font-size: 1rem; margin-bottom: 1rem; }
+        input:focus { outline: none; border-color: #3b82f6; }
+        button { width: 100%; padding: 0.875rem; border: none; border-radius: 6px; background: #3b82f6; color: white; font-weight: 600; font-size: 1rem; cursor: pointer; }
+        button:hover { background: #1d4ed8; }
+        .error { background: #fee2e2; color: #ef4444; padding: 0.75rem; border-radius: 6px; margin-bottom: 1rem; font-size: 0.9rem; }
+    </style>
+</head>
+<body>
+    <form class="card" method="POST" action="/${safeCode}${escapeHtml(search)}">
+        <h1>🔒 Bu link şifrə ilə qorunur</h1>
+        <p>Davam etmək üçün şifrəni daxil edin</p>
+        ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+        <input type="password" name="password" placeholder="Şifrə" autofocus required>
+        <button type="submit">🔓 Aç</button>
+    </form>
+</body>
+</html>`;
+}
+
+// Why the destination is left out of the preview page (destination: null)
+const PREVIEW_HIDDEN_NOTES = {
+    password: '🔒 Bu link şifrə ilə qorunur. Hədəf şifrə daxil edildikdən sonra açılır.',
+    limit: '🎯 Bu linkin klik limiti var. Hədəf yalnız keçid zamanı açılır.'
+};
+
+// Preview interstitial (/abc+ or links in preview mode): destination domain, page title and a
+// continue link. Password-protected and click-limited links don't reveal their destination here.
+function renderPreviewPage(code, { destination, title, next, hidden = 'password' }) {
+    const safeCode = escapeHtml(code);
+    const domain = destination ? new URL(destination).hostname : null;
+    return `<!DOCTYPE html>
+<html lang="az">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>🔍 Link önbaxışı | AxtarGet aglink.pro</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #f1f5f9 0%, #e2e8f0 100%);
+            min-height: 100vh;
+            display: flex;
             align-items: center;
             justify-content: center;
+            color: #1e293b;
         }
-        .modal-content {
-            background: white;
-            padding: 2rem;
-            border-radius: 10px;
-            max-width: 500px;
-            width: 90%;
-            max-height: 80vh;
-            overflow-y: auto;
-        }
-        .table {
-            width: 100%;
-            border-collapse: collapse;
-            margin: 1rem 0;
-        }
-        .table th, .table td {
-            padding: 0.75rem;
-            text-align: left;
-            border-bottom: 1px solid #e2e8f0;
-        }
-        .table th {
-            background: #f8fafc;
-            font-weight: 600;
-        }
-        .country-row {
+        .card { background: white; border-radius: 10px; padding: 2rem; box-shadow: 0 4px 6px rgba(0,0,0,0.05); width: 90%; max-width: 480px; }
+        h1 { font-size: 1.3rem; margin-bottom: 1rem; }
+        .label { color: #64748b; font-size: 0.8rem; margin-bottom: 0.25rem; }
+        .domain { font-size: 1.4rem; font-weight: 700; margin-bottom: 0.5rem; word-break: break-all; }
+        .title { margin-bottom: 0.5rem; }
+        .url { color: #64748b; font-size: 0.85rem; word-break: break-all; margin-bottom: 1.5rem; }
+        .note { background: #fef3c7; color: #92400e; padding: 0.75rem; border-radius: 6px; margin-bottom: 1.5rem; font-size: 0.85rem; }
+        a.button { display: block; text-align: center; padding: 0.875rem; border-radius: 6px; background: #3b82f6; color: white; font-weight: 600; text-decoration: none; }
+        a.button:hover { background: #1d4ed8; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>🔍 /${safeCode} linki hara aparır?</h1>
+        ${destination ? `
+        <div class="label">Sayt</div>
+        <div class="domain">${escapeHtml(domain)}</div>
+        ${title ? `<div class="title">${escapeHtml(title)}</div>` : ''}
+        <div class="url">${escapeHtml(destination)}</div>
+        <div class="note">⚠️ Ünvanı yoxlayın və yalnız etibar etdiyiniz saytlara keçin.</div>
+        ` : `
+        <div class="note">${PREVIEW_HIDDEN_NOTES[hidden]}</div>
+        `}
+        <a class="button" href="${escapeHtml(next)}" rel="nofollow">Davam et →</a>
+    </div>
+</body>
+</html>`;
+}
+
+// Branded pages for links that can't be followed: 404 (unknown, paused or outside its schedule)
+// and 410 (expired or out of clicks). text replaces the default message (owner's limit message).
+const DEAD_LINK_PAGES = {
+    unknown: { status: 404, icon: '🔍', title: 'Link tapılmadı', text: 'Bu qısa link mövcud deyil və ya sahibi tərəfindən dayandırılıb.' },
+    notStarted: { status: 404, icon: '⏳', title: 'Link hələ aktiv deyil', text: 'Bu qısa link hələ işə düşməyib. Bir az sonra yenidən yoxlayın.' },
+    closed: { status: 404, icon: '🌙', title: 'Link hazırda bağlıdır', text: 'Bu qısa link yalnız müəyyən saatlarda işləyir.' },
+    expired: { status: 410, icon: '⌛', title: 'Linkin müddəti bitib', text: 'Bu qısa linkin istifadə müddəti başa çatıb.' },
+    limit: { status: 410, icon: '🎯', title: 'Klik limiti dolub', text: 'Bu qısa link üçün nəzərdə tutulan kliklər bitib.' }
+};
+
+function renderDeadLinkPage(kind, code, text = null) {
+    const page = DEAD_LINK_PAGES[kind];
+    const status = page.status;
+    return `<!DOCTYPE html>
+<html lang="az">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${page.title} | AxtarGet aglink.pro</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #f1f5f9 0%, #e2e8f0 100%);
+            min-height: 100vh;
             display: flex;
             align-items: center;
-            gap: 0.5rem;
-        }
-        
-        /* SEO FRIENDLY CONTENT */
-        .seo-content {
-            background: white;
-            padding: 2rem;
-            border-radius: 10px;
-            margin-top: 2rem;
-            line-height: 1.6;
-        }
-        .seo-content h1 {
-            color: var(--dark);
-            margin-bottom: 1rem;
-            font-size: 1.8rem;
-        }
-        .seo-content h2 {
-            color: var(--primary);
-            margin: 1.5rem 0 1rem;
-            font-size: 1.4rem;
-        }
-        .seo-content p {
-            margin-bottom: 1rem;
-            color: #475569;
+            justify-content: center;
+            color: #1e293b;
         }
-        .seo-content ul {
-            margin-left: 1.5rem;
-            margin-bottom: 1rem;
+        .card { background: white; border-radius: 10px; padding: 2rem; box-shadow: 0 4px 6px rgba(0,0,0,0.05); width: 90%; max-width: 420px; text-align: center; }
+        .icon { font-size: 3rem; margin-bottom: 0.5rem; }
+        .status { color: #94a3b8; font-weight: 700; letter-spacing: 0.1em; margin-bottom: 0.5rem; }
+        h1 { font-size: 1.3rem; margin-bottom: 0.5rem; }
+        p { color: #64748b; font-size: 0.9rem; margin-bottom: 1.5rem; word-break: break-all; }
+        a.button { display: block; padding: 0.875rem; border-radius: 6px; background: #3b82f6; color: white; font-weight: 600; text-decoration: none; }
+        a.button:hover { background: #1d4ed8; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <div class="icon">${page.icon}</div>
+        <div class="status">${status}</div>
+        <h1>${page.title}</h1>
+        <p>/${escapeHtml(code)} — ${escapeHtml(text || page.text)}</p>
+        <a class="button" href="/">🔗 Öz qısa linkinizi yaradın</a>
+    </div>
+</body>
+</html>`;
+}
+
+// <title> of a destination for the preview page. Only public http(s) hosts are fetched (checked on the
+// address actually connected to), redirects are not followed, and the response is capped in time and size.
+// Misses are cached as well.
+const PREVIEW_TITLES = process.env.PREVIEW_TITLES !== 'false';
+const PREVIEW_TITLE_TIMEOUT_MS = 2000;
+const PREVIEW_TITLE_MAX_BYTES = 64 * 1024;
+const PREVIEW_TITLE_TTL_MS = 60 * 60 * 1000;
+const pageTitleCache = createLruCache(1000);
+
+// Special-purpose IPv4 ranges: this network, private, shared (CGNAT), loopback, link-local, IETF
+// protocol assignments, documentation, 6to4 relay, benchmarking, multicast and reserved (with broadcast)
+const SPECIAL_IPV4 = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => SPECIAL_IPV4.addSubnet(network, prefix, 'ipv4'));
+
+// IPv6 only inside global unicast 2000::/3 (which leaves out loopback, IPv4-mapped and NAT64
+// addresses, unique and link-local, multicast), minus IETF protocol assignments (Teredo),
+// documentation and 6to4
+const SPECIAL_IPV6 = new net.BlockList();
+[['::', 3], ['4000::', 2], ['8000::', 1], ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['3fff::', 20]]
+    .forEach(([network, prefix]) => SPECIAL_IPV6.addSubnet(network, prefix, 'ipv6'));
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function extractTitle(html) {
+    const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    if (!match) return null;
+    const title = match[1]
+        .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] !== '#') return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+            const point = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+    return title ? title.slice(0, 200) : null;
+}
+
+// Two lists because a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 subnets
+const isPrivateAddress = address => net.isIPv6(address) ?
+    SPECIAL_IPV6.check(address, 'ipv6') : SPECIAL_IPV4.check(address, 'ipv4');
+
+// dns.lookup for title requests: the socket connects to the addresses checked here, so a host
+// cannot pass the check with a public address and then be resolved again to a private one
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATE' }));
         }
-        .seo-content li {
-            margin-bottom: 0.5rem;
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function requestPage(target) {
+    const client = target.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        client.get(target, {
+            lookup: publicLookup,
+            signal: AbortSignal.timeout(PREVIEW_TITLE_TIMEOUT_MS),
+            headers: { 'User-Agent': 'aglink-preview/1.0', 'Accept': 'text/html' }
+        }, resolve).on('error', reject);
+    });
+}
+
+async function fetchPageTitle(url) {
+    const cached = pageTitleCache.get(url);
+    if (cached && Date.now() - cached.at < PREVIEW_TITLE_TTL_MS) return cached.title;
+
+    let title = null;
+    try {
+        const target = new URL(url);
+        // IP literals are connected to without a lookup
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+
+        if (['http:', 'https:'].includes(target.protocol) && !(net.isIP(host) && isPrivateAddress(host))) {
+            const response = await requestPage(target);
+            if (response.statusCode >= 200 && response.statusCode < 300 && /text\/html/i.test(response.headers['content-type'] || '')) {
+                const decoder = new TextDecoder();
+                let html = '';
+                let size = 0;
+                for await (const chunk of response) {
+                    size += chunk.length;
+                    html += decoder.decode(chunk, { stream: true });
+                    if (size >= PREVIEW_TITLE_MAX_BYTES || /<\/title>/i.test(html)) break;
+                }
+                title = extractTitle(html);
+            }
+            response.destroy();
         }
-        
-        @media (max-width: 768px) {
-            .container { padding: 0 0.5rem; }
-            .btn-group { flex-direction: column; }
-            .stats-grid { grid-template-columns: 1fr 1fr; }
-            .seo-content { padding: 1rem; }
+    } catch (error) {
+        // Unreachable, slow or not a page: the preview shows the domain only
+    }
+
+    pageTitleCache.set(url, { title, at: Date.now() });
+    return title;
+}
+
+// Public stats page: only the sections the owner picked. Plain HTML/CSS, no scripts.
+const REFERRER_CATEGORY_NAMES = { social: 'Sosial şəbəkələr', search: 'Axtarış', email: 'E-poçt', direct: 'Birbaşa', other: 'Digər saytlar' };
+
+function renderPublicStatsPage(link, stats, series) {
+    const page = (title, body) => `<!DOCTYPE html>
+<html lang="az">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHtml(title)} - AxtarGet aglink.pro</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #f1f5f9 0%, #e2e8f0 100%);
+            min-height: 100vh;
+            color: #1e293b;
+            padding: 2rem 1rem;
         }
+        .wrap { max-width: 760px; margin: 0 auto; }
+        .card { background: white; border-radius: 10px; padding: 1.5rem; box-shadow: 0 4px 6px rgba(0,0,0,0.05); margin-bottom: 1rem; }
+        h1 { font-size: 1.4rem; color: #3b82f6; margin-bottom: 0.25rem; }
+        h2 { font-size: 1.05rem; margin-bottom: 1rem; }
+        h3 { font-size: 0.9rem; color: #475569; margin: 1rem 0 0.5rem; }
+        .muted { color: #64748b; font-size: 0.9rem; word-break: break-all; }
+        .tiles { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 1rem; }
+        .tile { text-align: center; padding: 1rem; background: #f8fafc; border-radius: 8px; }
+        .tile strong { display: block; font-size: 1.8rem; color: #3b82f6; }
+        .row { margin-bottom: 0.6rem; }
+        .row .label { display: flex; justify-content: space-between; font-size: 0.9rem; margin-bottom: 0.2rem; }
+        .bar { height: 6px; background: #e2e8f0; border-radius: 3px; overflow: hidden; }
+        .bar div { height: 100%; background: #3b82f6; }
+        .columns { display: flex; align-items: flex-end; gap: 2px; height: 140px; }
+        .columns div { flex: 1; background: #3b82f6; min-height: 1px; border-radius: 2px 2px 0 0; }
+        .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 0 1.5rem; }
+        .click { padding: 0.5rem 0; border-bottom: 1px solid #e2e8f0; font-size: 0.85rem; display: flex; justify-content: space-between; }
+        footer { text-align: center; font-size: 0.8rem; color: #94a3b8; margin-top: 1.5rem; }
+        footer a { color: #64748b; }
     </style>
 </head>
 <body>
-    <!-- Navigation -->
-    <nav class="navbar">
-        <div class="container" style="display: flex; justify-content: space-between; align-items: center;">
-            <div class="logo">
-                <span>🌍</span> AxtarGet aglink.pro
+    <div class="wrap">${body}
+        <footer><a href="/">AxtarGet aglink.pro</a></footer>
+    </div>
+</body>
+</html>`;
+
+    if (!link) {
+        return page('Tapılmadı', `
+        <div class="card">
+            <h1>📊 Statistika tapılmadı</h1>
+            <p class="muted">Bu paylaşım linki mövcud deyil və ya sahibi tərəfindən ləğv edilib.</p>
+        </div>`);
+    }
+
+    const sections = new Set(link.publicStats.sections);
+    const total = stats.totalClicks;
+    const bars = (rows, label = row => row.value) => rows.length === 0 ?
+        '<p class="muted">Hələ məlumat yoxdur</p>' :
+        rows.map(row => `
+            <div class="row">
+                <div class="label"><span>${escapeHtml(label(row))}</span><span>${row.count}</span></div>
+                <div class="bar"><div style="width: ${total ? (row.count / total * 100).toFixed(1) : 0}%"></div></div>
+            </div>`).join('');
+
+    let body = `
+        <div class="card">
+            <h1>📊 ${escapeHtml(link.shortCode)}</h1>
+            ${sections.has('destination') ? `<p class="muted">${escapeHtml(link.fullUrl)}</p>` : ''}
+        </div>`;
+
+    if (sections.has('overview')) {
+        body += `
+        <div class="card">
+            <div class="tiles">
+                <div class="tile"><strong>${total}</strong>Ümumi Klik</div>
+                <div class="tile"><strong>${stats.uniqueClicks}</strong>Unikal Klik</div>
+                <div class="tile"><strong style="font-size: 1rem; padding: 0.6rem 0;">${new Date(link.createdAt).toLocaleDateString('az-AZ')}</strong>Yaradılıb</div>
             </div>
-            <div class="btn-group">
-                <button class="btn btn-outline" onclick="showTab('create')">➕ Yeni Link</button>
-                <button class="btn btn-outline" onclick="showTab('dashboard')">📊 Dashboard</button>
-                <button class="btn btn-outline" onclick="showTab('links')">📋 Linklərim</button>
+        </div>`;
+    }
+
+    if (sections.has('activity')) {
+        const max = Math.max(1, ...series.map(point => point.clicks));
+        body += `
+        <div class="card">
+            <h2>📈 Son 30 gün</h2>
+            <div class="columns">
+                ${series.map(point => `<div title="${point.bucket}: ${point.clicks}" style="height: ${(point.clicks / max * 100).toFixed(1)}%"></div>`).join('')}
             </div>
-        </div>
-    </nav>
+        </div>`;
+    }
 
-    <div class="container">
-        <!-- Create Tab -->
-        <div id="create-tab" class="tab-content">
-            <div class="card">
-                <h1 style="margin-bottom: 1.5rem; color: var(--dark);">✨ Pulsuz Link Qısaldıcı - URL Qısaldın</h1>
-                
-                <div class="form-group">
-                    <label class="form-label">URL ünvanı</label>
-                    <input type="url" id="fullUrl" class="form-control" 
-                           placeholder="https://example.com" autofocus required>
-                </div>
-                
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1rem;">
-                    <div class="form-group">
-                        <label class="form-label">Xüsusi Ad (İstəyə bağlı)</label>
-                        <div style="display: flex;">
-                            <span style="padding: 0.75rem; background: #f1f5f9; border: 2px solid #e2e8f0; border-right: none; border-radius: 6px 0 0 6px; font-size: 0.9rem;">
-                                AxtarGet aglink.pro/
-                            </span>
-                            <input type="text" id="customAlias" class="form-control" 
-                                   style="border-radius: 0 6px 6px 0;" placeholder="mening-linkim">
-                        </div>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label class="form-label">Müddət</label>
-                        <select id="expiresIn" class="form-control">
-                            <option value="3600">1 Saat</option>
-                            <option value="86400">1 Gün</option>
-                            <option value="604800">1 Həftə</option>
-                            <option value="2592000">1 Ay</option>
-                            <option value="31536000">1 İl</option>
-                            <option value="forever" selected>Sonsuz</option>
-                        </select>
-                    </div>
-                </div>
-                
-                <button class="btn btn-primary" onclick="createLink()" id="createBtn" 
-                        style="width: 100%; padding: 0.875rem; font-size: 1rem;">
-                    <span id="createText">🚀 Linki Qısalt</span>
-                </button>
-            </div>
-            
-            <div id="result-card" class="card" style="display: none; margin-top: 1rem;">
-                <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem;">
-                    <div style="width: 40px; height: 40px; background: var(--success); border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-size: 1.5rem;">
-                        ✓
-                    </div>
-                    <div>
-                        <h3 style="color: var(--success);">Link Hazırdır!</h3>
-                        <p style="color: #64748b; font-size: 0.9rem;">Aşağıdakı linki paylaşa bilərsiniz</p>
-                    </div>
-                </div>
-                
-                <div class="form-group">
-                    <label class="form-label">Qısaldılmış Link</label>
-                    <div style="display: flex; gap: 0.5rem;">
-                        <input type="text" id="shortUrlResult" class="form-control" readonly>
-                        <button class="btn btn-primary" onclick="copyResult()" style="min-width: 60px;">📋</button>
-                    </div>
-                </div>
-                
-                <div style="display: flex; gap: 0.5rem; margin-top: 1rem;">
-                    <button class="btn btn-outline" onclick="shareLink()" style="flex: 1;">📤 Paylaş</button>
-                    <button class="btn btn-outline" onclick="viewStats()" style="flex: 1;">📊 Statistika</button>
-                </div>
-            </div>
-            
-            <!-- SEO CONTENT SECTION -->
-            <div class="seo-content">
-                <h1>Pulsuz Link Qısaldıcı - AxtarGet aglink.pro</h1>
-                
-                <p><strong>AxtarGet aglink.pro</strong> - Azərbaycan və beynəlxalq istifadəçilər üçün ən yaxşı pulsuz link qısaldıcı xidmətidir. Uzun URL-ləri qısaldın, klik statistikalarını izləyin və ölkə paylanmasını görün.</p>
-                
-                <h2>🔗 Link Qısaldıcının Üstünlükləri</h2>
-                <ul>
-                    <li><strong>✅ Pulsuz Xidmət</strong> - Heç bir ödəniş yoxdur, limitsiz istifadə</li>
-                    <li><strong>🌍 Ölkə Analitikası</strong> - Kliklərin hansı ölkədən gəldiyini görün</li>
-                    <li><strong>📊 Detallı Statistika</strong> - Ümumi klik, unikal klik, cihaz məlumatları</li>
-                    <li><strong>⚡ Sürətli</strong> - Bir saniyədən az müddətdə link yaradın</li>
-                    <li><strong>🔒 Təhlükəsiz</strong> - Bütün linklər şifrələnmiş birləşmə ilə</li>
-                    <li><strong>📱 Mobil Uyğun</strong> - Bütün cihazlarda mükəmməl işləyir</li>
-                </ul>
-                
-                <h2>🎯 Hansı Məqsədlər üçün İstifadə Olunur?</h2>
-                <p>AxtarGet link qısaldıcı aşağıdakı məqsədlər üçün ideal həlldir:</p>
-                <ul>
-                    <li><strong>📱 Sosial Media Paylaşımları</strong> - Instagram, Facebook, Twitter üçün qısa linklər</li>
-                    <li><strong>📧 Email Marketinq</strong> - Email kampaniyalarında klikləri izləmək</li>
-                    <li><strong>📊 SEO Monitorinqi</strong> - Backlink performansını izləmək</li>
-                    <li><strong>📈 Rəqəmsal Marketinq</strong> - Kampaniya effektivliyini ölçmək</li>
-                    <li><strong>🔗 Şəxsi İstifadə</strong> - Uzun linkləri yaddaşda saxlanan qısa linklərə çevirmək</li>
-                </ul>
-                
-                <h2>🌍 Ölkə Analitikası ilə Link Takibi</h2>
-                <p>Digər link qısaldıcılardan fərqli olaraq, AxtarGet hər klikin hansı ölkədən gəldiyini göstərir. Azərbaycan, Türkiyə, Rusiya, ABŞ, Almaniya və digər ölkələrdən gələn klikləri izləyin.</p>
-                
-                <h2>🚀 Necə İstifadə Olunur?</h2>
-                <ol>
-                    <li>Yuxarıdakı formada URL ünvanınızı daxil edin</li>
-                    <li>Xüsusi link adı və müddət seçin (istəyə bağlı)</li>
-                    <li>"Linki Qısalt" düyməsinə klikləyin</li>
-                    <li>Qısa linkinizi paylaşın və statistikaları izləyin</li>
-                </ol>
-                
-                <h2>📊 Statistikalar Nə Göstərir?</h2>
-                <ul>
-                    <li><strong>Ümumi Kliklər</strong> - Linkə neçə dəfə klik edilib</li>
-                    <li><strong>Unikal Kliklər</strong> - Fərqli istifadəçilərin sayı</li>
-                    <li><strong>Ölkə Paylanması</strong> - Hansı ölkədən neçə klik gəlib</li>
-                    <li><strong>Cihaz Məlumatları</strong> - Mobil, tablet və ya desktop</li>
-                    <li><strong>Brauzer Məlumatları</strong> - Chrome, Firefox, Safari və s.</li>
-                </ul>
-                
-                <p><strong>AxtarGet aglink.pro</strong> - Azərbaycanda ən yaxşı pulsuz link qısaldıcı. İndi sınayın və fərqi hiss edin!</p>
-            </div>
-        </div>
+    if (sections.has('countries')) {
+        body += `
+        <div class="card">
+            <h2>🌍 Ölkələr</h2>
+            ${bars(stats.countries.slice(0, 10).map(c => ({ value: c.country, count: c.count })))}
+        </div>`;
+    }
 
-        <!-- Dashboard Tab -->
-        <div id="dashboard-tab" class="tab-content" style="display: none;">
-            <h1 style="margin-bottom: 1.5rem; color: var(--dark);">📊 Link Statistika Dashboardu</h1>
-            
-            <div class="stats-grid">
-                <div class="stat-card">
-                    <div style="font-size: 0.85rem; color: #64748b; margin-bottom: 0.5rem;">Ümumi Linklər</div>
-                    <div id="totalLinks" style="font-size: 2rem; font-weight: 800; color: var(--primary);">0</div>
-                </div>
-                <div class="stat-card">
-                    <div style="font-size: 0.85rem; color: #64748b; margin-bottom: 0.5rem;">Aktiv Linklər</div>
-                    <div id="activeLinks" style="font-size: 2rem; font-weight: 800; color: var(--success);">0</div>
-                </div>
-                <div class="stat-card">
-                    <div style="font-size: 0.85rem; color: #64748b; margin-bottom: 0.5rem;">Ümumi Kliklər</div>
-                    <div id="totalClicks" style="font-size: 2rem; font-weight: 800; color: var(--secondary);">0</div>
-                </div>
-                <div class="stat-card">
-                    <div style="font-size: 0.85rem; color: #64748b; margin-bottom: 0.5rem;">Unikal Kliklər</div>
-                    <div id="uniqueClicks" style="font-size: 2rem; font-weight: 800; color: var(--warning);">0</div>
-                </div>
-            </div>
-            
-            <div class="card">
-                <h3 style="margin-bottom: 1rem;">📈 Son 7 Gün Aktivlik</h3>
-                <div style="height: 250px;">
-                    <canvas id="activityChart"></canvas>
-                </div>
-            </div>
-            
-            <div class="card" style="margin-top: 1rem;">
-                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
-                    <h3 style="margin: 0;">🌍 Ölkə Paylanması - Kliklərin Coğrafi Paylanması</h3>
-                    <small style="color: #64748b;" id="topCountriesCount">Yüklənir...</small>
-                </div>
-                <div id="countriesChart"></div>
+    if (sections.has('devices')) {
+        body += `
+        <div class="card">
+            <h2>📱 Cihaz, ƏS, Brauzer və Dil</h2>
+            <div class="grid">
+                <div><h3>Cihaz</h3>${bars(stats.devices)}</div>
+                <div><h3>Əməliyyat sistemi</h3>${bars(stats.os)}</div>
+                <div><h3>Brauzer</h3>${bars(stats.browsers)}</div>
+                <div><h3>Dil</h3>${bars(stats.languages)}</div>
             </div>
-        </div>
+        </div>`;
+    }
 
-        <!-- Links Tab -->
-        <div id="links-tab" class="tab-content" style="display: none;">
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem;">
-                <h1 style="color: var(--dark);">📋 Yaratdığınız Linklər</h1>
-                <div style="display: flex; gap: 0.5rem;">
-                    <input type="text" id="searchLinks" class="form-control" 
-                           placeholder="🔍 Link axtar..." style="width: 200px;">
-                    <button class="btn btn-primary" onclick="showTab('create')">➕ Yeni Link</button>
-                </div>
-            </div>
-            
-            <div id="linksList"></div>
-            
-            <div id="noLinks" style="text-align: center; padding: 3rem; display: none;">
-                <div style="width: 80px; height: 80px; background: #f1f5f9; border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto 1rem; font-size: 2rem;">
-                    🔗
-                </div>
-                <h3 style="color: #64748b; margin-bottom: 0.5rem;">Hələ link yoxdur</h3>
-                <p style="color: #94a3b8; margin-bottom: 1.5rem;">İlk linkinizi yaradaraq başlayın</p>
-                <button class="btn btn-primary" onclick="showTab('create')">
-                    🚀 İlk Linkini Yarad
-                </button>
+    if (sections.has('referrers')) {
+        body += `
+        <div class="card">
+            <h2>🔗 Trafik Mənbələri</h2>
+            <div class="grid">
+                <div><h3>Kateqoriya</h3>${bars(stats.referrerCategories.map(c => ({ value: REFERRER_CATEGORY_NAMES[c.category], count: c.count })))}</div>
+                <div><h3>Domenlər</h3>${bars(stats.referrers)}</div>
             </div>
-        </div>
-        
-        <!-- Footer with SEO Keywords -->
-        <div style="text-align: center; margin-top: 3rem; padding: 1rem; color: #64748b; font-size: 0.9rem; border-top: 1px solid #e2e8f0;">
-            <p>© 2025 <strong>AxtarGet aglink.pro</strong> | 🌍 Pulsuz Link Qısaldıcı | ⚡ Ölkə Analitikası | 📊 URL Statistika | 🔗 Azərbaycan Link Shortener | 🚀 Sürətli URL Qısaldıcı</p>
-            <p style="margin-top: 0.5rem; font-size: 0.8rem;">Link qısaldıcı, URL shortener, click tracker, analytics, ölkə analitikası, Azerbaijan, Azərbaycan, Türkiye, Russia, pulsuz link qısaldıcı</p>
-        </div>
-    </div>
+        </div>`;
+    }
 
-    <!-- Stats Modal -->
-    <div id="statsModal" class="modal">
-        <div class="modal-content">
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem;">
-                <h3 style="margin: 0;">📊 Detallı Link Statistika</h3>
-                <button onclick="closeModal()" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: #64748b;">×</button>
-            </div>
-            <div id="statsContent">
-                <div style="text-align: center; padding: 2rem;">
-                    <div class="loading" style="margin: 0 auto;"></div>
-                    <p style="margin-top: 1rem; color: #64748b;">Yüklənir...</p>
-                </div>
+    if (sections.has('utm')) {
+        body += `
+        <div class="card">
+            <h2>📣 UTM</h2>
+            <div class="grid">
+                <div><h3>utm_source</h3>${bars(stats.utm.source)}</div>
+                <div><h3>utm_medium</h3>${bars(stats.utm.medium)}</div>
+                <div><h3>utm_campaign</h3>${bars(stats.utm.campaign)}</div>
             </div>
-        </div>
-    </div>
+        </div>`;
+    }
 
-    <!-- Scripts -->
-    <script>
-        // User and Device Management
-        let userId = localStorage.getItem('aglink_userId');
-        let deviceId = localStorage.getItem('aglink_deviceId');
-        
-        if (!userId) {
-            userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            localStorage.setItem('aglink_userId', userId);
-        }
-        
-        if (!deviceId) {
-            // Generate device ID from browser fingerprint
-            const fingerprint = [
-                navigator.userAgent,
-                navigator.language,
-                navigator.hardwareConcurrency,
-                screen.width + 'x' + screen.height,
-                navigator.platform
-            ].join('|');
-            
-            // Simple hash
-            let hash = 0;
-            for (let i = 0; i < fingerprint.length; i++) {
-                const char = fingerprint.charCodeAt(i);
-                hash = ((hash << 5) - hash) + char;
-                hash = hash & hash;
-            }
-            
-            deviceId = 'device_' + Math.abs(hash).toString(36);
-            localStorage.setItem('aglink_deviceId', deviceId);
-        }
-        
-        // Send device info to server
-        fetch('/api/register-device', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId, deviceId })
-        }).catch(() => {});
-        
-        // Global variables
-        let allLinks = [];
-        let activityChart = null;
-        let currentStatsLink = null;
-        
-        // Tab management
-        function showTab(tabName) {
-            ['create', 'dashboard', 'links'].forEach(tab => {
-                document.getElementById(tab + '-tab').style.display = 'none';
-            });
-            document.getElementById(tabName + '-tab').style.display = 'block';
-            localStorage.setItem('lastTab', tabName);
-            
-            if (tabName === 'dashboard') {
-                loadDashboard();
-            } else if (tabName === 'links') {
-                loadMyLinks();
-            }
-        }
-        
-        // Create link
-        async function createLink() {
-            const urlInput = document.getElementById('fullUrl');
-            const url = urlInput.value.trim();
-            
-            if (!url) {
-                showNotify('URL daxil edin', 'error');
-                return;
-            }
-            
-            const btn = document.getElementById('createBtn');
-            const btnText = document.getElementById('createText');
-            const originalText = btnText.textContent;
-            btnText.innerHTML = '<span class="loading"></span>';
-            btn.disabled = true;
-            
-            try {
-                const response = await fetch('/api/create', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        fullUrl: url,
-                        userId,
-                        deviceId,
-                        expiresIn: document.getElementById('expiresIn').value,
-                        customAlias: document.getElementById('customAlias').value.trim()
-                    })
-                });
-                
-                const data = await response.json();
-                
-                if (data.success) {
-                    // Show result
-                    document.getElementById('shortUrlResult').value = data.shortUrl;
-                    document.getElementById('result-card').style.display = 'block';
-                    
-                    // Clear form
-                    urlInput.value = '';
-                    document.getElementById('customAlias').value = '';
-                    
-                    // Load updated data
-                    loadDashboard();
-                    loadMyLinks();
-                    
-                    showNotify('✅ Link uğurla yaradıldı!', 'success');
-                    
-                    // Auto-scroll to result
-                    setTimeout(() => {
-                        document.getElementById('result-card').scrollIntoView({ behavior: 'smooth' });
-                    }, 100);
-                } else {
-                    showNotify(data.error || 'Xəta baş verdi', 'error');
-                }
-            } catch (error) {
-                console.error('Error:', error);
-                showNotify('❌ Server xətası', 'error');
-            } finally {
-                btnText.textContent = originalText;
-                btn.disabled = false;
-            }
+    if (sections.has('recentClicks')) {
+        body += `
+        <div class="card">
+            <h2>🕒 Son Kliklər</h2>
+            ${stats.recentClicks.slice(0, 10).map(click => `
+                <div class="click">
+                    <span>${escapeHtml(click.country)}${click.city ? ', ' + escapeHtml(click.city) : ''} • ${escapeHtml(click.device)} • ${escapeHtml(click.browser)}</span>
+                    <span class="muted">${new Date(click.timestamp).toLocaleString('az-AZ')}</span>
+                </div>`).join('') || '<p class="muted">Hələ klik yoxdur</p>'}
+        </div>`;
+    }
+
+    return page(`${link.shortCode} statistikası`, body);
+}
+
+// HTML Template with Local Storage
+const HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="az">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>AxtarGet aglink.pro | Link Qısaldıcı - Pulsuz URL Qısaldıcı və Ölkə Analitikası</title>
+    
+    <!-- GOOGLE SEO META TAGS - Optimized for Azerbaijan -->
+    <meta name="description" content="AxtarGet aglink.pro - Pulsuz link qısaldıcı xidməti. URL-lərinizi qısaldın, klik statistikalarını izləyin, ölkə paylanmasını görün. Azərbaycan, Türkiyə, Rusiya və digər ölkələr üçün analitika. Sürətli, təhlükəsiz və pulsuz.">
+    
+    <meta name="keywords" content="link qısaldıcı, URL qısaldıcı, link shortener, click tracker, analytics, ölkə analitikası, Azerbaijan, Azərbaycan, Türkiye, Turkey, Russia, Rusiya, pulsuz link qısaldıcı, qısa link, URL shortener, статистика, analitika, SEO, qısa URL, link takibi">
+    
+    <meta name="author" content="AxtarGet aglink.pro">
+    <meta name="robots" content="index, follow, max-image-preview:large, max-snippet:-1, max-video-preview:-1">
+    <meta name="googlebot" content="index, follow">
+    <meta name="bingbot" content="index, follow">
+    
+    <!-- GOOGLE SITE VERIFICATION (Add your verification code here) -->
+    <!-- <meta name="google-site-verification" content="YOUR_VERIFICATION_CODE"> -->
+    
+    <!-- CANONICAL URL -->
+    <link rel="canonical" href="https://aglink.pro">
+    
+    <!-- ALTERNATE LANGUAGES -->
+    <link rel="alternate" hreflang="az" href="https://aglink.pro">
+    <link rel="alternate" hreflang="tr" href="https://aglink.pro">
+    <link rel="alternate" hreflang="en" href="https://aglink.pro">
+    <link rel="alternate" hreflang="ru" href="https://aglink.pro">
+    <link rel="alternate" hreflang="x-default" href="https://aglink.pro">
+    
+    <!-- OPEN GRAPH / FACEBOOK -->
+    <meta property="og:type" content="website">
+    <meta property="og:url" content="https://aglink.pro">
+    <meta property="og:title" content="AxtarGet aglink.pro | Link Qısaldıcı - Pulsuz URL Qısaldıcı">
+    <meta property="og:description" content="Pulsuz link qısaldıcı xidməti. URL-lərinizi qısaldın, klik statistikalarını izləyin, ölkə paylanmasını görün.">
+    <meta property="og:image" content="https://aglink.pro/og-image.png">
+    <meta property="og:image:width" content="1200">
+    <meta property="og:image:height" content="630">
+    <meta property="og:image:alt" content="AxtarGet aglink.pro - Link Qısaldıcı">
+    <meta property="og:site_name" content="AxtarGet aglink.pro">
+    <meta property="og:locale" content="az_AZ">
+    
+    <!-- TWITTER / X -->
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:url" content="https://aglink.pro">
+    <meta name="twitter:title" content="AxtarGet aglink.pro | Link Qısaldıcı - Pulsuz URL Qısaldıcı">
+    <meta name="twitter:description" content="Pulsuz link qısaldıcı xidməti. URL-lərinizi qısaldın, klik statistikalarını izləyin, ölkə paylanmasını görün.">
+    <meta name="twitter:image" content="https://aglink.pro/twitter-image.png">
+    
+    <!-- ADDITIONAL META TAGS -->
+    <meta name="language" content="Azerbaijani">
+    <meta name="geo.region" content="AZ">
+    <meta name="geo.placename" content="Baku">
+    <meta name="geo.position" content="40.409264;49.867092">
+    <meta name="ICBM" content="40.409264, 49.867092">
+    
+    <!-- MOBILE OPTIMIZATION -->
+    <meta name="theme-color" content="#3b82f6">
+    <meta name="mobile-web-app-capable" content="yes">
+    <meta name="apple-mobile-web-app-capable" content="yes">
+    <meta name="apple-mobile-web-app-status-bar-style" content="black-translucent">
+    <meta name="apple-mobile-web-app-title" content="AxtarGet aglink.pro">
+    <meta name="application-name" content="AxtarGet aglink.pro">
+    <meta name="msapplication-TileColor" content="#3b82f6">
+    <meta name="msapplication-config" content="/browserconfig.xml">
+    
+    <!-- FAVICONS -->
+    <link rel="icon" type="image/x-icon" href="/favicon.ico">
+    <link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">
+    <link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">
+    <link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">
+    <link rel="manifest" href="/site.webmanifest">
+    
+    <!-- STRUCTURED DATA / SCHEMA.ORG -->
+    <script type="application/ld+json">
+    {
+        "@context": "https://schema.org",
+        "@type": "WebApplication",
+        "name": "AxtarGet aglink.pro",
+        "description": "Pulsuz link qısaldıcı və analitika xidməti",
+        "url": "https://aglink.pro",
+        "applicationCategory": "UtilityApplication",
+        "operatingSystem": "Any",
+        "offers": {
+            "@type": "Offer",
+            "price": "0",
+            "priceCurrency": "USD"
+        },
+        "author": {
+            "@type": "Organization",
+            "name": "AxtarGet",
+            "url": "https://aglink.pro"
+        },
+        "aggregateRating": {
+            "@type": "AggregateRating",
+            "ratingValue": "4.8",
+            "ratingCount": "1250"
+        },
+        "featureList": [
+            "Pulsuz link qısaldıcı",
+            "Ölkə analitikası",
+            "Klik statistikası",
+            "QR kod generatoru",
+            "Xüsusi link adı"
+        ]
+    }
+    </script>
+    
+    <!-- ADDITIONAL SCHEMA FOR SEO -->
+    <script type="application/ld+json">
+    {
+        "@context": "https://schema.org",
+        "@type": "WebSite",
+        "url": "https://aglink.pro",
+        "name": "AxtarGet aglink.pro",
+        "description": "Pulsuz link qısaldıcı və analitika xidməti",
+        "potentialAction": {
+            "@type": "SearchAction",
+            "target": "https://aglink.pro/search?q={search_term_string}",
+            "query-input": "required name=search_term_string"
         }
-        
-        // Copy to clipboard
-        function copyResult() {
-            const input = document.getElementById('shortUrlResult');
-            input.select();
-            navigator.clipboard.writeText(input.value).then(() => {
-                showNotify('✅ Link kopyalandı!', 'success');
-            });
+    }
+    </script>
+    
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        :root {
+            --primary: #3b82f6;
+            --secondary: #1d4ed8;
+            --success: #10b981;
+            --danger: #ef4444;
+            --warning: #f59e0b;
+            --dark: #1e293b;
+            --light: #f8fafc;
         }
-        
-        // Share link
-        function shareLink() {
-            const url = document.getElementById('shortUrlResult').value;
-            if (navigator.share) {
-                navigator.share({
-                    title: 'AxtarGet aglink.pro - Qısaldılmış Link',
-                    text: 'Bu linki yoxlayın:',
-                    url: url
-                });
-            } else {
-                copyResult();
-            }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #f1f5f9 0%, #e2e8f0 100%);
+            min-height: 100vh;
+            color: var(--dark);
         }
-        
-        // View stats
-        function viewStats() {
-            const url = document.getElementById('shortUrlResult').value;
-            const code = url.split('/').pop();
-            showLinkStats(code);
+        .navbar {
+            background: white;
+            padding: 1rem;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+            position: sticky;
+            top: 0;
+            z-index: 1000;
         }
-        
-        // Load dashboard
-        async function loadDashboard() {
-            try {
-                const response = await fetch('/api/dashboard', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ userId, deviceId })
-                });
-                
-                const data = await response.json();
-                
-                if (data.success) {
-                    // Update stats
-                    document.getElementById('totalLinks').textContent = data.overview.totalLinks;
-                    document.getElementById('activeLinks').textContent = data.overview.activeLinks;
-                    document.getElementById('totalClicks').textContent = data.overview.totalClicks;
-                    document.getElementById('uniqueClicks').textContent = data.overview.uniqueClicks;
-                    
-                    // Update chart
-                    updateActivityChart(data.recentActivity);
-                    
-                    // Update countries chart
-                    updateCountriesChart(data.countries || []);
-                }
-            } catch (error) {
-                console.error('Dashboard error:', error);
-            }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 0 1rem;
         }
-        
-        // Load user's links
-        async function loadMyLinks() {
-            try {
-                const response = await fetch('/api/mylinks', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ userId, deviceId })
-                });
-                
-                const data = await response.json();
-                
-                const listDiv = document.getElementById('linksList');
-                const noLinksDiv = document.getElementById('noLinks');
+        .logo {
+            font-size: 1.5rem;
+            font-weight: 800;
+            background: linear-gradient(45deg, var(--primary), var(--secondary));
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+        }
+        .btn {
+            padding: 0.5rem 1rem;
+            border: none;
+            border-radius: 6px;
+            font-weight: 600;
+            cursor: pointer;
+            transition: all 0.2s;
+            font-size: 0.9rem;
+            display: inline-flex;
+            align-items: center;
+            gap: 0.4rem;
+        }
+        .btn-primary {
+            background: var(--primary);
+            color: white;
+        }
+        .btn-primary:hover {
+            background: var(--secondary);
+            transform: translateY(-1px);
+        }
+        .btn-outline {
+            background: transparent;
+            border: 2px solid var(--primary);
+            color: var(--primary);
+        }
+        .btn-group {
+            display: flex;
+            gap: 0.5rem;
+            flex-wrap: wrap;
+        }
+        .card {
+            background: white;
+            border-radius: 10px;
+            padding: 1.5rem;
+            box-shadow: 0 4px 6px rgba(0,0,0,0.05);
+            margin-bottom: 1rem;
+        }
+        .form-group {
+            margin-bottom: 1rem;
+        }
+        .form-label {
+            display: block;
+            margin-bottom: 0.5rem;
+            font-weight: 600;
+            font-size: 0.9rem;
+        }
+        .form-control {
+            width: 100%;
+            padding: 0.75rem;
+            border: 2px solid #e2e8f0;
+            border-radius: 6px;
+            font-size: 1rem;
+        }
+        .form-control:focus {
+            outline: none;
+            border-color: var(--primary);
+        }
+        .stats-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+            gap: 1rem;
+            margin-bottom: 1.5rem;
+        }
+        .stat-card {
+            background: white;
+            padding: 1rem;
+            border-radius: 8px;
+            border-left: 4px solid var(--primary);
+        }
+        .links-layout {
+            display: grid;
+            grid-template-columns: 220px 1fr;
+            gap: 1rem;
+            align-items: start;
+        }
+        .sidebar-item {
+            display: flex;
+            justify-content: space-between;
+            padding: 0.4rem 0.6rem;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 0.9rem;
+            color: #475569;
+        }
+        .sidebar-item:hover { background: #f1f5f9; }
+        .sidebar-item.active { background: var(--primary); color: white; }
+        .link-item {
+            background: white;
+            padding: 1rem;
+            border-radius: 8px;
+            margin-bottom: 0.75rem;
+            border: 1px solid #e2e8f0;
+            transition: all 0.2s;
+        }
+        .link-item:hover {
+            border-color: var(--primary);
+            box-shadow: 0 2px 8px rgba(59, 130, 246, 0.1);
+        }
+        .badge {
+            padding: 0.25rem 0.5rem;
+            border-radius: 12px;
+            font-size: 0.75rem;
+            font-weight: 600;
+            display: inline-flex;
+            align-items: center;
+            gap: 0.25rem;
+            margin-right: 0.5rem;
+        }
+        .badge-primary { background: var(--primary); color: white; }
+        .badge-success { background: var(--success); color: white; }
+        .badge-danger { background: var(--danger); color: white; }
+        .badge-warning { background: var(--warning); color: white; }
+        .flag {
+            font-size: 1.2em;
+            margin-right: 0.25rem;
+        }
+        .tab-content {
+            padding: 1.5rem 0;
+        }
+        .notification {
+            position: fixed;
+            top: 1rem;
+            right: 1rem;
+            background: white;
+            padding: 1rem;
+            border-radius: 8px;
+            box-shadow: 0 10px 25px rgba(0,0,0,0.1);
+            z-index: 9999;
+            animation: slideIn 0.3s ease;
+            max-width: 300px;
+            border-left: 4px solid var(--success);
+        }
+        @keyframes slideIn {
+            from { transform: translateX(100%); opacity: 0; }
+            to { transform: translateX(0); opacity: 1; }
+        }
+        .loading {
+            display: inline-block;
+            width: 20px;
+            height: 20px;
+            border: 3px solid #f3f3f3;
+            border-top: 3px solid var(--primary);
+            border-radius: 50%;
+            animation: spin 1s linear infinite;
+        }
+        @keyframes spin {
+            0% { transform: rotate(0deg); }
+            100% { transform: rotate(360deg); }
+        }
+        .modal {
+            display: none;
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 10000;
+            align-items: center;
+            justify-content: center;
+        }
+        .modal-content {
+            background: white;
+            padding: 2rem;
+            border-radius: 10px;
+            max-width: 500px;
+            width: 90%;
+            max-height: 80vh;
+            overflow-y: auto;
+        }
+        .table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 1rem 0;
+        }
+        .table th, .table td {
+            padding: 0.75rem;
+            text-align: left;
+            border-bottom: 1px solid #e2e8f0;
+        }
+        .table th {
+            background: #f8fafc;
+            font-weight: 600;
+        }
+        .country-row {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+        }
+        
+        /* SEO FRIENDLY CONTENT */
+        .seo-content {
+            background: white;
+            padding: 2rem;
+            border-radius: 10px;
+            margin-top: 2rem;
+            line-height: 1.6;
+        }
+        .seo-content h1 {
+            color: var(--dark);
+            margin-bottom: 1rem;
+            font-size: 1.8rem;
+        }
+        .seo-content h2 {
+            color: var(--primary);
+            margin: 1.5rem 0 1rem;
+            font-size: 1.4rem;
+        }
+        .seo-content p {
+            margin-bottom: 1rem;
+            color: #475569;
+        }
+        .seo-content ul {
+            margin-left: 1.5rem;
+            margin-bottom: 1rem;
+        }
+        .seo-content li {
+            margin-bottom: 0.5rem;
+        }
+        
+        @media (max-width: 768px) {
+            .container { padding: 0 0.5rem; }
+            .btn-group { flex-direction: column; }
+            .stats-grid { grid-template-columns: 1fr 1fr; }
+            .seo-content { padding: 1rem; }
+            .links-layout { grid-template-columns: 1fr; }
+        }
+    </style>
+</head>
+<body>
+    <!-- Navigation -->
+    <nav class="navbar">
+        <div class="container" style="display: flex; justify-content: space-between; align-items: center;">
+            <div class="logo">
+                <span>🌍</span> AxtarGet aglink.pro
+            </div>
+            <div class="btn-group">
+                <button class="btn btn-outline" onclick="showTab('create')">➕ Yeni Link</button>
+                <button class="btn btn-outline" onclick="showTab('dashboard')">📊 Dashboard</button>
+                <button class="btn btn-outline" onclick="showTab('links')">📋 Linklərim</button>
+                <button class="btn btn-outline" onclick="showTab('import')">📥 İdxal</button>
+                <button class="btn btn-outline" onclick="showTab('keys')">🔑 API</button>
+                <button class="btn btn-primary" id="authBtn" onclick="onAuthButton()">🔑 Daxil ol</button>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container">
+        <!-- Create Tab -->
+        <div id="create-tab" class="tab-content">
+            <div class="card">
+                <h1 style="margin-bottom: 1.5rem; color: var(--dark);">✨ Pulsuz Link Qısaldıcı - URL Qısaldın</h1>
                 
-                if (data.success && data.links.length > 0) {
-                    allLinks = data.links;
-                    noLinksDiv.style.display = 'none';
-                    
-                    listDiv.innerHTML = data.links.map(link => {
-                        const shortUrl = \`\${window.location.origin}/\${link.shortCode}\`;
-                        const isActive = link.isActive && (!link.expiresAt || new Date(link.expiresAt) > new Date());
-                        const daysLeft = link.expiresAt ? 
-                            Math.ceil((new Date(link.expiresAt) - new Date()) / (1000 * 60 * 60 * 24)) : 
-                            null;
-                        
-                        return \`
-                        <div class="link-item">
-                            <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 1rem;">
-                                <div style="flex: 1;">
-                                    <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
-                                        <h4 style="margin: 0;">
-                                            <a href="\${shortUrl}" target="_blank" style="color: var(--primary); text-decoration: none;">
-                                                \${window.location.host}/\${link.shortCode}
-                                            </a>
-                                        </h4>
-                                        \${link.customAlias ? '<span class="badge badge-warning">Custom</span>' : ''}
-                                    </div>
-                                    
-                                    <p style="color: #64748b; font-size: 0.9rem; margin-bottom: 0.75rem;">
-                                        \${link.fullUrl?.substring(0, 60)}\${link.fullUrl?.length > 60 ? '...' : ''}
-                                    </p>
-                                    
-                                    <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
-                                        <span class="badge badge-primary">
-                                            👆 \${link.totalClicks || 0} klik
-                                        </span>
-                                        <span class="badge badge-success">
-                                            👥 \${link.uniqueClicks || 0} unikal
-                                        </span>
-                                        <span class="badge \${isActive ? 'badge-success' : 'badge-danger'}">
-                                            \${isActive ? '✅ Aktiv' : '❌ Deaktiv'}
-                                        </span>
-                                        \${daysLeft !== null ? \`
-                                            <span class="badge \${daysLeft > 0 ? 'badge-primary' : 'badge-danger'}">
-                                                ⏰ \${daysLeft > 0 ? daysLeft + ' gün' : 'Bitib'}
-                                            </span>
-                                        \` : ''}
-                                        <span class="badge" style="background: #f1f5f9; color: #64748b;">
-                                            📅 \${new Date(link.createdAt).toLocaleDateString('az-AZ')}
-                                        </span>
-                                    </div>
-                                </div>
-                                
-                                <div style="display: flex; flex-direction: column; gap: 0.5rem;">
-                                    <button class="btn btn-outline" onclick="showLinkStats('\${link.shortCode}')" style="font-size: 0.8rem;">
-                                        📊 Statistika
-                                    </button>
-                                    <button class="btn btn-outline" onclick="copyToClipboard('\${shortUrl}')" style="font-size: 0.8rem;">
-                                        📋 Kopyala
-                                    </button>
-                                    <button class="btn" onclick="deleteLink('\${link.shortCode}')" 
-                                            style="font-size: 0.8rem; background: #fee2e2; color: var(--danger); border: none;">
-                                        🗑️ Sil
-                                    </button>
-                                </div>
-                            </div>
+                <div class="form-group">
+                    <label class="form-label">URL ünvanı</label>
+                    <input type="url" id="fullUrl" class="form-control" 
+                           placeholder="https://example.com" autofocus required oninput="updateUtmPreview()">
+                </div>
+                
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1rem;">
+                    <div class="form-group">
+                        <label class="form-label">Xüsusi Ad (İstəyə bağlı)</label>
+                        <div style="display: flex;">
+                            <span style="padding: 0.75rem; background: #f1f5f9; border: 2px solid #e2e8f0; border-right: none; border-radius: 6px 0 0 6px; font-size: 0.9rem;">
+                                AxtarGet aglink.pro/
+                            </span>
+                            <input type="text" id="customAlias" class="form-control" 
+                                   style="border-radius: 0 6px 6px 0;" placeholder="mening-linkim">
                         </div>
-                        \`;
-                    }).join('');
-                } else {
-                    listDiv.innerHTML = '';
-                    noLinksDiv.style.display = 'block';
-                }
-            } catch (error) {
-                console.error('Links error:', error);
-            }
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Müddət</label>
+                        <select id="expiresIn" class="form-control">
+                            <option value="3600">1 Saat</option>
+                            <option value="86400">1 Gün</option>
+                            <option value="604800">1 Həftə</option>
+                            <option value="2592000">1 Ay</option>
+                            <option value="31536000">1 İl</option>
+                            <option value="forever" selected>Sonsuz</option>
+                        </select>
+                    </div>
+                </div>
+                
+                <div class="form-group">
+                    <label class="form-label">⌛ Müddət bitdikdən sonra yönləndir (İstəyə bağlı)</label>
+                    <input type="url" id="fallbackUrl" class="form-control" placeholder="https://example.com/kampaniya-bitdi">
+                </div>
+                
+                <details class="form-group">
+                    <summary class="form-label" style="cursor: pointer;">⏱️ Klik limiti və aktivlik cədvəli (İstəyə bağlı)</summary>
+                    <div id="createLimits" style="margin-top: 0.75rem;"></div>
+                </details>
+                
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
+                    <div class="form-group">
+                        <label class="form-label">🏷️ Teqlər (vergüllə)</label>
+                        <input type="text" id="linkTags" class="form-control" placeholder="kampaniya, instagram">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">📁 Qovluq</label>
+                        <input type="text" id="linkFolder" class="form-control" placeholder="Marketinq" list="folderOptions">
+                    </div>
+                </div>
+                <datalist id="folderOptions"></datalist>
+                
+                <div class="form-group">
+                    <label class="form-label">🔒 Şifrə (İstəyə bağlı)</label>
+                    <input type="password" id="linkPassword" class="form-control" 
+                           placeholder="Linki açmaq üçün şifrə" autocomplete="new-password">
+                </div>
+                
+                <details id="utmBuilder" class="form-group">
+                    <summary class="form-label" style="cursor: pointer;">📣 UTM parametrləri (İstəyə bağlı)</summary>
+                    <div style="display: flex; gap: 0.5rem; margin: 0.75rem 0;">
+                        <select id="utmPreset" class="form-control" onchange="applyUtmPreset()">
+                            <option value="">— Şablon seçin —</option>
+                        </select>
+                        <button class="btn btn-outline" onclick="saveUtmPreset()" title="Şablon kimi saxla">💾</button>
+                        <button class="btn btn-outline" onclick="deleteUtmPreset()" title="Şablonu sil">🗑️</button>
+                    </div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem;">
+                        <input type="text" id="utmSource" class="form-control utm-field" placeholder="utm_source (instagram)" oninput="updateUtmPreview()">
+                        <input type="text" id="utmMedium" class="form-control utm-field" placeholder="utm_medium (social)" oninput="updateUtmPreview()">
+                        <input type="text" id="utmCampaign" class="form-control utm-field" placeholder="utm_campaign (yaz_endirimi)" oninput="updateUtmPreview()">
+                        <input type="text" id="utmTerm" class="form-control utm-field" placeholder="utm_term" oninput="updateUtmPreview()">
+                        <input type="text" id="utmContent" class="form-control utm-field" placeholder="utm_content" oninput="updateUtmPreview()">
+                    </div>
+                    <p id="utmPreview" style="font-size: 0.8rem; color: #64748b; margin-top: 0.5rem; word-break: break-all;"></p>
+                </details>
+                
+                <details id="ruleBuilder" class="form-group">
+                    <summary class="form-label" style="cursor: pointer;">🧭 Ağıllı yönləndirmə (İstəyə bağlı)</summary>
+                    <small style="display: block; color: #64748b; margin: 0.5rem 0;">Məs.: iOS → App Store, Android → Google Play. Qaydalar yuxarıdan aşağı yoxlanılır, heç biri uyğun gəlməsə əsas URL açılır.</small>
+                    <div id="createRules"></div>
+                    <button class="btn btn-outline" onclick="addRuleRow('createRules')" style="font-size: 0.8rem;">➕ Qayda əlavə et</button>
+                </details>
+                <datalist id="ruleDeviceOptions">
+                    <option value="Mobile"><option value="Tablet"><option value="Desktop"><option value="TV">
+                </datalist>
+                <datalist id="ruleOsOptions">
+                    <option value="iOS"><option value="Android"><option value="Windows"><option value="macOS"><option value="Linux"><option value="ChromeOS">
+                </datalist>
+                
+                <div class="form-group">
+                    <label><input type="checkbox" id="forwardQuery"> ↪️ Qısa linkdəki parametrləri hədəfə ötür (/abc?ref=x → hədəf?ref=x)</label>
+                    <label style="display: block; margin-top: 0.5rem;"><input type="checkbox" id="linkPreview"> 🔍 Yönləndirmədən əvvəl önbaxış səhifəsi göstər</label>
+                </div>
+                
+                <div class="form-group">
+                    <label class="form-label">Yönləndirmə növü</label>
+                    <select id="redirectType" class="form-control">
+                        <option value="302">302 - Müvəqqəti (standart)</option>
+                        <option value="301">301 - Daimi</option>
+                        <option value="307">307 - Müvəqqəti (metod saxlanılır)</option>
+                        <option value="308">308 - Daimi (metod saxlanılır)</option>
+                    </select>
+                    <small style="display: block; color: #64748b; margin-top: 0.25rem;">301/308 brauzer tərəfindən yadda saxlanıla bilər, təkrar kliklər sayılmaya bilər.</small>
+                </div>
+                
+                <button class="btn btn-primary" onclick="createLink()" id="createBtn" 
+                        style="width: 100%; padding: 0.875rem; font-size: 1rem;">
+                    <span id="createText">🚀 Linki Qısalt</span>
+                </button>
+            </div>
+            
+            <div id="result-card" class="card" style="display: none; margin-top: 1rem;">
+                <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem;">
+                    <div style="width: 40px; height: 40px; background: var(--success); border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-size: 1.5rem;">
+                        ✓
+                    </div>
+                    <div>
+                        <h3 style="color: var(--success);">Link Hazırdır!</h3>
+                        <p style="color: #64748b; font-size: 0.9rem;">Aşağıdakı linki paylaşa bilərsiniz</p>
+                    </div>
+                </div>
+                
+                <div class="form-group">
+                    <label class="form-label">Qısaldılmış Link</label>
+                    <div style="display: flex; gap: 0.5rem;">
+                        <input type="text" id="shortUrlResult" class="form-control" readonly>
+                        <button class="btn btn-primary" onclick="copyResult()" style="min-width: 60px;">📋</button>
+                    </div>
+                </div>
+                
+                <div style="display: flex; gap: 0.5rem; margin-top: 1rem;">
+                    <button class="btn btn-outline" onclick="shareLink()" style="flex: 1;">📤 Paylaş</button>
+                    <button class="btn btn-outline" onclick="viewStats()" style="flex: 1;">📊 Statistika</button>
+                </div>
+            </div>
+            
+            <!-- SEO CONTENT SECTION -->
+            <div class="seo-content">
+                <h1>Pulsuz Link Qısaldıcı - AxtarGet aglink.pro</h1>
+                
+                <p><strong>AxtarGet aglink.pro</strong> - Azərbaycan və beynəlxalq istifadəçilər üçün ən yaxşı pulsuz link qısaldıcı xidmətidir. Uzun URL-ləri qısaldın, klik statistikalarını izləyin və ölkə paylanmasını görün.</p>
+                
+                <h2>🔗 Link Qısaldıcının Üstünlükləri</h2>
+                <ul>
+                    <li><strong>✅ Pulsuz Xidmət</strong> - Heç bir ödəniş yoxdur, limitsiz istifadə</li>
+                    <li><strong>🌍 Ölkə Analitikası</strong> - Kliklərin hansı ölkədən gəldiyini görün</li>
+                    <li><strong>📊 Detallı Statistika</strong> - Ümumi klik, unikal klik, cihaz məlumatları</li>
+                    <li><strong>⚡ Sürətli</strong> - Bir saniyədən az müddətdə link yaradın</li>
+                    <li><strong>🔒 Təhlükəsiz</strong> - Bütün linklər şifrələnmiş birləşmə ilə</li>
+                    <li><strong>📱 Mobil Uyğun</strong> - Bütün cihazlarda mükəmməl işləyir</li>
+                </ul>
+                
+                <h2>🎯 Hansı Məqsədlər üçün İstifadə Olunur?</h2>
+                <p>AxtarGet link qısaldıcı aşağıdakı məqsədlər üçün ideal həlldir:</p>
+                <ul>
+                    <li><strong>📱 Sosial Media Paylaşımları</strong> - Instagram, Facebook, Twitter üçün qısa linklər</li>
+                    <li><strong>📧 Email Marketinq</strong> - Email kampaniyalarında klikləri izləmək</li>
+                    <li><strong>📊 SEO Monitorinqi</strong> - Backlink performansını izləmək</li>
+                    <li><strong>📈 Rəqəmsal Marketinq</strong> - Kampaniya effektivliyini ölçmək</li>
+                    <li><strong>🔗 Şəxsi İstifadə</strong> - Uzun linkləri yaddaşda saxlanan qısa linklərə çevirmək</li>
+                </ul>
+                
+                <h2>🌍 Ölkə Analitikası ilə Link Takibi</h2>
+                <p>Digər link qısaldıcılardan fərqli olaraq, AxtarGet hər klikin hansı ölkədən gəldiyini göstərir. Azərbaycan, Türkiyə, Rusiya, ABŞ, Almaniya və digər ölkələrdən gələn klikləri izləyin.</p>
+                
+                <h2>🚀 Necə İstifadə Olunur?</h2>
+                <ol>
+                    <li>Yuxarıdakı formada URL ünvanınızı daxil edin</li>
+                    <li>Xüsusi link adı və müddət seçin (istəyə bağlı)</li>
+                    <li>"Linki Qısalt" düyməsinə klikləyin</li>
+                    <li>Qısa linkinizi paylaşın və statistikaları izləyin</li>
+                </ol>
+                
+                <h2>📊 Statistikalar Nə Göstərir?</h2>
+                <ul>
+                    <li><strong>Ümumi Kliklər</strong> - Linkə neçə dəfə klik edilib</li>
+                    <li><strong>Unikal Kliklər</strong> - Fərqli istifadəçilərin sayı</li>
+                    <li><strong>Ölkə Paylanması</strong> - Hansı ölkədən neçə klik gəlib</li>
+                    <li><strong>Cihaz Məlumatları</strong> - Mobil, tablet və ya desktop</li>
+                    <li><strong>Brauzer Məlumatları</strong> - Chrome, Firefox, Safari və s.</li>
+                </ul>
+                
+                <p><strong>AxtarGet aglink.pro</strong> - Azərbaycanda ən yaxşı pulsuz link qısaldıcı. İndi sınayın və fərqi hiss edin!</p>
+            </div>
+        </div>
+
+        <!-- Dashboard Tab -->
+        <div id="dashboard-tab" class="tab-content" style="display: none;">
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; margin-bottom: 1.5rem;">
+                <h1 style="color: var(--dark);">📊 Link Statistika Dashboardu</h1>
+                <select id="dashboardTag" class="form-control" style="width: 200px;" onchange="loadDashboard()">
+                    <option value="">🏷️ Bütün teqlər</option>
+                </select>
+            </div>
+            
+            <div id="dashboardFilterChips"></div>
+            
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div style="font-size: 0.85rem; color: #64748b; margin-bottom: 0.5rem;">Ümumi Linklər</div>
+                    <div id="totalLinks" style="font-size: 2rem; font-weight: 800; color: var(--primary);">0</div>
+                </div>
+                <div class="stat-card">
+                    <div style="font-size: 0.85rem; color: #64748b; margin-bottom: 0.5rem;">Aktiv Linklər</div>
+                    <div id="activeLinks" style="font-size: 2rem; font-weight: 800; color: var(--success);">0</div>
+                </div>
+                <div class="stat-card">
+                    <div style="font-size: 0.85rem; color: #64748b; margin-bottom: 0.5rem;">Ümumi Kliklər</div>
+                    <div id="totalClicks" style="font-size: 2rem; font-weight: 800; color: var(--secondary);">0</div>
+                </div>
+                <div class="stat-card">
+                    <div style="font-size: 0.85rem; color: #64748b; margin-bottom: 0.5rem;">Unikal Kliklər</div>
+                    <div id="uniqueClicks" style="font-size: 2rem; font-weight: 800; color: var(--warning);">0</div>
+                </div>
+            </div>
+            
+            <div class="card">
+                <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem;">
+                    <h3 style="margin: 0;">📈 Aktivlik</h3>
+                    <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+                        <select id="activityRange" class="form-control" style="width: auto;" onchange="onActivityRangeChange()">
+                            <option value="24h">Son 24 saat</option>
+                            <option value="7d" selected>Son 7 gün</option>
+                            <option value="30d">Son 30 gün</option>
+                            <option value="90d">Son 90 gün</option>
+                            <option value="12m">Son 12 ay</option>
+                            <option value="custom">Xüsusi aralıq</option>
+                        </select>
+                        <input type="date" id="activityFrom" class="form-control" style="width: auto; display: none;" onchange="loadActivity()">
+                        <input type="date" id="activityTo" class="form-control" style="width: auto; display: none;" onchange="loadActivity()">
+                        <select id="activityGranularity" class="form-control" style="width: auto;" onchange="loadActivity()">
+                            <option value="hour">Saatlıq</option>
+                            <option value="day" selected>Günlük</option>
+                            <option value="week">Həftəlik</option>
+                            <option value="month">Aylıq</option>
+                        </select>
+                    </div>
+                </div>
+                <div style="height: 250px;">
+                    <canvas id="activityChart"></canvas>
+                </div>
+            </div>
+            
+            <div class="card" style="margin-top: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                    <h3 style="margin: 0;">🌍 Ölkə Paylanması - Kliklərin Coğrafi Paylanması</h3>
+                    <small style="color: #64748b;" id="topCountriesCount">Yüklənir...</small>
+                </div>
+                <div id="countriesChart"></div>
+            </div>
+            
+            <div class="card" style="margin-top: 1rem;">
+                <h3 style="margin-bottom: 1rem;">📱 Cihaz, ƏS, Brauzer və Dil</h3>
+                <div id="dashboardBreakdowns"></div>
+            </div>
+            
+            <div class="card" style="margin-top: 1rem;">
+                <h3 style="margin-bottom: 1rem;">💀 Açılmayan Linklərə Girişlər</h3>
+                <div id="deadHits"></div>
+            </div>
+        </div>
+
+        <!-- Links Tab -->
+        <div id="links-tab" class="tab-content" style="display: none;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem;">
+                <h1 style="color: var(--dark);">📋 Yaratdığınız Linklər</h1>
+                <div style="display: flex; gap: 0.5rem;">
+                    <input type="text" id="searchLinks" class="form-control" 
+                           placeholder="🔍 Link axtar..." style="width: 200px;">
+                    <button class="btn btn-primary" onclick="showTab('create')">➕ Yeni Link</button>
+                </div>
+            </div>
+            
+            <div class="card" style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: flex-end;">
+                <div>
+                    <label class="form-label">İxrac</label>
+                    <select id="exportType" class="form-control">
+                        <option value="clicks">Bütün kliklər</option>
+                        <option value="links">Link statistikası</option>
+                    </select>
+                </div>
+                <div>
+                    <label class="form-label">Format</label>
+                    <select id="exportFormat" class="form-control">
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                        <option value="ndjson">NDJSON</option>
+                    </select>
+                </div>
+                <div>
+                    <label class="form-label">Başlanğıc</label>
+                    <input type="date" id="exportFrom" class="form-control">
+                </div>
+                <div>
+                    <label class="form-label">Son</label>
+                    <input type="date" id="exportTo" class="form-control">
+                </div>
+                <button class="btn btn-outline" onclick="exportAll()" style="padding: 0.75rem 1rem;">⬇️ İxrac et</button>
+            </div>
+            
+            <div class="links-layout">
+                <aside class="card" id="linksSidebar" style="padding: 1rem;"></aside>
+                
+                <div>
+                    <div id="linksList"></div>
+                    
+                    <div id="noLinks" style="text-align: center; padding: 3rem; display: none;">
+                        <div style="width: 80px; height: 80px; background: #f1f5f9; border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto 1rem; font-size: 2rem;">
+                            🔗
+                        </div>
+                        <h3 style="color: #64748b; margin-bottom: 0.5rem;">Hələ link yoxdur</h3>
+                        <p style="color: #94a3b8; margin-bottom: 1.5rem;">İlk linkinizi yaradaraq başlayın</p>
+                        <button class="btn btn-primary" onclick="showTab('create')">
+                            🚀 İlk Linkini Yarad
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <!-- Import Tab -->
+        <div id="import-tab" class="tab-content" style="display: none;">
+            <h1 style="margin-bottom: 1.5rem; color: var(--dark);">📥 Toplu Link İdxalı</h1>
+            
+            <div class="card">
+                <p style="color: #64748b; font-size: 0.9rem; margin-bottom: 1rem;">
+                    CSV sütunları: <code>url, alias, expiry, tags, folder</code> — expiry saniyə, <code>forever</code> və ya tarix;
+                    tags <code>;</code> ilə ayrılır. Bir dəfəyə maksimum 1000 sətir.
+                </p>
+                <div class="form-group">
+                    <label class="form-label">CSV fayl</label>
+                    <input type="file" id="importFile" class="form-control" accept=".csv,text/csv">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">və ya CSV mətni</label>
+                    <textarea id="importCsv" class="form-control" rows="8" style="font-family: monospace; font-size: 0.85rem;"
+                              placeholder="url,alias,expiry,tags,folder&#10;https://example.com/spring,spring-sale,2592000,kampaniya;email,Yaz"></textarea>
+                </div>
+                <button class="btn btn-primary" onclick="importLinks()" id="importBtn" style="width: 100%; padding: 0.875rem;">
+                    <span id="importText">📥 İdxal et</span>
+                </button>
+            </div>
+            
+            <div id="importResults" class="card" style="display: none;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                    <div id="importSummary"></div>
+                    <button class="btn btn-outline" onclick="downloadImportResults()">⬇️ CSV yüklə</button>
+                </div>
+                <div style="max-height: 400px; overflow-y: auto;">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>URL</th>
+                                <th>Nəticə</th>
+                            </tr>
+                        </thead>
+                        <tbody id="importRows"></tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+        
+        <!-- API Keys Tab -->
+        <div id="keys-tab" class="tab-content" style="display: none;">
+            <h1 style="margin-bottom: 1.5rem; color: var(--dark);">🔑 API Açarları</h1>
+            
+            <div class="card">
+                <h3 style="margin-bottom: 1rem;">➕ Yeni Açar</h3>
+                <div class="form-group">
+                    <label class="form-label">Ad</label>
+                    <input type="text" id="apiKeyName" class="form-control" placeholder="məs. CI pipeline">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">İcazələr</label>
+                    <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                        <label><input type="checkbox" class="api-scope" value="create" checked> Link yaratmaq</label>
+                        <label><input type="checkbox" class="api-scope" value="read-stats" checked> Statistika oxumaq</label>
+                        <label><input type="checkbox" class="api-scope" value="update"> Link redaktə etmək</label>
+                        <label><input type="checkbox" class="api-scope" value="delete"> Link silmək</label>
+                    </div>
+                </div>
+                <button class="btn btn-primary" onclick="createApiKey()">🔑 Açar Yarat</button>
+                
+                <div id="newApiKey" style="display: none; margin-top: 1rem; padding: 1rem; background: #f0fdf4; border-radius: 8px;">
+                    <p style="font-size: 0.9rem; color: #64748b; margin-bottom: 0.5rem;">Açarı indi kopyalayın - bir daha göstərilməyəcək:</p>
+                    <div style="display: flex; gap: 0.5rem;">
+                        <input type="text" id="newApiKeyValue" class="form-control" readonly>
+                        <button class="btn btn-primary" onclick="copyToClipboard(document.getElementById('newApiKeyValue').value)">📋</button>
+                    </div>
+                    <p style="font-size: 0.8rem; color: #64748b; margin-top: 0.5rem;">
+                        İstifadə: <code>Authorization: Bearer &lt;açar&gt;</code>
+                    </p>
+                </div>
+            </div>
+            
+            <div class="card">
+                <h3 style="margin-bottom: 1rem;">📋 Açarlarım</h3>
+                <div id="apiKeysList"></div>
+            </div>
+        </div>
+        
+        <!-- Footer with SEO Keywords -->
+        <div style="text-align: center; margin-top: 3rem; padding: 1rem; color: #64748b; font-size: 0.9rem; border-top: 1px solid #e2e8f0;">
+            <p>© 2025 <strong>AxtarGet aglink.pro</strong> | 🌍 Pulsuz Link Qısaldıcı | ⚡ Ölkə Analitikası | 📊 URL Statistika | 🔗 Azərbaycan Link Shortener | 🚀 Sürətli URL Qısaldıcı</p>
+            <p style="margin-top: 0.5rem; font-size: 0.8rem;">Link qısaldıcı, URL shortener, click tracker, analytics, ölkə analitikası, Azerbaijan, Azərbaycan, Türkiye, Russia, pulsuz link qısaldıcı</p>
+        </div>
+    </div>
+
+    <!-- Stats Modal -->
+    <div id="statsModal" class="modal">
+        <div class="modal-content">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem;">
+                <h3 style="margin: 0;">📊 Detallı Link Statistika</h3>
+                <button onclick="closeModal()" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: #64748b;">×</button>
+            </div>
+            <div id="statsContent">
+                <div style="text-align: center; padding: 2rem;">
+                    <div class="loading" style="margin: 0 auto;"></div>
+                    <p style="margin-top: 1rem; color: #64748b;">Yüklənir...</p>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Edit Modal -->
+    <div id="editModal" class="modal">
+        <div class="modal-content">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem;">
+                <h3 style="margin: 0;">✏️ Linki redaktə et</h3>
+                <button onclick="closeEditModal()" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: #64748b;">×</button>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Hədəf URL</label>
+                <input type="url" id="editFullUrl" class="form-control">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Qısa kod (kliklər saxlanılır, köhnə kod yeni koda yönləndirir)</label>
+                <input type="text" id="editShortCode" class="form-control">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Bitmə tarixi (boş = müddətsiz)</label>
+                <input type="datetime-local" id="editExpiresAt" class="form-control">
+            </div>
+            <div class="form-group">
+                <label class="form-label">⌛ Müddət bitdikdən sonra (boş = 410 səhifəsi)</label>
+                <input type="url" id="editFallbackUrl" class="form-control" placeholder="https://example.com/kampaniya-bitdi">
+            </div>
+            <div class="form-group">
+                <label class="form-label">⏱️ Klik limiti və aktivlik cədvəli</label>
+                <div id="editLimits"></div>
+            </div>
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
+                <div class="form-group">
+                    <label class="form-label">🏷️ Teqlər</label>
+                    <input type="text" id="editTags" class="form-control">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">📁 Qovluq</label>
+                    <input type="text" id="editFolder" class="form-control" list="folderOptions">
+                </div>
+            </div>
+            <div class="form-group">
+                <label class="form-label">🧭 Ağıllı yönləndirmə</label>
+                <div id="editRules"></div>
+                <button class="btn btn-outline" onclick="addRuleRow('editRules')" style="font-size: 0.8rem;">➕ Qayda əlavə et</button>
+                <small style="display: block; color: #64748b; margin-top: 0.25rem;">Qaydalar sıra ilə yoxlanılır. Heç biri uyğun gəlməsə əsas URL açılır.</small>
+            </div>
+            <div class="form-group">
+                <label class="form-label">🧪 A/B test</label>
+                <div id="editVariants"></div>
+                <button class="btn btn-outline" onclick="addVariantRow()" style="font-size: 0.8rem;">➕ Variant əlavə et</button>
+                <small style="display: block; color: #64748b; margin-top: 0.25rem;">Trafik çəkiyə görə bölünür (məs. 70 / 30), hər ziyarətçi öz variantında qalır. Ən azı 2 variant lazımdır.</small>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="editIsActive"> Aktiv</label>
+                <label style="margin-left: 1rem;"><input type="checkbox" id="editForwardQuery"> ↪️ Parametrləri ötür</label>
+                <label style="margin-left: 1rem;"><input type="checkbox" id="editPreview"> 🔍 Önbaxış</label>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Yönləndirmə növü</label>
+                <select id="editRedirectType" class="form-control">
+                    <option value="302">302 - Müvəqqəti</option>
+                    <option value="301">301 - Daimi</option>
+                    <option value="307">307 - Müvəqqəti (metod saxlanılır)</option>
+                    <option value="308">308 - Daimi (metod saxlanılır)</option>
+                </select>
+            </div>
+            <button class="btn btn-primary" onclick="saveLinkEdit()" style="width: 100%; padding: 0.875rem;">💾 Yadda saxla</button>
+            <h4 style="margin: 1.5rem 0 0.75rem;">🕘 Dəyişiklik tarixçəsi</h4>
+            <div id="editRevisions" style="font-size: 0.85rem; color: #64748b;"></div>
+        </div>
+    </div>
+
+    <!-- Auth Modal -->
+    <div id="authModal" class="modal">
+        <div class="modal-content">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem;">
+                <h3 style="margin: 0;" id="authTitle">🔑 Daxil ol</h3>
+                <button onclick="closeAuthModal()" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: #64748b;">×</button>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Email</label>
+                <input type="email" id="authEmail" class="form-control" placeholder="siz@example.com" autocomplete="email">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Şifrə</label>
+                <input type="password" id="authPassword" class="form-control" placeholder="Minimum 8 simvol">
+            </div>
+            <button class="btn btn-primary" onclick="submitAuth()" id="authSubmit" style="width: 100%; padding: 0.875rem;">Daxil ol</button>
+            <p style="margin-top: 1rem; text-align: center; font-size: 0.9rem; color: #64748b;">
+                <span id="authSwitchText">Hesabınız yoxdur?</span>
+                <a href="#" onclick="switchAuthMode(); return false;" id="authSwitchLink" style="color: var(--primary);">Qeydiyyat</a>
+            </p>
+        </div>
+    </div>
+
+    <!-- Scripts -->
+    <script>
+        // User and Device Management
+        let userId = localStorage.getItem('aglink_userId');
+        let deviceId = localStorage.getItem('aglink_deviceId');
+        
+        if (!userId) {
+            userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+            localStorage.setItem('aglink_userId', userId);
+        }
+        
+        if (!deviceId) {
+            // Generate device ID from browser fingerprint
+            const fingerprint = [
+                navigator.userAgent,
+                navigator.language,
+                navigator.hardwareConcurrency,
+                screen.width + 'x' + screen.height,
+                navigator.platform
+            ].join('|');
+            
+            // Simple hash
+            let hash = 0;
+            for (let i = 0; i < fingerprint.length; i++) {
+                const char = fingerprint.charCodeAt(i);
+                hash = ((hash << 5) - hash) + char;
+                hash = hash & hash;
+            }
+            
+            deviceId = 'device_' + Math.abs(hash).toString(36);
+            localStorage.setItem('aglink_deviceId', deviceId);
+        }
+        
+        // Send device info to server
+        fetch('/api/register-device', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ userId, deviceId })
+        }).catch(() => {});
+        
+        // Account session
+        let authToken = localStorage.getItem('aglink_token');
+        let currentUser = null;
+        let authMode = 'login';
+        
+        // fetch() with the session token attached
+        async function apiFetch(url, options = {}) {
+            const headers = Object.assign({}, options.headers);
+            if (authToken) headers['Authorization'] = 'Bearer ' + authToken;
+            
+            const response = await fetch(url, Object.assign({}, options, { headers }));
+            if (response.status === 401 && authToken) {
+                setSession(null);
+            }
+            return response;
+        }
+        
+        function setSession(token, user) {
+            authToken = token;
+            currentUser = user || null;
+            if (token) {
+                localStorage.setItem('aglink_token', token);
+            } else {
+                localStorage.removeItem('aglink_token');
+            }
+            updateAuthButton();
+            loadUtmPresets();
+        }
+        
+        function updateAuthButton() {
+            const btn = document.getElementById('authBtn');
+            btn.textContent = authToken ?
+                '🚪 Çıxış' + (currentUser ? ' (' + currentUser.email + ')' : '') :
+                '🔑 Daxil ol';
+        }
+        
+        function onAuthButton() {
+            if (authToken) {
+                logout();
+            } else {
+                openAuthModal('login');
+            }
+        }
+        
+        function openAuthModal(mode) {
+            authMode = mode;
+            const isLogin = mode === 'login';
+            document.getElementById('authTitle').textContent = isLogin ? '🔑 Daxil ol' : '✨ Qeydiyyat';
+            document.getElementById('authSubmit').textContent = isLogin ? 'Daxil ol' : 'Hesab yarat';
+            document.getElementById('authSwitchText').textContent = isLogin ? 'Hesabınız yoxdur?' : 'Artıq hesabınız var?';
+            document.getElementById('authSwitchLink').textContent = isLogin ? 'Qeydiyyat' : 'Daxil ol';
+            document.getElementById('authModal').style.display = 'flex';
+            document.getElementById('authEmail').focus();
+        }
+        
+        function closeAuthModal() {
+            document.getElementById('authModal').style.display = 'none';
+        }
+        
+        function switchAuthMode() {
+            openAuthModal(authMode === 'login' ? 'register' : 'login');
+        }
+        
+        // Login/register; links created anonymously in this browser are claimed into the account
+        async function submitAuth() {
+            const email = document.getElementById('authEmail').value.trim();
+            const password = document.getElementById('authPassword').value;
+            
+            try {
+                const response = await fetch('/api/auth/' + authMode, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ email, password, claimUserId: userId })
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    setSession(data.token, data.user);
+                    closeAuthModal();
+                    document.getElementById('authPassword').value = '';
+                    showNotify('✅ Xoş gəldiniz!', 'success');
+                    if (data.claimed) {
+                        showNotify('🔗 ' + data.claimed + ' link hesabınıza köçürüldü', 'success');
+                    }
+                    loadDashboard();
+                    loadMyLinks();
+                } else {
+                    showNotify(data.error || 'Xəta baş verdi', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        async function logout() {
+            try {
+                await apiFetch('/api/auth/logout', { method: 'POST' });
+            } catch (error) {}
+            setSession(null);
+            showTab('create');
+            showNotify('👋 Hesabdan çıxdınız', 'success');
+        }
+        
+        // Restore account info for a saved session
+        async function loadCurrentUser() {
+            if (!authToken) return updateAuthButton();
+            try {
+                const response = await apiFetch('/api/auth/me');
+                const data = await response.json();
+                if (data.success) setSession(authToken, data.user);
+            } catch (error) {
+                updateAuthButton();
+            }
+        }
+        
+        // Global variables
+        let allLinks = [];
+        let activityChart = null;
+        let currentStatsLink = null;
+        
+        // Tab management
+        function showTab(tabName) {
+            // Dashboard, links and keys need an account
+            if (tabName !== 'create' && !authToken) {
+                openAuthModal('login');
+                tabName = 'create';
+            }
+            
+            ['create', 'dashboard', 'links', 'import', 'keys'].forEach(tab => {
+                document.getElementById(tab + '-tab').style.display = 'none';
+            });
+            document.getElementById(tabName + '-tab').style.display = 'block';
+            localStorage.setItem('lastTab', tabName);
+            
+            if (tabName === 'dashboard') {
+                loadDashboard();
+            } else if (tabName === 'links') {
+                loadMyLinks();
+            } else if (tabName === 'keys') {
+                loadApiKeys();
+            }
+        }
+        
+        // Create link
+        async function createLink() {
+            const urlInput = document.getElementById('fullUrl');
+            const url = urlInput.value.trim();
+            
+            if (!url) {
+                showNotify('URL daxil edin', 'error');
+                return;
+            }
+            
+            const btn = document.getElementById('createBtn');
+            const btnText = document.getElementById('createText');
+            const originalText = btnText.textContent;
+            btnText.innerHTML = '<span class="loading"></span>';
+            btn.disabled = true;
+            
+            try {
+                const response = await apiFetch('/api/create', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        fullUrl: url,
+                        userId,
+                        deviceId,
+                        expiresIn: document.getElementById('expiresIn').value,
+                        customAlias: document.getElementById('customAlias').value.trim(),
+                        password: document.getElementById('linkPassword').value,
+                        tags: document.getElementById('linkTags').value,
+                        folder: document.getElementById('linkFolder').value,
+                        utm: readUtmFields(),
+                        forwardQuery: document.getElementById('forwardQuery').checked,
+                        fallbackUrl: document.getElementById('fallbackUrl').value.trim(),
+                        ...readLimits('create'),
+                        redirectType: Number(document.getElementById('redirectType').value),
+                        preview: document.getElementById('linkPreview').checked,
+                        rules: readRuleRows('createRules')
+                    })
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    // Show result
+                    document.getElementById('shortUrlResult').value = data.shortUrl;
+                    document.getElementById('result-card').style.display = 'block';
+                    
+                    // Clear form
+                    urlInput.value = '';
+                    document.getElementById('customAlias').value = '';
+                    document.getElementById('linkPassword').value = '';
+                    document.getElementById('linkTags').value = '';
+                    document.getElementById('fallbackUrl').value = '';
+                    fillLimits('create');
+                    document.getElementById('createRules').innerHTML = '';
+                    updateUtmPreview();
+                    
+                    // Load updated data
+                    loadDashboard();
+                    loadMyLinks();
+                    
+                    showNotify('✅ Link uğurla yaradıldı!', 'success');
+                    
+                    // Auto-scroll to result
+                    setTimeout(() => {
+                        document.getElementById('result-card').scrollIntoView({ behavior: 'smooth' });
+                    }, 100);
+                } else {
+                    showNotify(data.error || 'Xəta baş verdi', 'error');
+                }
+            } catch (error) {
+                console.error('Error:', error);
+                showNotify('❌ Server xətası', 'error');
+            } finally {
+                btnText.textContent = originalText;
+                btn.disabled = false;
+            }
+        }
+        
+        // Copy to clipboard
+        function copyResult() {
+            const input = document.getElementById('shortUrlResult');
+            input.select();
+            navigator.clipboard.writeText(input.value).then(() => {
+                showNotify('✅ Link kopyalandı!', 'success');
+            });
+        }
+        
+        // Share link
+        function shareLink() {
+            const url = document.getElementById('shortUrlResult').value;
+            if (navigator.share) {
+                navigator.share({
+                    title: 'AxtarGet aglink.pro - Qısaldılmış Link',
+                    text: 'Bu linki yoxlayın:',
+                    url: url
+                });
+            } else {
+                copyResult();
+            }
+        }
+        
+        // View stats (only the owner's account can see them)
+        function viewStats() {
+            if (!authToken) {
+                showNotify('Statistikanı görmək üçün hesaba daxil olun', 'error');
+                return openAuthModal('login');
+            }
+            const url = document.getElementById('shortUrlResult').value;
+            const code = url.split('/').pop();
+            showLinkStats(code);
+        }
+        
+        // Load dashboard
+        async function loadDashboard() {
+            if (!authToken) return;
+            
+            try {
+                const tag = document.getElementById('dashboardTag').value;
+                const params = new URLSearchParams(dashboardFilters);
+                if (tag) params.set('tag', tag);
+                const response = await apiFetch('/api/dashboard?' + params, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ deviceId })
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    // Update stats
+                    document.getElementById('totalLinks').textContent = data.overview.totalLinks;
+                    document.getElementById('activeLinks').textContent = data.overview.activeLinks;
+                    document.getElementById('totalClicks').textContent = data.overview.totalClicks;
+                    document.getElementById('uniqueClicks').textContent = data.overview.uniqueClicks;
+                    
+                    // Update chart
+                    loadActivity();
+                    
+                    // Update countries chart
+                    updateCountriesChart(data.countries || []);
+                    
+                    // Device / OS / browser / language, and the active drill-down
+                    document.getElementById('dashboardBreakdowns').innerHTML = breakdownChartsHtml('dashboard');
+                    drawBreakdownCharts('dashboard', data, setDashboardFilter);
+                    document.getElementById('dashboardFilterChips').innerHTML =
+                        filterChips(dashboardFilters, 'removeDashboardFilter', \`\${data.overview.matchingClicks} uyğun klik\`);
+                    
+                    renderDashboardTags(data.facets.tags, tag);
+                }
+                
+                loadDeadHits();
+            } catch (error) {
+                console.error('Dashboard error:', error);
+            }
+        }
+        
+        // Traffic that still reaches expired, paused, used-up or scheduled-off links
+        const DEAD_HIT_REASONS = { expired: '⌛ Müddəti bitib', inactive: '⏸️ Dayandırılıb', limit: '🎯 Limit dolub', scheduled: '🗓️ Cədvəldən kənar', unknown: '🗑️ Silinib' };
+        
+        async function loadDeadHits() {
+            const container = document.getElementById('deadHits');
+            try {
+                const response = await apiFetch('/api/dead-hits');
+                const data = await response.json();
+                if (!data.success) return;
+                
+                if (!data.links.length) {
+                    container.innerHTML = '<p style="color: #64748b;">Açılmayan linklərə giriş olmayıb.</p>';
+                    return;
+                }
+                container.innerHTML = \`
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Link</th>
+                                <th>Səbəb</th>
+                                <th>Giriş</th>
+                                <th>Yönləndirilib</th>
+                                <th>Son giriş</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            \${data.links.map(row => \`
+                                <tr>
+                                    <td>/\${escapeHtml(row.shortCode)}</td>
+                                    <td>\${DEAD_HIT_REASONS[row.reason] || escapeHtml(row.reason)}</td>
+                                    <td>\${row.hits}\${row.botHits ? \` <small style="color: #64748b;">(\${row.botHits} bot)</small>\` : ''}</td>
+                                    <td>\${row.fallbackHits}</td>
+                                    <td>\${new Date(row.lastHit).toLocaleString('az-AZ')}</td>
+                                </tr>
+                            \`).join('')}
+                        </tbody>
+                    </table>
+                \`;
+            } catch (error) {
+                container.innerHTML = '';
+            }
+        }
+        
+        // Drill-down filters (country, device, os, browser, language)
+        const dashboardFilters = {};
+        
+        function setDashboardFilter(name, value) {
+            dashboardFilters[name] = value;
+            loadDashboard();
+        }
+        
+        function removeDashboardFilter(name) {
+            delete dashboardFilters[name];
+            loadDashboard();
+        }
+        
+        function renderDashboardTags(tags, selected) {
+            document.getElementById('dashboardTag').innerHTML = '<option value="">🏷️ Bütün teqlər</option>' +
+                tags.map(tag => \`<option value="\${escapeAttr(tag.name)}" \${tag.name === selected ? 'selected' : ''}>
+                    \${escapeHtml(tag.name)} (\${tag.count})
+                </option>\`).join('');
+        }
+        
+        // Links tab filters (sidebar + search)
+        const linkFilters = { tag: '', folder: '', q: '' };
+        
+        function setLinkFilter(name, value) {
+            linkFilters[name] = linkFilters[name] === value ? '' : value;
+            loadMyLinks();
+        }
+        
+        function clearLinkFilters() {
+            linkFilters.tag = '';
+            linkFilters.folder = '';
+            loadMyLinks();
+        }
+        
+        function renderLinksSidebar(facets) {
+            const item = (name, value, label, count) => \`
+                <div class="sidebar-item \${linkFilters[name] === value ? 'active' : ''}"
+                     data-value="\${escapeAttr(value)}" onclick="setLinkFilter('\${name}', this.dataset.value)">
+                    <span>\${escapeHtml(label)}</span><span>\${count}</span>
+                </div>\`;
+            
+            document.getElementById('linksSidebar').innerHTML = \`
+                <div class="sidebar-item \${!linkFilters.tag && !linkFilters.folder ? 'active' : ''}" onclick="clearLinkFilters()">
+                    <span>🔗 Bütün linklər</span>
+                </div>
+                <h4 style="margin: 1rem 0 0.5rem; font-size: 0.85rem; color: #64748b;">📁 Qovluqlar</h4>
+                \${facets.folders.map(f => item('folder', f.name, f.name, f.count)).join('') || '<small style="color: #94a3b8;">Yoxdur</small>'}
+                <h4 style="margin: 1rem 0 0.5rem; font-size: 0.85rem; color: #64748b;">🏷️ Teqlər</h4>
+                \${facets.tags.map(t => item('tag', t.name, '#' + t.name, t.count)).join('') || '<small style="color: #94a3b8;">Yoxdur</small>'}
+            \`;
+            
+            document.getElementById('folderOptions').innerHTML = facets.folders
+                .map(f => \`<option value="\${escapeAttr(f.name)}">\`).join('');
+        }
+        
+        // Load user's links
+        async function loadMyLinks() {
+            if (!authToken) return;
+            
+            try {
+                const params = new URLSearchParams(Object.entries(linkFilters).filter(([, value]) => value));
+                const response = await apiFetch('/api/mylinks?' + params, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ deviceId })
+                });
+                
+                const data = await response.json();
+                
+                const listDiv = document.getElementById('linksList');
+                const noLinksDiv = document.getElementById('noLinks');
+                const filtered = Object.values(linkFilters).some(Boolean);
+                
+                if (data.success) renderLinksSidebar(data.facets);
+                
+                if (data.success && data.links.length === 0 && filtered) {
+                    allLinks = [];
+                    noLinksDiv.style.display = 'none';
+                    listDiv.innerHTML = '<p style="text-align: center; padding: 2rem; color: #64748b;">Heç nə tapılmadı</p>';
+                } else if (data.success && data.links.length > 0) {
+                    allLinks = data.links;
+                    noLinksDiv.style.display = 'none';
+                    
+                    listDiv.innerHTML = data.links.map(link => {
+                        const shortUrl = \`\${window.location.origin}/\${link.shortCode}\`;
+                        const isActive = link.isActive && (!link.expiresAt || new Date(link.expiresAt) > new Date());
+                        const daysLeft = link.expiresAt ? 
+                            Math.ceil((new Date(link.expiresAt) - new Date()) / (1000 * 60 * 60 * 24)) : 
+                            null;
+                        
+                        return \`
+                        <div class="link-item">
+                            <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 1rem;">
+                                <div style="flex: 1;">
+                                    <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
+                                        <h4 style="margin: 0;">
+                                            <a href="\${shortUrl}" target="_blank" style="color: var(--primary); text-decoration: none;">
+                                                \${window.location.host}/\${link.shortCode}
+                                            </a>
+                                        </h4>
+                                        \${link.customAlias ? '<span class="badge badge-warning">Custom</span>' : ''}
+                                        \${link.hasPassword ? '<span class="badge badge-danger">🔒 Şifrəli</span>' : ''}
+                                        \${link.folder ? \`<span class="badge" style="background: #f1f5f9; color: #475569;">📁 \${escapeHtml(link.folder)}</span>\` : ''}
+                                    </div>
+                                    
+                                    <p style="color: #64748b; font-size: 0.9rem; margin-bottom: 0.75rem;">
+                                        \${link.fullUrl?.substring(0, 60)}\${link.fullUrl?.length > 60 ? '...' : ''}
+                                    </p>
+                                    
+                                    <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+                                        <span class="badge badge-primary">
+                                            👆 \${link.totalClicks || 0} klik
+                                        </span>
+                                        <span class="badge badge-success">
+                                            👥 \${link.uniqueClicks || 0} unikal
+                                        </span>
+                                        <span class="badge \${isActive ? 'badge-success' : 'badge-danger'}">
+                                            \${isActive ? '✅ Aktiv' : '❌ Deaktiv'}
+                                        </span>
+                                        \${link.statsShared ? '<span class="badge badge-primary">🌐 Public statistika</span>' : ''}
+                                        \${link.variants && link.variants.length ? '<span class="badge badge-primary">🧪 A/B test</span>' : ''}
+                                        \${link.preview ? '<span class="badge badge-primary">🔍 Önbaxış</span>' : ''}
+                                        \${link.maxClicks ? \`<span class="badge badge-primary">🎯 \${link.servedClicks || 0}/\${link.maxClicks}</span>\` : ''}
+                                        \${link.activeFrom || link.schedule ? '<span class="badge badge-primary">🗓️ Cədvəl</span>' : ''}
+                                        \${link.redirectType && link.redirectType !== 302 ? \`<span class="badge badge-primary">\${link.redirectType}</span>\` : ''}
+                                        \${daysLeft !== null ? \`
+                                            <span class="badge \${daysLeft > 0 ? 'badge-primary' : 'badge-danger'}">
+                                                ⏰ \${daysLeft > 0 ? daysLeft + ' gün' : 'Bitib'}
+                                            </span>
+                                        \` : ''}
+                                        <span class="badge" style="background: #f1f5f9; color: #64748b;">
+                                            📅 \${new Date(link.createdAt).toLocaleDateString('az-AZ')}
+                                        </span>
+                                        \${(link.tags || []).map(tag => \`
+                                            <span class="badge badge-primary" style="cursor: pointer;"
+                                                  data-value="\${escapeAttr(tag)}" onclick="setLinkFilter('tag', this.dataset.value)">#\${escapeHtml(tag)}</span>
+                                        \`).join('')}
+                                    </div>
+                                </div>
+                                
+                                <div style="display: flex; flex-direction: column; gap: 0.5rem;">
+                                    <button class="btn btn-outline" onclick="showLinkStats('\${link.shortCode}')" style="font-size: 0.8rem;">
+                                        📊 Statistika
+                                    </button>
+                                    <button class="btn btn-outline" onclick="copyToClipboard('\${shortUrl}')" style="font-size: 0.8rem;">
+                                        📋 Kopyala
+                                    </button>
+                                    <button class="btn btn-outline" onclick="openEditModal('\${link.shortCode}')" style="font-size: 0.8rem;">
+                                        ✏️ Redaktə
+                                    </button>
+                                    <button class="btn" onclick="deleteLink('\${link.shortCode}')" 
+                                            style="font-size: 0.8rem; background: #fee2e2; color: var(--danger); border: none;">
+                                        🗑️ Sil
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                        \`;
+                    }).join('');
+                } else {
+                    listDiv.innerHTML = '';
+                    noLinksDiv.style.display = 'block';
+                }
+            } catch (error) {
+                console.error('Links error:', error);
+            }
+        }
+        
+        // Show link stats modal
+        let statsIncludeBots = false;
+        let statsFilters = {};
+        
+        async function showLinkStats(code) {
+            if (code !== currentStatsLink) statsFilters = {};
+            currentStatsLink = code;
+            document.getElementById('statsModal').style.display = 'flex';
+            
+            try {
+                const params = new URLSearchParams(statsFilters);
+                if (statsIncludeBots) params.set('includeBots', 'true');
+                const response = await apiFetch(\`/api/stats/\${code}?\${params}\`);
+                const data = await response.json();
+                
+                if (data.success) {
+                    const shortUrl = \`\${window.location.origin}/\${code}\`;
+                    
+                    let statsHtml = \`
+                        <div>
+                            <div style="margin-bottom: 1.5rem;">
+                                <h4 style="color: var(--primary); margin-bottom: 0.5rem;">\${window.location.host}/\${code}</h4>
+                                <p style="color: #64748b; font-size: 0.9rem;">\${data.link.fullUrl}</p>
+                            </div>
+                            
+                            <!-- Quick Stats -->
+                            <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; margin-bottom: 1.5rem;">
+                                <div style="text-align: center; padding: 1rem; background: #f8fafc; border-radius: 8px;">
+                                    <div style="font-size: 2rem; font-weight: 800; color: var(--primary);">\${data.stats.totalClicks}</div>
+                                    <div style="font-size: 0.85rem; color: #64748b;">Ümumi Klik</div>
+                                </div>
+                                <div style="text-align: center; padding: 1rem; background: #f8fafc; border-radius: 8px;">
+                                    <div style="font-size: 2rem; font-weight: 800; color: var(--success);">\${data.stats.uniqueClicks}</div>
+                                    <div style="font-size: 0.85rem; color: #64748b;">Unikal Klik</div>
+                                </div>
+                            </div>
+                            
+                            <label style="display: block; margin-bottom: 1.5rem; font-size: 0.9rem; color: #64748b;">
+                                <input type="checkbox" \${statsIncludeBots ? 'checked' : ''}
+                                       onchange="statsIncludeBots = this.checked; showLinkStats('\${code}')">
+                                🤖 Botları və link önizləmələrini daxil et (\${data.stats.botClicks})
+                            </label>
+                            
+                            \${filterChips(statsFilters, 'removeStatsFilter')}
+                            
+                            <!-- Countries Table -->
+                            <h5 style="margin-bottom: 1rem;">🌍 Ölkə Paylanması</h5>
+                    \`;
+                    
+                    if (data.stats.countries && data.stats.countries.length > 0) {
+                        statsHtml += \`
+                            <div style="max-height: 300px; overflow-y: auto;">
+                                <table class="table">
+                                    <thead>
+                                        <tr>
+                                            <th>Ölkə</th>
+                                            <th>Klik</th>
+                                            <th>Faiz</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                        \`;
+                        
+                        data.stats.countries.forEach(country => {
+                            const percentage = ((country.count / data.stats.totalClicks) * 100).toFixed(1);
+                            const flag = getFlagEmoji(country.countryCode);
+                            
+                            statsHtml += \`
+                                <tr style="cursor: pointer;" title="Bu ölkəyə görə süz"
+                                    data-value="\${escapeAttr(country.countryCode)}" onclick="setStatsFilter('country', this.dataset.value)">
+                                    <td>
+                                        <div class="country-row">
+                                            <span class="flag">\${flag}</span>
+                                            <span>\${country.country}</span>
+                                        </div>
+                                    </td>
+                                    <td>\${country.count}</td>
+                                    <td>
+                                        <div style="display: flex; align-items: center; gap: 0.5rem;">
+                                            <div style="flex: 1; height: 8px; background: #e2e8f0; border-radius: 4px; overflow: hidden;">
+                                                <div style="width: \${percentage}%; height: 100%; background: var(--primary);"></div>
+                                            </div>
+                                            <span>\${percentage}%</span>
+                                        </div>
+                                    </td>
+                                </tr>
+                            \`;
+                        });
+                        
+                        statsHtml += \`
+                                    </tbody>
+                                </table>
+                            </div>
+                        \`;
+                    } else {
+                        statsHtml += \`
+                            <div style="text-align: center; padding: 2rem; color: #94a3b8;">
+                                <p>Hələ klik yoxdur</p>
+                            </div>
+                        \`;
+                    }
+                    
+                    // Clicks per redirect rule (only when the link has or had rules)
+                    const destinations = data.stats.destinations || [];
+                    if (destinations.length > 1) {
+                        statsHtml += \`
+                            <h5 style="margin-top: 1.5rem; margin-bottom: 1rem;">🎯 Yönləndirmə Qaydaları</h5>
+                            <table class="table">
+                                <thead>
+                                    <tr>
+                                        <th>Qayda</th>
+                                        <th>Hədəf</th>
+                                        <th>Klik</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    \${destinations.map(row => \`
+                                        <tr>
+                                            <td>\${row.conditions ? '🧭 ' + escapeHtml(describeRule(row.conditions)) : row.removed ? '🗑️ Silinmiş qayda' : '⭐ Əsas URL'}</td>
+                                            <td style="word-break: break-all; font-size: 0.85rem;">\${escapeHtml(row.destination || '—')}</td>
+                                            <td>\${row.count}</td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        \`;
+                    }
+                    
+                    // A/B test results
+                    const variants = data.stats.variants || [];
+                    if (variants.length) {
+                        const best = Math.max(...variants.map(v => v.uniqueClicks));
+                        statsHtml += \`
+                            <h5 style="margin-top: 1.5rem; margin-bottom: 1rem;">🧪 A/B Test</h5>
+                            <table class="table">
+                                <thead>
+                                    <tr>
+                                        <th>Variant</th>
+                                        <th>Çəki</th>
+                                        <th>Klik</th>
+                                        <th>Unikal</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    \${variants.map(v => \`
+                                        <tr>
+                                            <td style="word-break: break-all; font-size: 0.85rem;">\${v.uniqueClicks === best && best > 0 ? '🏆 ' : ''}\${escapeHtml(v.url || '—')}</td>
+                                            <td>\${v.ended ? 'Bitib' : v.weight}</td>
+                                            <td>\${v.clicks}</td>
+                                            <td>\${v.uniqueClicks}</td>
+                                            <td>\${v.ended ? '' : \`<button class="btn btn-outline" style="font-size: 0.75rem;" onclick="promoteVariant('\${escapeAttr(code)}', '\${escapeAttr(v.variantId)}')">Qalib et</button>\`}</td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        \`;
+                    }
+                    
+                    statsHtml += \`
+                            <h5 style="margin-top: 1.5rem; margin-bottom: 1rem;">📱 Cihaz, ƏS, Brauzer və Dil</h5>
+                            \${breakdownChartsHtml('stats')}
+                    \`;
+                    
+                    // Referrers & UTM
+                    const stats = data.stats;
+                    statsHtml += \`
+                            <h5 style="margin-top: 1.5rem; margin-bottom: 1rem;">🔗 Trafik Mənbələri</h5>
+                    \`;
+                    if (stats.referrerCategories && stats.referrerCategories.length > 0) {
+                        statsHtml += \`
+                            <div style="height: 200px; margin-bottom: 1rem;">
+                                <canvas id="referrerChart"></canvas>
+                            </div>
+                        \`;
+                    }
+                    statsHtml += breakdownTable('🌐 Yönləndirən Domenlər', 'Domen', stats.referrers, stats.totalClicks);
+                    if (stats.utm) {
+                        statsHtml += breakdownTable('🏷️ UTM Mənbə (utm_source)', 'Mənbə', stats.utm.source, stats.totalClicks);
+                        statsHtml += breakdownTable('📣 UTM Kanal (utm_medium)', 'Kanal', stats.utm.medium, stats.totalClicks);
+                        statsHtml += breakdownTable('🎯 UTM Kampaniya (utm_campaign)', 'Kampaniya', stats.utm.campaign, stats.totalClicks);
+                    }
+                    
+                    statsHtml += \`
+                            <!-- Recent Clicks -->
+                            <h5 style="margin-top: 1.5rem; margin-bottom: 1rem;">🕒 Son Kliklər</h5>
+                            <div style="max-height: 200px; overflow-y: auto;">
+                    \`;
+                    
+                    if (data.stats.recentClicks && data.stats.recentClicks.length > 0) {
+                        data.stats.recentClicks.forEach(click => {
+                            const flag = getFlagEmoji(click.countryCode);
+                            const time = new Date(click.timestamp).toLocaleString('az-AZ');
+                            
+                            statsHtml += \`
+                                <div style="padding: 0.75rem; border-bottom: 1px solid #e2e8f0;">
+                                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                                        <div style="display: flex; align-items: center; gap: 0.5rem;">
+                                            <span class="flag">\${flag}</span>
+                                            <div>
+                                                <div>\${click.country}</div>
+                                                <div style="font-size: 0.8rem; color: #64748b;">
+                                                    \${click.city}, \${click.device} • \${click.browser}\${click.referrerDomain ? ' • ' + escapeHtml(click.referrerDomain) : ''}
+                                                </div>
+                                            </div>
+                                        </div>
+                                        <div style="font-size: 0.8rem; color: #64748b;">\${time}</div>
+                                    </div>
+                                </div>
+                            \`;
+                        });
+                    } else {
+                        statsHtml += \`
+                            <div style="text-align: center; padding: 1rem; color: #94a3b8;">
+                                <p>Hələ klik yoxdur</p>
+                            </div>
+                        \`;
+                    }
+                    
+                    statsHtml += \`
+                            </div>
+                            
+                            <div style="margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid #e2e8f0;">
+                                <button class="btn btn-primary" onclick="copyToClipboard('\${shortUrl}')" style="width: 100%;">
+                                    📋 Linki Kopyala
+                                </button>
+                                <div style="display: flex; gap: 0.5rem; margin-top: 0.5rem;">
+                                    <button class="btn btn-outline" onclick="downloadExport('/api/v1/links/\${code}/export?format=csv')" style="flex: 1;">⬇️ CSV</button>
+                                    <button class="btn btn-outline" onclick="downloadExport('/api/v1/links/\${code}/export?format=json')" style="flex: 1;">⬇️ JSON</button>
+                                    <button class="btn btn-outline" onclick="downloadExport('/api/v1/links/\${code}/export?format=ndjson')" style="flex: 1;">⬇️ NDJSON</button>
+                                </div>
+                            </div>
+                            
+                            <!-- Public stats page -->
+                            <h5 style="margin-top: 1.5rem; margin-bottom: 0.5rem;">🌐 Public Statistika Səhifəsi</h5>
+                            <div id="sharePanel" style="font-size: 0.9rem;">Yüklənir...</div>
+                        </div>
+                    \`;
+                    
+                    document.getElementById('statsContent').innerHTML = statsHtml;
+                    updateReferrerChart(data.stats.referrerCategories || []);
+                    drawBreakdownCharts('stats', data.stats, setStatsFilter);
+                    loadSharePanel(code);
+                } else {
+                    document.getElementById('statsContent').innerHTML = \`
+                        <div style="text-align: center; padding: 2rem;">
+                            <p style="color: #64748b;">\${escapeHtml(data.error || 'Statistika yüklənmədi')}</p>
+                        </div>
+                    \`;
+                }
+            } catch (error) {
+                document.getElementById('statsContent').innerHTML = \`
+                    <div style="text-align: center; padding: 2rem;">
+                        <div style="color: var(--danger); font-size: 3rem; margin-bottom: 1rem;">❌</div>
+                        <p style="color: #64748b;">Statistika yüklənmədi</p>
+                    </div>
+                \`;
+            }
+        }
+        
+        // Top-N table for one referrer/UTM breakdown
+        function breakdownTable(title, label, rows, total) {
+            let html = \`<h6 style="margin: 1rem 0 0.5rem; color: #475569;">\${title}</h6>\`;
+            if (!rows || rows.length === 0) {
+                return html + '<p style="color: #94a3b8; font-size: 0.85rem;">Hələ məlumat yoxdur</p>';
+            }
+            
+            html += \`
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>\${label}</th>
+                            <th>Klik</th>
+                            <th>Faiz</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            \`;
+            rows.forEach(row => {
+                const percentage = total ? ((row.count / total) * 100).toFixed(1) : '0.0';
+                html += \`
+                    <tr>
+                        <td style="word-break: break-all;">\${escapeHtml(row.value)}</td>
+                        <td>\${row.count}</td>
+                        <td>
+                            <div style="display: flex; align-items: center; gap: 0.5rem;">
+                                <div style="flex: 1; height: 8px; background: #e2e8f0; border-radius: 4px; overflow: hidden;">
+                                    <div style="width: \${percentage}%; height: 100%; background: var(--primary);"></div>
+                                </div>
+                                <span>\${percentage}%</span>
+                            </div>
+                        </td>
+                    </tr>
+                \`;
+            });
+            return html + '</tbody></table>';
+        }
+        
+        // Referrer category doughnut in the stats modal
+        const REFERRER_CATEGORY_LABELS = {
+            social: ['Sosial şəbəkələr', '#3b82f6'],
+            search: ['Axtarış', '#10b981'],
+            email: ['E-poçt', '#f59e0b'],
+            direct: ['Birbaşa', '#64748b'],
+            other: ['Digər saytlar', '#8b5cf6']
+        };
+        let referrerChart = null;
+        
+        function updateReferrerChart(categories) {
+            if (referrerChart) {
+                referrerChart.destroy();
+                referrerChart = null;
+            }
+            const canvas = document.getElementById('referrerChart');
+            if (!canvas || categories.length === 0) return;
+            
+            referrerChart = new Chart(canvas.getContext('2d'), {
+                type: 'doughnut',
+                data: {
+                    labels: categories.map(entry => REFERRER_CATEGORY_LABELS[entry.category][0]),
+                    datasets: [{
+                        data: categories.map(entry => entry.count),
+                        backgroundColor: categories.map(entry => REFERRER_CATEGORY_LABELS[entry.category][1])
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { position: 'right' }
+                    }
+                }
+            });
+        }
+        
+        // Bulk import
+        let importResults = [];
+        
+        async function importLinks() {
+            const csv = document.getElementById('importCsv').value.trim();
+            if (!csv) {
+                showNotify('CSV faylı seçin və ya mətn daxil edin', 'error');
+                return;
+            }
+            
+            const btn = document.getElementById('importBtn');
+            const btnText = document.getElementById('importText');
+            const originalText = btnText.textContent;
+            btnText.innerHTML = '<span class="loading"></span>';
+            btn.disabled = true;
+            
+            try {
+                const response = await apiFetch('/api/v1/links/bulk', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/csv' },
+                    body: csv
+                });
+                
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    showNotify(data.error ? data.error.message : 'Xəta baş verdi', 'error');
+                    return;
+                }
+                
+                importResults = data.results;
+                document.getElementById('importSummary').innerHTML = \`
+                    <span class="badge badge-primary">Cəmi: \${data.summary.total}</span>
+                    <span class="badge badge-success">✅ \${data.summary.created}</span>
+                    <span class="badge badge-danger">❌ \${data.summary.failed}</span>
+                \`;
+                document.getElementById('importRows').innerHTML = data.results.map(r => \`
+                    <tr>
+                        <td>\${r.row}</td>
+                        <td style="word-break: break-all;">\${escapeHtml(r.url)}</td>
+                        <td>
+                            \${r.status === 'created' ?
+                                '<a href="' + r.shortUrl + '" target="_blank" style="color: var(--success);">✅ ' + r.shortCode + '</a>' :
+                                '<span style="color: var(--danger);">❌ ' + escapeHtml(r.error) + '</span>'}
+                        </td>
+                    </tr>
+                \`).join('');
+                document.getElementById('importResults').style.display = 'block';
+                
+                showNotify(\`✅ \${data.summary.created} link yaradıldı\`, 'success');
+                loadMyLinks();
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            } finally {
+                btnText.textContent = originalText;
+                btn.disabled = false;
+            }
+        }
+        
+        // Download import results as CSV
+        function downloadImportResults() {
+            const columns = ['row', 'url', 'alias', 'status', 'shortCode', 'shortUrl', 'errorCode', 'error'];
+            const cell = value => {
+                const text = value == null ? '' : String(value);
+                return /[",\\r\\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+            };
+            const csv = [columns, ...importResults.map(r => columns.map(c => r[c]))]
+                .map(row => row.map(cell).join(','))
+                .join('\\r\\n');
+            
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+            a.download = 'import-results.csv';
+            a.click();
+            URL.revokeObjectURL(a.href);
+        }
+        
+        // Download an export (needs the auth header, so fetch + blob instead of a plain link)
+        async function downloadExport(url) {
+            try {
+                const response = await apiFetch(url);
+                
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    showNotify(data.error ? data.error.message : 'İxrac alınmadı', 'error');
+                    return;
+                }
+                
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                
+                const a = document.createElement('a');
+                a.href = URL.createObjectURL(await response.blob());
+                a.download = match ? match[1] : 'export';
+                a.click();
+                URL.revokeObjectURL(a.href);
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        // Export all links' clicks or stats
+        function exportAll() {
+            const params = new URLSearchParams({
+                type: document.getElementById('exportType').value,
+                format: document.getElementById('exportFormat').value
+            });
+            const from = document.getElementById('exportFrom').value;
+            const to = document.getElementById('exportTo').value;
+            if (from) params.set('from', new Date(from + 'T00:00:00').toISOString());
+            if (to) params.set('to', new Date(to + 'T23:59:59.999').toISOString());
+            
+            downloadExport('/api/v1/export?' + params);
+        }
+        
+        // UTM builder
+        const UTM_INPUTS = { source: 'utmSource', medium: 'utmMedium', campaign: 'utmCampaign', term: 'utmTerm', content: 'utmContent' };
+        let utmPresets = [];
+        
+        function readUtmFields() {
+            const utm = {};
+            Object.entries(UTM_INPUTS).forEach(([key, id]) => {
+                const value = document.getElementById(id).value.trim();
+                if (value) utm[key] = value;
+            });
+            return utm;
+        }
+        
+        // Destination as it will be saved (same rule as the server: the fields replace utm_* already in the URL)
+        function updateUtmPreview() {
+            const preview = document.getElementById('utmPreview');
+            const utm = readUtmFields();
+            const raw = document.getElementById('fullUrl').value.trim();
+            if (Object.keys(utm).length === 0 || !raw) {
+                preview.textContent = '';
+                return;
+            }
+            
+            try {
+                const url = new URL(raw.startsWith('http') ? raw : 'https://' + raw);
+                Object.entries(utm).forEach(([key, value]) => url.searchParams.set('utm_' + key, value));
+                preview.textContent = '→ ' + url.toString();
+            } catch (error) {
+                preview.textContent = '';
+            }
+        }
+        
+        async function loadUtmPresets() {
+            utmPresets = [];
+            if (authToken) {
+                try {
+                    const response = await apiFetch('/api/utm-presets');
+                    const data = await response.json();
+                    if (data.success) utmPresets = data.presets;
+                } catch (error) {}
+            }
+            
+            document.getElementById('utmPreset').innerHTML = '<option value="">— Şablon seçin —</option>' +
+                utmPresets.map(preset => \`<option value="\${escapeAttr(preset.presetId)}">\${escapeHtml(preset.name)}</option>\`).join('');
+        }
+        
+        function applyUtmPreset() {
+            const preset = utmPresets.find(p => p.presetId === document.getElementById('utmPreset').value);
+            if (!preset) return;
+            Object.entries(UTM_INPUTS).forEach(([key, id]) => {
+                document.getElementById(id).value = preset.utm[key] || '';
+            });
+            updateUtmPreview();
+        }
+        
+        async function saveUtmPreset() {
+            if (!authToken) return openAuthModal('login');
+            
+            const selected = utmPresets.find(p => p.presetId === document.getElementById('utmPreset').value);
+            const name = prompt('Şablonun adı:', selected ? selected.name : '');
+            if (!name) return;
+            
+            try {
+                const response = await apiFetch('/api/utm-presets', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name, utm: readUtmFields() })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    await loadUtmPresets();
+                    document.getElementById('utmPreset').value = data.preset.presetId;
+                    showNotify('✅ Şablon saxlanıldı', 'success');
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        async function deleteUtmPreset() {
+            const presetId = document.getElementById('utmPreset').value;
+            if (!presetId || !confirm('Bu şablonu silmək istədiyinizə əminsiniz?')) return;
+            
+            try {
+                const response = await apiFetch(\`/api/utm-presets/\${presetId}\`, { method: 'DELETE' });
+                const data = await response.json();
+                
+                if (data.success) {
+                    showNotify('✅ Şablon silindi', 'success');
+                    loadUtmPresets();
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        // Load API keys
+        async function loadApiKeys() {
+            try {
+                const response = await apiFetch('/api/keys');
+                const data = await response.json();
+                const listDiv = document.getElementById('apiKeysList');
+                
+                if (!data.success || data.keys.length === 0) {
+                    listDiv.innerHTML = '<p style="text-align: center; color: #94a3b8; padding: 1rem;">Hələ açar yoxdur</p>';
+                    return;
+                }
+                
+                listDiv.innerHTML = data.keys.map(key => \`
+                    <div class="link-item" style="display: flex; justify-content: space-between; align-items: center; gap: 1rem;">
+                        <div>
+                            <h4 style="margin-bottom: 0.25rem;">\${escapeHtml(key.name)} <code style="color: #64748b;">\${key.prefix}…</code></h4>
+                            <div style="display: flex; flex-wrap: wrap; gap: 0.25rem;">
+                                \${key.scopes.map(scope => '<span class="badge badge-primary">' + scope + '</span>').join('')}
+                                \${key.revokedAt ? '<span class="badge badge-danger">Ləğv edilib</span>' : ''}
+                            </div>
+                            <p style="font-size: 0.8rem; color: #64748b; margin-top: 0.5rem;">
+                                📅 \${new Date(key.createdAt).toLocaleDateString('az-AZ')} •
+                                🕒 \${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString('az-AZ') : 'İstifadə olunmayıb'}
+                            </p>
+                        </div>
+                        \${key.revokedAt ? '' : \`
+                            <button class="btn" onclick="revokeApiKey('\${key.keyId}')" 
+                                    style="font-size: 0.8rem; background: #fee2e2; color: var(--danger); border: none;">
+                                🚫 Ləğv et
+                            </button>
+                        \`}
+                    </div>
+                \`).join('');
+            } catch (error) {
+                console.error('Keys error:', error);
+            }
+        }
+        
+        // Create API key
+        async function createApiKey() {
+            const scopes = Array.from(document.querySelectorAll('.api-scope:checked')).map(el => el.value);
+            
+            try {
+                const response = await apiFetch('/api/keys', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name: document.getElementById('apiKeyName').value.trim(), scopes })
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    document.getElementById('newApiKeyValue').value = data.key;
+                    document.getElementById('newApiKey').style.display = 'block';
+                    document.getElementById('apiKeyName').value = '';
+                    showNotify('✅ Açar yaradıldı', 'success');
+                    loadApiKeys();
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        // Revoke API key
+        async function revokeApiKey(keyId) {
+            if (!confirm('Bu açarı ləğv etmək istədiyinizə əminsiniz?')) {
+                return;
+            }
+            
+            try {
+                const response = await apiFetch(\`/api/keys/\${keyId}\`, { method: 'DELETE' });
+                const data = await response.json();
+                
+                if (data.success) {
+                    showNotify('✅ Açar ləğv edildi', 'success');
+                    loadApiKeys();
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        function escapeHtml(value) {
+            const div = document.createElement('div');
+            div.textContent = value == null ? '' : String(value);
+            return div.innerHTML;
+        }
+        
+        function escapeAttr(value) {
+            return escapeHtml(value).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        }
+        
+        // Close modal
+        function closeModal() {
+            document.getElementById('statsModal').style.display = 'none';
+            currentStatsLink = null;
+        }
+        
+        // Public stats page: section toggles, publish and revoke
+        const SHARE_SECTION_LABELS = {
+            overview: '📊 Ümumi göstəricilər',
+            destination: '🔗 Hədəf URL',
+            activity: '📈 Aktivlik (30 gün)',
+            countries: '🌍 Ölkələr',
+            devices: '📱 Cihaz, ƏS, brauzer, dil',
+            referrers: '🔗 Trafik mənbələri',
+            utm: '📣 UTM',
+            recentClicks: '🕒 Son kliklər (şəhər və vaxt)'
+        };
+        
+        async function loadSharePanel(code) {
+            const panel = document.getElementById('sharePanel');
+            try {
+                const response = await apiFetch(\`/api/links/\${code}/share\`);
+                const data = await response.json();
+                if (!data.success) {
+                    panel.innerHTML = '';
+                    return;
+                }
+                
+                const selected = data.share ? data.share.sections : ['overview', 'activity', 'countries'];
+                panel.innerHTML = \`
+                    <p style="color: #64748b; margin-bottom: 0.75rem;">
+                        \${data.share ? 'Bu linki bilən hər kəs seçilmiş bölmələri görə bilər.' : 'Statistika gizlidir. Yalnız siz görürsünüz.'}
+                    </p>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.25rem; margin-bottom: 0.75rem;">
+                        \${data.sections.map(section => \`
+                            <label><input type="checkbox" class="share-section" value="\${section}" \${selected.includes(section) ? 'checked' : ''}>
+                                \${SHARE_SECTION_LABELS[section] || section}</label>
+                        \`).join('')}
+                    </div>
+                    \${data.share ? \`
+                        <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
+                            <input type="text" class="form-control" value="\${escapeAttr(data.share.url)}" readonly>
+                            <button class="btn btn-primary" data-value="\${escapeAttr(data.share.url)}" onclick="copyToClipboard(this.dataset.value)">📋</button>
+                        </div>
+                    \` : ''}
+                    <div style="display: flex; gap: 0.5rem;">
+                        <button class="btn btn-outline" onclick="saveSharePanel('\${code}')" style="flex: 1;">
+                            \${data.share ? '💾 Bölmələri yenilə' : '🌐 Public et'}
+                        </button>
+                        \${data.share ? \`
+                            <button class="btn" onclick="revokeShare('\${code}')" style="flex: 1; background: #fee2e2; color: var(--danger); border: none;">🚫 Ləğv et</button>
+                        \` : ''}
+                    </div>
+                \`;
+            } catch (error) {
+                panel.innerHTML = '';
+            }
+        }
+        
+        async function saveSharePanel(code) {
+            const sections = Array.from(document.querySelectorAll('.share-section:checked')).map(el => el.value);
+            try {
+                const response = await apiFetch(\`/api/links/\${code}/share\`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ sections })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    showNotify('✅ Public səhifə yeniləndi', 'success');
+                    loadSharePanel(code);
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        async function revokeShare(code) {
+            if (!confirm('Public linki ləğv etmək istədiyinizə əminsiniz? Köhnə link işləməyəcək.')) return;
+            try {
+                const response = await apiFetch(\`/api/links/\${code}/share\`, { method: 'DELETE' });
+                const data = await response.json();
+                
+                if (data.success) {
+                    showNotify('✅ Paylaşım ləğv edildi', 'success');
+                    loadSharePanel(code);
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        function setStatsFilter(name, value) {
+            statsFilters[name] = value;
+            showLinkStats(currentStatsLink);
+        }
+        
+        function removeStatsFilter(name) {
+            delete statsFilters[name];
+            showLinkStats(currentStatsLink);
+        }
+        
+        // Device / OS / browser / language charts; clicking a bar drills into it
+        const CLICK_FILTER_LABELS = { country: 'Ölkə', device: 'Cihaz', os: 'ƏS', browser: 'Brauzer', language: 'Dil' };
+        const BREAKDOWN_CHARTS = [
+            ['devices', 'device', '📱 Cihaz növü'],
+            ['os', 'os', '💻 Əməliyyat sistemi'],
+            ['browsers', 'browser', '🌐 Brauzer'],
+            ['languages', 'language', '🗣️ Dil']
+        ];
+        const breakdownCharts = {};
+        
+        function breakdownChartsHtml(prefix) {
+            return '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 1rem;">' +
+                BREAKDOWN_CHARTS.map(([key, , title]) => \`
+                    <div>
+                        <h6 style="margin-bottom: 0.5rem; color: #475569;">\${title}</h6>
+                        <div style="height: 160px;"><canvas id="\${prefix}-\${key}"></canvas></div>
+                    </div>
+                \`).join('') + '</div>';
+        }
+        
+        function drawBreakdownCharts(prefix, data, onPick) {
+            BREAKDOWN_CHARTS.forEach(([key, dimension]) => {
+                const id = prefix + '-' + key;
+                if (breakdownCharts[id]) {
+                    breakdownCharts[id].destroy();
+                    delete breakdownCharts[id];
+                }
+                const canvas = document.getElementById(id);
+                const rows = data[key] || [];
+                if (!canvas) return;
+                if (rows.length === 0) {
+                    canvas.parentElement.innerHTML = '<p style="text-align: center; color: #94a3b8; padding: 2rem 0;">Hələ məlumat yoxdur</p>';
+                    return;
+                }
+                
+                breakdownCharts[id] = new Chart(canvas.getContext('2d'), {
+                    type: 'bar',
+                    data: {
+                        labels: rows.map(row => row.value),
+                        datasets: [{
+                            label: 'Kliklər',
+                            data: rows.map(row => row.count),
+                            backgroundColor: '#3b82f6'
+                        }]
+                    },
+                    options: {
+                        indexAxis: 'y',
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        plugins: {
+                            legend: { display: false }
+                        },
+                        scales: {
+                            x: { beginAtZero: true, ticks: { stepSize: 1 } }
+                        },
+                        onClick: (event, elements) => {
+                            if (elements.length > 0) onPick(dimension, rows[elements[0].index].value);
+                        }
+                    }
+                });
+            });
+        }
+        
+        // Active drill-down filters as removable chips
+        function filterChips(filters, removeFn, note = '') {
+            const entries = Object.entries(filters);
+            if (entries.length === 0) return '';
+            return '<div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 1rem;">' +
+                entries.map(([name, value]) => \`
+                    <span class="badge badge-primary" style="cursor: pointer;" data-value="\${name}" onclick="\${removeFn}(this.dataset.value)">
+                        \${CLICK_FILTER_LABELS[name]}: \${escapeHtml(value)} ✕
+                    </span>
+                \`).join('') +
+                (note ? \`<small style="color: #64748b;">\${note}</small>\` : '') + '</div>';
+        }
+        
+        // Edit link modal
+        let editingLink = null;
+        
+        const REVISION_FIELDS = {
+            fullUrl: 'URL',
+            shortCode: 'Qısa kod',
+            expiresAt: 'Bitmə tarixi',
+            isActive: 'Status',
+            forwardQuery: 'Parametr ötürmə',
+            fallbackUrl: 'Bitmədən sonrakı URL',
+            maxClicks: 'Klik limiti',
+            limitAction: 'Limit dolanda',
+            limitMessage: 'Limit mesajı',
+            activeFrom: 'Başlama vaxtı',
+            schedule: 'Aktivlik cədvəli',
+            redirectType: 'Yönləndirmə növü',
+            preview: 'Önbaxış',
+            rules: 'Qaydalar',
+            variants: 'A/B test',
+            tags: 'Teqlər',
+            folder: 'Qovluq'
+        };
+        
+        function formatRevisionValue(field, value) {
+            if (value === null || value === undefined) return '—';
+            if (field === 'expiresAt' || field === 'activeFrom') return new Date(value).toLocaleString('az-AZ');
+            if (field === 'limitAction') return LIMIT_ACTION_LABELS[value] || value;
+            if (field === 'schedule') return describeSchedule(value);
+            if (field === 'isActive') return value ? 'Aktiv' : 'Deaktiv';
+            if (field === 'forwardQuery' || field === 'preview') return value ? 'Bəli' : 'Xeyr';
+            if (field === 'variants') return value.map(variant => variant.url + ' (' + variant.weight + ')').join(' / ') || '—';
+            if (field === 'rules') return value.map(rule => describeRule(rule.conditions) + ' → ' + rule.url).join('; ') || '—';
+            if (Array.isArray(value)) return value.join(', ') || '—';
+            return value;
+        }
+        
+        // Click limit and activation windows (create form and edit modal share the markup)
+        const LIMIT_ACTION_LABELS = { gone: '410 səhifəsi', fallback: 'Bitmədən sonrakı URL-ə yönləndir', page: 'Öz mesajım' };
+        const WEEKDAY_LABELS = ['B.e', 'Ç.a', 'Ç', 'C.a', 'C', 'Ş', 'B'];
+        
+        function limitsHtml(prefix) {
+            return \`
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem;">
+                    <div>
+                        <label class="form-label">🎯 Klik limiti</label>
+                        <input type="number" id="\${prefix}MaxClicks" class="form-control" min="1" placeholder="Limitsiz">
+                    </div>
+                    <div>
+                        <label class="form-label">Limit dolanda</label>
+                        <select id="\${prefix}LimitAction" class="form-control" onchange="toggleLimitMessage('\${prefix}')">
+                            \${Object.entries(LIMIT_ACTION_LABELS).map(([value, label]) => \`<option value="\${value}">\${label}</option>\`).join('')}
+                        </select>
+                    </div>
+                </div>
+                <textarea id="\${prefix}LimitMessage" class="form-control" rows="2" maxlength="500"
+                          placeholder="Məs.: Bütün biletlər satılıb!" style="display: none; margin-top: 0.5rem;"></textarea>
+                <label class="form-label" style="margin-top: 0.75rem;">🚀 Başlama vaxtı (boş = dərhal)</label>
+                <input type="datetime-local" id="\${prefix}ActiveFrom" class="form-control">
+                <label class="form-label" style="margin-top: 0.75rem;">🗓️ Aktiv olduğu vaxtlar (boş = həmişə)</label>
+                <div id="\${prefix}Windows"></div>
+                <div style="display: flex; gap: 0.5rem; align-items: center;">
+                    <button class="btn btn-outline" onclick="addWindowRow('\${prefix}', true)" style="font-size: 0.8rem;">➕ Həftəlik saatlar</button>
+                    <button class="btn btn-outline" onclick="addWindowRow('\${prefix}', false)" style="font-size: 0.8rem;">➕ Tarix aralığı</button>
+                    <input type="text" id="\${prefix}Timezone" class="form-control" style="width: 160px;" title="Həftəlik saatlar üçün saat qurşağı">
+                </div>
+            \`;
+        }
+        
+        function windowRowHtml(window) {
+            const weekly = window.days && window.days.length;
+            const fields = weekly ? \`
+                \${WEEKDAY_LABELS.map((label, index) => \`
+                    <label style="font-size: 0.8rem;"><input type="checkbox" class="window-day" value="\${index + 1}" \${window.days.includes(index + 1) ? 'checked' : ''}> \${label}</label>
+                \`).join('')}
+                <input type="text" class="form-control window-start" style="width: 80px;" placeholder="09:00" value="\${escapeAttr(window.start || '')}">
+                –
+                <input type="text" class="form-control window-end" style="width: 80px;" placeholder="18:00" value="\${escapeAttr(window.end || '')}">
+            \` : \`
+                <input type="datetime-local" class="form-control window-from" style="flex: 1;" value="\${window.from ? toLocalInput(window.from) : ''}">
+                –
+                <input type="datetime-local" class="form-control window-to" style="flex: 1;" value="\${window.to ? toLocalInput(window.to) : ''}">
+            \`;
+            return \`
+                <div class="window-row" data-weekly="\${weekly ? 'true' : 'false'}" style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 0.5rem;">
+                    \${fields}
+                    <button class="btn" onclick="this.parentElement.remove()" style="background: #fee2e2; color: var(--danger); border: none;">✕</button>
+                </div>
+            \`;
+        }
+        
+        function addWindowRow(prefix, weekly) {
+            const window = weekly ? { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' } : {};
+            document.getElementById(prefix + 'Windows').insertAdjacentHTML('beforeend', windowRowHtml(window));
+        }
+        
+        function toggleLimitMessage(prefix) {
+            document.getElementById(prefix + 'LimitMessage').style.display =
+                document.getElementById(prefix + 'LimitAction').value === 'page' ? 'block' : 'none';
+        }
+        
+        function fillLimits(prefix, link = {}) {
+            document.getElementById(prefix + 'MaxClicks').value = link.maxClicks || '';
+            document.getElementById(prefix + 'LimitAction').value = link.limitAction || 'gone';
+            document.getElementById(prefix + 'LimitMessage').value = link.limitMessage || '';
+            document.getElementById(prefix + 'ActiveFrom').value = link.activeFrom ? toLocalInput(link.activeFrom) : '';
+            document.getElementById(prefix + 'Timezone').value = (link.schedule && link.schedule.timezone) ||
+                Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+            document.getElementById(prefix + 'Windows').innerHTML = (link.schedule ? link.schedule.windows : []).map(windowRowHtml).join('');
+            toggleLimitMessage(prefix);
+        }
+        
+        function readLimits(prefix) {
+            const value = id => document.getElementById(prefix + id).value.trim();
+            const toIso = local => local ? new Date(local).toISOString() : null;
+            const windows = Array.from(document.querySelectorAll(\`#\${prefix}Windows .window-row\`)).map(row => row.dataset.weekly === 'true' ? {
+                days: Array.from(row.querySelectorAll('.window-day:checked')).map(box => Number(box.value)),
+                start: row.querySelector('.window-start').value.trim(),
+                end: row.querySelector('.window-end').value.trim()
+            } : {
+                from: toIso(row.querySelector('.window-from').value),
+                to: toIso(row.querySelector('.window-to').value)
+            });
+            
+            return {
+                maxClicks: value('MaxClicks') ? Number(value('MaxClicks')) : null,
+                limitAction: value('LimitAction'),
+                limitMessage: value('LimitMessage'),
+                activeFrom: toIso(value('ActiveFrom')),
+                schedule: windows.length ? { timezone: value('Timezone') || 'UTC', windows } : null
+            };
+        }
+        
+        // "B.e/Ç.a 09:00–18:00; 01.05.2026 – ..." summary of a schedule
+        function describeSchedule(schedule) {
+            const date = value => value ? new Date(value).toLocaleString('az-AZ') : '...';
+            return schedule.windows.map(window => window.days && window.days.length ?
+                window.days.map(day => WEEKDAY_LABELS[day - 1]).join('/') + ' ' + window.start + '–' + window.end :
+                date(window.from) + ' – ' + date(window.to)
+            ).join('; ') + ' (' + schedule.timezone + ')';
+        }
+        
+        // Local "YYYY-MM-DDTHH:mm" for datetime-local inputs
+        function toLocalInput(date) {
+            const d = new Date(date);
+            d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+            return d.toISOString().slice(0, 16);
+        }
+        
+        async function openEditModal(code) {
+            editingLink = allLinks.find(link => link.shortCode === code);
+            if (!editingLink) return;
+            
+            document.getElementById('editFullUrl').value = editingLink.fullUrl;
+            document.getElementById('editShortCode').value = editingLink.shortCode;
+            document.getElementById('editExpiresAt').value = editingLink.expiresAt ? toLocalInput(editingLink.expiresAt) : '';
+            document.getElementById('editFallbackUrl').value = editingLink.fallbackUrl || '';
+            document.getElementById('editLimits').innerHTML = limitsHtml('edit');
+            fillLimits('edit', editingLink);
+            document.getElementById('editIsActive').checked = !!editingLink.isActive;
+            document.getElementById('editForwardQuery').checked = !!editingLink.forwardQuery;
+            document.getElementById('editPreview').checked = !!editingLink.preview;
+            document.getElementById('editRedirectType').value = String(editingLink.redirectType || 302);
+            document.getElementById('editTags').value = (editingLink.tags || []).join(', ');
+            document.getElementById('editFolder').value = editingLink.folder || '';
+            document.getElementById('editRules').innerHTML = (editingLink.rules || []).map(ruleRowHtml).join('');
+            document.getElementById('editVariants').innerHTML = (editingLink.variants || []).map(variantRowHtml).join('');
+            document.getElementById('editModal').style.display = 'flex';
+            
+            loadRevisions(code);
+        }
+        
+        async function loadRevisions(code) {
+            const revisionsDiv = document.getElementById('editRevisions');
+            revisionsDiv.innerHTML = 'Yüklənir...';
+            
+            try {
+                const response = await apiFetch(\`/api/links/\${code}/revisions\`);
+                const data = await response.json();
+                
+                if (!data.success || data.revisions.length === 0) {
+                    revisionsDiv.innerHTML = 'Hələ dəyişiklik yoxdur';
+                    return;
+                }
+                
+                revisionsDiv.innerHTML = data.revisions.map(revision => \`
+                    <div style="padding: 0.5rem 0; border-bottom: 1px solid #e2e8f0;">
+                        <strong>\${new Date(revision.at).toLocaleString('az-AZ')}</strong>
+                        \${revision.via === 'apiKey' ? '<span class="badge badge-warning">API</span>' : ''}
+                        \${Object.entries(revision.changes).map(([field, change]) => \`
+                            <div>\${REVISION_FIELDS[field] || field}: 
+                                \${escapeHtml(formatRevisionValue(field, change.from))} → \${escapeHtml(formatRevisionValue(field, change.to))}
+                            </div>
+                        \`).join('')}
+                    </div>
+                \`).join('');
+            } catch (error) {
+                revisionsDiv.innerHTML = '';
+            }
+        }
+        
+        // Redirect rule builder (create form and edit modal): conditions + destination per row
+        const RULE_FIELDS = [
+            { key: 'countries', placeholder: 'Ölkə: AZ, TR' },
+            { key: 'devices', placeholder: 'Cihaz: Mobile', list: 'ruleDeviceOptions' },
+            { key: 'os', placeholder: 'ƏS: iOS, Android', list: 'ruleOsOptions' },
+            { key: 'languages', placeholder: 'Dil: az, ru' }
+        ];
+        
+        function ruleRowHtml(rule = {}) {
+            const conditions = rule.conditions || {};
+            return \`
+                <div class="rule-row" data-rule-id="\${escapeAttr(rule.ruleId || '')}" style="border: 1px solid #e2e8f0; border-radius: 8px; padding: 0.5rem; margin-bottom: 0.5rem;">
+                    <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.5rem; margin-bottom: 0.5rem;">
+                        \${RULE_FIELDS.map(field => \`
+                            <input type="text" class="form-control rule-\${field.key}" placeholder="\${field.placeholder}" \${field.list ? \`list="\${field.list}"\` : ''}
+                                   value="\${escapeAttr((conditions[field.key] || []).join(', '))}">
+                        \`).join('')}
+                    </div>
+                    <div style="display: flex; gap: 0.5rem;">
+                        <input type="text" class="form-control rule-url" placeholder="https://apps.apple.com/..." value="\${escapeAttr(rule.url || '')}">
+                        <button class="btn btn-outline" onclick="moveRuleRow(this)" title="Yuxarı">↑</button>
+                        <button class="btn" onclick="this.closest('.rule-row').remove()" style="background: #fee2e2; color: var(--danger); border: none;">✕</button>
+                    </div>
+                </div>
+            \`;
+        }
+        
+        function addRuleRow(containerId) {
+            document.getElementById(containerId).insertAdjacentHTML('beforeend', ruleRowHtml());
+        }
+        
+        function moveRuleRow(button) {
+            const row = button.closest('.rule-row');
+            if (row.previousElementSibling) row.parentElement.insertBefore(row, row.previousElementSibling);
+        }
+        
+        function readRuleRows(containerId) {
+            return Array.from(document.querySelectorAll(\`#\${containerId} .rule-row\`))
+                .map(row => ({
+                    ruleId: row.dataset.ruleId || undefined,
+                    conditions: Object.fromEntries(RULE_FIELDS.map(field => [field.key, row.querySelector('.rule-' + field.key).value])),
+                    url: row.querySelector('.rule-url').value.trim()
+                }))
+                .filter(rule => rule.url || Object.values(rule.conditions).some(value => value.trim()));
+        }
+        
+        // A/B variant rows: destination + weight
+        function variantRowHtml(variant = {}) {
+            return \`
+                <div class="variant-row" data-variant-id="\${escapeAttr(variant.variantId || '')}" style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
+                    <input type="text" class="form-control variant-url" placeholder="https://example.com/b" value="\${escapeAttr(variant.url || '')}">
+                    <input type="number" class="form-control variant-weight" style="width: 90px;" min="1" max="1000" placeholder="Çəki" value="\${variant.weight || 50}">
+                    <button class="btn" onclick="this.parentElement.remove()" style="background: #fee2e2; color: var(--danger); border: none;">✕</button>
+                </div>
+            \`;
+        }
+        
+        function addVariantRow() {
+            const container = document.getElementById('editVariants');
+            // Starting a test: the current destination is variant A
+            if (!container.children.length) {
+                container.insertAdjacentHTML('beforeend', variantRowHtml({ url: document.getElementById('editFullUrl').value.trim() }));
+            }
+            container.insertAdjacentHTML('beforeend', variantRowHtml());
+        }
+        
+        function readVariantRows() {
+            return Array.from(document.querySelectorAll('#editVariants .variant-row'))
+                .map(row => ({
+                    variantId: row.dataset.variantId || undefined,
+                    url: row.querySelector('.variant-url').value.trim(),
+                    weight: row.querySelector('.variant-weight').value
+                }))
+                .filter(variant => variant.url);
+        }
+        
+        async function promoteVariant(code, variantId) {
+            if (!confirm('A/B test bitirilsin və bu variant əsas URL olsun?')) return;
+            
+            try {
+                const response = await apiFetch(\`/api/links/\${encodeURIComponent(code)}/variants/\${encodeURIComponent(variantId)}/promote\`, { method: 'POST' });
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error);
+                
+                showNotify('🏆 Qalib variant əsas URL oldu', 'success');
+                showLinkStats(code);
+                loadMyLinks();
+            } catch (error) {
+                showNotify('❌ ' + (error.message || 'Xəta baş verdi'), 'error');
+            }
+        }
+        
+        // "iOS · Mobile · az" style summary of a rule's conditions
+        function describeRule(conditions) {
+            return RULE_FIELDS.map(field => (conditions[field.key] || []).join('/')).filter(Boolean).join(' · ');
+        }
+        
+        function closeEditModal() {
+            document.getElementById('editModal').style.display = 'none';
+            editingLink = null;
+        }
+        
+        async function saveLinkEdit() {
+            if (!editingLink) return;
+            
+            const expiresValue = document.getElementById('editExpiresAt').value;
+            const updates = {
+                fullUrl: document.getElementById('editFullUrl').value.trim(),
+                shortCode: document.getElementById('editShortCode').value.trim(),
+                expiresAt: expiresValue ? new Date(expiresValue).toISOString() : null,
+                fallbackUrl: document.getElementById('editFallbackUrl').value.trim(),
+                ...readLimits('edit'),
+                isActive: document.getElementById('editIsActive').checked,
+                forwardQuery: document.getElementById('editForwardQuery').checked,
+                redirectType: Number(document.getElementById('editRedirectType').value),
+                preview: document.getElementById('editPreview').checked,
+                tags: document.getElementById('editTags').value,
+                folder: document.getElementById('editFolder').value,
+                rules: readRuleRows('editRules'),
+                variants: readVariantRows()
+            };
+            
+            // Unchanged expiry is not re-validated (it may already be in the past)
+            const currentExpiry = editingLink.expiresAt ? toLocalInput(editingLink.expiresAt) : '';
+            if (expiresValue === currentExpiry) delete updates.expiresAt;
+            
+            try {
+                const response = await apiFetch(\`/api/links/\${editingLink.shortCode}\`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(updates)
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    showNotify('✅ Link yeniləndi', 'success');
+                    closeEditModal();
+                    loadMyLinks();
+                    loadDashboard();
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        // Delete link
+        async function deleteLink(code) {
+            if (!confirm('Bu linki silmək istədiyinizə əminsiniz? Bütün statistikalar silinəcək.')) {
+                return;
+            }
+            
+            try {
+                const response = await apiFetch(\`/api/delete/\${code}\`, {
+                    method: 'DELETE',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ deviceId })
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    showNotify('✅ Link silindi', 'success');
+                    loadMyLinks();
+                    loadDashboard();
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                showNotify('❌ Server xətası', 'error');
+            }
+        }
+        
+        // Copy to clipboard helper
+        function copyToClipboard(text) {
+            navigator.clipboard.writeText(text).then(() => {
+                showNotify('✅ Kopyalandı!', 'success');
+            });
+        }
+        
+        // Activity range presets: span in hours and default granularity
+        const ACTIVITY_RANGES = {
+            '24h': { hours: 24, granularity: 'hour' },
+            '7d': { hours: 7 * 24, granularity: 'day' },
+            '30d': { hours: 30 * 24, granularity: 'day' },
+            '90d': { hours: 90 * 24, granularity: 'week' },
+            '12m': { hours: 365 * 24, granularity: 'month' }
+        };
+        
+        function onActivityRangeChange() {
+            const range = document.getElementById('activityRange').value;
+            const custom = range === 'custom';
+            document.getElementById('activityFrom').style.display = custom ? 'block' : 'none';
+            document.getElementById('activityTo').style.display = custom ? 'block' : 'none';
+            
+            if (custom) {
+                const today = new Date().toLocaleDateString('en-CA');
+                document.getElementById('activityTo').value ||= today;
+                document.getElementById('activityFrom').value ||=
+                    new Date(Date.now() - 30 * 24 * 3600 * 1000).toLocaleDateString('en-CA');
+            } else {
+                document.getElementById('activityGranularity').value = ACTIVITY_RANGES[range].granularity;
+            }
+            loadActivity();
+        }
+        
+        // Click series for the selected range, in the browser's time zone
+        async function loadActivity() {
+            if (!authToken) return;
+            
+            const range = document.getElementById('activityRange').value;
+            const params = new URLSearchParams({
+                granularity: document.getElementById('activityGranularity').value,
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            });
+            if (range === 'custom') {
+                params.set('from', document.getElementById('activityFrom').value);
+                params.set('to', document.getElementById('activityTo').value);
+            } else {
+                params.set('from', new Date(Date.now() - ACTIVITY_RANGES[range].hours * 3600 * 1000).toISOString());
+            }
+            const tag = document.getElementById('dashboardTag').value;
+            if (tag) params.set('tag', tag);
+            Object.entries(dashboardFilters).forEach(([name, value]) => params.set(name, value));
+            
+            try {
+                const response = await apiFetch('/api/analytics/timeseries?' + params);
+                const data = await response.json();
+                
+                if (data.success) {
+                    updateActivityChart(data.series, data.granularity);
+                } else {
+                    showNotify(data.error || 'Xəta', 'error');
+                }
+            } catch (error) {
+                console.error('Activity error:', error);
+            }
+        }
+        
+        // Bucket label ("2024-05-01T13:00", "2024-05-01", "2024-05") -> chart label
+        function formatBucket(bucket, granularity) {
+            if (granularity === 'hour') {
+                return new Date(bucket).toLocaleString('az-AZ', { day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            }
+            if (granularity === 'month') {
+                return new Date(bucket + '-01T12:00').toLocaleDateString('az-AZ', { month: 'short', year: 'numeric' });
+            }
+            const date = new Date(bucket + 'T12:00');
+            return granularity === 'week' ?
+                date.toLocaleDateString('az-AZ', { day: 'numeric', month: 'short' }) :
+                date.toLocaleDateString('az-AZ', { weekday: 'short', day: 'numeric' });
+        }
+        
+        // Update activity chart
+        function updateActivityChart(series, granularity = 'day') {
+            const ctx = document.getElementById('activityChart').getContext('2d');
+            if (activityChart) {
+                activityChart.destroy();
+            }
+            
+            const labels = series.map(point => formatBucket(point.bucket, granularity));
+            
+            activityChart = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: labels,
+                    datasets: [{
+                        label: 'Kliklər',
+                        data: series.map(point => point.clicks),
+                        borderColor: '#3b82f6',
+                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        tension: 0.4
+                    }, {
+                        label: 'Unikal',
+                        data: series.map(point => point.uniqueClicks),
+                        borderColor: '#10b981',
+                        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                        borderWidth: 2,
+                        fill: false,
+                        tension: 0.4
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: true }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: {
+                                stepSize: 1
+                            }
+                        }
+                    }
+                }
+            });
+        }
+        
+        // Update countries chart
+        function updateCountriesChart(countries) {
+            const container = document.getElementById('countriesChart');
+            document.getElementById('topCountriesCount').textContent = \`\${countries.length} ölkə\`;
+            
+            if (countries.length === 0) {
+                container.innerHTML = '<p style="text-align: center; color: #94a3b8; padding: 2rem;">Hələ məlumat yoxdur</p>';
+                return;
+            }
+            
+            let html = '';
+            countries.forEach(country => {
+                const percentage = ((country.count / country.total) * 100).toFixed(1);
+                const flag = getFlagEmoji(country.countryCode);
+                
+                html += \`
+                    <div style="margin-bottom: 0.75rem; cursor: pointer;" title="Bu ölkəyə görə süz"
+                         data-value="\${escapeAttr(country.countryCode)}" onclick="setDashboardFilter('country', this.dataset.value)">
+                        <div style="display: flex; justify-content: space-between; margin-bottom: 0.25rem;">
+                            <div style="display: flex; align-items: center; gap: 0.5rem;">
+                                <span class="flag">\${flag}</span>
+                                <span style="font-weight: 500;">\${country.country}</span>
+                            </div>
+                            <span style="font-weight: 600;">\${country.count}</span>
+                        </div>
+                        <div style="height: 6px; background: #e2e8f0; border-radius: 3px; overflow: hidden;">
+                            <div style="width: \${percentage}%; height: 100%; background: var(--primary);"></div>
+                        </div>
+                    </div>
+                \`;
+            });
+            
+            container.innerHTML = html;
+        }
+        
+        // Get flag emoji from country code
+        function getFlagEmoji(countryCode) {
+            if (!countryCode || countryCode === 'XX' || countryCode === 'LOC') return '🌍';
+            
+            const codePoints = countryCode.toUpperCase()
+                .split('')
+                .map(char => 127397 + char.charCodeAt());
+            
+            try {
+                return String.fromCodePoint(...codePoints);
+            } catch (e) {
+                return '🏳️';
+            }
+        }
+        
+        // Show notification
+        function showNotify(message, type) {
+            const container = document.createElement('div');
+            container.className = 'notification';
+            container.style.borderLeftColor = type === 'success' ? 'var(--success)' : 'var(--danger)';
+            
+            container.innerHTML = \`
+                <div style="display: flex; align-items: center; gap: 0.5rem;">
+                    <span style="font-size: 1.2rem;">\${type === 'success' ? '✅' : '❌'}</span>
+                    <span>\${message}</span>
+                </div>
+            \`;
+            
+            document.body.appendChild(container);
+            setTimeout(() => {
+                if (container.parentNode) {
+                    container.remove();
+                }
+            }, 3000);
+        }
+        
+        // Initialize
+        document.addEventListener('DOMContentLoaded', () => {
+            document.getElementById('createLimits').innerHTML = limitsHtml('create');
+            fillLimits('create');
+            
+            // Restore session
+            loadCurrentUser();
+            
+            // Show last active tab
+            const lastTab = localStorage.getItem('lastTab') || 'create';
+            showTab(lastTab);
+            
+            // Auto-focus URL input
+            if (lastTab === 'create') {
+                setTimeout(() => {
+                    const input = document.getElementById('fullUrl');
+                    if (input) input.focus();
+                }, 100);
+            }
+            
+            // Enter key support
+            document.getElementById('fullUrl').addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') createLink();
+            });
+            document.getElementById('authPassword').addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') submitAuth();
+            });
+            
+            // Read selected CSV file into the import textarea
+            document.getElementById('importFile').addEventListener('change', function() {
+                const file = this.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => {
+                    document.getElementById('importCsv').value = reader.result;
+                };
+                reader.readAsText(file);
+            });
+            
+            // Search (server-side, debounced)
+            let searchTimer;
+            document.getElementById('searchLinks').addEventListener('input', function() {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => {
+                    linkFilters.q = this.value.trim();
+                    loadMyLinks();
+                }, 300);
+            });
+            
+            // Load initial data
+            loadDashboard();
+        });
+    </script>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+</body>
+</html>`;
+
+// ===== CSV =====
+
+// RFC 4180 parser: quoted fields, escaped quotes, CRLF/LF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// Quote a CSV cell; cells that spreadsheets would run as formulas get a leading '
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' :
+        value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsvLine = values => values.map(csvCell).join(',') + '\r\n';
+
+// ===== EXPORTS =====
+
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+const EXPORT_CLICK_COLUMNS = [
+    'shortCode', 'clickId', 'timestamp', 'ip', 'country', 'countryCode', 'city', 'region', 'asn', 'asOrg',
+    'device', 'deviceVendor', 'deviceModel', 'browser', 'browserVersion', 'os', 'osVersion', 'language', 'isBot',
+    'botReason', 'ruleId', 'variantId', 'destination', 'referrer', 'referrerDomain', 'referrerCategory', 'utmSource', 'utmMedium', 'utmCampaign',
+    'utmTerm', 'utmContent', 'userAgent'
+];
+const EXPORT_LINK_COLUMNS = [
+    'shortCode', 'fullUrl', 'customAlias', 'tags', 'folder', 'isActive', 'createdAt', 'expiresAt',
+    'lastClicked', 'totalClicks', 'uniqueClicks', 'botClicks'
+];
+
+// format + from/to query params
+function parseExportQuery(query) {
+    const format = String(query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) throw new ApiError('INVALID_FORMAT');
+
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from > to)) {
+        throw new ApiError('INVALID_RANGE');
+    }
+    return { format, from, to };
+}
+
+// Stream rows as CSV, a JSON array or NDJSON, respecting backpressure
+async function streamExport(res, { format, filename, columns, rows }) {
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const write = chunk => {
+        if (res.write(chunk) || closed) return;
+        return new Promise(resolve => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    };
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (format === 'csv') await write(toCsvLine(columns));
+    if (format === 'json') await write('[');
+
+    let first = true;
+    for await (const row of rows) {
+        if (closed) break;
+        const values = columns.map(column => {
+            const value = row[column];
+            return Array.isArray(value) ? value.join(';') : value ?? null;
+        });
+
+        if (format === 'csv') {
+            await write(toCsvLine(values));
+        } else {
+            const record = JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, values[i]])));
+            await write(format === 'ndjson' ? record + '\n' : (first ? '' : ',') + record);
+        }
+        first = false;
+    }
+
+    if (format === 'json') await write(']');
+    res.end();
+}
+
+// Clicks of several links one after another
+async function* iterateLinksClicks(codes, range) {
+    for (const code of codes) {
+        yield* await storage.iterateClicks(code, range);
+    }
+}
+
+// ===== SERVICES =====
+// Shared by the legacy /api routes (used by the UI) and /api/v1.
+// Failures are thrown as ApiError and formatted by the error handler.
+
+const getBaseUrl = req => `${req.protocol}://${req.get('host')}`;
+
+// Add https:// when missing and make sure the result is a usable http(s) URL
+function normalizeUrl(fullUrl) {
+    let url = String(fullUrl).trim();
+    if (!url.startsWith('http')) {
+        url = 'https://' + url;
+    }
+
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) {
+            throw new Error('Unsupported URL');
+        }
+    } catch (e) {
+        throw new ApiError('INVALID_URL');
+    }
+    return url;
+}
+
+// Expiry from expiresIn (seconds or "forever") or an absolute expiresAt date
+function resolveExpiry(expiresIn, expiresAt) {
+    if (expiresAt) {
+        const date = new Date(expiresAt);
+        if (isNaN(date) || date <= new Date()) throw new ApiError('INVALID_EXPIRY');
+        return date;
+    }
+    if (!expiresIn || expiresIn === 'forever') return null;
+
+    const seconds = parseInt(expiresIn);
+    if (!(seconds > 0)) throw new ApiError('INVALID_EXPIRY');
+    return new Date(Date.now() + seconds * 1000);
+}
+
+// Tags from an array or a "a;b" / "a|b" string
+function parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,;|]/);
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+}
+
+// Folder name (one level, null when empty)
+function parseFolder(folder) {
+    const name = String(folder || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+    return name || null;
+}
+
+// { source, medium, campaign, term, content } with blanks dropped; null when nothing is set
+const UTM_KEYS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+function parseUtm(input) {
+    if (input === undefined || input === null || input === '') return null;
+    if (typeof input !== 'object' || Array.isArray(input)) throw new ApiError('INVALID_UTM');
+
+    const utm = {};
+    UTM_KEYS.forEach(key => {
+        const value = input[key];
+        if (value === undefined || value === null) return;
+        if (typeof value !== 'string') throw new ApiError('INVALID_UTM', { [key]: 'must be a string' });
+        if (value.trim()) utm[key] = value.trim().slice(0, 100);
+    });
+    return Object.keys(utm).length > 0 ? utm : null;
+}
+
+// Writes utm_* into the destination; values given here replace ones already in the URL
+function applyUtm(url, utm) {
+    if (!utm) return url;
+    const target = new URL(url);
+    Object.entries(utm).forEach(([key, value]) => target.searchParams.set(`utm_${key}`, value));
+    return target.toString();
+}
+
+// Preset values first, explicit fields on top
+async function resolveUtm(req, utm, presetId) {
+    const explicit = parseUtm(utm);
+    if (!presetId) return explicit;
+
+    const preset = req.auth && await storage.getUtmPreset(req.auth.userId, String(presetId));
+    if (!preset) throw new ApiError('PRESET_NOT_FOUND');
+    return { ...parseUtm(preset.utm), ...explicit };
+}
+
+// Query string of the short URL appended to the destination. Parameters the
+// destination already has are left alone; its own encoding is kept as is.
+function forwardQueryString(destination, search) {
+    if (!search) return destination;
+
+    const target = new URL(destination);
+    const own = new Set(target.searchParams.keys());
+    const extra = new URLSearchParams();
+    for (const [key, value] of new URLSearchParams(search)) {
+        if (!own.has(key)) extra.append(key, value);
+    }
+    if (!extra.toString()) return destination;
+
+    target.search = target.search ? `${target.search}&${extra}` : `?${extra}`;
+    return target.toString();
+}
+
+// Click limit: maxClicks served redirects, then limitAction (410 page, fallbackUrl or the owner's message)
+const LIMIT_ACTIONS = ['gone', 'fallback', 'page'];
+
+function parseMaxClicks(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const max = Number(value);
+    if (!Number.isInteger(max) || max < 1) throw new ApiError('INVALID_LIMIT', { maxClicks: 'positive whole number' });
+    return max;
+}
+
+function parseLimitAction(value) {
+    if (value === undefined || value === null || value === '') return 'gone';
+    if (!LIMIT_ACTIONS.includes(value)) throw new ApiError('INVALID_LIMIT', { limitAction: `one of ${LIMIT_ACTIONS.join(', ')}` });
+    return value;
+}
+
+const parseLimitMessage = value => String(value || '').trim().slice(0, 500) || null;
+
+// Activation: activeFrom, plus windows that are either weekly ({ days: 1 = Monday .. 7, start, end }
+// in the schedule's time zone; end before start runs past midnight) or absolute ({ from, to })
+const MAX_WINDOWS = 20;
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function parseActiveFrom(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date)) throw new ApiError('INVALID_SCHEDULE', { activeFrom: 'date-time' });
+    return date;
+}
+
+function parseSchedule(input) {
+    if (!input) return null;
+    if (typeof input !== 'object' || !Array.isArray(input.windows) || input.windows.length > MAX_WINDOWS) {
+        throw new ApiError('INVALID_SCHEDULE', { maxWindows: MAX_WINDOWS });
+    }
+    if (input.windows.length === 0) return null;
+
+    const timezone = String(input.timezone || 'UTC');
+    try {
+        zonedParts(new Date(), timezone);
+    } catch (error) {
+        throw new ApiError('INVALID_TIMEZONE');
+    }
+
+    const windows = input.windows.map((window, index) => {
+        if (!window || typeof window !== 'object') throw new ApiError('INVALID_SCHEDULE', { window: index });
+
+        // Both kinds keep every field so stored and parsed schedules compare equal
+        if (window.from || window.to) {
+            const from = window.from ? new Date(window.from) : null;
+            const to = window.to ? new Date(window.to) : null;
+            if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && to <= from)) {
+                throw new ApiError('INVALID_SCHEDULE', { window: index, range: 'from must be before to' });
+            }
+            return { from, to, days: [], start: null, end: null };
+        }
+
+        const days = [...new Set((Array.isArray(window.days) ? window.days : [1, 2, 3, 4, 5, 6, 7]).map(Number))].sort((a, b) => a - b);
+        if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+            throw new ApiError('INVALID_SCHEDULE', { window: index, days: '1 (Monday) - 7 (Sunday)' });
+        }
+        const start = String(window.start || '');
+        const end = String(window.end || '');
+        if (!CLOCK_TIME.test(start) || !(CLOCK_TIME.test(end) || end === '24:00') || start === end) {
+            throw new ApiError('INVALID_SCHEDULE', { window: index, time: 'start and end as HH:MM' });
+        }
+        return { from: null, to: null, days, start, end };
+    });
+    return { timezone, windows };
+}
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+const clockMinutes = time => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3));
+
+function inWindow(window, now, timezone) {
+    if (window.from || window.to) {
+        return (!window.from || now >= new Date(window.from)) && (!window.to || now < new Date(window.to));
+    }
+
+    const parts = zonedParts(now, timezone);
+    const weekday = WEEKDAYS[parts.weekday];
+    const minutes = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+    const start = clockMinutes(window.start);
+    const end = clockMinutes(window.end);
+    if (start < end) return window.days.includes(weekday) && minutes >= start && minutes < end;
+
+    // Past midnight (22:00-02:00): the early hours belong to the previous day's window
+    const previousDay = weekday === 1 ? 7 : weekday - 1;
+    return (window.days.includes(weekday) && minutes >= start) || (window.days.includes(previousDay) && minutes < end);
+}
+
+// 'notStarted' | 'closed' while the link's schedule keeps it off, else null
+function scheduleState(link, now = new Date()) {
+    if (link.activeFrom && now < new Date(link.activeFrom)) return 'notStarted';
+    const windows = link.schedule?.windows || [];
+    if (windows.length && !windows.some(window => inWindow(window, now, link.schedule.timezone || 'UTC'))) return 'closed';
+    return null;
+}
+
+// HTTP status used for the redirect; 301/308 may be cached by browsers, so repeat visits skip the short link
+const REDIRECT_TYPES = [301, 302, 307, 308];
+
+function parseRedirectType(value) {
+    if (value === undefined || value === null || value === '') return 302;
+    const status = Number(value);
+    if (!REDIRECT_TYPES.includes(status)) throw new ApiError('VALIDATION_FAILED', { redirectType: `one of ${REDIRECT_TYPES.join(', ')}` });
+    return status;
+}
+
+// Redirect rules: [{ ruleId, conditions: { countries, devices, os, languages }, url }], checked in order.
+// A rule matches when every condition it sets matches; empty conditions match anyone.
+const MAX_RULES = 20;
+const RULE_DEVICES = ['Desktop', ...Object.values(DEVICE_TYPES)];
+const RULE_OS_NAMES = ['iOS', 'Android', 'Windows', 'macOS', 'Linux', 'ChromeOS'];
+const canonicalName = (names, value) => names.find(name => name.toLowerCase() === value.toLowerCase()) || value;
+
+const RULE_CONDITIONS = {
+    countries: { normalize: value => value.toUpperCase(), valid: value => /^[A-Z]{2}$/.test(value), hint: 'two-letter country codes' },
+    devices: {
+        normalize: value => canonicalName(RULE_DEVICES, value),
+        valid: value => RULE_DEVICES.includes(value),
+        hint: `one of ${RULE_DEVICES.join(', ')}`
+    },
+    os: { normalize: value => canonicalName(RULE_OS_NAMES, value), valid: value => value.length <= 40, hint: 'OS names as reported in stats (iOS, Android, Windows, ...)' },
+    languages: { normalize: value => value.toLowerCase(), valid: value => /^[a-z]{2,3}$/.test(value), hint: 'language codes (az, en, ...)' }
+};
+
+function parseRules(input) {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input) || input.length > MAX_RULES) throw new ApiError('INVALID_RULES', { maxRules: MAX_RULES });
+
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(/[,;]+/))
+        .map(item => String(item).trim()).filter(Boolean);
+
+    return input.map((rule, index) => {
+        if (!rule || typeof rule !== 'object') throw new ApiError('INVALID_RULES', { rule: index });
+
+        const conditions = {};
+        for (const [key, { normalize, valid, hint }] of Object.entries(RULE_CONDITIONS)) {
+            const values = [...new Set(list(rule.conditions?.[key]).map(normalize))];
+            if (values.some(value => !valid(value))) throw new ApiError('INVALID_RULES', { rule: index, [key]: hint });
+            conditions[key] = values;
+        }
+        if (Object.values(conditions).every(values => values.length === 0)) {
+            throw new ApiError('INVALID_RULES', { rule: index, conditions: 'at least one condition required' });
+        }
+        if (!rule.url) throw new ApiError('INVALID_RULES', { rule: index, url: 'required' });
+
+        return {
+            ruleId: typeof rule.ruleId === 'string' && rule.ruleId ? rule.ruleId : uuidv4().slice(0, 8),
+            conditions,
+            url: normalizeUrl(rule.url)
+        };
+    });
+}
+
+// A/B variants: [{ variantId, url, weight }]; an empty list ends the test
+const MAX_VARIANTS = 10;
+
+function parseVariants(input) {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input) || input.length === 1 || input.length > MAX_VARIANTS) {
+        throw new ApiError('INVALID_VARIANTS', { variants: `0 or 2-${MAX_VARIANTS} destinations` });
+    }
+
+    return input.map((variant, index) => {
+        if (!variant || typeof variant !== 'object' || !variant.url) throw new ApiError('INVALID_VARIANTS', { variant: index, url: 'required' });
+        const weight = variant.weight === undefined || variant.weight === '' ? 1 : Number(variant.weight);
+        if (!Number.isInteger(weight) || weight < 1 || weight > 1000) {
+            throw new ApiError('INVALID_VARIANTS', { variant: index, weight: 'whole number 1-1000' });
+        }
+
+        return {
+            variantId: typeof variant.variantId === 'string' && variant.variantId ? variant.variantId : uuidv4().slice(0, 8),
+            url: normalizeUrl(variant.url),
+            weight
+        };
+    });
+}
+
+// Weighted pick from a hash of the visitor key, so a visitor keeps their variant while the weights stay the same
+function pickVariant(variants, visitorKey) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = crypto.createHash('sha1').update(visitorKey).digest().readUInt32BE(0) % total;
+    return variants.find(variant => (point -= variant.weight) < 0);
+}
+
+// Does the visitor ({ countries, devices, os, languages } -> single value each) satisfy a rule?
+function ruleMatches(rule, visitor) {
+    return Object.keys(RULE_CONDITIONS).every(key => {
+        const values = rule.conditions?.[key] || [];
+        if (values.length === 0) return true;
+        const actual = String(visitor[key] || '').toLowerCase();
+        return values.some(value => value.toLowerCase() === actual);
+    });
+}
+
+// ?tag=, ?folder= and ?q= (text search) for link lists and aggregates
+function parseLinkFilters(query) {
+    const text = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+    return {
+        tag: text(query.tag)?.toLowerCase() || null,
+        folder: parseFolder(query.folder),
+        q: text(query.q)?.toLowerCase() || null
+    };
+}
+
+function matchesLinkFilters(link, { tag, folder, q } = {}) {
+    if (tag && !(link.tags || []).includes(tag)) return false;
+    if (folder && link.folder !== folder) return false;
+    if (q) {
+        const haystack = [link.shortCode, link.fullUrl, link.folder, ...(link.tags || [])];
+        if (!haystack.some(value => value && value.toLowerCase().includes(q))) return false;
+    }
+    return true;
+}
+
+// Tag and folder names with link counts, for browsing
+function linkFacets(links) {
+    const countBy = values => Object.entries(values.reduce((counts, value) => {
+        counts[value] = (counts[value] || 0) + 1;
+        return counts;
+    }, {}))
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+        tags: countBy(links.flatMap(link => link.tags || [])),
+        folders: countBy(links.map(link => link.folder).filter(Boolean))
+    };
+}
+
+// Create a short link for the caller
+async function createLink(req, input) {
+    const { fullUrl, userId, deviceId, expiresIn, expiresAt, customAlias, password, tags, folder, utm, utmPreset, forwardQuery, redirectType, preview, fallbackUrl, rules, variants,
+        maxClicks, limitAction, limitMessage, activeFrom, schedule } = input;
+
+    if (!fullUrl) {
+        throw new ApiError('URL_REQUIRED');
+    }
+
+    // Format URL
+    const url = applyUtm(normalizeUrl(fullUrl), await resolveUtm(req, utm, utmPreset));
+    if (forwardQuery !== undefined && typeof forwardQuery !== 'boolean') {
+        throw new ApiError('VALIDATION_FAILED', { forwardQuery: 'must be a boolean' });
+    }
+    if (preview !== undefined && typeof preview !== 'boolean') {
+        throw new ApiError('VALIDATION_FAILED', { preview: 'must be a boolean' });
+    }
+    if (limitAction === 'fallback' && !fallbackUrl) {
+        throw new ApiError('INVALID_LIMIT', { fallbackUrl: 'required when limitAction is fallback' });
+    }
+
+    // Generate short code
+    let shortCode;
+    if (customAlias && String(customAlias).trim()) {
+        shortCode = toShortCode(customAlias);
+        if (shortCode.length < 2) {
+            throw new ApiError('ALIAS_TOO_SHORT');
+        }
+    } else {
+        shortCode = shortid.generate().substring(0, 8);
+    }
+
+    // Check if exists (again on insert: a concurrent request may take the code while we hash)
+    if (await isCodeTaken(shortCode)) {
+        throw new ApiError('ALIAS_TAKEN');
+    }
+
+    // Owner: the account when logged in, otherwise the browser's anonymous userId
+    // (claimable later). Anonymous callers can't assign links to an account.
+    let ownerId = req.auth ? req.auth.userId : userId;
+    if (!req.auth && ownerId && (await storage.getUser(ownerId))?.email) {
+        ownerId = null;
+    }
+
+    // Register user/device
+    if (ownerId) {
+        await storage.getOrCreateUser(ownerId, deviceId, req.headers['user-agent']);
+    }
+
+    // Create link
+    const link = {
+        linkId: uuidv4(),
+        shortCode,
+        fullUrl: url,
+        userId: ownerId,
+        customAlias,
+        password: password ? await hashPassword(String(password)) : null,
+        tags: parseTags(tags),
+        folder: parseFolder(folder),
+        forwardQuery: forwardQuery === true,
+        fallbackUrl: fallbackUrl ? normalizeUrl(fallbackUrl) : null,
+        maxClicks: parseMaxClicks(maxClicks),
+        servedClicks: 0,
+        limitAction: parseLimitAction(limitAction),
+        limitMessage: parseLimitMessage(limitMessage),
+        activeFrom: parseActiveFrom(activeFrom),
+        schedule: parseSchedule(schedule),
+        redirectType: parseRedirectType(redirectType),
+        preview: preview === true,
+        rules: parseRules(rules),
+        variants: parseVariants(variants),
+        totalClicks: 0,
+        uniqueClicks: 0,
+        clicks: [],
+        isActive: true,
+        createdAt: new Date(),
+        expiresAt: resolveExpiry(expiresIn, expiresAt)
+    };
+
+    if (!(await storage.addLink(link))) {
+        throw new ApiError('ALIAS_TAKEN');
+    }
+
+    // Generate QR code async
+    const shortUrl = `${getBaseUrl(req)}/${shortCode}`;
+    setTimeout(async () => {
+        try {
+            const qrCode = await QRCode.toDataURL(shortUrl);
+            await storage.updateLink(shortCode, { qrCode });
+        } catch (error) {
+            console.log('QR generation failed');
+        }
+    }, 0);
+
+    return link;
+}
+
+// Link as shown in link lists
+function summarizeLink(link) {
+    return {
+        shortCode: link.shortCode,
+        fullUrl: link.fullUrl,
+        customAlias: link.customAlias,
+        totalClicks: link.totalClicks || 0,
+        uniqueClicks: link.uniqueClicks || 0,
+        botClicks: link.botClicks || 0,
+        isActive: link.isActive,
+        createdAt: link.createdAt,
+        expiresAt: link.expiresAt,
+        qrCode: link.qrCode,
+        lastClicked: link.lastClicked,
+        hasPassword: !!link.password,
+        tags: link.tags || [],
+        folder: link.folder || null,
+        forwardQuery: !!link.forwardQuery,
+        fallbackUrl: link.fallbackUrl || null,
+        maxClicks: link.maxClicks || null,
+        servedClicks: link.servedClicks || 0,
+        limitAction: link.limitAction || 'gone',
+        limitMessage: link.limitMessage || null,
+        activeFrom: link.activeFrom || null,
+        schedule: link.schedule || null,
+        redirectType: link.redirectType || 302,
+        preview: !!link.preview,
+        rules: link.rules || [],
+        variants: link.variants || [],
+        statsShared: !!link.publicStats
+    };
+}
+
+// Newest first, narrowed by filters; facets always cover all of the user's links
+async function listUserLinks(userId, filters) {
+    const links = await storage.getUserLinks(userId);
+    return {
+        links: links
+            .filter(link => matchesLinkFilters(link, filters))
+            .map(summarizeLink)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+        facets: linkFacets(links)
+    };
+}
+
+// Codes in use: short codes and the old codes renamed links keep redirecting from
+// (renaming may take back an old code of the same link)
+async function isCodeTaken(code, renaming = null) {
+    if (await storage.getLink(code)) return true;
+    const renamed = await storage.getLinkByPreviousCode(code);
+    return !!renamed && (!renaming || renamed.linkId !== renaming.linkId);
+}
+
+// Link owned by the caller (not found otherwise)
+async function getOwnedLink(userId, code) {
+    const link = await storage.getLink(code);
+    if (!link || link.userId !== userId) {
+        throw new ApiError('LINK_NOT_FOUND');
+    }
+    return link;
+}
+
+// Dashboard aggregates across the user's links
+async function buildDashboard(userId, filters, clickFilters = {}) {
+    const allLinks = await storage.getUserLinks(userId);
+    const links = allLinks.filter(link => matchesLinkFilters(link, filters));
+    // Human clicks per country/device/OS/browser/language from the rollups, not from raw clicks
+    const slices = (await storage.getDimensionTotals(links.map(link => link.shortCode)))
+        .filter(slice => slice.clicks > 0 && matchesClickFilters(slice, clickFilters));
+    const matchingClicks = slices.reduce((sum, slice) => sum + slice.clicks, 0);
+
+    const totalClicks = links.reduce((sum, link) => sum + (link.totalClicks || 0), 0);
+    const uniqueClicks = links.reduce((sum, link) => sum + (link.uniqueClicks || 0), 0);
+
+    // Last 7 days activity (UTC days)
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const { series } = await rollupSeries(links.map(link => link.shortCode), {
+        from: new Date(today.getTime() - 6 * DAY_MS),
+        to: new Date(today.getTime() + DAY_MS),
+        granularity: 'day',
+        timezone: 'UTC'
+    }, clickFilters);
+    const last7Days = series.map(point => ({ date: point.bucket, clicks: point.clicks }));
+
+    // Country stats
+    const countryStats = {};
+    let totalClicksForCountries = 0;
+
+    slices.forEach(slice => {
+        countryStats[slice.country] = countryStats[slice.country] || { count: 0, countryCode: slice.countryCode };
+        countryStats[slice.country].count += slice.clicks;
+        totalClicksForCountries += slice.clicks;
+    });
+
+    const countries = Object.entries(countryStats)
+        .map(([country, data]) => ({
+            country,
+            countryCode: data.countryCode,
+            count: data.count,
+            total: totalClicksForCountries
+        }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10);
+
+    return {
+        overview: {
+            totalLinks: links.length,
+            activeLinks: links.filter(l => l.isActive).length,
+            totalClicks,
+            uniqueClicks,
+            botClicks: links.reduce((sum, link) => sum + (link.botClicks || 0), 0),
+            averageClicks: links.length > 0 ? (totalClicks / links.length).toFixed(1) : 0,
+            matchingClicks
+        },
+        filters: clickFilters,
+        recentActivity: last7Days,
+        countries,
+        ...clickBreakdowns(slices, DEFAULT_BREAKDOWN_SIZE, slice => slice.clicks),
+        facets: linkFacets(allLinks)
+    };
+}
+
+// "1" / "true" / "yes" query flags
+const queryFlag = value => ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+// ?includeBots=&top= of the stats endpoints
+const DEFAULT_BREAKDOWN_SIZE = 10;
+const MAX_BREAKDOWN_SIZE = 50;
+
+function parseStatsQuery(query) {
+    const top = parseInt(query.top, 10);
+    return {
+        includeBots: queryFlag(query.includeBots),
+        top: top > 0 ? Math.min(top, MAX_BREAKDOWN_SIZE) : DEFAULT_BREAKDOWN_SIZE,
+        clickFilters: parseClickFilters(query)
+    };
+}
+
+// Drill-down filters: query parameter -> click field
+const CLICK_DIMENSIONS = { country: 'countryCode', device: 'device', os: 'os', browser: 'browser', language: 'language' };
+
+// ?country=AZ&device=Mobile... (only the ones given)
+function parseClickFilters(query) {
+    const filters = {};
+    Object.keys(CLICK_DIMENSIONS).forEach(name => {
+        const value = typeof query[name] === 'string' ? query[name].trim() : '';
+        if (value) filters[name] = value;
+    });
+    return filters;
+}
+
+// Case-insensitive match on every filter
+function matchesClickFilters(click, filters) {
+    return Object.entries(filters).every(([name, value]) =>
+        String(click[CLICK_DIMENSIONS[name]] || '').toLowerCase() === value.toLowerCase());
+}
+
+// Device type, OS, browser and language counts
+function clickBreakdowns(clicks, top, weightOf) {
+    return {
+        devices: topValues(clicks, 'device', top, weightOf),
+        os: topValues(clicks, 'os', top, weightOf),
+        browsers: topValues(clicks, 'browser', top, weightOf),
+        languages: topValues(clicks, 'language', top, weightOf)
+    };
+}
+
+// Top-N [{ value, count }] of a click field, empty values skipped
+// (weightOf: how many clicks an entry stands for, e.g. a rollup slice)
+function topValues(clicks, field, top, weightOf = () => 1) {
+    const counts = new Map();
+    clicks.forEach(click => {
+        const value = click[field];
+        if (value) counts.set(value, (counts.get(value) || 0) + weightOf(click));
+    });
+    return [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+        .slice(0, top);
+}
+
+// Clicks per redirect rule: current rules, then the default destination, then
+// rules that have since been removed (their clicks keep the old ruleId)
+// (ruleCounts: [{ ruleId, destination, count }] from storage.getClickBreakdowns)
+function destinationBreakdown(link, ruleCounts) {
+    const rows = [
+        ...(link.rules || []).map(rule => ({ ruleId: rule.ruleId, destination: rule.url, conditions: rule.conditions, count: 0 })),
+        { ruleId: null, destination: link.fullUrl, conditions: null, count: 0 }
+    ];
+    const byRule = new Map(rows.map(row => [row.ruleId, row]));
+
+    ruleCounts.forEach(({ ruleId, destination, count }) => {
+        if (!byRule.has(ruleId)) {
+            const row = { ruleId, destination, conditions: null, removed: true, count: 0 };
+            byRule.set(ruleId, row);
+            rows.push(row);
+        }
+        byRule.get(ruleId).count += count;
+    });
+    return rows;
+}
+
+// Clicks and unique visitors per A/B variant; ended variants stay listed while their clicks remain
+// (variantCounts: [{ variantId, destination, clicks, uniqueClicks }] from storage.getClickBreakdowns)
+function variantBreakdown(link, variantCounts) {
+    const rows = (link.variants || []).map(variant => ({ ...variant, clicks: 0, uniqueClicks: 0 }));
+    const byVariant = new Map(rows.map(row => [row.variantId, row]));
+
+    variantCounts.forEach(({ variantId, destination, clicks, uniqueClicks }) => {
+        if (!byVariant.has(variantId)) {
+            const row = { variantId, url: destination, weight: null, ended: true, clicks: 0, uniqueClicks: 0 };
+            byVariant.set(variantId, row);
+            rows.push(row);
+        }
+        const row = byVariant.get(variantId);
+        row.clicks += clicks;
+        row.uniqueClicks += uniqueClicks;
+    });
+    return rows;
+}
+
+// End the A/B test: the chosen variant becomes the link's destination (recorded as one revision)
+async function promoteVariant(req, code, variantId) {
+    const link = await getOwnedLink(req.auth.userId, code);
+    const variant = (link.variants || []).find(v => v.variantId === variantId);
+    if (!variant) throw new ApiError('VARIANT_NOT_FOUND');
+    return editLink(req, code, { fullUrl: variant.url, variants: [] });
+}
+
+// Per-link stats (bot hits left out unless includeBots)
+// Country, device, OS, browser and language counts come from the rollups' dimension slices, rule,
+// variant, referrer and UTM counts are aggregated by the storage; only the latest clicks are read.
+const RECENT_CLICKS = 20;
+
+async function buildLinkStats(link, { includeBots = false, top = DEFAULT_BREAKDOWN_SIZE, clickFilters = {} } = {}) {
+    const filter = { includeBots, clickFilters };
+    const [dimensionTotals, breakdowns, latestClicks] = await Promise.all([
+        storage.getDimensionTotals([link.shortCode]),
+        storage.getClickBreakdowns(link.shortCode, filter),
+        storage.getRecentClicks(link.shortCode, RECENT_CLICKS, filter)
+    ]);
+    const slices = dimensionTotals
+        .map(slice => ({ ...slice, count: slice.clicks + (includeBots ? slice.botClicks : 0) }))
+        .filter(slice => slice.count > 0 && matchesClickFilters(slice, clickFilters));
+    const countOf = slice => slice.count;
+
+    // Country stats
+    const countryStats = {};
+    slices.forEach(slice => {
+        countryStats[slice.country] = countryStats[slice.country] || { count: 0, countryCode: slice.countryCode };
+        countryStats[slice.country].count += slice.count;
+    });
+
+    const countries = Object.entries(countryStats)
+        .map(([country, data]) => ({
+            country,
+            countryCode: data.countryCode,
+            count: data.count
+        }))
+        .sort((a, b) => b.count - a.count);
+
+    // Referrer breakdowns (clicks recorded before categories were stored are classified here)
+    const sourced = breakdowns.referrers.map(row => row.referrerCategory ? row : { ...row, ...classifyReferrer(row.referrer, row.utmMedium) });
+    const referrerCategories = REFERRER_CATEGORIES
+        .map(category => ({
+            category,
+            count: sourced.filter(row => row.referrerCategory === category).reduce((sum, row) => sum + row.count, 0)
+        }))
+        .filter(entry => entry.count > 0);
+
+    const recentClicks = latestClicks.map(click => ({
+            country: click.country,
+            countryCode: click.countryCode,
+            city: click.city,
+            region: click.region,
+            device: click.device,
+            browser: click.browser,
+            referrerDomain: click.referrerDomain || null,
+            utmSource: click.utmSource || null,
+            ruleId: click.ruleId || null,
+            variantId: click.variantId || null,
+            isBot: !!click.isBot,
+            timestamp: click.timestamp
+        }));
+
+    return {
+        link: {
+            shortCode: link.shortCode,
+            fullUrl: link.fullUrl,
+            createdAt: link.createdAt,
+            totalClicks: link.totalClicks || 0,
+            uniqueClicks: link.uniqueClicks || 0,
+            botClicks: link.botClicks || 0,
+            lastClicked: link.lastClicked
+        },
+        stats: {
+            includeBots,
+            filters: clickFilters,
+            totalClicks: slices.reduce((sum, slice) => sum + slice.count, 0),
+            uniqueClicks: slices.reduce((sum, slice) => sum + slice.uniqueClicks, 0), // first visits (IP + device)
+            botClicks: link.botClicks || 0,
+            countries,
+            destinations: destinationBreakdown(link, breakdowns.rules),
+            variants: variantBreakdown(link, breakdowns.variants),
+            ...clickBreakdowns(slices, top, countOf),
+            referrers: topValues(sourced, 'referrerDomain', top, countOf),
+            referrerCategories,
+            utm: {
+                source: topValues(breakdowns.utm.utm_source, 'value', top, countOf),
+                medium: topValues(breakdowns.utm.utm_medium, 'value', top, countOf),
+                campaign: topValues(breakdowns.utm.utm_campaign, 'value', top, countOf),
+                term: topValues(breakdowns.utm.utm_term, 'value', top, countOf),
+                content: topValues(breakdowns.utm.utm_content, 'value', top, countOf)
+            },
+            recentClicks
+        }
+    };
+}
+
+// Traffic to the caller's dead links, per code and reason, plus the latest hits.
+// Hits on codes of deleted links are only counted, so they show up as rows but not in recent.
+const DEAD_HITS_LIMIT = 1000;
+
+async function deadLinkTraffic(userId) {
+    const [hits, unknownCodes] = await Promise.all([
+        storage.getDeadHits(userId, DEAD_HITS_LIMIT),
+        storage.getUnknownHits(userId, DEAD_HITS_LIMIT)
+    ]);
+    const rows = new Map();
+    hits.forEach(hit => {
+        const key = `${hit.shortCode}|${hit.reason}`;
+        if (!rows.has(key)) {
+            rows.set(key, { shortCode: hit.shortCode, reason: hit.reason, hits: 0, botHits: 0, fallbackHits: 0, lastHit: hit.timestamp });
+        }
+        const row = rows.get(key);
+        row.hits++;
+        if (hit.isBot) row.botHits++;
+        if (hit.fallbackUrl) row.fallbackHits++;
+    });
+    unknownCodes.forEach(({ shortCode, hits, botHits, lastHit }) => {
+        rows.set(`${shortCode}|unknown`, { shortCode, reason: 'unknown', hits, botHits, fallbackHits: 0, lastHit });
+    });
+
+    return {
+        links: [...rows.values()].sort((a, b) => b.hits - a.hits),
+        recent: hits.slice(0, 20).map(hit => ({
+            shortCode: hit.shortCode,
+            reason: hit.reason,
+            fallbackUrl: hit.fallbackUrl || null,
+            referrerDomain: hit.referrerDomain || null,
+            isBot: !!hit.isBot,
+            timestamp: hit.timestamp
+        }))
+    };
+}
+
+// ===== Time series =====
+// Summed from hourly rollups and bucketed in the caller's time zone. Zones with a
+// non-whole-hour offset get bucket edges rounded to the UTC hour.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const DEFAULT_SPANS = { hour: DAY_MS, day: 7 * DAY_MS, week: 12 * 7 * DAY_MS, month: 365 * DAY_MS };
+const MAX_SERIES_POINTS = 1000;
+const MAX_SERIES_SPAN = 5 * 366 * DAY_MS;
+
+const zoneFormatters = new Map();
+
+// { year, month, day, hour, minute, weekday } of an instant in a time zone
+function zonedParts(date, timezone) {
+    if (!zoneFormatters.has(timezone)) {
+        zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+        }));
+    }
+    const parts = {};
+    zoneFormatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return parts;
+}
+
+// Midnight of a YYYY-MM-DD date in a time zone, as an instant
+function zonedMidnight(dateStr, timezone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day);
+    const offsetAt = time => {
+        const p = zonedParts(new Date(time), timezone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour) - Math.floor(time / HOUR_MS) * HOUR_MS;
+    };
+    const first = guess - offsetAt(guess);
+    return new Date(guess - offsetAt(first));
+}
+
+function bucketKey(date, granularity, timezone) {
+    const { year, month, day, hour } = zonedParts(date, timezone);
+    if (granularity === 'hour') return `${year}-${month}-${day}T${hour}:00`;
+    if (granularity === 'month') return `${year}-${month}`;
+    if (granularity === 'week') {
+        // Weeks start on Monday
+        const local = new Date(Date.UTC(year, month - 1, day));
+        local.setUTCDate(local.getUTCDate() - ((local.getUTCDay() + 6) % 7));
+        return local.toISOString().slice(0, 10);
+    }
+    return `${year}-${month}-${day}`;
+}
+
+// from/to/granularity/timezone query -> validated options (date-only from/to are local days, to inclusive)
+function parseSeriesQuery(query) {
+    const granularity = String(query.granularity || 'day').toLowerCase();
+    if (!GRANULARITIES.includes(granularity)) throw new ApiError('INVALID_GRANULARITY');
+
+    const timezone = String(query.timezone || query.tz || 'UTC');
+    try {
+        zonedParts(new Date(), timezone);
+    } catch (error) {
+        throw new ApiError('INVALID_TIMEZONE');
+    }
+
+    const toDate = (value, endOfDay) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(value);
+        if (!endOfDay) return zonedMidnight(value, timezone);
+        const [year, month, day] = value.split('-').map(Number);
+        return zonedMidnight(new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10), timezone);
+    };
+    const to = query.to ? toDate(String(query.to), true) : new Date();
+    const from = query.from ? toDate(String(query.from), false) : new Date(to.getTime() - DEFAULT_SPANS[granularity]);
+    if (isNaN(from) || isNaN(to) || from >= to) throw new ApiError('INVALID_RANGE');
+    if (to - from > MAX_SERIES_SPAN) throw new ApiError('RANGE_TOO_LARGE', { maxPoints: MAX_SERIES_POINTS });
+
+    return { from, to, granularity, timezone };
+}
+
+// Counters of an hourly rollup's dimension slices that match the click filters
+// (a slice's uniqueClicks are first visits, so filtered uniques stay first visits too)
+function filterRollup(rollup, clickFilters) {
+    const counts = { hour: rollup.hour, clicks: 0, uniqueClicks: 0, botClicks: 0 };
+    Object.values(rollup.dimensions || {}).forEach(slice => {
+        if (!matchesClickFilters(slice, clickFilters)) return;
+        ROLLUP_COUNTS.forEach(field => {
+            counts[field] += slice[field];
+        });
+    });
+    return counts;
+}
+
+// Click / unique / bot series for the given links, zero-filled
+
+async function rollupSeries(codes, { from, to, granularity, timezone }, clickFilters = {}) {
+    const buckets = [];
+    const bucketOfHour = new Map();
+    for (let time = startOfHour(from).getTime(); time < to.getTime(); time += HOUR_MS) {
+        const key = bucketKey(new Date(time), granularity, timezone);
+        if (buckets.length === 0 || buckets[buckets.length - 1].bucket !== key) {
+            if (buckets.length === MAX_SERIES_POINTS) throw new ApiError('RANGE_TOO_LARGE', { maxPoints: MAX_SERIES_POINTS });
+            buckets.push({ bucket: key, start: new Date(Math.max(time, from.getTime())), clicks: 0, uniqueClicks: 0, botClicks: 0 });
+        }
+        bucketOfHour.set(time, buckets[buckets.length - 1]);
+    }
+
+    const totals = { clicks: 0, uniqueClicks: 0, botClicks: 0 };
+    let rollups = [];
+    if (codes.length > 0) {
+        const filtered = Object.keys(clickFilters).length > 0;
+        rollups = await storage.getRollups(codes, { from: startOfHour(from), to }, { dimensions: filtered });
+        if (filtered) rollups = rollups.map(rollup => filterRollup(rollup, clickFilters));
+    }
+    rollups.forEach(rollup => {
+        const point = bucketOfHour.get(new Date(rollup.hour).getTime());
+        if (!point) return;
+        Object.keys(totals).forEach(field => {
+            point[field] += rollup[field] || 0;
+            totals[field] += rollup[field] || 0;
+        });
+    });
+
+    return { totals, series: buckets };
+}
+
+// One link (?code=) or all of the user's links, optionally narrowed by tag/folder
+// and by click filters (summed from the rollups' dimension slices)
+async function buildTimeSeries(userId, query) {
+    const options = parseSeriesQuery(query);
+    const clickFilters = parseClickFilters(query);
+    const codes = query.code ?
+        [(await getOwnedLink(userId, String(query.code))).shortCode] :
+        (await storage.getUserLinks(userId))
+            .filter(link => matchesLinkFilters(link, parseLinkFilters(query)))
+            .map(link => link.shortCode);
+
+    return {
+        shortCode: query.code ? codes[0] : null,
+        ...options,
+        filters: clickFilters,
+        ...(await rollupSeries(codes, options, clickFilters))
+    };
+}
+
+// Sanitized short code / alias
+const toShortCode = value => String(value).trim().toLowerCase().replace(/[^a-z0-9-_]/g, '');
+
+const sameValue = (a, b) => {
+    if (a instanceof Date || b instanceof Date) {
+        return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return JSON.stringify(a || []) === JSON.stringify(b || []);
+    }
+    if (typeof a === 'object' || typeof b === 'object') {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+    return (a ?? null) === (b ?? null);
+};
+
+// Edit destination, rules, expiry, active flag, tags, folder and/or short code; every change is recorded as a revision
+async function editLink(req, code, input) {
+    const link = await getOwnedLink(req.auth.userId, code);
+    const updates = {};
+
+    if (input.fullUrl !== undefined) {
+        if (!input.fullUrl) throw new ApiError('URL_REQUIRED');
+        updates.fullUrl = normalizeUrl(input.fullUrl);
+    }
+    if (input.expiresAt !== undefined || input.expiresIn !== undefined) {
+        updates.expiresAt = resolveExpiry(input.expiresIn, input.expiresAt);
+    }
+    if (input.isActive !== undefined) {
+        if (typeof input.isActive !== 'boolean') {
+            throw new ApiError('VALIDATION_FAILED', { isActive: 'must be a boolean' });
+        }
+        updates.isActive = input.isActive;
+    }
+    if (input.forwardQuery !== undefined) {
+        if (typeof input.forwardQuery !== 'boolean') {
+            throw new ApiError('VALIDATION_FAILED', { forwardQuery: 'must be a boolean' });
+        }
+        updates.forwardQuery = input.forwardQuery;
+    }
+    if (input.fallbackUrl !== undefined) updates.fallbackUrl = input.fallbackUrl ? normalizeUrl(input.fallbackUrl) : null;
+    if (input.maxClicks !== undefined) updates.maxClicks = parseMaxClicks(input.maxClicks);
+    if (input.limitAction !== undefined) updates.limitAction = parseLimitAction(input.limitAction);
+    if (input.limitMessage !== undefined) updates.limitMessage = parseLimitMessage(input.limitMessage);
+    if (input.activeFrom !== undefined) updates.activeFrom = parseActiveFrom(input.activeFrom);
+    if (input.schedule !== undefined) updates.schedule = parseSchedule(input.schedule);
+    const after = { ...link, ...updates };
+    if (after.limitAction === 'fallback' && !after.fallbackUrl) {
+        throw new ApiError('INVALID_LIMIT', { fallbackUrl: 'required when limitAction is fallback' });
+    }
+    if (input.redirectType !== undefined) updates.redirectType = parseRedirectType(input.redirectType);
+    if (input.preview !== undefined) {
+        if (typeof input.preview !== 'boolean') {
+            throw new ApiError('VALIDATION_FAILED', { preview: 'must be a boolean' });
+        }
+        updates.preview = input.preview;
+    }
+    if (input.tags !== undefined) updates.tags = parseTags(input.tags);
+    if (input.folder !== undefined) updates.folder = parseFolder(input.folder);
+    if (input.rules !== undefined) updates.rules = parseRules(input.rules);
+    if (input.variants !== undefined) updates.variants = parseVariants(input.variants);
+
+    // Switched off by its expiry and given a later (or no) expiry: back on, unless isActive is changed too
+    const extended = updates.expiresAt !== undefined && (!updates.expiresAt || updates.expiresAt > new Date());
+    if (link.deactivatedByExpiry && !link.isActive && extended && (updates.isActive ?? link.isActive) === link.isActive) {
+        updates.isActive = true;
+    }
+
+    let newCode = null;
+    if (input.shortCode !== undefined && input.shortCode !== link.shortCode) {
+        newCode = toShortCode(input.shortCode || '');
+        if (newCode.length < 2) throw new ApiError('ALIAS_TOO_SHORT');
+        if (newCode === link.shortCode) newCode = null;
+        else if (await isCodeTaken(newCode, link)) throw new ApiError('ALIAS_TAKEN');
+    }
+
+    // Only keep real changes
+    const changes = {};
+    Object.entries(updates).forEach(([field, value]) => {
+        if (!sameValue(link[field], value)) changes[field] = { from: link[field] ?? null, to: value };
+    });
+    if (newCode) changes.shortCode = { from: link.shortCode, to: newCode };
+
+    if (Object.keys(changes).length === 0) return link;
+
+    const fieldUpdates = Object.fromEntries(Object.entries(changes)
+        .filter(([field]) => field !== 'shortCode')
+        .map(([field, change]) => [field, change.to]));
+    if (changes.isActive && link.deactivatedByExpiry) fieldUpdates.deactivatedByExpiry = false;
+
+    // Rename first: when it loses a race for the code, nothing else has been saved yet
+    let currentCode = link.shortCode;
+    if (newCode) {
+        if (!(await storage.renameLink(currentCode, newCode))) throw new ApiError('ALIAS_TAKEN');
+        currentCode = newCode;
+        fieldUpdates.customAlias = newCode;
+    }
+    await storage.updateLink(currentCode, fieldUpdates);
+
+    if (newCode) {
+        // QR code points at the old URL
+        QRCode.toDataURL(`${getBaseUrl(req)}/${newCode}`)
+            .then(qrCode => storage.updateLink(newCode, { qrCode }))
+            .catch(() => console.log('QR generation failed'));
+    }
+
+    await storage.addLinkRevision(currentCode, {
+        revisionId: uuidv4(),
+        at: new Date(),
+        by: req.auth.userId,
+        via: req.auth.type,
+        changes
+    });
+
+    return storage.getLink(currentCode);
+}
+
+// ===== Public stats pages =====
+// Private by default; the owner can publish chosen sections at /s/:token and revoke it.
+
+const SHARE_SECTIONS = ['overview', 'destination', 'activity', 'countries', 'devices', 'referrers', 'utm', 'recentClicks'];
+const DEFAULT_SHARE_SECTIONS = ['overview', 'activity', 'countries'];
+
+function parseShareSections(sections) {
+    if (sections === undefined) return DEFAULT_SHARE_SECTIONS;
+    if (!Array.isArray(sections) || sections.length === 0 || sections.some(section => !SHARE_SECTIONS.includes(section))) {
+        throw new ApiError('INVALID_SECTIONS');
+    }
+    return SHARE_SECTIONS.filter(section => sections.includes(section));
+}
+
+function publicShare(req, link) {
+    const share = link.publicStats;
+    return share ? {
+        url: `${getBaseUrl(req)}/s/${share.token}`,
+        sections: share.sections,
+        createdAt: share.createdAt
+    } : null;
+}
+
+// Publish (or change the sections of) a link's stats page; the token stays the same until revoked
+async function shareLinkStats(req, code, { sections }) {
+    const link = await getOwnedLink(req.auth.userId, code);
+    const publicStats = {
+        token: link.publicStats?.token || crypto.randomBytes(18).toString('base64url'),
+        sections: parseShareSections(sections),
+        createdAt: link.publicStats?.createdAt || new Date()
+    };
+    return publicShare(req, await storage.updateLink(link.shortCode, { publicStats }));
+}
+
+async function revokeLinkStats(userId, code) {
+    const link = await getOwnedLink(userId, code);
+    if (link.publicStats) await storage.updateLink(link.shortCode, { publicStats: null });
+}
+
+async function removeLink(userId, code) {
+    if (!(await storage.deleteLink(userId, code))) {
+        throw new ApiError('LINK_NOT_FOUND');
+    }
+}
+
+// Bulk import
+const BULK_LIMIT = 1000;
+const BULK_COLUMNS = {
+    url: ['url', 'fullurl', 'destination', 'link'],
+    alias: ['alias', 'customalias', 'code', 'shortcode'],
+    expiry: ['expiry', 'expires', 'expiresin', 'expiresat'],
+    tags: ['tags', 'tag'],
+    folder: ['folder', 'group']
+};
+const BULK_RESULT_COLUMNS = ['row', 'url', 'alias', 'status', 'shortCode', 'shortUrl', 'errorCode', 'error'];
+
+// CSV text -> [{ url, alias, expiry, tags, folder }]; the header row is optional (url,alias,expiry,tags,folder order)
+function parseBulkCsv(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase().replace(/[\s_-]/g, ''));
+    const hasHeader = header.some(cell => BULK_COLUMNS.url.includes(cell));
+    const index = {};
+    Object.entries(BULK_COLUMNS).forEach(([column, names], position) => {
+        index[column] = hasHeader ? header.findIndex(cell => names.includes(cell)) : position;
+    });
+
+    return rows.slice(hasHeader ? 1 : 0).map(row => {
+        const entry = {};
+        Object.keys(BULK_COLUMNS).forEach(column => {
+            entry[column] = index[column] >= 0 ? (row[index[column]] || '').trim() : '';
+        });
+        return entry;
+    });
+}
+
+// Expiry cell: seconds, "forever" or a date
+const bulkExpiry = expiry => !expiry || expiry === 'forever' || /^\d+$/.test(expiry) ?
+    { expiresIn: expiry || null } : { expiresAt: expiry };
+
+// Create links one row at a time, reporting success or failure per row
+async function createLinksBulk(req, rows) {
+    if (rows.length === 0) throw new ApiError('BATCH_EMPTY');
+    if (rows.length > BULK_LIMIT) throw new ApiError('BATCH_TOO_LARGE', { limit: BULK_LIMIT });
+
+    const results = [];
+    for (const [i, row] of rows.entries()) {
+        const url = row.url || row.fullUrl || '';
+        const alias = row.alias || row.customAlias || '';
+        const result = { row: i + 1, url, alias };
+
+        try {
+            const link = await createLink(req, {
+                fullUrl: url,
+                customAlias: alias,
+                tags: row.tags,
+                folder: row.folder,
+                ...(row.expiresAt || row.expiresIn ?
+                    { expiresIn: row.expiresIn, expiresAt: row.expiresAt } :
+                    bulkExpiry(String(row.expiry || '').trim()))
+            });
+            Object.assign(result, {
+                status: 'created',
+                shortCode: link.shortCode,
+                shortUrl: `${getBaseUrl(req)}/${link.shortCode}`
+            });
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            Object.assign(result, { status: 'failed', errorCode: error.code, error: error.message });
+        }
+        results.push(result);
+    }
+
+    const created = results.filter(r => r.status === 'created').length;
+    return { summary: { total: results.length, created, failed: results.length - created }, results };
+}
+
+// Register account (optionally claiming the browser's anonymous links)
+async function registerAccount({ email, password, claimUserId }) {
+    email = String(email || '').trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(email)) {
+        throw new ApiError('INVALID_EMAIL');
+    }
+    if (!password || String(password).length < 8) {
+        throw new ApiError('WEAK_PASSWORD');
+    }
+    if (await storage.getUserByEmail(email)) {
+        throw new ApiError('EMAIL_TAKEN');
+    }
+
+    const user = await storage.createAccount({
+        userId: `acct_${uuidv4()}`,
+        email,
+        passwordHash: await hashPassword(String(password))
+    });
+    const claimed = claimUserId ? await storage.claimUserLinks(claimUserId, user.userId) : null;
+    const token = await startSession(user.userId);
+
+    return { token, user: publicUser(user), claimed: claimed || 0 };
+}
+
+async function loginAccount(req, { email, password, claimUserId }) {
+    email = String(email || '').trim().toLowerCase();
+
+    if (loginLimiter.isLimited(req.ip)) {
+        throw new ApiError('RATE_LIMITED', { retryAfter: loginLimiter.retryAfter(req.ip) });
+    }
+
+    const user = await storage.getUserByEmail(email);
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        loginLimiter.hit(req.ip);
+        throw new ApiError('INVALID_CREDENTIALS');
+    }
+
+    const claimed = claimUserId ? await storage.claimUserLinks(claimUserId, user.userId) : null;
+    const token = await startSession(user.userId);
+
+    return { token, user: publicUser(user), claimed: claimed || 0 };
+}
+
+async function getCurrentUser(userId) {
+    const user = await storage.getUser(userId);
+    if (!user) {
+        throw new ApiError('UNAUTHORIZED');
+    }
+    return publicUser(user);
+}
+
+// Claim links created anonymously (by the old browser userId) into the account
+async function claimLinks(userId, anonymousUserId) {
+    if (!anonymousUserId) {
+        throw new ApiError('USER_ID_REQUIRED');
+    }
+
+    const claimed = await storage.claimUserLinks(anonymousUserId, userId);
+    if (claimed === null) {
+        throw new ApiError('CLAIM_FAILED');
+    }
+    return claimed;
+}
+
+// Create API key - the plain key is only returned here
+async function createApiKey(userId, { name, scopes }) {
+    name = String(name || '').trim().substring(0, 60) || 'API açarı';
+    scopes = Array.isArray(scopes) ? scopes : API_SCOPES;
+
+    if (scopes.length === 0 || scopes.some(scope => !API_SCOPES.includes(scope))) {
+        throw new ApiError('INVALID_SCOPES');
+    }
+
+    const plainKey = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const key = await storage.createApiKey({
+        keyId: uuidv4(),
+        userId,
+        name,
+        prefix: plainKey.substring(0, 10),
+        keyHash: hashToken(plainKey),
+        scopes: [...new Set(scopes)],
+        createdAt: new Date(),
+        lastUsedAt: null,
+        revokedAt: null
+    });
+
+    return { key: plainKey, apiKey: publicApiKey(key) };
+}
+
+async function revokeApiKey(userId, keyId) {
+    if (!(await storage.revokeApiKey(userId, keyId))) {
+        throw new ApiError('KEY_NOT_FOUND');
+    }
+}
+
+// Save a UTM preset (same name = overwrite)
+async function saveUtmPreset(userId, { name, utm }) {
+    name = String(name || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+    if (!name) throw new ApiError('PRESET_NAME_REQUIRED');
+
+    const values = parseUtm(utm);
+    if (!values) throw new ApiError('UTM_REQUIRED');
+
+    const now = new Date();
+    const preset = await storage.saveUtmPreset({
+        presetId: uuidv4(),
+        userId,
+        name,
+        utm: values,
+        createdAt: now,
+        updatedAt: now
+    });
+    return publicUtmPreset(preset);
+}
+
+async function deleteUtmPreset(userId, presetId) {
+    if (!(await storage.deleteUtmPreset(userId, presetId))) {
+        throw new ApiError('PRESET_NOT_FOUND');
+    }
+}
+
+// ===== API ROUTES =====
+
+app.use('/api', authenticate);
+
+// Serve HTML
+app.get('/', (req, res) => {
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.send(HTML_TEMPLATE);
+});
+
+app.get('/home', (req, res) => {
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.send(HTML_TEMPLATE);
+});
+
+// Register device
+app.post('/api/register-device', async (req, res) => {
+    try {
+        const { userId, deviceId } = req.body;
+
+        if (!userId || !deviceId) {
+            return res.json({ success: false, error: 'Missing data' });
         }
-        
-        // Show link stats modal
-        async function showLinkStats(code) {
-            currentStatsLink = code;
-            document.getElementById('statsModal').style.display = 'flex';
-            
-            try {
-                const response = await fetch(\`/api/stats/\${code}\`);
-                const data = await response.json();
-                
-                if (data.success) {
-                    const shortUrl = \`\${window.location.origin}/\${code}\`;
-                    
-                    let statsHtml = \`
-                        <div>
-                            <div style="margin-bottom: 1.5rem;">
-                                <h4 style="color: var(--primary); margin-bottom: 0.5rem;">\${window.location.host}/\${code}</h4>
-                                <p style="color: #64748b; font-size: 0.9rem;">\${data.link.fullUrl}</p>
-                            </div>
-                            
-                            <!-- Quick Stats -->
-                            <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; margin-bottom: 1.5rem;">
-                                <div style="text-align: center; padding: 1rem; background: #f8fafc; border-radius: 8px;">
-                                    <div style="font-size: 2rem; font-weight: 800; color: var(--primary);">\${data.stats.totalClicks}</div>
-                                    <div style="font-size: 0.85rem; color: #64748b;">Ümumi Klik</div>
-                                </div>
-                                <div style="text-align: center; padding: 1rem; background: #f8fafc; border-radius: 8px;">
-                                    <div style="font-size: 2rem; font-weight: 800; color: var(--success);">\${data.stats.uniqueClicks}</div>
-                                    <div style="font-size: 0.85rem; color: #64748b;">Unikal Klik</div>
-                                </div>
-                            </div>
-                            
-                            <!-- Countries Table -->
-                            <h5 style="margin-bottom: 1rem;">🌍 Ölkə Paylanması</h5>
-                    \`;
-                    
-                    if (data.stats.countries && data.stats.countries.length > 0) {
-                        statsHtml += \`
-                            <div style="max-height: 300px; overflow-y: auto;">
-                                <table class="table">
-                                    <thead>
-                                        <tr>
-                                            <th>Ölkə</th>
-                                            <th>Klik</th>
-                                            <th>Faiz</th>
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-                        \`;
-                        
-                        data.stats.countries.forEach(country => {
-                            const percentage = ((country.count / data.stats.totalClicks) * 100).toFixed(1);
-                            const flag = getFlagEmoji(country.countryCode);
-                            
-                            statsHtml += \`
-                                <tr>
-                                    <td>
-                                        <div class="country-row">
-                                            <span class="flag">\${flag}</span>
-                                            <span>\${country.country}</span>
-                                        </div>
-                                    </td>
-                                    <td>\${country.count}</td>
-                                    <td>
-                                        <div style="display: flex; align-items: center; gap: 0.5rem;">
-                                            <div style="flex: 1; height: 8px; background: #e2e8f0; border-radius: 4px; overflow: hidden;">
-                                                <div style="width: \${percentage}%; height: 100%; background: var(--primary);"></div>
-                                            </div>
-                                            <span>\${percentage}%</span>
-                                        </div>
-                                    </td>
-                                </tr>
-                            \`;
-                        });
-                        
-                        statsHtml += \`
-                                    </tbody>
-                                </table>
-                            </div>
-                        \`;
-                    } else {
-                        statsHtml += \`
-                            <div style="text-align: center; padding: 2rem; color: #94a3b8;">
-                                <p>Hələ klik yoxdur</p>
-                            </div>
-                        \`;
-                    }
-                    
-                    statsHtml += \`
-                            <!-- Recent Clicks -->
-                            <h5 style="margin-top: 1.5rem; margin-bottom: 1rem;">🕒 Son Kliklər</h5>
-                            <div style="max-height: 200px; overflow-y: auto;">
-                    \`;
-                    
-                    if (data.stats.recentClicks && data.stats.recentClicks.length > 0) {
-                        data.stats.recentClicks.forEach(click => {
-                            const flag = getFlagEmoji(click.countryCode);
-                            const time = new Date(click.timestamp).toLocaleString('az-AZ');
-                            
-                            statsHtml += \`
-                                <div style="padding: 0.75rem; border-bottom: 1px solid #e2e8f0;">
-                                    <div style="display: flex; justify-content: space-between; align-items: center;">
-                                        <div style="display: flex; align-items: center; gap: 0.5rem;">
-                                            <span class="flag">\${flag}</span>
-                                            <div>
-                                                <div>\${click.country}</div>
-                                                <div style="font-size: 0.8rem; color: #64748b;">
-                                                    \${click.city}, \${click.device} • \${click.browser}
-                                                </div>
-                                            </div>
-                                        </div>
-                                        <div style="font-size: 0.8rem; color: #64748b;">\${time}</div>
-                                    </div>
-                                </div>
-                            \`;
-                        });
-                    } else {
-                        statsHtml += \`
-                            <div style="text-align: center; padding: 1rem; color: #94a3b8;">
-                                <p>Hələ klik yoxdur</p>
-                            </div>
-                        \`;
-                    }
-                    
-                    statsHtml += \`
-                            </div>
-                            
-                            <div style="margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid #e2e8f0;">
-                                <button class="btn btn-primary" onclick="copyToClipboard('\${shortUrl}')" style="width: 100%;">
-                                    📋 Linki Kopyala
-                                </button>
-                            </div>
-                        </div>
-                    \`;
-                    
-                    document.getElementById('statsContent').innerHTML = statsHtml;
+
+        await storage.getOrCreateUser(userId, deviceId, req.headers['user-agent']);
+        res.json({ success: true });
+    } catch (error) {
+        res.json({ success: false, error: 'Server error' });
+    }
+});
+
+// ===== AUTH ROUTES =====
+
+app.post('/api/auth/register', asyncRoute(async (req, res) => {
+    res.json({ success: true, ...(await registerAccount(req.body)) });
+}));
+
+app.post('/api/auth/login', asyncRoute(async (req, res) => {
+    res.json({ success: true, ...(await loginAccount(req, req.body)) });
+}));
+
+// Logout (revokes the current session)
+app.post('/api/auth/logout', requireSession, asyncRoute(async (req, res) => {
+    await storage.deleteSession(req.auth.tokenHash);
+    res.json({ success: true });
+}));
+
+app.get('/api/auth/me', requireAuth, asyncRoute(async (req, res) => {
+    res.json({ success: true, user: await getCurrentUser(req.auth.userId) });
+}));
+
+app.post('/api/auth/claim', requireSession, asyncRoute(async (req, res) => {
+    res.json({ success: true, claimed: await claimLinks(req.auth.userId, req.body.userId) });
+}));
+
+// ===== API KEYS =====
+
+app.get('/api/keys', requireSession, asyncRoute(async (req, res) => {
+    const keys = await storage.listApiKeys(req.auth.userId);
+    res.json({ success: true, keys: keys.map(publicApiKey), scopes: API_SCOPES });
+}));
+
+app.post('/api/keys', requireSession, asyncRoute(async (req, res) => {
+    res.json({ success: true, ...(await createApiKey(req.auth.userId, req.body)) });
+}));
+
+app.delete('/api/keys/:keyId', requireSession, asyncRoute(async (req, res) => {
+    await revokeApiKey(req.auth.userId, req.params.keyId);
+    res.json({ success: true, message: 'Açar ləğv edildi' });
+}));
+
+// ===== UTM PRESETS =====
+
+app.get('/api/utm-presets', requireAuth, asyncRoute(async (req, res) => {
+    const presets = await storage.listUtmPresets(req.auth.userId);
+    res.json({ success: true, presets: presets.map(publicUtmPreset) });
+}));
+
+app.post('/api/utm-presets', requireAuth, asyncRoute(async (req, res) => {
+    res.json({ success: true, preset: await saveUtmPreset(req.auth.userId, req.body) });
+}));
+
+app.delete('/api/utm-presets/:presetId', requireAuth, asyncRoute(async (req, res) => {
+    await deleteUtmPreset(req.auth.userId, req.params.presetId);
+    res.json({ success: true, message: 'Şablon silindi' });
+}));
+
+// ===== LINK ROUTES =====
+
+// Create link
+app.post('/api/create', checkScope('create'), asyncRoute(async (req, res) => {
+    const link = await createLink(req, req.body);
+    res.json({
+        success: true,
+        shortCode: link.shortCode,
+        shortUrl: `${getBaseUrl(req)}/${link.shortCode}`,
+        link: publicLink(link)
+    });
+}));
+
+// Get user's links
+app.post('/api/mylinks', requireScope('read-stats'), asyncRoute(async (req, res) => {
+    const { userId } = req.auth;
+
+    // Register/update device
+    await storage.getOrCreateUser(userId, req.body.deviceId, req.headers['user-agent']);
+
+    const { links, facets } = await listUserLinks(userId, parseLinkFilters(req.query));
+    res.json({
+        success: true,
+        links,
+        facets,
+        totalLinks: links.length,
+        totalClicks: links.reduce((sum, link) => sum + link.totalClicks, 0)
+    });
+}));
+
+// Dashboard stats
+app.post('/api/dashboard', requireScope('read-stats'), asyncRoute(async (req, res) => {
+    const { userId } = req.auth;
+
+    await storage.getOrCreateUser(userId, req.body.deviceId, req.headers['user-agent']);
+    res.json({ success: true, ...(await buildDashboard(userId, parseLinkFilters(req.query), parseClickFilters(req.query))) });
+}));
+
+// Get link stats
+app.get('/api/stats/:code', requireScope('read-stats'), asyncRoute(async (req, res) => {
+    const link = await getOwnedLink(req.auth.userId, req.params.code);
+    res.json({ success: true, ...(await buildLinkStats(link, parseStatsQuery(req.query))) });
+}));
+
+// Edit link
+app.patch('/api/links/:code', requireScope('update'), asyncRoute(async (req, res) => {
+    const link = await editLink(req, req.params.code, req.body);
+    res.json({ success: true, link: summarizeLink(link) });
+}));
+
+// End an A/B test with the chosen variant as the destination
+app.post('/api/links/:code/variants/:variantId/promote', requireScope('update'), asyncRoute(async (req, res) => {
+    const link = await promoteVariant(req, req.params.code, req.params.variantId);
+    res.json({ success: true, link: summarizeLink(link) });
+}));
+
+// Link revision history
+app.get('/api/links/:code/revisions', requireScope('read-stats'), asyncRoute(async (req, res) => {
+    const link = await getOwnedLink(req.auth.userId, req.params.code);
+    res.json({ success: true, revisions: [...(link.revisions || [])].reverse() });
+}));
+
+// Public stats page settings
+app.get('/api/links/:code/share', requireScope('read-stats'), asyncRoute(async (req, res) => {
+    const link = await getOwnedLink(req.auth.userId, req.params.code);
+    res.json({ success: true, share: publicShare(req, link), sections: SHARE_SECTIONS });
+}));
+
+app.put('/api/links/:code/share', requireScope('update'), asyncRoute(async (req, res) => {
+    res.json({ success: true, share: await shareLinkStats(req, req.params.code, req.body) });
+}));
+
+app.delete('/api/links/:code/share', requireScope('update'), asyncRoute(async (req, res) => {
+    await revokeLinkStats(req.auth.userId, req.params.code);
+    res.json({ success: true, message: 'Paylaşım ləğv edildi' });
+}));
+
+// Click time series
+app.get('/api/analytics/timeseries', requireScope('read-stats'), asyncRoute(async (req, res) => {
+    res.json({ success: true, ...(await buildTimeSeries(req.auth.userId, req.query)) });
+}));
+
+// Hits on the caller's dead links (expired, paused, out of clicks or outside their schedule)
+app.get('/api/dead-hits', requireScope('read-stats'), asyncRoute(async (req, res) => {
+    res.json({ success: true, ...(await deadLinkTraffic(req.auth.userId)) });
+}));
+
+// Delete link
+app.delete('/api/delete/:code', requireScope('delete'), asyncRoute(async (req, res) => {
+    const { userId } = req.auth;
+
+    await storage.getOrCreateUser(userId, req.body.deviceId, req.headers['user-agent']);
+    await removeLink(userId, req.params.code);
+    res.json({ success: true, message: 'Link silindi' });
+}));
+
+// ===== API v1 =====
+// Real HTTP status codes and machine-readable errors ({ error: { code, message } }).
+// Routes are declared through v1Route() so the OpenAPI document is generated from them.
+
+const apiV1 = express.Router();
+const openApiPaths = {};
+
+function v1Route(method, routePath, spec, ...handlers) {
+    const handler = handlers.pop();
+    apiV1[method](routePath, ...handlers, asyncRoute(handler));
+
+    const docPath = '/api/v1' + routePath.replace(/:(\w+)/g, '{$1}');
+    openApiPaths[docPath] = openApiPaths[docPath] || {};
+    openApiPaths[docPath][method] = toOpenApiOperation(routePath, spec);
+}
+
+function toOpenApiOperation(routePath, spec) {
+    const operation = {
+        summary: spec.summary,
+        tags: spec.tags,
+        parameters: [
+            ...(routePath.match(/:\w+/g) || []).map(param => ({
+                name: param.slice(1), in: 'path', required: true, schema: { type: 'string' }
+            })),
+            ...(spec.query || []).map(param => ({ in: 'query', required: false, ...param }))
+        ],
+        responses: {}
+    };
+
+    if (spec.body) {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: spec.body }, ...spec.extraBody } };
+    }
+    if (spec.auth) {
+        operation.security = [{ bearerAuth: [] }];
+        operation.description = spec.auth === 'session' ?
+            'Requires a session token (API keys are rejected).' :
+            `Accepts a session token or an API key${spec.scope ? ` with the \`${spec.scope}\` scope` : ''}.`;
+    }
+
+    const status = spec.status || 200;
+    operation.responses[status] = status === 204 ?
+        { description: 'No Content' } :
+        { description: 'Success', content: { 'application/json': { schema: spec.response }, ...spec.extraResponse } };
+
+    // Error responses grouped by status
+    const errorCodes = [
+        ...(spec.auth ? ['UNAUTHORIZED', 'INVALID_TOKEN'] : []),
+        ...(spec.auth === 'session' ? ['SESSION_REQUIRED'] : []),
+        ...(spec.scope ? ['INSUFFICIENT_SCOPE'] : []),
+        ...(spec.errors || [])
+    ];
+    errorCodes.forEach(code => {
+        const errorStatus = ERRORS[code][0];
+        const response = operation.responses[errorStatus] ||
+            { description: '', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+        response.description = response.description ? `${response.description}, ${code}` : code;
+        operation.responses[errorStatus] = response;
+    });
+
+    return operation;
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const OPENAPI_SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: { type: 'string', enum: Object.keys(ERRORS) },
+                    message: { type: 'string' },
+                    details: { type: 'object' }
                 }
-            } catch (error) {
-                document.getElementById('statsContent').innerHTML = \`
-                    <div style="text-align: center; padding: 2rem;">
-                        <div style="color: var(--danger); font-size: 3rem; margin-bottom: 1rem;">❌</div>
-                        <p style="color: #64748b;">Statistika yüklənmədi</p>
-                    </div>
-                \`;
             }
         }
-        
-        // Close modal
-        function closeModal() {
-            document.getElementById('statsModal').style.display = 'none';
+    },
+    LinkInput: {
+        type: 'object',
+        required: ['fullUrl'],
+        properties: {
+            fullUrl: { type: 'string', example: 'https://example.com' },
+            customAlias: { type: 'string', minLength: 2 },
+            expiresIn: { type: 'string', description: 'Seconds from now, or "forever"', example: '86400' },
+            expiresAt: { type: 'string', format: 'date-time', description: 'Absolute expiry (instead of expiresIn)' },
+            password: { type: 'string', description: 'Visitors must enter it before being redirected' },
+            tags: { type: 'array', items: { type: 'string' } },
+            folder: { type: 'string' },
+            utm: ref('UtmValues'),
+            utmPreset: { type: 'string', description: 'presetId of a saved UTM preset; utm fields given here override it' },
+            forwardQuery: { type: 'boolean', default: false, description: 'Append the short URL\'s query parameters to the destination (the destination\'s own parameters win)' },
+            fallbackUrl: { type: 'string', description: 'Where visitors go once the link has expired (instead of the 410 page), and with limitAction "fallback" once maxClicks are used up' },
+            maxClicks: { type: 'integer', minimum: 1, description: 'Stop after this many redirects. Bot hits don\'t count; while a limit is set, bots and /{code}+ previews get a page without the destination' },
+            limitAction: { type: 'string', enum: LIMIT_ACTIONS, default: 'gone', description: 'After maxClicks: 410 page, redirect to fallbackUrl, or a page with limitMessage' },
+            limitMessage: { type: 'string', maxLength: 500 },
+            activeFrom: { type: 'string', format: 'date-time', description: 'Launch time; the link answers 404 before it' },
+            schedule: ref('Schedule'),
+            redirectType: { type: 'integer', enum: REDIRECT_TYPES, default: 302, description: '301/308 may be cached by browsers, so repeat visits are not counted' },
+            preview: { type: 'boolean', default: false, description: 'Show a preview page with the destination instead of redirecting (/{code}+ always does)' },
+            rules: { type: 'array', items: ref('RedirectRule'), maxItems: MAX_RULES },
+            variants: { type: 'array', items: ref('Variant'), maxItems: MAX_VARIANTS, description: 'Start an A/B test (2 or more destinations)' }
         }
-        
-        // Delete link
-        async function deleteLink(code) {
-            if (!confirm('Bu linki silmək istədiyinizə əminsiniz? Bütün statistikalar silinəcək.')) {
-                return;
-            }
-            
-            try {
-                const response = await fetch(\`/api/delete/\${code}\`, {
-                    method: 'DELETE',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ userId, deviceId })
-                });
-                
-                const data = await response.json();
-                
-                if (data.success) {
-                    showNotify('✅ Link silindi', 'success');
-                    loadMyLinks();
-                    loadDashboard();
-                } else {
-                    showNotify(data.error || 'Xəta', 'error');
+    },
+    Schedule: {
+        type: 'object',
+        required: ['windows'],
+        description: 'The link only redirects inside one of the windows',
+        properties: {
+            timezone: { type: 'string', default: 'UTC', example: 'Asia/Baku', description: 'IANA zone for weekly windows' },
+            windows: {
+                type: 'array',
+                maxItems: MAX_WINDOWS,
+                items: {
+                    oneOf: [
+                        {
+                            type: 'object',
+                            description: 'Weekly hours; an end before the start runs past midnight',
+                            properties: {
+                                days: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 7 }, description: '1 = Monday ... 7 = Sunday' },
+                                start: { type: 'string', example: '09:00' },
+                                end: { type: 'string', example: '18:00', description: 'HH:MM or 24:00' }
+                            }
+                        },
+                        {
+                            type: 'object',
+                            description: 'Absolute range; either end may be left open',
+                            properties: {
+                                from: { type: 'string', format: 'date-time' },
+                                to: { type: 'string', format: 'date-time' }
+                            }
+                        }
+                    ]
                 }
-            } catch (error) {
-                showNotify('❌ Server xətası', 'error');
             }
         }
-        
-        // Copy to clipboard helper
-        function copyToClipboard(text) {
-            navigator.clipboard.writeText(text).then(() => {
-                showNotify('✅ Kopyalandı!', 'success');
-            });
+    },
+    Variant: {
+        type: 'object',
+        required: ['url'],
+        description: 'Visitors not matched by a rule are split by weight; a visitor keeps their variant (deviceId cookie)',
+        properties: {
+            variantId: { type: 'string', description: 'Generated when omitted; keep it when editing so stats stay attached' },
+            url: { type: 'string' },
+            weight: { type: 'integer', minimum: 1, maximum: 1000, default: 1, example: 70 }
         }
-        
-        // Update activity chart
-        function updateActivityChart(data) {
-            const ctx = document.getElementById('activityChart').getContext('2d');
-            if (activityChart) {
-                activityChart.destroy();
+    },
+    RuleConditions: {
+        type: 'object',
+        description: 'Every condition given must match; values within a condition are alternatives',
+        properties: {
+            countries: { type: 'array', items: { type: 'string', example: 'AZ' }, description: 'ISO country codes from the visitor\'s GeoIP lookup' },
+            devices: { type: 'array', items: { type: 'string', enum: RULE_DEVICES } },
+            os: { type: 'array', items: { type: 'string', example: 'iOS' }, description: 'OS names as reported in stats (case-insensitive)' },
+            languages: { type: 'array', items: { type: 'string', example: 'az' }, description: 'Primary language of the Accept-Language header' }
+        }
+    },
+    RedirectRule: {
+        type: 'object',
+        required: ['conditions', 'url'],
+        description: 'Rules are checked in order; the first match wins and fullUrl is used when none match',
+        properties: {
+            ruleId: { type: 'string', description: 'Generated when omitted; keep it when editing so stats stay attached' },
+            conditions: ref('RuleConditions'),
+            url: { type: 'string' }
+        }
+    },
+    UtmValues: {
+        type: 'object',
+        description: 'Written into the destination as utm_source, utm_medium, ...',
+        properties: Object.fromEntries(UTM_KEYS.map(key => [key, { type: 'string', maxLength: 100 }]))
+    },
+    UtmPresetInput: {
+        type: 'object',
+        required: ['name', 'utm'],
+        properties: {
+            name: { type: 'string', description: 'Saving an existing name replaces its values' },
+            utm: ref('UtmValues')
+        }
+    },
+    UtmPreset: {
+        type: 'object',
+        properties: {
+            presetId: { type: 'string' },
+            name: { type: 'string' },
+            utm: ref('UtmValues'),
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    LinkUpdate: {
+        type: 'object',
+        properties: {
+            fullUrl: { type: 'string' },
+            shortCode: { type: 'string', minLength: 2, description: 'Rename the short code; the old code stays reserved for this link and redirects to the new one' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true, description: 'null removes the expiry; a later expiry turns a link switched off by its old one back on' },
+            expiresIn: { type: 'string', description: 'Seconds from now, or "forever"' },
+            isActive: { type: 'boolean', description: 'false pauses the link' },
+            tags: { type: 'array', items: { type: 'string' }, description: 'Replaces the current tags' },
+            folder: { type: 'string', nullable: true, description: 'null or "" removes it from its folder' },
+            forwardQuery: { type: 'boolean' },
+            fallbackUrl: { type: 'string', nullable: true, description: 'null or "" removes it' },
+            maxClicks: { type: 'integer', minimum: 1, nullable: true, description: 'null removes the limit; clicks already served still count' },
+            limitAction: { type: 'string', enum: LIMIT_ACTIONS },
+            limitMessage: { type: 'string', nullable: true },
+            activeFrom: { type: 'string', format: 'date-time', nullable: true },
+            schedule: { allOf: [ref('Schedule')], nullable: true, description: 'null or no windows: always active' },
+            redirectType: { type: 'integer', enum: REDIRECT_TYPES },
+            preview: { type: 'boolean' },
+            rules: { type: 'array', items: ref('RedirectRule'), maxItems: MAX_RULES, description: 'Replaces the current rules' },
+            variants: { type: 'array', items: ref('Variant'), maxItems: MAX_VARIANTS, description: 'Replaces the A/B variants; [] ends the test' }
+        }
+    },
+    Revision: {
+        type: 'object',
+        properties: {
+            revisionId: { type: 'string' },
+            at: { type: 'string', format: 'date-time' },
+            by: { type: 'string' },
+            via: { type: 'string', enum: ['session', 'apiKey'] },
+            changes: {
+                type: 'object',
+                additionalProperties: { type: 'object', properties: { from: {}, to: {} } }
             }
-            
-            const labels = data.map(d => {
-                const date = new Date(d.date);
-                return date.toLocaleDateString('az-AZ', { weekday: 'short', day: 'numeric' });
-            });
-            
-            const clicks = data.map(d => d.clicks);
-            
-            activityChart = new Chart(ctx, {
-                type: 'line',
-                data: {
-                    labels: labels,
-                    datasets: [{
-                        label: 'Kliklər',
-                        data: clicks,
-                        borderColor: '#3b82f6',
-                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                        borderWidth: 2,
-                        fill: true,
-                        tension: 0.4
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: { display: false }
+        }
+    },
+    BulkRow: {
+        type: 'object',
+        properties: {
+            url: { type: 'string' },
+            alias: { type: 'string' },
+            expiry: { type: 'string', description: 'Seconds, "forever" or a date' },
+            tags: { oneOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string', description: 'a;b;c' }] },
+            folder: { type: 'string' }
+        }
+    },
+    BulkResult: {
+        type: 'object',
+        properties: {
+            summary: {
+                type: 'object',
+                properties: { total: { type: 'integer' }, created: { type: 'integer' }, failed: { type: 'integer' } }
+            },
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        row: { type: 'integer' },
+                        url: { type: 'string' },
+                        alias: { type: 'string' },
+                        status: { type: 'string', enum: ['created', 'failed'] },
+                        shortCode: { type: 'string' },
+                        shortUrl: { type: 'string' },
+                        errorCode: { type: 'string' },
+                        error: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    Link: {
+        type: 'object',
+        properties: {
+            shortCode: { type: 'string' },
+            shortUrl: { type: 'string' },
+            fullUrl: { type: 'string' },
+            customAlias: { type: 'string', nullable: true },
+            totalClicks: { type: 'integer' },
+            uniqueClicks: { type: 'integer' },
+            botClicks: { type: 'integer', description: 'Crawler/preview/prefetch hits, not in totalClicks' },
+            isActive: { type: 'boolean' },
+            deactivatedByExpiry: { type: 'boolean', description: 'Switched off by its expiry rather than paused' },
+            previousCodes: { type: 'array', items: { type: 'string' }, description: 'Old codes from renames; they stay reserved and redirect to shortCode' },
+            hasPassword: { type: 'boolean' },
+            tags: { type: 'array', items: { type: 'string' } },
+            folder: { type: 'string', nullable: true },
+            forwardQuery: { type: 'boolean' },
+            fallbackUrl: { type: 'string', nullable: true },
+            maxClicks: { type: 'integer', nullable: true },
+            servedClicks: { type: 'integer', description: 'Redirects counted against maxClicks' },
+            limitAction: { type: 'string', enum: LIMIT_ACTIONS },
+            limitMessage: { type: 'string', nullable: true },
+            activeFrom: { type: 'string', format: 'date-time', nullable: true },
+            schedule: { allOf: [ref('Schedule')], nullable: true },
+            redirectType: { type: 'integer', enum: REDIRECT_TYPES },
+            preview: { type: 'boolean' },
+            rules: { type: 'array', items: ref('RedirectRule') },
+            variants: { type: 'array', items: ref('Variant') },
+            statsShared: { type: 'boolean', description: 'A public stats page is published' },
+            createdAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            lastClicked: { type: 'string', format: 'date-time', nullable: true },
+            qrCode: { type: 'string', description: 'PNG data URL' }
+        }
+    },
+    LinkFacets: {
+        type: 'object',
+        properties: {
+            tags: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, count: { type: 'integer' } } } },
+            folders: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, count: { type: 'integer' } } } }
+        }
+    },
+    LinkStats: {
+        type: 'object',
+        properties: {
+            link: ref('Link'),
+            stats: {
+                type: 'object',
+                properties: {
+                    includeBots: { type: 'boolean' },
+                    filters: ref('ClickFilters'),
+                    totalClicks: { type: 'integer' },
+                    uniqueClicks: { type: 'integer', description: 'First human visits (IP + device) among the matching clicks' },
+                    botClicks: { type: 'integer', description: 'Bot hits, whether or not they are included' },
+                    countries: { type: 'array', items: { type: 'object' } },
+                    destinations: {
+                        type: 'array',
+                        description: 'Clicks per redirect rule; ruleId null is the default destination',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                ruleId: { type: 'string', nullable: true },
+                                destination: { type: 'string' },
+                                conditions: { allOf: [ref('RuleConditions')], nullable: true },
+                                removed: { type: 'boolean', description: 'The rule has since been deleted' },
+                                count: { type: 'integer' }
+                            }
+                        }
                     },
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            ticks: {
-                                stepSize: 1
+                    variants: {
+                        type: 'array',
+                        description: 'A/B test results per variant',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                variantId: { type: 'string' },
+                                url: { type: 'string' },
+                                weight: { type: 'integer', nullable: true },
+                                ended: { type: 'boolean', description: 'No longer part of the test' },
+                                clicks: { type: 'integer' },
+                                uniqueClicks: { type: 'integer' }
                             }
                         }
-                    }
+                    },
+                    devices: { type: 'array', items: ref('Breakdown') },
+                    os: { type: 'array', items: ref('Breakdown') },
+                    browsers: { type: 'array', items: ref('Breakdown') },
+                    languages: { type: 'array', items: ref('Breakdown') },
+                    referrers: { type: 'array', items: ref('Breakdown'), description: 'Top referring domains' },
+                    referrerCategories: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                category: { type: 'string', enum: REFERRER_CATEGORIES },
+                                count: { type: 'integer' }
+                            }
+                        }
+                    },
+                    utm: {
+                        type: 'object',
+                        properties: Object.fromEntries(['source', 'medium', 'campaign', 'term', 'content']
+                            .map(key => [key, { type: 'array', items: ref('Breakdown') }]))
+                    },
+                    recentClicks: { type: 'array', items: { type: 'object' } }
                 }
-            });
-        }
-        
-        // Update countries chart
-        function updateCountriesChart(countries) {
-            const container = document.getElementById('countriesChart');
-            document.getElementById('topCountriesCount').textContent = \`\${countries.length} ölkə\`;
-            
-            if (countries.length === 0) {
-                container.innerHTML = '<p style="text-align: center; color: #94a3b8; padding: 2rem;">Hələ məlumat yoxdur</p>';
-                return;
             }
-            
-            let html = '';
-            countries.forEach(country => {
-                const percentage = ((country.count / country.total) * 100).toFixed(1);
-                const flag = getFlagEmoji(country.countryCode);
-                
-                html += \`
-                    <div style="margin-bottom: 0.75rem;">
-                        <div style="display: flex; justify-content: space-between; margin-bottom: 0.25rem;">
-                            <div style="display: flex; align-items: center; gap: 0.5rem;">
-                                <span class="flag">\${flag}</span>
-                                <span style="font-weight: 500;">\${country.country}</span>
-                            </div>
-                            <span style="font-weight: 600;">\${country.count}</span>
-                        </div>
-                        <div style="height: 6px; background: #e2e8f0; border-radius: 3px; overflow: hidden;">
-                            <div style="width: \${percentage}%; height: 100%; background: var(--primary);"></div>
-                        </div>
-                    </div>
-                \`;
-            });
-            
-            container.innerHTML = html;
         }
-        
-        // Get flag emoji from country code
-        function getFlagEmoji(countryCode) {
-            if (!countryCode || countryCode === 'XX' || countryCode === 'LOC') return '🌍';
-            
-            const codePoints = countryCode.toUpperCase()
-                .split('')
-                .map(char => 127397 + char.charCodeAt());
-            
-            try {
-                return String.fromCodePoint(...codePoints);
-            } catch (e) {
-                return '🏳️';
-            }
+    },
+    StatsShareInput: {
+        type: 'object',
+        properties: {
+            sections: { type: 'array', items: { type: 'string', enum: SHARE_SECTIONS }, default: DEFAULT_SHARE_SECTIONS }
         }
-        
-        // Show notification
-        function showNotify(message, type) {
-            const container = document.createElement('div');
-            container.className = 'notification';
-            container.style.borderLeftColor = type === 'success' ? 'var(--success)' : 'var(--danger)';
-            
-            container.innerHTML = \`
-                <div style="display: flex; align-items: center; gap: 0.5rem;">
-                    <span style="font-size: 1.2rem;">\${type === 'success' ? '✅' : '❌'}</span>
-                    <span>\${message}</span>
-                </div>
-            \`;
-            
-            document.body.appendChild(container);
-            setTimeout(() => {
-                if (container.parentNode) {
-                    container.remove();
+    },
+    StatsShare: {
+        type: 'object',
+        properties: {
+            url: { type: 'string', description: 'Public HTML page; anyone with it can view the chosen sections' },
+            sections: { type: 'array', items: { type: 'string', enum: SHARE_SECTIONS } },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    ClickFilters: {
+        type: 'object',
+        description: 'Click filters that were applied',
+        properties: Object.fromEntries(Object.keys(CLICK_DIMENSIONS).map(name => [name, { type: 'string' }]))
+    },
+    Breakdown: {
+        type: 'object',
+        properties: {
+            value: { type: 'string' },
+            count: { type: 'integer' }
+        }
+    },
+    TimeSeries: {
+        type: 'object',
+        properties: {
+            shortCode: { type: 'string', nullable: true },
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            granularity: { type: 'string', enum: ['hour', 'day', 'week', 'month'] },
+            timezone: { type: 'string' },
+            filters: ref('ClickFilters'),
+            totals: ref('SeriesCounts'),
+            series: {
+                type: 'array',
+                items: {
+                    allOf: [ref('SeriesCounts'), {
+                        type: 'object',
+                        properties: {
+                            bucket: { type: 'string', description: 'Local label: 2024-05-01T13:00, 2024-05-01 (day or week start) or 2024-05' },
+                            start: { type: 'string', format: 'date-time' }
+                        }
+                    }]
                 }
-            }, 3000);
+            }
         }
-        
-        // Initialize
-        document.addEventListener('DOMContentLoaded', () => {
-            // Show last active tab
-            const lastTab = localStorage.getItem('lastTab') || 'create';
-            showTab(lastTab);
-            
-            // Auto-focus URL input
-            if (lastTab === 'create') {
-                setTimeout(() => {
-                    const input = document.getElementById('fullUrl');
-                    if (input) input.focus();
-                }, 100);
+    },
+    SeriesCounts: {
+        type: 'object',
+        properties: {
+            clicks: { type: 'integer' },
+            uniqueClicks: { type: 'integer', description: 'First visits (IP + device) in the bucket' },
+            botClicks: { type: 'integer' }
+        }
+    },
+    DeadLinkTraffic: {
+        type: 'object',
+        properties: {
+            links: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        shortCode: { type: 'string' },
+                        reason: { type: 'string', enum: ['expired', 'inactive', 'limit', 'scheduled', 'unknown'], description: 'unknown: the link was deleted' },
+                        hits: { type: 'integer' },
+                        botHits: { type: 'integer' },
+                        fallbackHits: { type: 'integer', description: 'Sent on to the expiry fallback' },
+                        lastHit: { type: 'string', format: 'date-time' }
+                    }
+                }
+            },
+            recent: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        shortCode: { type: 'string' },
+                        reason: { type: 'string' },
+                        fallbackUrl: { type: 'string', nullable: true },
+                        referrerDomain: { type: 'string', nullable: true },
+                        isBot: { type: 'boolean' },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                }
             }
-            
-            // Enter key support
-            document.getElementById('fullUrl').addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') createLink();
-            });
-            
-            // Search functionality
-            document.getElementById('searchLinks').addEventListener('input', function() {
-                const term = this.value.toLowerCase();
-                const items = document.querySelectorAll('.link-item');
-                
-                let visibleCount = 0;
-                items.forEach(item => {
-                    const text = item.textContent.toLowerCase();
-                    item.style.display = text.includes(term) ? 'block' : 'none';
-                    if (text.includes(term)) visibleCount++;
-                });
-            });
-            
-            // Load initial data
-            loadDashboard();
-        });
-    </script>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-</body>
-</html>`;
+        }
+    },
+    Dashboard: {
+        type: 'object',
+        properties: {
+            overview: { type: 'object' },
+            filters: ref('ClickFilters'),
+            recentActivity: { type: 'array', items: { type: 'object' } },
+            countries: { type: 'array', items: { type: 'object' } },
+            devices: { type: 'array', items: ref('Breakdown') },
+            os: { type: 'array', items: ref('Breakdown') },
+            browsers: { type: 'array', items: ref('Breakdown') },
+            languages: { type: 'array', items: ref('Breakdown') },
+            facets: ref('LinkFacets')
+        }
+    },
+    Credentials: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+            email: { type: 'string', format: 'email' },
+            password: { type: 'string', minLength: 8 },
+            claimUserId: { type: 'string', description: 'Anonymous browser userId whose links move into the account' }
+        }
+    },
+    User: {
+        type: 'object',
+        properties: {
+            userId: { type: 'string' },
+            email: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    Session: {
+        type: 'object',
+        properties: {
+            token: { type: 'string' },
+            user: ref('User'),
+            claimed: { type: 'integer' }
+        }
+    },
+    ApiKeyInput: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            scopes: { type: 'array', items: { type: 'string', enum: API_SCOPES } }
+        }
+    },
+    ApiKey: {
+        type: 'object',
+        properties: {
+            keyId: { type: 'string' },
+            name: { type: 'string' },
+            prefix: { type: 'string' },
+            scopes: { type: 'array', items: { type: 'string' } },
+            createdAt: { type: 'string', format: 'date-time' },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+    }
+};
+
+function buildOpenApiDocument(req) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'AxtarGet aglink.pro API',
+            version: '1.0.0',
+            description: 'Link shortener API. Authenticate with `Authorization: Bearer <session token or API key>`.'
+        },
+        servers: [{ url: getBaseUrl(req) }],
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token (sess_...) or API key (agk_...)' }
+            },
+            schemas: OPENAPI_SCHEMAS
+        },
+        paths: openApiPaths
+    };
+}
+
+const csvContent = description => ({ 'text/csv': { schema: { type: 'string', description } } });
+
+// ?format=csv or an Accept header preferring CSV
+const wantsCsv = req => req.query.format === 'csv' || req.accepts(['json', 'csv']) === 'csv';
+
+const linkWithUrl = (req, link) => ({ ...summarizeLink(link), shortUrl: `${getBaseUrl(req)}/${link.shortCode}` });
+
+// Auth
+v1Route('post', '/auth/register', {
+    summary: 'Register an account', tags: ['Auth'], status: 201,
+    body: ref('Credentials'), response: ref('Session'),
+    errors: ['INVALID_EMAIL', 'WEAK_PASSWORD', 'EMAIL_TAKEN']
+}, async (req, res) => {
+    res.status(201).json(await registerAccount(req.body));
+});
+
+v1Route('post', '/auth/login', {
+    summary: 'Log in', tags: ['Auth'],
+    body: ref('Credentials'), response: ref('Session'),
+    errors: ['INVALID_CREDENTIALS', 'RATE_LIMITED']
+}, async (req, res) => {
+    res.json(await loginAccount(req, req.body));
+});
+
+v1Route('post', '/auth/logout', {
+    summary: 'Revoke the current session', tags: ['Auth'], auth: 'session', status: 204
+}, requireSession, async (req, res) => {
+    await storage.deleteSession(req.auth.tokenHash);
+    res.sendStatus(204);
+});
+
+v1Route('get', '/auth/me', {
+    summary: 'Current account', tags: ['Auth'], auth: 'any',
+    response: { type: 'object', properties: { user: ref('User') } }
+}, requireAuth, async (req, res) => {
+    res.json({ user: await getCurrentUser(req.auth.userId) });
+});
+
+v1Route('post', '/auth/claim', {
+    summary: 'Claim links created anonymously into the account', tags: ['Auth'], auth: 'session',
+    body: { type: 'object', required: ['userId'], properties: { userId: { type: 'string' } } },
+    response: { type: 'object', properties: { claimed: { type: 'integer' } } },
+    errors: ['USER_ID_REQUIRED', 'CLAIM_FAILED']
+}, requireSession, async (req, res) => {
+    res.json({ claimed: await claimLinks(req.auth.userId, req.body.userId) });
+});
+
+// API keys
+v1Route('get', '/keys', {
+    summary: 'List API keys', tags: ['API keys'], auth: 'session',
+    response: { type: 'object', properties: { keys: { type: 'array', items: ref('ApiKey') } } }
+}, requireSession, async (req, res) => {
+    const keys = await storage.listApiKeys(req.auth.userId);
+    res.json({ keys: keys.map(publicApiKey), scopes: API_SCOPES });
+});
+
+v1Route('post', '/keys', {
+    summary: 'Create an API key (the plain key is only returned once)', tags: ['API keys'], auth: 'session', status: 201,
+    body: ref('ApiKeyInput'),
+    response: { type: 'object', properties: { key: { type: 'string' }, apiKey: ref('ApiKey') } },
+    errors: ['INVALID_SCOPES']
+}, requireSession, async (req, res) => {
+    res.status(201).json(await createApiKey(req.auth.userId, req.body));
+});
+
+v1Route('delete', '/keys/:keyId', {
+    summary: 'Revoke an API key', tags: ['API keys'], auth: 'session', status: 204,
+    errors: ['KEY_NOT_FOUND']
+}, requireSession, async (req, res) => {
+    await revokeApiKey(req.auth.userId, req.params.keyId);
+    res.sendStatus(204);
+});
+
+// UTM presets
+v1Route('get', '/utm-presets', {
+    summary: 'List saved UTM presets', tags: ['UTM presets'], auth: 'any',
+    response: { type: 'object', properties: { presets: { type: 'array', items: ref('UtmPreset') } } }
+}, requireAuth, async (req, res) => {
+    const presets = await storage.listUtmPresets(req.auth.userId);
+    res.json({ presets: presets.map(publicUtmPreset) });
+});
+
+v1Route('post', '/utm-presets', {
+    summary: 'Save a UTM preset', tags: ['UTM presets'], auth: 'any', status: 201,
+    body: ref('UtmPresetInput'),
+    response: { type: 'object', properties: { preset: ref('UtmPreset') } },
+    errors: ['PRESET_NAME_REQUIRED', 'UTM_REQUIRED', 'INVALID_UTM']
+}, requireAuth, async (req, res) => {
+    res.status(201).json({ preset: await saveUtmPreset(req.auth.userId, req.body) });
+});
+
+v1Route('delete', '/utm-presets/:presetId', {
+    summary: 'Delete a UTM preset', tags: ['UTM presets'], auth: 'any', status: 204,
+    errors: ['PRESET_NOT_FOUND']
+}, requireAuth, async (req, res) => {
+    await deleteUtmPreset(req.auth.userId, req.params.presetId);
+    res.sendStatus(204);
+});
+
+// Links
+v1Route('post', '/links', {
+    summary: 'Create a short link', tags: ['Links'], auth: 'any', scope: 'create', status: 201,
+    body: ref('LinkInput'), response: { type: 'object', properties: { link: ref('Link') } },
+    errors: ['URL_REQUIRED', 'ALIAS_TOO_SHORT', 'ALIAS_TAKEN', 'INVALID_UTM', 'INVALID_RULES', 'INVALID_VARIANTS', 'INVALID_LIMIT', 'INVALID_SCHEDULE', 'INVALID_TIMEZONE', 'PRESET_NOT_FOUND']
+}, requireScope('create'), async (req, res) => {
+    const { userId, ...input } = req.body;
+    const link = await createLink(req, input);
+    res.status(201).json({ link: linkWithUrl(req, link) });
+});
+
+v1Route('post', '/links/bulk', {
+    summary: 'Create many links from a JSON array or a CSV upload (url, alias, expiry, tags columns)',
+    tags: ['Links'], auth: 'any', scope: 'create',
+    query: [{ name: 'format', schema: { type: 'string', enum: ['json', 'csv'] }, description: 'csv returns the per-row results as a CSV download' }],
+    body: { type: 'object', properties: { links: { type: 'array', items: ref('BulkRow'), maxItems: BULK_LIMIT } } },
+    extraBody: csvContent('CSV with a url,alias,expiry,tags,folder header'),
+    response: ref('BulkResult'),
+    extraResponse: csvContent(`Columns: ${BULK_RESULT_COLUMNS.join(',')}`),
+    errors: ['BATCH_EMPTY', 'BATCH_TOO_LARGE']
+}, requireScope('create'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    const rows = typeof req.body === 'string' ? parseBulkCsv(req.body) :
+        Array.isArray(req.body) ? req.body :
+        Array.isArray(req.body.links) ? req.body.links :
+        typeof req.body.csv === 'string' ? parseBulkCsv(req.body.csv) : [];
+
+    const result = await createLinksBulk(req, rows);
+
+    if (wantsCsv(req)) {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="bulk-results.csv"');
+        return res.send(toCsvLine(BULK_RESULT_COLUMNS) +
+            result.results.map(r => toCsvLine(BULK_RESULT_COLUMNS.map(column => r[column]))).join(''));
+    }
+    res.json(result);
+});
+
+const LINK_FILTER_PARAMS = [
+    { name: 'tag', schema: { type: 'string' } },
+    { name: 'folder', schema: { type: 'string' } },
+    { name: 'q', schema: { type: 'string' }, description: 'Search short code, destination, tags and folder' }
+];
 
-// ===== API ROUTES =====
+// Drill-down on click dimensions (case-insensitive, combined with AND)
+const CLICK_FILTER_PARAMS = [
+    { name: 'country', schema: { type: 'string' }, description: 'Country code, e.g. AZ' },
+    { name: 'device', schema: { type: 'string' }, description: 'Desktop, Mobile, Tablet, ...' },
+    { name: 'os', schema: { type: 'string' } },
+    { name: 'browser', schema: { type: 'string' } },
+    { name: 'language', schema: { type: 'string' }, description: 'Primary Accept-Language subtag, e.g. az' }
+];
 
-// Serve HTML
-app.get('/', (req, res) => {
-    res.setHeader('Content-Type', 'text/html');
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    res.send(HTML_TEMPLATE);
+v1Route('get', '/links', {
+    summary: 'List your links', tags: ['Links'], auth: 'any', scope: 'read-stats',
+    query: LINK_FILTER_PARAMS,
+    response: {
+        type: 'object',
+        properties: { links: { type: 'array', items: ref('Link') }, total: { type: 'integer' }, facets: ref('LinkFacets') }
+    }
+}, requireScope('read-stats'), async (req, res) => {
+    const { links, facets } = await listUserLinks(req.auth.userId, parseLinkFilters(req.query));
+    res.json({
+        links: links.map(link => ({ ...link, shortUrl: `${getBaseUrl(req)}/${link.shortCode}` })),
+        total: links.length,
+        facets
+    });
 });
 
-app.get('/home', (req, res) => {
-    res.setHeader('Content-Type', 'text/html');
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    res.send(HTML_TEMPLATE);
+v1Route('get', '/links/:code', {
+    summary: 'Get one of your links', tags: ['Links'], auth: 'any', scope: 'read-stats',
+    response: { type: 'object', properties: { link: ref('Link') } },
+    errors: ['LINK_NOT_FOUND']
+}, requireScope('read-stats'), async (req, res) => {
+    const link = await getOwnedLink(req.auth.userId, req.params.code);
+    res.json({ link: linkWithUrl(req, link) });
 });
 
-// Register device
-app.post('/api/register-device', (req, res) => {
-    try {
-        const { userId, deviceId } = req.body;
-        
-        if (!userId || !deviceId) {
-            return res.json({ success: false, error: 'Missing data' });
-        }
-        
-        storage.getOrCreateUser(userId, deviceId, req.headers['user-agent']);
-        res.json({ success: true });
-    } catch (error) {
-        res.json({ success: false, error: 'Server error' });
-    }
+v1Route('patch', '/links/:code', {
+    summary: 'Edit destination, redirect rules, expiry, active flag or short code (clicks are kept)', tags: ['Links'],
+    auth: 'any', scope: 'update',
+    body: ref('LinkUpdate'), response: { type: 'object', properties: { link: ref('Link') } },
+    errors: ['VALIDATION_FAILED', 'URL_REQUIRED', 'INVALID_URL', 'INVALID_EXPIRY', 'INVALID_RULES', 'INVALID_VARIANTS', 'INVALID_LIMIT', 'INVALID_SCHEDULE', 'INVALID_TIMEZONE', 'ALIAS_TOO_SHORT', 'LINK_NOT_FOUND', 'ALIAS_TAKEN']
+}, requireScope('update'), async (req, res) => {
+    const link = await editLink(req, req.params.code, req.body);
+    res.json({ link: linkWithUrl(req, link) });
 });
 
-// Create link
-app.post('/api/create', async (req, res) => {
-    try {
-        const { fullUrl, userId, deviceId, expiresIn, customAlias } = req.body;
-        
-        if (!fullUrl) {
-            return res.json({ success: false, error: 'URL tələb olunur' });
-        }
+v1Route('post', '/links/:code/variants/:variantId/promote', {
+    summary: 'End the A/B test: the variant becomes fullUrl and the variants are cleared', tags: ['Links'],
+    auth: 'any', scope: 'update',
+    response: { type: 'object', properties: { link: ref('Link') } },
+    errors: ['LINK_NOT_FOUND', 'VARIANT_NOT_FOUND']
+}, requireScope('update'), async (req, res) => {
+    const link = await promoteVariant(req, req.params.code, req.params.variantId);
+    res.json({ link: linkWithUrl(req, link) });
+});
 
-        // Format URL
-        let url = fullUrl;
-        if (!url.startsWith('http')) {
-            url = 'https://' + url;
-        }
+v1Route('get', '/links/:code/revisions', {
+    summary: 'Change history of a link, newest first', tags: ['Links'], auth: 'any', scope: 'read-stats',
+    response: { type: 'object', properties: { revisions: { type: 'array', items: ref('Revision') } } },
+    errors: ['LINK_NOT_FOUND']
+}, requireScope('read-stats'), async (req, res) => {
+    const link = await getOwnedLink(req.auth.userId, req.params.code);
+    res.json({ revisions: [...(link.revisions || [])].reverse() });
+});
 
-        // Generate short code
-        let shortCode;
-        if (customAlias && customAlias.trim()) {
-            shortCode = customAlias.trim().toLowerCase().replace(/[^a-z0-9-_]/g, '');
-            if (shortCode.length < 2) {
-                return res.json({ success: false, error: 'Minimum 2 simvol' });
-            }
-        } else {
-            shortCode = shortid.generate().substring(0, 8);
-        }
+v1Route('get', '/links/:code/share', {
+    summary: 'Public stats page of a link (null while private)', tags: ['Stats'], auth: 'any', scope: 'read-stats',
+    response: { type: 'object', properties: { share: { allOf: [ref('StatsShare')], nullable: true }, sections: { type: 'array', items: { type: 'string' } } } },
+    errors: ['LINK_NOT_FOUND']
+}, requireScope('read-stats'), async (req, res) => {
+    const link = await getOwnedLink(req.auth.userId, req.params.code);
+    res.json({ share: publicShare(req, link), sections: SHARE_SECTIONS });
+});
 
-        // Check if exists
-        if (storage.getLink(shortCode)) {
-            return res.json({ success: false, error: 'Bu kod artıq istifadədədir' });
-        }
+v1Route('put', '/links/:code/share', {
+    summary: 'Publish the stats page, or change which sections it shows', tags: ['Stats'], auth: 'any', scope: 'update',
+    body: ref('StatsShareInput'),
+    response: { type: 'object', properties: { share: ref('StatsShare') } },
+    errors: ['INVALID_SECTIONS', 'LINK_NOT_FOUND']
+}, requireScope('update'), async (req, res) => {
+    res.json({ share: await shareLinkStats(req, req.params.code, req.body) });
+});
 
-        // Register user/device
-        storage.getOrCreateUser(userId, deviceId, req.headers['user-agent']);
+v1Route('delete', '/links/:code/share', {
+    summary: 'Revoke the public stats page (its URL stops working)', tags: ['Stats'], auth: 'any', scope: 'update', status: 204,
+    errors: ['LINK_NOT_FOUND']
+}, requireScope('update'), async (req, res) => {
+    await revokeLinkStats(req.auth.userId, req.params.code);
+    res.sendStatus(204);
+});
 
-        // Create link
-        const link = {
-            linkId: uuidv4(),
-            shortCode,
-            fullUrl: url,
-            userId,
-            customAlias,
-            totalClicks: 0,
-            uniqueClicks: 0,
-            clicks: [],
-            isActive: true,
-            createdAt: new Date(),
-            expiresAt: expiresIn && expiresIn !== 'forever' ? 
-                new Date(Date.now() + parseInt(expiresIn) * 1000) : null
-        };
+v1Route('delete', '/links/:code', {
+    summary: 'Delete a link and its clicks', tags: ['Links'], auth: 'any', scope: 'delete', status: 204,
+    errors: ['LINK_NOT_FOUND']
+}, requireScope('delete'), async (req, res) => {
+    await removeLink(req.auth.userId, req.params.code);
+    res.sendStatus(204);
+});
 
-        storage.addLink(link);
+v1Route('get', '/links/:code/stats', {
+    summary: 'Click stats for one of your links', tags: ['Stats'], auth: 'any', scope: 'read-stats',
+    query: [
+        { name: 'includeBots', schema: { type: 'boolean', default: false }, description: 'Count crawler, preview and prefetch hits too' },
+        { name: 'top', schema: { type: 'integer', minimum: 1, maximum: MAX_BREAKDOWN_SIZE, default: DEFAULT_BREAKDOWN_SIZE }, description: 'Rows per breakdown' },
+        ...CLICK_FILTER_PARAMS
+    ],
+    response: ref('LinkStats'),
+    errors: ['LINK_NOT_FOUND']
+}, requireScope('read-stats'), async (req, res) => {
+    const link = await getOwnedLink(req.auth.userId, req.params.code);
+    res.json(await buildLinkStats(link, parseStatsQuery(req.query)));
+});
 
-        // Generate QR code async
-        setTimeout(async () => {
-            try {
-                const qrCode = await QRCode.toDataURL(`${req.protocol}://${req.get('host')}/${shortCode}`);
-                link.qrCode = qrCode;
-            } catch (error) {
-                console.log('QR generation failed');
-            }
-        }, 0);
+const exportQuery = [
+    { name: 'format', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' } },
+    { name: 'from', schema: { type: 'string', format: 'date-time' }, description: 'Only clicks at or after this time' },
+    { name: 'to', schema: { type: 'string', format: 'date-time' }, description: 'Only clicks at or before this time' }
+];
+const exportContent = {
+    'text/csv': { schema: { type: 'string' } },
+    'application/x-ndjson': { schema: { type: 'string', description: 'One JSON object per line' } }
+};
 
-        res.json({
-            success: true,
-            shortCode,
-            shortUrl: `${req.protocol}://${req.get('host')}/${shortCode}`,
-            link
-        });
+v1Route('get', '/links/:code/export', {
+    summary: 'Stream the full click log of one of your links', tags: ['Export'], auth: 'any', scope: 'read-stats',
+    query: exportQuery,
+    response: { type: 'array', items: { type: 'object', properties: Object.fromEntries(EXPORT_CLICK_COLUMNS.map(c => [c, {}])) } },
+    extraResponse: exportContent,
+    errors: ['INVALID_FORMAT', 'INVALID_RANGE', 'LINK_NOT_FOUND']
+}, requireScope('read-stats'), async (req, res) => {
+    const { format, from, to } = parseExportQuery(req.query);
+    const link = await getOwnedLink(req.auth.userId, req.params.code);
 
-    } catch (error) {
-        console.error('Create error:', error);
-        res.json({ success: false, error: 'Server xətası' });
+    await streamExport(res, {
+        format,
+        filename: `clicks-${link.shortCode}`,
+        columns: EXPORT_CLICK_COLUMNS,
+        rows: await storage.iterateClicks(link.shortCode, { from, to })
+    });
+});
+
+v1Route('get', '/export', {
+    summary: 'Stream clicks (type=clicks) or link stats (type=links) for all your links', tags: ['Export'],
+    auth: 'any', scope: 'read-stats',
+    query: [{ name: 'type', schema: { type: 'string', enum: ['clicks', 'links'], default: 'clicks' } }, ...exportQuery],
+    response: { type: 'array', items: { type: 'object' } },
+    extraResponse: exportContent,
+    errors: ['INVALID_FORMAT', 'INVALID_RANGE', 'VALIDATION_FAILED']
+}, requireScope('read-stats'), async (req, res) => {
+    const { format, from, to } = parseExportQuery(req.query);
+    const type = req.query.type || 'clicks';
+    if (!['clicks', 'links'].includes(type)) {
+        throw new ApiError('VALIDATION_FAILED', { type: 'must be clicks or links' });
     }
+
+    const links = await storage.getUserLinks(req.auth.userId);
+    const date = new Date().toISOString().split('T')[0];
+
+    await streamExport(res, type === 'links' ? {
+        format,
+        filename: `links-${date}`,
+        columns: EXPORT_LINK_COLUMNS,
+        rows: links
+    } : {
+        format,
+        filename: `clicks-${date}`,
+        columns: EXPORT_CLICK_COLUMNS,
+        rows: iterateLinksClicks(links.map(link => link.shortCode), { from, to })
+    });
 });
 
-// Get user's links
-app.post('/api/mylinks', (req, res) => {
-    try {
-        const { userId, deviceId } = req.body;
-        
-        if (!userId) {
-            return res.json({ success: false, error: 'userId tələb olunur' });
-        }
+v1Route('get', '/analytics/timeseries', {
+    summary: 'Clicks and unique clicks over time, for one link or all your links', tags: ['Stats'],
+    auth: 'any', scope: 'read-stats',
+    query: [
+        { name: 'code', schema: { type: 'string' }, description: 'One link; all your links when omitted' },
+        { name: 'from', schema: { type: 'string' }, description: 'ISO date-time, or YYYY-MM-DD (local midnight)' },
+        { name: 'to', schema: { type: 'string' }, description: 'ISO date-time, or YYYY-MM-DD (inclusive); defaults to now' },
+        { name: 'granularity', schema: { type: 'string', enum: GRANULARITIES, default: 'day' } },
+        { name: 'timezone', schema: { type: 'string', default: 'UTC' }, description: 'IANA zone used for bucket edges' },
+        ...LINK_FILTER_PARAMS.filter(param => param.name !== 'q'),
+        ...CLICK_FILTER_PARAMS
+    ],
+    response: ref('TimeSeries'),
+    errors: ['INVALID_RANGE', 'INVALID_GRANULARITY', 'INVALID_TIMEZONE', 'RANGE_TOO_LARGE', 'LINK_NOT_FOUND']
+}, requireScope('read-stats'), async (req, res) => {
+    res.json(await buildTimeSeries(req.auth.userId, req.query));
+});
 
-        // Register/update device
-        storage.getOrCreateUser(userId, deviceId, req.headers['user-agent']);
+v1Route('get', '/dashboard', {
+    summary: 'Aggregates across your links, optionally narrowed by tag or folder', tags: ['Stats'], auth: 'any', scope: 'read-stats',
+    query: [...LINK_FILTER_PARAMS, ...CLICK_FILTER_PARAMS], response: ref('Dashboard')
+}, requireScope('read-stats'), async (req, res) => {
+    res.json(await buildDashboard(req.auth.userId, parseLinkFilters(req.query), parseClickFilters(req.query)));
+});
 
-        const links = storage.getUserLinks(userId);
-        
-        const processedLinks = links.map(link => ({
-            shortCode: link.shortCode,
-            fullUrl: link.fullUrl,
-            customAlias: link.customAlias,
-            totalClicks: link.totalClicks || 0,
-            uniqueClicks: link.uniqueClicks || 0,
-            isActive: link.isActive,
-            createdAt: link.createdAt,
-            expiresAt: link.expiresAt,
-            qrCode: link.qrCode,
-            lastClicked: link.lastClicked
-        })).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+v1Route('get', '/dead-hits', {
+    summary: 'Hits on your expired, paused, used-up, scheduled-off or deleted links (kept for ' + DEAD_HIT_RETENTION_DAYS + ' days)', tags: ['Stats'],
+    auth: 'any', scope: 'read-stats', response: ref('DeadLinkTraffic')
+}, requireScope('read-stats'), async (req, res) => {
+    res.json(await deadLinkTraffic(req.auth.userId));
+});
 
-        res.json({
-            success: true,
-            links: processedLinks,
-            totalLinks: links.length,
-            totalClicks: links.reduce((sum, link) => sum + (link.totalClicks || 0), 0)
-        });
+// OpenAPI document
+apiV1.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument(req));
+});
 
-    } catch (error) {
-        console.error('MyLinks error:', error);
-        res.json({ success: false, error: 'Server xətası' });
-    }
+apiV1.use((req, res, next) => {
+    next(new ApiError('ROUTE_NOT_FOUND'));
 });
 
-// Dashboard stats
-app.post('/api/dashboard', (req, res) => {
-    try {
-        const { userId, deviceId } = req.body;
-        
-        if (!userId) {
-            return res.json({ success: false, error: 'userId tələb olunur' });
+app.use('/api/v1', apiV1);
+
+// Crawler, link preview, HEAD or prefetch request
+function isBotRequest(req) {
+    const userAgent = req.headers['user-agent'] || '';
+    return !!botReason(userAgent, { isBot: isbot(userAgent) }, requestBotReason(req));
+}
+
+// Count a hit on a code without a link (returns immediately)
+function countUnknownHit(req, code) {
+    storage.countUnknownHit(code, { isBot: isBotRequest(req), timestamp: new Date() })
+        .catch(error => console.error('Dead hit log error:', error.message));
+}
+
+// Record a hit on a dead link for its owner (returns immediately)
+function logDeadHit(req, code, link, reason, fallbackUrl = null) {
+    const userAgent = req.headers['user-agent'] || '';
+    storage.addDeadHit({
+        hitId: uuidv4(),
+        shortCode: code,
+        userId: link.userId,
+        reason,
+        fallbackUrl,
+        referrer: req.headers.referer || '',
+        referrerDomain: classifyReferrer(req.headers.referer).referrerDomain,
+        userAgent: userAgent.substring(0, 200),
+        isBot: isBotRequest(req),
+        timestamp: new Date()
+    }).catch(error => console.error('Dead hit log error:', error.message));
+}
+
+// Link out of clicks: 410 page, the fallback URL or the owner's message, per limitAction
+function sendLimitReached(req, res, code, link) {
+    const fallbackUrl = link.limitAction === 'fallback' ? link.fallbackUrl || null : null;
+    logDeadHit(req, code, link, 'limit', fallbackUrl);
+    res.setHeader('Cache-Control', 'no-store');
+    if (fallbackUrl) return res.redirect(fallbackUrl);
+    res.status(410).send(renderDeadLinkPage('limit', code, link.limitAction === 'page' ? link.limitMessage : null));
+}
+
+// Take one of the link's clicks right before redirecting. The storage increment is conditional,
+// so concurrent visitors can't go past maxClicks. Bots (crawlers, link unfurlers, HEAD and prefetch
+// requests) don't use one up, but get the preview page without the destination instead: a bot
+// user agent must not be a way around the limit.
+async function claimLinkClick(req, res, code, link) {
+    if (!link.maxClicks) return true;
+    if (isBotRequest(req)) {
+        await sendPreviewPage(res, code, { next: `/${code}${querySuffix(req)}`, hidden: 'limit' });
+        return false;
+    }
+    if (await storage.claimClick(code, link.maxClicks)) return true;
+    sendLimitReached(req, res, code, link);
+    return false;
+}
+
+// Load a link that can be redirected to; sends the 404/410 page (or the expiry fallback) otherwise
+async function loadActiveLink(req, res, code) {
+    const link = await storage.getLink(code);
+
+    // Old code of a renamed link: on to the current one ("+" and the query string kept, 307 keeps the method)
+    const renamed = link ? null : await storage.getLinkByPreviousCode(code);
+    if (renamed) {
+        res.setHeader('Cache-Control', 'no-store');
+        res.redirect(307, `/${renamed.shortCode}${req.path.slice(code.length + 1)}${querySuffix(req)}`);
+        return null;
+    }
+
+    // Expiry is checked first: expired links are switched off on their first hit but keep answering 410
+    if (link && link.expiresAt && new Date() > new Date(link.expiresAt)) {
+        if (link.isActive) await storage.updateLink(code, { isActive: false, deactivatedByExpiry: true });
+        logDeadHit(req, code, link, 'expired', link.fallbackUrl || null);
+        res.setHeader('Cache-Control', 'no-store');
+        if (link.fallbackUrl) res.redirect(link.fallbackUrl);
+        else res.status(410).send(renderDeadLinkPage('expired', code));
+        return null;
+    }
+
+    if (!link || !link.isActive) {
+        // Codes without a link are only counted; not at all for files like /favicon.ico that can't be short codes
+        if (link) logDeadHit(req, code, link, 'inactive');
+        else if (/^[\w-]+$/.test(code)) countUnknownHit(req, code);
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(404).send(renderDeadLinkPage('unknown', code));
+        return null;
+    }
+
+    const closed = scheduleState(link);
+    if (closed) {
+        logDeadHit(req, code, link, 'scheduled');
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(404).send(renderDeadLinkPage(closed, code));
+        return null;
+    }
+
+    // Used up already (claimLinkClick settles races at redirect time)
+    if (link.maxClicks && (link.servedClicks || 0) >= link.maxClicks) {
+        sendLimitReached(req, res, code, link);
+        return null;
+    }
+
+    return link;
+}
+
+// ===== Click ingestion =====
+// Redirects only enqueue the raw click event; one worker enriches and stores them in batches.
+
+const CLICK_BATCH_SIZE = parseInt(process.env.CLICK_BATCH_SIZE) || 100;
+const CLICK_FLUSH_MS = parseInt(process.env.CLICK_FLUSH_MS) || 250;
+const CLICK_QUEUE_MAX = parseInt(process.env.CLICK_QUEUE_MAX) || 10000;
+
+// Bounded in-process queue processed one batch at a time. When full, new items are
+// dropped (and counted) instead of growing memory; failed batches are retried.
+function createBatchQueue({ handler, batchSize, flushInterval, maxSize, maxAttempts = 3 }) {
+    const items = [];
+    const waiters = [];
+    const stats = {
+        enqueued: 0, processed: 0, dropped: 0, failed: 0, retried: 0,
+        batches: 0, highWaterMark: 0, lastBatchMs: 0, lastError: null
+    };
+    let timer = null;
+    let inFlight = 0;
+    let draining = false;
+
+    function settle() {
+        if (items.length === 0 && inFlight === 0) waiters.splice(0).forEach(resolve => resolve(true));
+    }
+
+    function schedule(delay) {
+        if (inFlight > 0 || items.length === 0) return;
+        if (draining) delay = 0;
+        if (timer && delay > 0) return;
+        clearTimeout(timer);
+        timer = setTimeout(run, delay);
+        timer.unref();
+    }
+
+    async function run() {
+        timer = null;
+        const batch = items.splice(0, batchSize);
+        inFlight = batch.length;
+        const started = Date.now();
+        let failed = false;
+
+        try {
+            await handler(batch.map(item => item.value));
+            stats.processed += batch.length;
+        } catch (error) {
+            failed = true;
+            stats.lastError = error.message;
+            const retry = batch.filter(item => ++item.attempts < maxAttempts);
+            stats.failed += batch.length - retry.length;
+            stats.retried += retry.length;
+            items.unshift(...retry);
+            console.error('Click ingestion failed:', error.message);
         }
 
-        storage.getOrCreateUser(userId, deviceId, req.headers['user-agent']);
-        const links = storage.getUserLinks(userId);
-        
-        const totalClicks = links.reduce((sum, link) => sum + (link.totalClicks || 0), 0);
-        const uniqueClicks = links.reduce((sum, link) => sum + (link.uniqueClicks || 0), 0);
-        
-        // Last 7 days activity
-        const last7Days = [];
-        const now = new Date();
-        const clicksByDay = {};
-        
-        // Collect all clicks
-        links.forEach(link => {
-            const clicks = storage.getClicks(link.shortCode);
-            clicks.forEach(click => {
-                const day = click.timestamp.toISOString().split('T')[0];
-                clicksByDay[day] = (clicksByDay[day] || 0) + 1;
-            });
-        });
-        
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            last7Days.push({
-                date: dateStr,
-                clicks: clicksByDay[dateStr] || 0
+        inFlight = 0;
+        stats.batches++;
+        stats.lastBatchMs = Date.now() - started;
+        schedule(!failed && items.length >= batchSize ? 0 : flushInterval);
+        settle();
+    }
+
+    return {
+        push(value) {
+            if (items.length >= maxSize) {
+                stats.dropped++;
+                return false;
+            }
+            items.push({ value, attempts: 0, queuedAt: Date.now() });
+            stats.enqueued++;
+            stats.highWaterMark = Math.max(stats.highWaterMark, items.length);
+            schedule(items.length >= batchSize ? 0 : flushInterval);
+            return true;
+        },
+
+        // Process everything still queued; false if it took longer than timeoutMs
+        drain(timeoutMs = 5000) {
+            draining = true;
+            schedule(0);
+            return new Promise(resolve => {
+                waiters.push(resolve);
+                settle();
+                setTimeout(() => resolve(false), timeoutMs).unref();
             });
+        },
+
+        metrics() {
+            return {
+                depth: items.length,
+                inFlight,
+                maxSize,
+                batchSize,
+                utilization: +(items.length / maxSize).toFixed(3),
+                oldestAgeMs: items.length > 0 ? Date.now() - items[0].queuedAt : 0,
+                ...stats
+            };
         }
-        
-        // Country stats
-        const countryStats = {};
-        let totalClicksForCountries = 0;
-        
-        links.forEach(link => {
-            const clicks = storage.getClicks(link.shortCode);
-            clicks.forEach(click => {
-                countryStats[click.country] = countryStats[click.country] || { count: 0, countryCode: click.countryCode };
-                countryStats[click.country].count++;
-                totalClicksForCountries++;
-            });
-        });
-        
-        const countries = Object.entries(countryStats)
-            .map(([country, data]) => ({
-                country,
-                countryCode: data.countryCode,
-                count: data.count,
-                total: totalClicksForCountries
-            }))
-            .sort((a, b) => b.count - a.count)
-            .slice(0, 10);
-
-        res.json({
-            success: true,
-            overview: {
-                totalLinks: links.length,
-                activeLinks: links.filter(l => l.isActive).length,
-                totalClicks,
-                uniqueClicks,
-                averageClicks: links.length > 0 ? (totalClicks / links.length).toFixed(1) : 0
-            },
-            recentActivity: last7Days,
-            countries
-        });
+    };
+}
 
-    } catch (error) {
-        console.error('Dashboard error:', error);
-        res.json({ success: false, error: 'Server xətası' });
+// Raw events -> stored clicks (geo, device/browser, bot and owner lookups done per batch)
+async function ingestClicks(events) {
+    const clicks = await Promise.all(events.map(async ({ hints, requestBotReason, ...event }) => {
+        const [geoInfo, userId] = await Promise.all([
+            getGeoInfo(event.ip),
+            storage.getUserByDevice(event.deviceId)
+        ]);
+        const deviceInfo = parseUserAgent(event.userAgent, hints);
+        const reason = botReason(event.userAgent, deviceInfo, requestBotReason);
+        return {
+            ...event,
+            userId: userId || 'anonymous',
+            ...geoInfo,
+            ...deviceInfo,
+            ...classifyReferrer(event.referrer, event.utmMedium),
+            isBot: !!reason,
+            botReason: reason
+        };
+    }));
+
+    await storage.addClicks(clicks);
+
+    // Update user last seen (best effort, never retried)
+    const seen = new Map(clicks.filter(c => c.userId !== 'anonymous' && !c.isBot).map(c => [`${c.userId}-${c.deviceId}`, c]));
+    await Promise.all([...seen.values()].map(c =>
+        storage.getOrCreateUser(c.userId, c.deviceId, c.userAgent).catch(() => null)));
+}
+
+const clickQueue = createBatchQueue({
+    handler: ingestClicks,
+    batchSize: CLICK_BATCH_SIZE,
+    flushInterval: CLICK_FLUSH_MS,
+    maxSize: CLICK_QUEUE_MAX
+});
+
+// "?a=1" part of the request URL, or ''
+function querySuffix(req) {
+    const queryStart = req.originalUrl.indexOf('?');
+    return queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+}
+
+// Value of a request cookie (no cookie parser is mounted)
+function readCookie(req, name) {
+    const pair = String(req.headers.cookie || '').split(';')
+        .map(part => part.trim().split('='))
+        .find(([key]) => key === name);
+    return pair ? pair.slice(1).join('=') : null;
+}
+
+// deviceId cookie, or the fingerprint it would be set to
+const visitorDeviceId = req => readCookie(req, 'deviceId') || generateDeviceId(req);
+
+// First rule matching the visitor, else an A/B variant, else the link's own destination
+async function resolveDestination(req, link) {
+    if (link.rules?.length) {
+        const { device, os } = parseUserAgent(req.headers['user-agent'], pickClientHints(req.headers));
+        const visitor = { devices: device, os, languages: primaryLanguage(req.headers['accept-language']) };
+        // GeoIP lookups only when some rule needs the country
+        if (link.rules.some(rule => rule.conditions.countries?.length)) {
+            visitor.countries = (await getGeoInfo(req.ip)).countryCode;
+        }
+
+        const rule = link.rules.find(r => ruleMatches(r, visitor));
+        if (rule) return { ruleId: rule.ruleId, variantId: null, destination: rule.url };
+    }
+
+    if (link.variants?.length) {
+        const variant = pickVariant(link.variants, `${link.linkId || link.shortCode}:${visitorDeviceId(req)}`);
+        return { ruleId: null, variantId: variant.variantId, destination: variant.url };
     }
+    return { ruleId: null, variantId: null, destination: link.fullUrl };
+}
+
+// Where to send the visitor, with the short URL's query string when the link forwards it
+function redirectTarget(req, link, destination) {
+    return link.forwardQuery ? forwardQueryString(destination, querySuffix(req)) : destination;
+}
+
+// Record a click for the current request (returns immediately)
+function trackClick(req, res, code, { ruleId = null, variantId = null, destination = null } = {}) {
+    // Get device ID from cookie or generate
+    let deviceId = readCookie(req, 'deviceId');
+    if (!deviceId) {
+        deviceId = generateDeviceId(req);
+        res.cookie('deviceId', deviceId, { maxAge: 365 * 24 * 60 * 60 * 1000 }); // 1 year
+    }
+
+    clickQueue.push({
+        clickId: uuidv4(),
+        shortCode: code,
+        ip: req.ip,
+        deviceId,
+        referrer: req.headers.referer || '',
+        ...pickUtm(req.query),
+        language: primaryLanguage(req.headers['accept-language']),
+        ruleId,
+        variantId,
+        destination,
+        userAgent: req.headers['user-agent']?.substring(0, 512), // trimmed to 200 once parsed
+        hints: pickClientHints(req.headers),
+        requestBotReason: requestBotReason(req),
+        timestamp: new Date()
+    });
+}
+
+// Health check (registered before /:code so it isn't taken for a short code)
+app.get('/health', async (req, res) => {
+    res.json({ 
+        status: '✅ ACTIVE',
+        timestamp: new Date().toISOString(),
+        storage: {
+            backend: useMongoDB ? 'mongodb' : 'memory',
+            ...(await storage.counts())
+        },
+        ingest: clickQueue.metrics(),
+        uptime: process.uptime()
+    });
 });
 
-// Get link stats
-app.get('/api/stats/:code', async (req, res) => {
+// Shared stats page (registered before /:code like /health)
+app.get('/s/:token', async (req, res) => {
     try {
-        const { code } = req.params;
-        const link = storage.getLink(code);
-        
+        // Not cached, so revoking takes effect at once
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+
+        const link = await storage.getLinkByStatsToken(req.params.token);
         if (!link) {
-            return res.json({ success: false, error: 'Link tapılmadı' });
+            return res.status(404).send(renderPublicStatsPage(null));
         }
 
-        const clicks = storage.getClicks(code);
-        const uniqueIps = new Set(clicks.map(c => c.ip));
-        
-        // Country stats
-        const countryStats = {};
-        clicks.forEach(click => {
-            countryStats[click.country] = countryStats[click.country] || { count: 0, countryCode: click.countryCode };
-            countryStats[click.country].count++;
-        });
-        
-        const countries = Object.entries(countryStats)
-            .map(([country, data]) => ({
-                country,
-                countryCode: data.countryCode,
-                count: data.count
-            }))
-            .sort((a, b) => b.count - a.count);
-        
-        // Recent clicks (last 20)
-        const recentClicks = clicks
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .slice(0, 20)
-            .map(click => ({
-                country: click.country,
-                countryCode: click.countryCode,
-                city: click.city,
-                region: click.region,
-                device: click.device,
-                browser: click.browser,
-                timestamp: click.timestamp
-            }));
-
-        res.json({
-            success: true,
-            link: {
-                shortCode: link.shortCode,
-                fullUrl: link.fullUrl,
-                createdAt: link.createdAt,
-                totalClicks: link.totalClicks || 0,
-                uniqueClicks: link.uniqueClicks || 0,
-                lastClicked: link.lastClicked
-            },
-            stats: {
-                totalClicks: clicks.length,
-                uniqueClicks: uniqueIps.size,
-                countries,
-                recentClicks
-            }
-        });
-
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+        const [stats, { series }] = await Promise.all([
+            buildLinkStats(link),
+            rollupSeries([link.shortCode], {
+                from: new Date(today.getTime() - 29 * DAY_MS),
+                to: new Date(today.getTime() + DAY_MS),
+                granularity: 'day',
+                timezone: 'UTC'
+            })
+        ]);
+        res.send(renderPublicStatsPage(link, stats.stats, series));
     } catch (error) {
-        console.error('Stats error:', error);
-        res.json({ success: false, error: 'Server xətası' });
+        console.error('Public stats error:', error);
+        res.status(500).send('Server xətası');
     }
 });
 
-// Delete link
-app.delete('/api/delete/:code', (req, res) => {
+// Preview page for a destination; the page title is looked up unless disabled. It is looked up (and
+// cached) for the link's own destination (titleUrl), not one carrying the visitor's forwarded query.
+async function sendPreviewPage(res, code, { destination = null, titleUrl = null, next, hidden }) {
+    const title = titleUrl && PREVIEW_TITLES ? await fetchPageTitle(titleUrl) : null;
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(renderPreviewPage(code, { destination, title, next, hidden }));
+}
+
+// Redirect endpoint with tracking ("/abc+" previews the link without counting a click)
+app.get('/:code', async (req, res) => {
     try {
-        const { userId, deviceId } = req.body;
-        const { code } = req.params;
-        
-        if (!userId) {
-            return res.json({ success: false, error: 'userId tələb olunur' });
+        const previewOnly = req.params.code.endsWith('+');
+        const code = previewOnly ? req.params.code.slice(0, -1) : req.params.code;
+        const link = await loadActiveLink(req, res, code);
+        if (!link) return;
+
+        if (previewOnly) {
+            // Continue through the short link so the visit is counted, except for links in preview
+            // mode, which would only show this page again
+            const shortLink = `/${code}${querySuffix(req)}`;
+            if (link.password) return sendPreviewPage(res, code, { next: shortLink });
+            if (link.maxClicks) return sendPreviewPage(res, code, { next: shortLink, hidden: 'limit' });
+
+            const { destination: titleUrl } = await resolveDestination(req, link);
+            const destination = redirectTarget(req, link, titleUrl);
+            return sendPreviewPage(res, code, { destination, titleUrl, next: link.preview ? destination : shortLink });
         }
 
-        storage.getOrCreateUser(userId, deviceId, req.headers['user-agent']);
-        const deleted = storage.deleteLink(userId, code);
-        
-        if (!deleted) {
-            return res.json({ success: false, error: 'Link tapılmadı' });
+        // Password-protected: show unlock form, no click yet
+        if (link.password) {
+            res.setHeader('Cache-Control', 'no-store');
+            return res.send(renderUnlockPage(code, null, querySuffix(req)));
         }
 
-        res.json({ success: true, message: 'Link silindi' });
+        if (!(await claimLinkClick(req, res, code, link))) return;
+
+        const target = await resolveDestination(req, link);
+        trackClick(req, res, code, target);
+
+        const destination = redirectTarget(req, link, target.destination);
+        if (link.preview) return sendPreviewPage(res, code, { destination, titleUrl: target.destination, next: destination });
+
+        res.redirect(link.redirectType || 302, destination);
+
     } catch (error) {
-        console.error('Delete error:', error);
-        res.json({ success: false, error: 'Server xətası' });
+        console.error('Redirect error:', error);
+        res.redirect('/');
     }
 });
 
-// Redirect endpoint with tracking
-app.get('/:code', async (req, res) => {
+// Unlock password-protected link
+app.post('/:code', async (req, res) => {
     try {
         const { code } = req.params;
-        const link = storage.getLink(code);
-        
-        if (!link || !link.isActive) {
-            return res.redirect('/');
-        }
+        const link = await loadActiveLink(req, res, code);
+        if (!link) return;
 
-        // Check expiration
-        if (link.expiresAt && new Date() > link.expiresAt) {
-            link.isActive = false;
-            return res.send('Linkin müddəti bitib');
+        if (!link.password) {
+            return res.redirect(`/${code}`);
         }
+        
+        res.setHeader('Cache-Control', 'no-store');
 
-        // Get device ID from cookie or generate
-        let deviceId = req.cookies?.deviceId;
-        if (!deviceId) {
-            deviceId = generateDeviceId(req);
-            res.cookie('deviceId', deviceId, { maxAge: 365 * 24 * 60 * 60 * 1000 }); // 1 year
+        if (unlockLimiter.isLimited(req.ip)) {
+            res.setHeader('Retry-After', unlockLimiter.retryAfter(req.ip));
+            return res.status(429).send(renderUnlockPage(code, 'Çox sayda uğursuz cəhd. Bir az sonra yenidən yoxlayın.', querySuffix(req)));
         }
 
-        // Get user ID from device mapping
-        const userId = storage.getUserByDevice(deviceId) || 'anonymous';
-        
-        // Get geo info
-        const geoInfo = await getGeoInfo(req.ip);
-        const deviceInfo = parseUserAgent(req.headers['user-agent']);
-        
-        // Create click record
-        const click = {
-            clickId: uuidv4(),
-            ip: req.ip,
-            deviceId,
-            userId,
-            referrer: req.headers.referer || '',
-            userAgent: req.headers['user-agent']?.substring(0, 200),
-            ...geoInfo,
-            ...deviceInfo,
-            timestamp: new Date()
-        };
-        
-        // Track click
-        storage.addClick(code, click);
-        
-        // Update user last seen
-        if (userId !== 'anonymous') {
-            storage.getOrCreateUser(userId, deviceId, req.headers['user-agent']);
+        if (!(await verifyPassword(req.body.password, link.password))) {
+            unlockLimiter.hit(req.ip);
+            return res.status(401).send(renderUnlockPage(code, 'Şifrə yanlışdır', querySuffix(req)));
         }
 
-        // Redirect
-        res.redirect(link.fullUrl);
+        if (!(await claimLinkClick(req, res, code, link))) return;
+
+        const target = await resolveDestination(req, link);
+        trackClick(req, res, code, target);
+
+        const destination = redirectTarget(req, link, target.destination);
+        if (link.preview) return sendPreviewPage(res, code, { destination, titleUrl: target.destination, next: destination });
+
+        // 303 so the browser follows with GET
+        res.redirect(303, destination);
 
     } catch (error) {
-        console.error('Redirect error:', error);
+        console.error('Unlock error:', error);
         res.redirect('/');
     }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: '✅ ACTIVE',
-        timestamp: new Date().toISOString(),
-        storage: {
-            links: storage.links.size,
-            users: storage.users.size,
-            clicks: storage.clicks.size
-        },
-        uptime: process.uptime()
-    });
-});
-
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-    console.log(`🚀 Server ${PORT} portunda işləyir`);
-    console.log(`🌐 http://localhost:${PORT}`);
-    console.log(`📊 Ölkə analitikası aktiv`);
-    console.log(`💾 Local storage aktiv`);
+
+// Error handler: /api/v1 gets real status codes, legacy /api routes keep
+// the { success: false, error } shape (status 200 except auth and rate limits)
+app.use((err, req, res, next) => {
+    // Failed mid-stream (exports): let Express close the connection
+    if (res.headersSent) return next(err);
+
+    let error = err;
+    if (err.type === 'entity.parse.failed') {
+        error = new ApiError('INVALID_JSON');
+    } else if (!(err instanceof ApiError)) {
+        console.error('API error:', req.method, req.originalUrl, err);
+        error = new ApiError('INTERNAL_ERROR');
+    }
+
+    if (error.details?.retryAfter) {
+        res.setHeader('Retry-After', error.details.retryAfter);
+    }
+
+    if (req.originalUrl.startsWith('/api/v1')) {
+        return res.status(error.status).json({
+            error: { code: error.code, message: error.message, ...(error.details && { details: error.details }) }
+        });
+    }
+
+    const status = [401, 403, 429].includes(error.status) ? error.status : 200;
+    res.status(status).json({ success: false, error: error.legacyMessage });
 });
+
+// Graceful shutdown - flush the in-memory snapshot before exit
+let shuttingDown = false;
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 ${signal} alındı, server dayanır`);
+    
+    // Store queued clicks before the final snapshot
+    const { depth, inFlight } = clickQueue.metrics();
+    if ((depth > 0 || inFlight > 0) && !(await clickQueue.drain())) {
+        console.log(`⚠️ ${clickQueue.metrics().depth} klik yazıla bilmədi`);
+    }
+    storage.memory.saveToStorage();
+    process.exit(0);
+}
+
+if (require.main === module) {
+    const rollupsReady = mongoReady.then(() => useMongoDB && storage.mongo.ensureRollups().catch(error => {
+        console.log('⚠️ Rollup yaradılması alınmadı:', error.message);
+    }));
+    
+    Promise.all([rollupsReady, geoReady]).then(([, geoProvider]) => {
+        app.listen(PORT, () => {
+            console.log(`🚀 Server ${PORT} portunda işləyir`);
+            console.log(`🌐 http://localhost:${PORT}`);
+            console.log(`📊 Ölkə analitikası aktiv (GeoIP: ${geoProvider.name})`);
+            console.log(useMongoDB ? `💾 MongoDB storage aktiv` :
+                DATA_DIR ? `💾 Fayl storage aktiv (${DATA_DIR}, ${STORAGE_FORMAT})` : `💾 Local storage aktiv`);
+        });
+    });
+    
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { app, storage, clickQueue, PersistentStorage, MongoStorage, StorageAdapter, normalizeIp, parseUserAgent, isPrivateAddress };
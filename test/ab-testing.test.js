@@ -0,0 +1,98 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, flushClicks } = require('./helpers/api');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const VISITORS = 200;
+
+describe('A/B split tests', () => {
+    let token;
+    let link;
+
+    const visit = async visitor => {
+        const res = await api().get('/split').set('user-agent', BROWSER).set('cookie', `deviceId=${visitor}`).expect(302);
+        return res.headers.location;
+    };
+    const stats = async () => (await api().get('/api/v1/links/split/stats').set(bearer(token)).expect(200)).body.stats;
+
+    before(async () => {
+        token = await registerAccount();
+        link = await createLink(token, {
+            fullUrl: 'https://example.com/a',
+            customAlias: 'split',
+            variants: [{ url: 'https://example.com/a', weight: 70 }, { url: 'https://example.com/b', weight: 30 }]
+        });
+    });
+
+    it('gives each variant its own id and the requested weight', () => {
+        assert.deepEqual(link.variants.map(({ url, weight }) => ({ url, weight })), [
+            { url: 'https://example.com/a', weight: 70 },
+            { url: 'https://example.com/b', weight: 30 }
+        ]);
+        assert.ok(link.variants.every(variant => typeof variant.variantId === 'string' && variant.variantId));
+    });
+
+    it('keeps a visitor on the same variant across visits', async () => {
+        for (const visitor of ['sticky-1', 'sticky-2', 'sticky-3']) {
+            const first = await visit(visitor);
+            for (let i = 0; i < 3; i++) assert.equal(await visit(visitor), first);
+        }
+    });
+
+    it('splits visitors by weight', async () => {
+        const counts = { 'https://example.com/a': 0, 'https://example.com/b': 0 };
+        for (let i = 0; i < VISITORS; i++) counts[await visit(`visitor-${i}`)]++;
+
+        const share = counts['https://example.com/a'] / VISITORS;
+        assert.ok(share > 0.5 && share < 0.9, `variant a got ${share} of the visitors`);
+    });
+
+    it('reports clicks and unique visitors per variant', async () => {
+        await flushClicks();
+        const { variants } = await stats();
+
+        assert.deepEqual(variants.map(({ variantId, url, weight }) => ({ variantId, url, weight })), link.variants);
+        assert.equal(variants.reduce((sum, row) => sum + row.clicks, 0), 12 + VISITORS);
+        assert.equal(variants.reduce((sum, row) => sum + row.uniqueClicks, 0), 3 + VISITORS);
+        assert.ok(variants.every(row => row.clicks > 0 && row.uniqueClicks <= row.clicks));
+    });
+
+    it('rejects variant lists that are not valid', async () => {
+        const cases = [
+            [[{ url: 'https://example.com/a' }], { variants: '0 or 2-10 destinations' }],
+            [Array.from({ length: 11 }, (_, i) => ({ url: `https://example.com/${i}` })), { variants: '0 or 2-10 destinations' }],
+            [[{ url: 'https://example.com/a' }, { url: 'https://example.com/b', weight: 0 }], { variant: 1, weight: 'whole number 1-1000' }],
+            [[{ url: 'https://example.com/a', weight: 2.5 }, { url: 'https://example.com/b' }], { variant: 0, weight: 'whole number 1-1000' }],
+            [[{ url: 'https://example.com/a' }, { weight: 5 }], { variant: 1, url: 'required' }]
+        ];
+        for (const [variants, details] of cases) {
+            const res = await api().post('/api/v1/links').set(bearer(token))
+                .send({ fullUrl: 'https://example.com/', variants })
+                .expect(400);
+            assert.equal(res.body.error.code, 'INVALID_VARIANTS');
+            assert.deepEqual(res.body.error.details, details);
+        }
+    });
+
+    it('answers 404 when promoting a variant the link does not have', async () => {
+        const res = await api().post('/api/v1/links/split/variants/nope/promote').set(bearer(token)).expect(404);
+        assert.equal(res.body.error.code, 'VARIANT_NOT_FOUND');
+
+        const other = await registerAccount();
+        await api().post(`/api/v1/links/split/variants/${link.variants[1].variantId}/promote`).set(bearer(other)).expect(404);
+    });
+
+    it('ends the test by promoting the winner, keeping the ended variants in stats', async () => {
+        const winner = link.variants[1];
+        const res = await api().post(`/api/v1/links/split/variants/${winner.variantId}/promote`).set(bearer(token)).expect(200);
+        assert.equal(res.body.link.fullUrl, 'https://example.com/b');
+        assert.deepEqual(res.body.link.variants, []);
+
+        for (const visitor of ['sticky-1', 'sticky-2', 'sticky-3']) assert.equal(await visit(visitor), 'https://example.com/b');
+
+        await flushClicks();
+        const { variants } = await stats();
+        assert.deepEqual(variants.map(row => row.variantId).sort(), link.variants.map(variant => variant.variantId).sort());
+        assert.ok(variants.every(row => row.ended === true && row.weight === null));
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount } = require('./helpers/api');
+
+const linkCodes = async token =>
+    (await api().get('/api/v1/links').set(bearer(token)).expect(200)).body.links.map(link => link.shortCode);
+
+describe('accounts', () => {
+    it('rejects invalid emails, short passwords and taken emails', async () => {
+        await api().post('/api/v1/auth/register').send({ email: 'nope', password: 'secret-pass-1' }).expect(400);
+        const weak = await api().post('/api/v1/auth/register').send({ email: 'weak@example.com', password: 'short' }).expect(400);
+        assert.equal(weak.body.error.code, 'WEAK_PASSWORD');
+
+        await registerAccount('taken@example.com');
+        const taken = await api().post('/api/v1/auth/register').send({ email: 'Taken@Example.com', password: 'secret-pass-1' }).expect(409);
+        assert.equal(taken.body.error.code, 'EMAIL_TAKEN');
+    });
+
+    it('logs in with the right password only and ends the session on logout', async () => {
+        await registerAccount('login@example.com');
+        const wrong = await api().post('/api/v1/auth/login').send({ email: 'login@example.com', password: 'wrong-pass-1' }).expect(401);
+        assert.equal(wrong.body.error.code, 'INVALID_CREDENTIALS');
+
+        const { token } = (await api().post('/api/v1/auth/login').send({ email: 'login@example.com', password: 'secret-pass-1' }).expect(200)).body;
+        const me = await api().get('/api/v1/auth/me').set(bearer(token)).expect(200);
+        assert.equal(me.body.user.email, 'login@example.com');
+
+        await api().post('/api/v1/auth/logout').set(bearer(token)).expect(204);
+        const revoked = await api().get('/api/v1/auth/me').set(bearer(token)).expect(401);
+        assert.equal(revoked.body.error.code, 'INVALID_TOKEN');
+    });
+
+    it('requires a token for account routes', async () => {
+        const res = await api().get('/api/v1/auth/me').expect(401);
+        assert.equal(res.body.error.code, 'UNAUTHORIZED');
+    });
+
+    it('claims links created anonymously by the browser once, on registration', async () => {
+        const created = await api().post('/api/create').send({ fullUrl: 'https://example.com/anon', customAlias: 'anon-link', userId: 'anon-1', deviceId: 'dev-1' }).expect(200);
+        assert.equal(created.body.success, true);
+
+        const res = await api().post('/api/auth/register').send({ email: 'claim@example.com', password: 'secret-pass-1', claimUserId: 'anon-1' }).expect(200);
+        assert.equal(res.body.claimed, 1);
+        assert.deepEqual(await linkCodes(res.body.token), ['anon-link']);
+
+        const again = await api().post('/api/v1/auth/claim').set(bearer(res.body.token)).send({ userId: 'anon-1' }).expect(409);
+        assert.equal(again.body.error.code, 'CLAIM_FAILED');
+        const legacy = await api().post('/api/auth/claim').set(bearer(res.body.token)).send({ userId: 'anon-1' }).expect(200);
+        assert.equal(legacy.body.success, false);
+    });
+
+    it('does not let anonymous callers create links in an account', async () => {
+        const token = await registerAccount();
+        const { userId } = (await api().get('/api/v1/auth/me').set(bearer(token))).body.user;
+
+        await api().post('/api/create').send({ fullUrl: 'https://example.com/sneaky', customAlias: 'sneaky', userId }).expect(200);
+        assert.deepEqual(await linkCodes(token), []);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink } = require('./helpers/api');
+
+describe('API keys', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'keyed' });
+    });
+
+    const createKey = async scopes =>
+        (await api().post('/api/v1/keys').set(bearer(token)).send({ name: 'CI', scopes }).expect(201)).body;
+
+    it('returns the plain key once and lists only its prefix', async () => {
+        const { key, apiKey } = await createKey(['read-stats']);
+        assert.match(key, /^agk_/);
+        assert.equal(apiKey.prefix, key.slice(0, 10));
+
+        const { keys } = (await api().get('/api/v1/keys').set(bearer(token)).expect(200)).body;
+        const listed = keys.find(k => k.keyId === apiKey.keyId);
+        assert.deepEqual(listed.scopes, ['read-stats']);
+        assert.equal(JSON.stringify(keys).includes(key), false);
+    });
+
+    it('rejects unknown scopes', async () => {
+        const res = await api().post('/api/v1/keys').set(bearer(token)).send({ scopes: ['admin'] }).expect(400);
+        assert.equal(res.body.error.code, 'INVALID_SCOPES');
+    });
+
+    it('allows what the scopes cover and answers 403 for the rest', async () => {
+        const { key } = await createKey(['read-stats']);
+
+        await api().get('/api/v1/links/keyed').set(bearer(key)).expect(200);
+        const denied = await api().post('/api/v1/links').set(bearer(key)).send({ fullUrl: 'https://example.com/' }).expect(403);
+        assert.equal(denied.body.error.code, 'INSUFFICIENT_SCOPE');
+        assert.deepEqual(denied.body.error.details, { scope: 'create' });
+
+        const legacy = await api().post('/api/create').set(bearer(key)).send({ fullUrl: 'https://example.com/' }).expect(403);
+        assert.equal(legacy.body.success, false);
+    });
+
+    it('keeps account management to sessions', async () => {
+        const { key } = await createKey(['create', 'read-stats', 'update', 'delete']);
+        const res = await api().get('/api/v1/keys').set(bearer(key)).expect(403);
+        assert.equal(res.body.error.code, 'SESSION_REQUIRED');
+    });
+
+    it('answers 401 for unknown and revoked keys', async () => {
+        const unknown = await api().get('/api/v1/links').set(bearer('agk_not-a-key')).expect(401);
+        assert.equal(unknown.body.error.code, 'INVALID_TOKEN');
+
+        const { key, apiKey } = await createKey(['read-stats']);
+        await api().get('/api/v1/links').set(bearer(key)).expect(200);
+        await api().delete(`/api/v1/keys/${apiKey.keyId}`).set(bearer(token)).expect(204);
+        await api().get('/api/v1/links').set(bearer(key)).expect(401);
+        await api().delete(`/api/v1/keys/${apiKey.keyId}`).set(bearer(token)).expect(404);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink } = require('./helpers/api');
+
+describe('/api/v1', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+    });
+
+    it('creates with 201, refuses a taken alias with 409 and deletes with 204', async () => {
+        const res = await api().post('/api/v1/links').set(bearer(token)).send({ fullUrl: 'example.com/one', customAlias: 'one' }).expect(201);
+        assert.equal(res.body.link.shortCode, 'one');
+        assert.equal(res.body.link.fullUrl, 'https://example.com/one');
+        assert.match(res.body.link.shortUrl, /\/one$/);
+
+        const taken = await api().post('/api/v1/links').set(bearer(token)).send({ fullUrl: 'https://example.com/', customAlias: 'one' }).expect(409);
+        assert.deepEqual(Object.keys(taken.body.error), ['code', 'message']);
+        assert.equal(taken.body.error.code, 'ALIAS_TAKEN');
+
+        await api().delete('/api/v1/links/one').set(bearer(token)).expect(204);
+        await api().get('/api/v1/links/one').set(bearer(token)).expect(404);
+    });
+
+    it('answers 400 for a missing URL, bad JSON and wrongly typed fields', async () => {
+        const missing = await api().post('/api/v1/links').set(bearer(token)).send({}).expect(400);
+        assert.equal(missing.body.error.code, 'URL_REQUIRED');
+
+        const json = await api().post('/api/v1/links').set(bearer(token)).type('json').send('{"fullUrl":').expect(400);
+        assert.equal(json.body.error.code, 'INVALID_JSON');
+
+        const typed = await api().post('/api/v1/links').set(bearer(token)).send({ fullUrl: 'https://example.com/', preview: 'yes' }).expect(400);
+        assert.equal(typed.body.error.code, 'VALIDATION_FAILED');
+        assert.deepEqual(typed.body.error.details, { preview: 'must be a boolean' });
+    });
+
+    it('hides other accounts\' links behind 404', async () => {
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'mine' });
+        const other = await registerAccount();
+
+        const res = await api().get('/api/v1/links/mine').set(bearer(other)).expect(404);
+        assert.equal(res.body.error.code, 'LINK_NOT_FOUND');
+        await api().delete('/api/v1/links/mine').set(bearer(other)).expect(404);
+    });
+
+    it('answers unknown routes with a JSON 404', async () => {
+        const res = await api().get('/api/v1/nothing-here').expect(404);
+        assert.equal(res.body.error.code, 'ROUTE_NOT_FOUND');
+    });
+
+    it('keeps the legacy routes\' { success: false } shape', async () => {
+        const res = await api().post('/api/create').set(bearer(token)).send({}).expect(200);
+        assert.deepEqual(res.body, { success: false, error: 'URL tələb olunur' });
+    });
+
+    it('describes its routes in a consistent OpenAPI document', async () => {
+        const doc = (await api().get('/api/v1/openapi.json').expect(200)).body;
+        assert.equal(doc.openapi, '3.0.3');
+
+        const links = doc.paths['/api/v1/links/{code}'];
+        assert.deepEqual(Object.keys(links).sort(), ['delete', 'get', 'patch']);
+        assert.deepEqual(links.get.parameters.find(p => p.in === 'path'), { name: 'code', in: 'path', required: true, schema: { type: 'string' } });
+        assert.ok(doc.paths['/api/v1/links'].post.responses['201']);
+        assert.match(doc.paths['/api/v1/links'].post.responses['409'].description, /ALIAS_TAKEN/);
+        assert.match(doc.paths['/api/v1/links'].post.responses['403'].description, /INSUFFICIENT_SCOPE/);
+
+        // Every $ref points at a defined schema
+        const refs = JSON.stringify(doc).match(/"\$ref":"[^"]+"/g);
+        for (const ref of new Set(refs)) {
+            const name = ref.match(/#\/components\/schemas\/(\w+)/)[1];
+            assert.ok(doc.components.schemas[name], `${name} is not defined`);
+        }
+    });
+});
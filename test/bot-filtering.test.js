@@ -0,0 +1,53 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, flushClicks } = require('./helpers/api');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('bot filtering', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'watched' });
+
+        await api().get('/watched').set('user-agent', BROWSER).expect(302);
+        await api().get('/watched').set('user-agent', 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)').expect(302);
+        await api().get('/watched').set('user-agent', 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)').expect(302);
+        await api().head('/watched').set('user-agent', BROWSER).expect(302);
+        await api().get('/watched').set('user-agent', BROWSER).set('sec-purpose', 'prefetch').expect(302);
+        await flushClicks();
+    });
+
+    const stats = async query => (await api().get(`/api/v1/links/watched/stats${query}`).set(bearer(token)).expect(200)).body.stats;
+
+    it('still redirects bots but flags their hits with a reason', async () => {
+        const clicks = (await api().get('/api/v1/links/watched/export?format=json').set(bearer(token)).expect(200)).body;
+        assert.deepEqual(clicks.map(click => click.botReason || null).sort(), [null, 'crawler', 'head', 'prefetch', 'preview'].sort());
+        assert.equal(clicks.filter(click => click.isBot).length, 4);
+    });
+
+    it('leaves bot hits out of click counts and counts them separately', async () => {
+        const { link } = (await api().get('/api/v1/links/watched').set(bearer(token)).expect(200)).body;
+        assert.equal(link.totalClicks, 1);
+        assert.equal(link.uniqueClicks, 1);
+        assert.equal(link.botClicks, 4);
+
+        const human = await stats('');
+        assert.equal(human.totalClicks, 1);
+        assert.equal(human.botClicks, 4);
+        assert.deepEqual(human.browsers, [{ value: 'Chrome', count: 1 }]);
+        assert.equal(human.recentClicks.length, 1);
+    });
+
+    it('includes them on request', async () => {
+        const all = await stats('?includeBots=true');
+        assert.equal(all.includeBots, true);
+        assert.equal(all.totalClicks, 5);
+        assert.equal(all.recentClicks.filter(click => click.isBot).length, 4);
+
+        const { overview } = (await api().get('/api/v1/dashboard').set(bearer(token)).expect(200)).body;
+        assert.equal(overview.totalClicks, 1);
+        assert.equal(overview.botClicks, 4);
+    });
+});
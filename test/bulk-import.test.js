@@ -0,0 +1,62 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount } = require('./helpers/api');
+
+describe('bulk link creation', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+    });
+
+    it('imports a CSV upload row by row, reporting the rows that failed', async () => {
+        const csv = [
+            'URL,Alias,Expiry,Tags,Folder',
+            'example.com/a,bulk-a,forever,"spring, promo",Campaigns',
+            'https://example.com/b,bulk-a,,,',
+            'https://,bulk-c,,,',
+            'https://example.com/d,,2099-01-01T00:00:00Z,,'
+        ].join('\r\n');
+        const res = await api().post('/api/v1/links/bulk').set(bearer(token)).type('text/csv').send(csv).expect(200);
+
+        assert.deepEqual(res.body.summary, { total: 4, created: 2, failed: 2 });
+        assert.deepEqual(res.body.results.map(r => [r.row, r.status, r.errorCode]), [
+            [1, 'created', undefined],
+            [2, 'failed', 'ALIAS_TAKEN'],
+            [3, 'failed', 'INVALID_URL'],
+            [4, 'created', undefined]
+        ]);
+
+        const link = (await api().get('/api/v1/links/bulk-a').set(bearer(token)).expect(200)).body.link;
+        assert.deepEqual(link.tags, ['spring', 'promo']);
+        assert.equal(link.folder, 'Campaigns');
+        const dated = res.body.results[3].shortCode;
+        const expiring = (await api().get(`/api/v1/links/${dated}`).set(bearer(token)).expect(200)).body.link;
+        assert.equal(expiring.expiresAt, '2099-01-01T00:00:00.000Z');
+    });
+
+    it('accepts a JSON array and can answer with a CSV of the results', async () => {
+        const res = await api().post('/api/v1/links/bulk?format=csv').set(bearer(token))
+            .send({ links: [{ url: 'https://example.com/json', alias: 'bulk-json' }] })
+            .expect(200);
+
+        assert.match(res.headers['content-type'], /^text\/csv/);
+        const [header, row] = res.text.trim().split(/\r?\n/);
+        assert.equal(header, 'row,url,alias,status,shortCode,shortUrl,errorCode,error');
+        assert.match(row, /^1,https:\/\/example\.com\/json,bulk-json,created,bulk-json,/);
+    });
+
+    it('refuses empty and oversized batches', async () => {
+        const empty = await api().post('/api/v1/links/bulk').set(bearer(token)).send({ links: [] }).expect(400);
+        assert.equal(empty.body.error.code, 'BATCH_EMPTY');
+
+        const links = Array.from({ length: 1001 }, (_, i) => ({ url: `https://example.com/${i}` }));
+        const large = await api().post('/api/v1/links/bulk').set(bearer(token)).send({ links }).expect(413);
+        assert.deepEqual(large.body.error.details, { limit: 1000 });
+    });
+
+    it('needs the create scope', async () => {
+        const { key } = (await api().post('/api/v1/keys').set(bearer(token)).send({ scopes: ['read-stats'] })).body;
+        await api().post('/api/v1/links/bulk').set(bearer(key)).send({ links: [{ url: 'https://example.com/' }] }).expect(403);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, storage } = require('./helpers/api');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('dead link pages and hits', () => {
+    let token;
+
+    const visit = path => api().get(path).set('user-agent', BROWSER);
+    const deadHits = async (auth = token) => (await api().get('/api/v1/dead-hits').set(bearer(auth)).expect(200)).body;
+    const rowOf = (traffic, shortCode, reason) => traffic.links.find(row => row.shortCode === shortCode && row.reason === reason);
+    const expire = code => storage.updateLink(code, { expiresAt: new Date(Date.now() - 60 * 1000) });
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/paused', customAlias: 'paused' });
+        await createLink(token, { fullUrl: 'https://example.com/old', customAlias: 'ended' });
+        await createLink(token, { fullUrl: 'https://example.com/sale', customAlias: 'ended-sale', fallbackUrl: 'https://example.com/next-sale' });
+        await createLink(token, { fullUrl: 'https://example.com/gone', customAlias: 'deleted' });
+        await expire('ended');
+        await expire('ended-sale');
+    });
+
+    it('answers unknown codes with the branded 404 page instead of the home page', async () => {
+        const res = await visit('/no-such-code').expect(404);
+        assert.match(res.headers['content-type'], /text\/html/);
+        assert.equal(res.headers['cache-control'], 'no-store');
+        assert.match(res.text, /Link tapılmadı/);
+        assert.match(res.text, /\/no-such-code/);
+    });
+
+    it('answers paused links with 404 and logs the hit for their owner', async () => {
+        await api().patch('/api/v1/links/paused').set(bearer(token)).send({ isActive: false }).expect(200);
+        const res = await visit('/paused').set('referer', 'https://news.example.org/story').expect(404);
+        assert.match(res.text, /Link tapılmadı/);
+
+        const traffic = await deadHits();
+        assert.equal(rowOf(traffic, 'paused', 'inactive').hits, 1);
+        const { timestamp, ...hit } = traffic.recent.find(recent => recent.shortCode === 'paused');
+        assert.deepEqual(hit, { shortCode: 'paused', reason: 'inactive', fallbackUrl: null, referrerDomain: 'news.example.org', isBot: false });
+        assert.ok(timestamp);
+    });
+
+    it('answers expired links with 410, also after they were switched off', async () => {
+        for (let i = 0; i < 2; i++) {
+            const res = await visit('/ended').expect(410);
+            assert.match(res.text, /Linkin müddəti bitib/);
+        }
+
+        const { link } = (await api().get('/api/v1/links/ended').set(bearer(token)).expect(200)).body;
+        assert.equal(link.isActive, false);
+        assert.equal(rowOf(await deadHits(), 'ended', 'expired').hits, 2);
+    });
+
+    it('sends visitors of an expired link to its fallback destination', async () => {
+        const res = await visit('/ended-sale').expect(302);
+        assert.equal(res.headers.location, 'https://example.com/next-sale');
+
+        const row = rowOf(await deadHits(), 'ended-sale', 'expired');
+        assert.equal(row.hits, 1);
+        assert.equal(row.fallbackHits, 1);
+    });
+
+    it('counts hits on the codes of a deleted link for its former owner', async () => {
+        await api().delete('/api/v1/links/deleted').set(bearer(token)).expect(204);
+        await visit('/deleted').expect(404);
+        await api().get('/deleted').set('user-agent', 'Googlebot/2.1').expect(404);
+
+        const row = rowOf(await deadHits(), 'deleted', 'unknown');
+        assert.equal(row.hits, 2);
+        assert.equal(row.botHits, 1);
+    });
+
+    it('shows the hits to the link owner only', async () => {
+        const other = await registerAccount();
+        assert.deepEqual(await deadHits(other), { links: [], recent: [] });
+
+        await api().get('/api/v1/dead-hits').expect(401);
+        const legacy = await api().get('/api/dead-hits').set(bearer(token)).expect(200);
+        assert.equal(legacy.body.success, true);
+        assert.ok(rowOf(legacy.body, 'ended', 'expired'));
+    });
+});
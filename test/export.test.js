@@ -0,0 +1,62 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, flushClicks } = require('./helpers/api');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('exports', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'exported', tags: ['-2+3'] });
+        await api().get('/exported?utm_source=@SUM(1)').set('user-agent', BROWSER).set('referer', 'https://t.co/?q=a,"b"').expect(302);
+        await api().get('/exported').set('user-agent', BROWSER).set('referer', '=HYPERLINK("https://evil.example")').expect(302);
+        await flushClicks();
+    });
+
+    it('streams the click log as CSV with formula-like cells neutralized', async () => {
+        const res = await api().get('/api/v1/links/exported/export').set(bearer(token)).expect(200);
+        assert.match(res.headers['content-type'], /^text\/csv/);
+        assert.match(res.headers['content-disposition'], /attachment; filename="clicks-exported\.csv"/);
+
+        const lines = res.text.trim().split('\r\n');
+        assert.equal(lines.length, 3);
+        assert.ok(lines[0].startsWith('shortCode,clickId,timestamp,ip,'));
+        assert.ok(lines.some(line => line.includes(',"\'=HYPERLINK(""https://evil.example"")",')));
+        assert.ok(lines.some(line => line.includes(',"https://t.co/?q=a,""b""",')));
+        assert.ok(lines.some(line => line.includes(",'@SUM(1),")));
+    });
+
+    it('also streams JSON and NDJSON, and link stats', async () => {
+        const json = await api().get('/api/v1/links/exported/export?format=json').set(bearer(token)).expect(200);
+        assert.equal(json.body.length, 2);
+        assert.equal(json.body[0].shortCode, 'exported');
+
+        const ndjson = await api().get('/api/v1/export?format=ndjson').set(bearer(token)).buffer(true).parse((res, done) => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => done(null, text));
+        }).expect(200);
+        assert.match(ndjson.headers['content-type'], /^application\/x-ndjson/);
+        assert.equal(ndjson.body.trim().split('\n').map(line => JSON.parse(line)).length, 2);
+
+        const links = await api().get('/api/v1/export?type=links').set(bearer(token)).expect(200);
+        const [header, row] = links.text.trim().split('\r\n');
+        assert.equal(header, 'shortCode,fullUrl,customAlias,tags,folder,isActive,createdAt,expiresAt,lastClicked,totalClicks,uniqueClicks,botClicks');
+        assert.match(row, /^exported,https:\/\/example\.com\/,exported,'-2\+3,/);
+    });
+
+    it('keeps to the requested time range', async () => {
+        const res = await api().get('/api/v1/links/exported/export?format=json&to=2020-01-01T00:00:00Z').set(bearer(token)).expect(200);
+        assert.deepEqual(res.body, []);
+    });
+
+    it('rejects unknown formats and reversed ranges', async () => {
+        const format = await api().get('/api/v1/links/exported/export?format=xml').set(bearer(token)).expect(400);
+        assert.equal(format.body.error.code, 'INVALID_FORMAT');
+        const range = await api().get('/api/v1/export?from=2026-02-01&to=2026-01-01').set(bearer(token)).expect(400);
+        assert.equal(range.body.error.code, 'INVALID_RANGE');
+        await api().get('/api/v1/export?type=users').set(bearer(token)).expect(400);
+    });
+});
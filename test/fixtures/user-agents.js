@@ -0,0 +1,162 @@
+// Real user-agent strings (and client hints as Chromium browsers send them) with the expected parse
+const WINDOWS_CHROMIUM = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) ';
+
+const desktop = { device: 'Desktop', deviceVendor: null, deviceModel: null, isBot: false };
+
+module.exports = [
+    {
+        name: 'Chrome on Windows',
+        ua: `${WINDOWS_CHROMIUM}Chrome/120.0.0.0 Safari/537.36`,
+        expected: { ...desktop, browser: 'Chrome', browserVersion: '120.0.0.0', os: 'Windows', osVersion: '10' }
+    },
+    {
+        name: 'Edge on Windows (not Chrome)',
+        ua: `${WINDOWS_CHROMIUM}Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91`,
+        expected: { ...desktop, browser: 'Edge', browserVersion: '120.0.2210.91', os: 'Windows', osVersion: '10' }
+    },
+    {
+        name: 'Opera on Windows (not Chrome)',
+        ua: `${WINDOWS_CHROMIUM}Chrome/119.0.0.0 Safari/537.36 OPR/105.0.0.0`,
+        expected: { ...desktop, browser: 'Opera', browserVersion: '105.0.0.0', os: 'Windows', osVersion: '10' }
+    },
+    {
+        name: 'Firefox on Windows',
+        ua: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+        expected: { ...desktop, browser: 'Firefox', browserVersion: '121.0', os: 'Windows', osVersion: '10' }
+    },
+    {
+        name: 'Safari on macOS',
+        ua: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+        expected: { ...desktop, browser: 'Safari', browserVersion: '17.2', os: 'macOS', osVersion: '10.15.7', deviceVendor: 'Apple', deviceModel: 'Macintosh' }
+    },
+    {
+        name: 'Safari on iPhone (iOS, not macOS)',
+        ua: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+        expected: { browser: 'Mobile Safari', browserVersion: '17.2', os: 'iOS', osVersion: '17.2', device: 'Mobile', deviceVendor: 'Apple', deviceModel: 'iPhone', isBot: false }
+    },
+    {
+        name: 'Safari on iPad (Tablet, not Mobile)',
+        ua: 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1',
+        expected: { browser: 'Mobile Safari', browserVersion: '16.6', os: 'iOS', osVersion: '16.6', device: 'Tablet', deviceVendor: 'Apple', deviceModel: 'iPad', isBot: false }
+    },
+    {
+        name: 'Chrome on iPhone',
+        ua: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1',
+        expected: { browser: 'Chrome', browserVersion: '120.0.6099.119', os: 'iOS', osVersion: '17.2', device: 'Mobile', deviceVendor: 'Apple', deviceModel: 'iPhone', isBot: false }
+    },
+    {
+        name: 'Chrome on an Android phone (Android, not Linux)',
+        ua: 'Mozilla/5.0 (Linux; Android 13; SM-S908B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+        expected: { browser: 'Chrome', browserVersion: '120.0.0.0', os: 'Android', osVersion: '13', device: 'Mobile', deviceVendor: 'Samsung', deviceModel: 'SM-S908B', isBot: false }
+    },
+    {
+        name: 'Chrome on an Android tablet',
+        ua: 'Mozilla/5.0 (Linux; Android 12; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        expected: { browser: 'Chrome', browserVersion: '120.0.0.0', os: 'Android', osVersion: '12', device: 'Tablet', deviceVendor: 'Samsung', deviceModel: 'SM-X700', isBot: false }
+    },
+    {
+        name: 'Samsung Internet',
+        ua: 'Mozilla/5.0 (Linux; Android 13; SAMSUNG SM-A536B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Mobile Safari/537.36',
+        expected: { browser: 'Samsung Internet', browserVersion: '23.0', os: 'Android', osVersion: '13', device: 'Mobile', deviceVendor: 'Samsung', deviceModel: 'SM-A536B', isBot: false }
+    },
+    {
+        name: 'Firefox on Android',
+        ua: 'Mozilla/5.0 (Android 14; Mobile; rv:121.0) Gecko/121.0 Firefox/121.0',
+        expected: { browser: 'Firefox', browserVersion: '121.0', os: 'Android', osVersion: '14', device: 'Mobile', deviceVendor: null, deviceModel: null, isBot: false }
+    },
+    {
+        name: 'Chrome on a Chromebook',
+        ua: 'Mozilla/5.0 (X11; CrOS x86_64 14541.0.0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        expected: { ...desktop, browser: 'Chrome', browserVersion: '120.0.0.0', os: 'ChromeOS', osVersion: '14541.0.0' }
+    },
+    {
+        name: 'Yandex Browser on Linux',
+        ua: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 YaBrowser/24.1.0.0 Safari/537.36',
+        expected: { ...desktop, browser: 'Yandex', browserVersion: '24.1.0.0', os: 'Linux', osVersion: null }
+    },
+    {
+        name: 'Googlebot',
+        ua: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+        expected: { ...desktop, browser: 'Unknown', browserVersion: null, os: 'Unknown', osVersion: null, isBot: true }
+    },
+    {
+        name: 'Bingbot with a browser-like UA string',
+        ua: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm) Chrome/116.0.1938.76 Safari/537.36',
+        expected: { ...desktop, browser: 'Chrome', browserVersion: '116.0.1938.76', os: 'Unknown', osVersion: null, isBot: true }
+    },
+    {
+        name: 'curl',
+        ua: 'curl/8.4.0',
+        expected: { ...desktop, browser: 'Unknown', browserVersion: null, os: 'Unknown', osVersion: null, isBot: true }
+    },
+    {
+        name: 'missing user agent',
+        ua: '',
+        expected: { ...desktop, browser: 'Unknown', browserVersion: null, os: 'Unknown', osVersion: null }
+    },
+
+    // Client hints
+    {
+        name: 'Chrome on Windows 11 (platform version 13+)',
+        ua: `${WINDOWS_CHROMIUM}Chrome/120.0.0.0 Safari/537.36`,
+        hints: {
+            'sec-ch-ua-full-version-list': '"Not_A Brand";v="8.0.0.0", "Chromium";v="120.0.6099.130", "Google Chrome";v="120.0.6099.130"',
+            'sec-ch-ua-mobile': '?0',
+            'sec-ch-ua-platform': '"Windows"',
+            'sec-ch-ua-platform-version': '"15.0.0"'
+        },
+        expected: { ...desktop, browser: 'Chrome', browserVersion: '120.0.6099.130', os: 'Windows', osVersion: '11' }
+    },
+    {
+        name: 'Edge on Windows 10 from the full version list',
+        ua: `${WINDOWS_CHROMIUM}Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0`,
+        hints: {
+            'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Microsoft Edge";v="120"',
+            'sec-ch-ua-full-version-list': '"Not_A Brand";v="8.0.0.0", "Chromium";v="120.0.6099.130", "Microsoft Edge";v="120.0.2210.91"',
+            'sec-ch-ua-platform': '"Windows"',
+            'sec-ch-ua-platform-version': '"10.0.0"'
+        },
+        expected: { ...desktop, browser: 'Edge', browserVersion: '120.0.2210.91', os: 'Windows', osVersion: '10' }
+    },
+    {
+        name: 'Chrome on Android with the reduced UA string ("Android 10; K")',
+        ua: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+        hints: {
+            'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+            'sec-ch-ua-mobile': '?1',
+            'sec-ch-ua-platform': '"Android"',
+            'sec-ch-ua-platform-version': '"14.0.0"',
+            'sec-ch-ua-model': '"Pixel 7"'
+        },
+        expected: { browser: 'Chrome', browserVersion: '120', os: 'Android', osVersion: '14.0.0', device: 'Mobile', deviceVendor: null, deviceModel: 'Pixel 7', isBot: false }
+    },
+    {
+        name: 'Android Chrome in desktop-site mode (OS from the platform hint)',
+        ua: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        hints: {
+            'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+            'sec-ch-ua-mobile': '?0',
+            'sec-ch-ua-platform': '"Android"'
+        },
+        expected: { ...desktop, browser: 'Chrome', browserVersion: '120', os: 'Android', osVersion: null }
+    },
+    {
+        name: 'Brave on macOS (brand only in client hints)',
+        ua: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        hints: {
+            'sec-ch-ua': '"Brave";v="120", "Chromium";v="120", "Not?A_Brand";v="24"',
+            'sec-ch-ua-platform': '"macOS"',
+            'sec-ch-ua-platform-version': '"14.2.1"'
+        },
+        expected: { ...desktop, browser: 'Brave', browserVersion: '120', os: 'macOS', osVersion: '14.2.1', deviceVendor: 'Apple', deviceModel: 'Macintosh' }
+    },
+    {
+        name: 'Chromium brand alone keeps the UA string browser',
+        ua: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        hints: {
+            'sec-ch-ua': '"Chromium";v="120", "Not?A_Brand";v="24"',
+            'sec-ch-ua-platform': '"Linux"'
+        },
+        expected: { ...desktop, browser: 'Chrome', browserVersion: '120.0.0.0', os: 'Linux', osVersion: null }
+    }
+];
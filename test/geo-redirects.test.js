@@ -0,0 +1,88 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, flushClicks, storage } = require('./helpers/api');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('geo-targeted redirects', () => {
+    let token;
+    let link;
+
+    before(async () => {
+        token = await registerAccount();
+        link = await createLink(token, {
+            fullUrl: 'https://example.com/',
+            customAlias: 'by-country',
+            rules: [
+                { conditions: { countries: ['az', 'TR'] }, url: 'https://example.com/az' },
+                { conditions: { countries: 'RU; KZ' }, url: 'https://example.com/ru' }
+            ]
+        });
+    });
+
+    const stats = async () => (await api().get('/api/v1/links/by-country/stats').set(bearer(token)).expect(200)).body.stats;
+
+    it('stores country rules as upper-case codes, in order, with their own ids', () => {
+        assert.deepEqual(link.rules.map(rule => rule.conditions.countries), [['AZ', 'TR'], ['RU', 'KZ']]);
+        assert.deepEqual(link.rules.map(rule => rule.url), ['https://example.com/az', 'https://example.com/ru']);
+        assert.ok(link.rules.every(rule => typeof rule.ruleId === 'string' && rule.ruleId));
+        assert.notEqual(link.rules[0].ruleId, link.rules[1].ruleId);
+    });
+
+    it('sends visitors no rule matches to the default destination', async () => {
+        // Test requests come from loopback, which the geo lookup reports as country LOC
+        const res = await api().get('/by-country').set('user-agent', BROWSER).expect(302);
+        assert.equal(res.headers.location, 'https://example.com/');
+    });
+
+    it('counts the clicks of each rule and of the default destination in link stats', async () => {
+        await flushClicks();
+        const [az, ru] = link.rules;
+        await storage.addClicks([
+            { clickId: 'geo-az-1', shortCode: 'by-country', ip: '10.1.0.1', deviceId: 'az-1', isBot: false, ruleId: az.ruleId, destination: az.url, timestamp: new Date() },
+            { clickId: 'geo-az-2', shortCode: 'by-country', ip: '10.1.0.2', deviceId: 'az-2', isBot: false, ruleId: az.ruleId, destination: az.url, timestamp: new Date() }
+        ]);
+
+        const { destinations } = await stats();
+        assert.deepEqual(destinations, [
+            { ruleId: az.ruleId, destination: 'https://example.com/az', conditions: az.conditions, count: 2 },
+            { ruleId: ru.ruleId, destination: 'https://example.com/ru', conditions: ru.conditions, count: 0 },
+            { ruleId: null, destination: 'https://example.com/', conditions: null, count: 1 }
+        ]);
+    });
+
+    it('keeps the clicks of a removed rule listed as removed', async () => {
+        const [az, ru] = link.rules;
+        await api().patch('/api/v1/links/by-country').set(bearer(token)).send({ rules: [ru] }).expect(200);
+
+        const { destinations } = await stats();
+        assert.deepEqual(destinations.map(({ ruleId, count, removed }) => ({ ruleId, count, removed })), [
+            { ruleId: ru.ruleId, count: 0, removed: undefined },
+            { ruleId: null, count: 1, removed: undefined },
+            { ruleId: az.ruleId, count: 2, removed: true }
+        ]);
+    });
+
+    it('rejects rules that are not valid', async () => {
+        const cases = [
+            [{ countries: ['AZE'] }, 'https://example.com/x', { rule: 0, countries: 'two-letter country codes' }],
+            [{}, 'https://example.com/x', { rule: 0, conditions: 'at least one condition required' }],
+            [{ countries: ['AZ'] }, undefined, { rule: 0, url: 'required' }]
+        ];
+        for (const [conditions, url, details] of cases) {
+            const res = await api().post('/api/v1/links').set(bearer(token))
+                .send({ fullUrl: 'https://example.com/', rules: [{ conditions, url }] })
+                .expect(400);
+            assert.equal(res.body.error.code, 'INVALID_RULES');
+            assert.deepEqual(res.body.error.details, details);
+        }
+
+        const tooMany = Array.from({ length: 21 }, (_, i) => ({ conditions: { countries: ['AZ'] }, url: `https://example.com/${i}` }));
+        const res = await api().post('/api/v1/links').set(bearer(token))
+            .send({ fullUrl: 'https://example.com/', rules: tooMany })
+            .expect(400);
+        assert.deepEqual(res.body.error.details, { maxRules: 20 });
+
+        await api().patch('/api/v1/links/by-country').set(bearer(token)).send({ rules: 'AZ' }).expect(400);
+    });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIp } = require('./helpers/server');
+
+describe('normalizeIp', () => {
+    const cases = [
+        ['203.0.113.7', '203.0.113.7'],
+        ['::ffff:203.0.113.7', '203.0.113.7'],
+        ['::FFFF:203.0.113.7', '203.0.113.7'],
+        ['::1', '127.0.0.1'],
+        ['2001:db8::15', '2001:db8::15'],
+        ['2a02:2f0c::1a2b', '2a02:2f0c::1a2b'],
+        ['2001:db8::1', '2001:db8::1'],
+        ['::ffff:abcd', '::ffff:abcd'],
+        ['fe80::1%eth0', 'fe80::1%eth0'],
+        [undefined, 'unknown'],
+        ['', 'unknown']
+    ];
+
+    for (const [ip, expected] of cases) {
+        it(`${ip} -> ${expected}`, () => {
+            assert.equal(normalizeIp(ip), expected);
+        });
+    }
+});
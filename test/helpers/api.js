@@ -0,0 +1,35 @@
+// supertest requests against the app, with shortcuts for accounts and links
+const request = require('supertest');
+const server = require('./server');
+
+const api = () => request(server.app);
+
+const bearer = token => ({ authorization: `Bearer ${token}` });
+
+let accountCounter = 0;
+
+// New account; returns its session token
+async function registerAccount(email = `user${++accountCounter}@example.com`) {
+    const res = await api().post('/api/auth/register').send({ email, password: 'secret-pass-1' }).expect(200);
+    return res.body.token;
+}
+
+// Create a link through /api/v1; returns the link (throws unless it was created)
+async function createLink(token, body) {
+    const res = await api().post('/api/v1/links').set(bearer(token)).send(body);
+    if (res.status !== 201) throw new Error(`link not created: ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body.link;
+}
+
+// Wait until the clicks of earlier redirects are stored (the queue's timers are unref'd,
+// so something has to keep the process alive meanwhile)
+async function flushClicks() {
+    const keepAlive = setInterval(() => {}, 1000);
+    try {
+        if (!(await server.clickQueue.drain())) throw new Error('clicks were not stored in time');
+    } finally {
+        clearInterval(keepAlive);
+    }
+}
+
+module.exports = { api, bearer, registerAccount, createLink, flushClicks, ...server };
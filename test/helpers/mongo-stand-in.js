@@ -0,0 +1,242 @@
+// In-process stand-in for the mongoose models MongoStorage uses.
+// Documents live in arrays, queries/updates/aggregations are evaluated by mingo,
+// documents are cast through the real schemas and their unique indexes are enforced.
+const mongoose = require('mongoose');
+const { Query, aggregate, update } = require('mingo');
+
+function clone(value) {
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, clone(inner)]));
+    }
+    return value; // ObjectId and other immutable values
+}
+
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// "-clicks -revisions" / "shortCode" -> mingo projection
+function projection(select) {
+    if (!select) return undefined;
+    return Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field =>
+        field.startsWith('-') ? [field.slice(1), 0] : [field, 1]));
+}
+
+function duplicateKeyError(model, fields) {
+    const error = new Error(`E11000 duplicate key error collection: ${model.collection.name} index: ${fields.join('_')}_1`);
+    error.code = 11000;
+    return error;
+}
+
+// Chainable and awaitable like a mongoose query
+class StandInQuery {
+    constructor(run) {
+        this.run = run;
+        this.options = {};
+    }
+
+    sort(spec) { this.options.sort = spec; return this; }
+    select(spec) { this.options.select = spec; return this; }
+    limit(count) { this.options.limit = count; return this; }
+    distinct(field) { this.options.distinct = field; return this; }
+    lean() { return this; }
+    allowDiskUse() { return this; }
+
+    exec() {
+        return Promise.resolve().then(() => this.run(this.options));
+    }
+
+    then(resolve, reject) {
+        return this.exec().then(resolve, reject);
+    }
+
+    cursor() {
+        const query = this;
+        return {
+            async *[Symbol.asyncIterator]() {
+                yield* await query.exec();
+            }
+        };
+    }
+}
+
+class StandInModel {
+    constructor(model) {
+        this.model = model;
+        this.collection = model.collection;
+        this.docs = [];
+        this.uniqueIndexes = model.schema.indexes()
+            .filter(([, options]) => options.unique)
+            .map(([fields, options]) => ({ fields: Object.keys(fields), sparse: !!options.sparse }));
+    }
+
+    // Casting, defaults and strict field filtering of the real schema
+    cast(doc) {
+        return new this.model(doc).toObject({ versionKey: false });
+    }
+
+    // Keys a document has in an index: one per element for an array field, none when a sparse index skips it
+    indexKeys(doc, { fields, sparse }) {
+        const values = fields.map(field => getPath(doc, field));
+        if (sparse && values.every(value => value === undefined)) return [];
+        if (fields.length === 1 && Array.isArray(values[0])) return values[0].map(value => JSON.stringify([value]));
+        return [JSON.stringify(values.map(value => value ?? null))];
+    }
+
+    checkUnique(doc, ignore) {
+        for (const index of this.uniqueIndexes) {
+            const keys = this.indexKeys(doc, index);
+            const taken = this.docs.some(other => other !== ignore &&
+                this.indexKeys(other, index).some(key => keys.includes(key)));
+            if (taken) throw duplicateKeyError(this.model, index.fields);
+        }
+    }
+
+    insert(doc) {
+        const stored = this.cast(doc);
+        this.checkUnique(stored);
+        this.docs.push(stored);
+        return stored;
+    }
+
+    matching(filter) {
+        const query = new Query(filter);
+        return this.docs.filter(doc => query.test(doc));
+    }
+
+    // Applies an update in place; returns whether the document changed
+    apply(doc, filter, modifier) {
+        const { $setOnInsert, ...rest } = modifier;
+        const next = clone(doc);
+        if (Object.keys(rest).length > 0) update(next, rest, [], filter);
+        const cast = this.cast(next);
+        if (JSON.stringify(cast) === JSON.stringify(doc)) return false;
+
+        this.checkUnique(cast, doc);
+        Object.keys(doc).forEach(key => delete doc[key]);
+        Object.assign(doc, cast);
+        return true;
+    }
+
+    upsert(filter, modifier) {
+        const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) =>
+            !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof Date)));
+        const { $setOnInsert, ...rest } = modifier;
+        const doc = clone(seed);
+        update(doc, { ...rest, ...($setOnInsert ? { $set: { ...rest.$set, ...$setOnInsert } } : {}) });
+        return this.insert(doc);
+    }
+
+    find(filter = {}) {
+        return new StandInQuery(({ sort, select, limit, distinct }) => {
+            if (distinct) return [...new Set(this.matching(filter).map(doc => getPath(doc, distinct)))];
+            let cursor = new Query(filter).find(this.docs.map(clone), projection(select));
+            if (sort) cursor = cursor.sort(sort);
+            if (limit) cursor = cursor.limit(limit);
+            return cursor.all();
+        });
+    }
+
+    findOne(filter = {}) {
+        const query = this.find(filter);
+        return new StandInQuery(options => query.run({ ...options, limit: 1 })[0] || null);
+    }
+
+    exists(filter) {
+        return new StandInQuery(() => {
+            const [doc] = this.matching(filter);
+            return doc ? { _id: doc._id } : null;
+        });
+    }
+
+    findOneAndUpdate(filter, modifier, options = {}) {
+        return new StandInQuery(() => {
+            const [doc] = this.matching(filter);
+            if (!doc) return options.upsert ? clone(this.upsert(filter, modifier)) : null;
+            const before = clone(doc);
+            this.apply(doc, filter, modifier);
+            return options.new ? clone(doc) : before;
+        });
+    }
+
+    findOneAndDelete(filter) {
+        return new StandInQuery(({ select }) => {
+            const [doc] = this.matching(filter);
+            if (!doc) return null;
+            this.docs.splice(this.docs.indexOf(doc), 1);
+            return new Query({}).find([clone(doc)], projection(select)).all()[0];
+        });
+    }
+
+    async create(doc) {
+        return new this.model(clone(this.insert(doc)));
+    }
+
+    async insertMany(docs, { ordered = true } = {}) {
+        const inserted = [];
+        let failure = null;
+        for (const doc of docs) {
+            try {
+                inserted.push(this.insert(doc));
+            } catch (error) {
+                if (ordered) throw error;
+                failure = failure || error;
+            }
+        }
+        if (failure) throw failure;
+        return inserted.map(clone);
+    }
+
+    async updateOne(filter, modifier, options = {}) {
+        const [doc] = this.matching(filter);
+        if (!doc) {
+            if (!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+            this.upsert(filter, modifier);
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+        }
+        return { matchedCount: 1, modifiedCount: this.apply(doc, filter, modifier) ? 1 : 0, upsertedCount: 0 };
+    }
+
+    async updateMany(filter, modifier) {
+        const docs = this.matching(filter);
+        const modifiedCount = docs.filter(doc => this.apply(doc, filter, modifier)).length;
+        return { matchedCount: docs.length, modifiedCount };
+    }
+
+    async deleteOne(filter) {
+        const [doc] = this.matching(filter);
+        if (!doc) return { deletedCount: 0 };
+        this.docs.splice(this.docs.indexOf(doc), 1);
+        return { deletedCount: 1 };
+    }
+
+    async deleteMany(filter) {
+        const doomed = new Set(this.matching(filter));
+        this.docs = this.docs.filter(doc => !doomed.has(doc));
+        return { deletedCount: doomed.size };
+    }
+
+    async bulkWrite(operations) {
+        for (const { updateOne } of operations) {
+            await this.updateOne(updateOne.filter, updateOne.update, { upsert: updateOne.upsert });
+        }
+    }
+
+    async estimatedDocumentCount() {
+        return this.docs.length;
+    }
+
+    aggregate(pipeline) {
+        return new StandInQuery(() => aggregate(this.docs.map(clone), pipeline));
+    }
+}
+
+// Fresh, empty set of models in the shape MongoStorage's constructor takes
+function createModels() {
+    return Object.fromEntries(['Link', 'User', 'Click', 'Session', 'ApiKey', 'ClickRollup', 'UtmPreset', 'DeadHit', 'UnknownCode']
+        .map(name => [name, new StandInModel(mongoose.model(name))]));
+}
+
+module.exports = { createModels };
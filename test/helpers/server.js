@@ -0,0 +1,14 @@
+// Loads server.js without touching ./data, a MongoDB server, GeoIP databases or destination pages
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aglink-test-'));
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+process.env.DATA_DIR = dataDir;
+process.env.GEOIP_PROVIDER = 'none';
+process.env.PREVIEW_TITLES = 'false';
+delete process.env.MONGODB_URI;
+
+module.exports = require('../../server');
@@ -0,0 +1,147 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink } = require('./helpers/api');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const HOUR = 60 * 60 * 1000;
+
+const visit = path => api().get(path).set('user-agent', BROWSER);
+// "HH:00" the given number of hours from the current hour in a time zone
+const clockIn = (timezone, hours) => {
+    const hour = Number(new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', hourCycle: 'h23' }).format(new Date()));
+    return `${String((hour + hours + 24) % 24).padStart(2, '0')}:00`;
+};
+
+describe('click limits', () => {
+    let token;
+
+    const linkOf = async code => (await api().get(`/api/v1/links/${code}`).set(bearer(token)).expect(200)).body.link;
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/drop', customAlias: 'drop', maxClicks: 3 });
+        await createLink(token, { fullUrl: 'https://example.com/early', customAlias: 'early-bird', maxClicks: 1, limitAction: 'fallback', fallbackUrl: 'https://example.com/late' });
+        await createLink(token, { fullUrl: 'https://example.com/tickets', customAlias: 'tickets', maxClicks: 1, limitAction: 'page', limitMessage: 'Biletlər satılıb, təşəkkürlər!' });
+    });
+
+    it('lets exactly maxClicks of concurrent visitors through and answers the rest with 410', async () => {
+        const responses = await Promise.all(Array.from({ length: 6 }, () => visit('/drop')));
+        assert.deepEqual(responses.map(res => res.status).sort(), [302, 302, 302, 410, 410, 410]);
+        assert.ok(responses.filter(res => res.status === 302).every(res => res.headers.location === 'https://example.com/drop'));
+        assert.match(responses.find(res => res.status === 410).text, /Klik limiti dolub/);
+
+        assert.equal((await linkOf('drop')).servedClicks, 3);
+        const { links } = (await api().get('/api/v1/dead-hits').set(bearer(token)).expect(200)).body;
+        assert.equal(links.find(row => row.shortCode === 'drop' && row.reason === 'limit').hits, 3);
+    });
+
+    it('shows bots the preview page without using up a click', async () => {
+        const res = await api().get('/early-bird').set('user-agent', 'Googlebot/2.1').expect(200);
+        assert.doesNotMatch(res.text, /example\.com\/early/);
+        assert.match(res.text, /klik limiti var/);
+        assert.equal((await linkOf('early-bird')).servedClicks, 0);
+    });
+
+    it('sends visitors to the fallback URL or shows the owner message, per limitAction', async () => {
+        assert.equal((await visit('/early-bird').expect(302)).headers.location, 'https://example.com/early');
+        assert.equal((await visit('/early-bird').expect(302)).headers.location, 'https://example.com/late');
+
+        await visit('/tickets').expect(302);
+        const page = await visit('/tickets').expect(410);
+        assert.match(page.text, /Biletlər satılıb, təşəkkürlər!/);
+    });
+
+    it('reopens a used-up link when its limit is raised', async () => {
+        await api().patch('/api/v1/links/tickets').set(bearer(token)).send({ maxClicks: 2 }).expect(200);
+        await visit('/tickets').expect(302);
+        await visit('/tickets').expect(410);
+    });
+
+    it('rejects limits that are not valid', async () => {
+        const cases = [
+            [{ maxClicks: 0 }, { maxClicks: 'positive whole number' }],
+            [{ maxClicks: 1.5 }, { maxClicks: 'positive whole number' }],
+            [{ maxClicks: 5, limitAction: 'explode' }, { limitAction: 'one of gone, fallback, page' }],
+            [{ maxClicks: 5, limitAction: 'fallback' }, { fallbackUrl: 'required when limitAction is fallback' }]
+        ];
+        for (const [limit, details] of cases) {
+            const res = await api().post('/api/v1/links').set(bearer(token))
+                .send({ fullUrl: 'https://example.com/', ...limit })
+                .expect(400);
+            assert.equal(res.body.error.code, 'INVALID_LIMIT');
+            assert.deepEqual(res.body.error.details, details);
+        }
+
+        await api().patch('/api/v1/links/drop').set(bearer(token)).send({ limitAction: 'fallback' }).expect(400);
+    });
+});
+
+describe('scheduled activation', () => {
+    let token;
+
+    const create = (customAlias, settings) => createLink(token, { fullUrl: `https://example.com/${customAlias}`, customAlias, ...settings });
+    const weekly = (timezone, start, end) => ({ timezone, windows: [{ days: [1, 2, 3, 4, 5, 6, 7], start, end }] });
+
+    before(async () => {
+        token = await registerAccount();
+    });
+
+    it('keeps a link off until activeFrom', async () => {
+        await create('launch', { activeFrom: new Date(Date.now() + HOUR).toISOString() });
+        const res = await visit('/launch').expect(404);
+        assert.match(res.text, /Link hələ aktiv deyil/);
+
+        await api().patch('/api/v1/links/launch').set(bearer(token)).send({ activeFrom: new Date(Date.now() - HOUR).toISOString() }).expect(200);
+        await visit('/launch').expect(302);
+
+        const { links } = (await api().get('/api/v1/dead-hits').set(bearer(token)).expect(200)).body;
+        assert.equal(links.find(row => row.shortCode === 'launch').reason, 'scheduled');
+    });
+
+    it('opens a link only inside its absolute windows', async () => {
+        const now = Date.now();
+        await create('open-range', { schedule: { windows: [{ from: new Date(now - HOUR).toISOString(), to: new Date(now + HOUR).toISOString() }] } });
+        await create('past-range', { schedule: { windows: [{ from: new Date(now - 2 * HOUR).toISOString(), to: new Date(now - HOUR).toISOString() }] } });
+
+        await visit('/open-range').expect(302);
+        const res = await visit('/past-range').expect(404);
+        assert.match(res.text, /Link hazırda bağlıdır/);
+    });
+
+    it('checks weekly windows in the schedule time zone', async () => {
+        await create('baku-hours', { schedule: weekly('Asia/Baku', clockIn('Asia/Baku', -1), clockIn('Asia/Baku', 2)) });
+        await create('utc-later', { schedule: weekly('UTC', clockIn('UTC', 2), clockIn('UTC', 3)) });
+
+        await visit('/baku-hours').expect(302);
+        await visit('/utc-later').expect(404);
+
+        // The same clock times in UTC (four hours behind Baku) are outside the window
+        await api().patch('/api/v1/links/baku-hours').set(bearer(token))
+            .send({ schedule: weekly('UTC', clockIn('Asia/Baku', -1), clockIn('Asia/Baku', 2)) })
+            .expect(200);
+        await visit('/baku-hours').expect(404);
+
+        await api().patch('/api/v1/links/baku-hours').set(bearer(token)).send({ schedule: null }).expect(200);
+        await visit('/baku-hours').expect(302);
+    });
+
+    it('rejects schedules that are not valid', async () => {
+        const now = Date.now();
+        const cases = [
+            [{ activeFrom: 'soon' }, 'INVALID_SCHEDULE', { activeFrom: 'date-time' }],
+            [{ schedule: weekly('Mars/Olympus', '09:00', '17:00') }, 'INVALID_TIMEZONE', undefined],
+            [{ schedule: weekly('UTC', '25:00', '17:00') }, 'INVALID_SCHEDULE', { window: 0, time: 'start and end as HH:MM' }],
+            [{ schedule: weekly('UTC', '09:00', '09:00') }, 'INVALID_SCHEDULE', { window: 0, time: 'start and end as HH:MM' }],
+            [{ schedule: { windows: [{ days: [0], start: '09:00', end: '17:00' }] } }, 'INVALID_SCHEDULE', { window: 0, days: '1 (Monday) - 7 (Sunday)' }],
+            [{ schedule: { windows: [{ from: new Date(now).toISOString(), to: new Date(now - HOUR).toISOString() }] } }, 'INVALID_SCHEDULE', { window: 0, range: 'from must be before to' }],
+            [{ schedule: { windows: 'weekdays' } }, 'INVALID_SCHEDULE', { maxWindows: 20 }]
+        ];
+        for (const [settings, code, details] of cases) {
+            const res = await api().post('/api/v1/links').set(bearer(token))
+                .send({ fullUrl: 'https://example.com/', ...settings })
+                .expect(400);
+            assert.equal(res.body.error.code, code);
+            assert.deepEqual(res.body.error.details, details);
+        }
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, storage } = require('./helpers/api');
+
+describe('editing links', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+    });
+
+    const edit = (code, body) => api().patch(`/api/v1/links/${code}`).set(bearer(token)).send(body);
+    const revisions = async code =>
+        (await api().get(`/api/v1/links/${code}/revisions`).set(bearer(token)).expect(200)).body.revisions;
+
+    it('changes the destination and records who changed what', async () => {
+        await createLink(token, { fullUrl: 'https://example.com/old', customAlias: 'edited' });
+
+        const res = await edit('edited', { fullUrl: 'example.com/new', tags: ['launch'] }).expect(200);
+        assert.equal(res.body.link.fullUrl, 'https://example.com/new');
+        assert.equal((await api().get('/edited').expect(302)).headers.location, 'https://example.com/new');
+
+        const [revision] = await revisions('edited');
+        assert.equal(revision.via, 'session');
+        assert.deepEqual(revision.changes, {
+            fullUrl: { from: 'https://example.com/old', to: 'https://example.com/new' },
+            tags: { from: [], to: ['launch'] }
+        });
+
+        await edit('edited', { fullUrl: 'https://example.com/new' }).expect(200);
+        assert.equal((await revisions('edited')).length, 1);
+    });
+
+    it('renames a link and sends its old code on to the new one', async () => {
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'before' });
+
+        const res = await edit('before', { shortCode: 'after' }).expect(200);
+        assert.equal(res.body.link.shortCode, 'after');
+        const moved = await api().get('/before?x=1').expect(307);
+        assert.equal(moved.headers.location, '/after?x=1');
+        assert.deepEqual((await revisions('after'))[0].changes, { shortCode: { from: 'before', to: 'after' } });
+    });
+
+    it('saves nothing when the new code is taken', async () => {
+        await createLink(token, { fullUrl: 'https://example.com/a', customAlias: 'first' });
+        await createLink(token, { fullUrl: 'https://example.com/b', customAlias: 'second' });
+
+        const res = await edit('first', { shortCode: 'second', fullUrl: 'https://example.com/changed' }).expect(409);
+        assert.equal(res.body.error.code, 'ALIAS_TAKEN');
+        const link = (await api().get('/api/v1/links/first').set(bearer(token)).expect(200)).body.link;
+        assert.equal(link.fullUrl, 'https://example.com/a');
+        assert.deepEqual(await revisions('first'), []);
+    });
+
+    it('turns a link switched off by its expiry back on when the expiry is extended', async () => {
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'lapsed', expiresIn: '3600' });
+        await storage.updateLink('lapsed', { expiresAt: new Date(Date.now() - 1000) });
+        await api().get('/lapsed').expect(410);
+
+        const res = await edit('lapsed', { expiresIn: 'forever' }).expect(200);
+        assert.equal(res.body.link.isActive, true);
+        await api().get('/lapsed').expect(302);
+        assert.deepEqual((await revisions('lapsed'))[0].changes.isActive, { from: false, to: true });
+    });
+
+    it('keeps a link paused by its owner paused when the expiry changes', async () => {
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'paused' });
+        await edit('paused', { isActive: false }).expect(200);
+
+        await edit('paused', { expiresIn: '3600' }).expect(200);
+        await api().get('/paused').expect(404);
+    });
+
+    it('validates the fields it changes', async () => {
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'strict' });
+        const res = await edit('strict', { isActive: 'no' }).expect(400);
+        assert.deepEqual(res.body.error.details, { isActive: 'must be a boolean' });
+        await edit('strict', { expiresAt: '2000-01-01T00:00:00Z' }).expect(400);
+        await edit('strict', { shortCode: 'x' }).expect(400);
+        await edit('missing', { fullUrl: 'https://example.com/' }).expect(404);
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, registerAccount, createLink } = require('./helpers/api');
+
+describe('password-protected links', () => {
+    let link;
+
+    before(async () => {
+        const token = await registerAccount();
+        link = await createLink(token, { fullUrl: 'https://example.com/doc', customAlias: 'locked', password: 'open-sesame', forwardQuery: true });
+    });
+
+    it('never returns the password hash', () => {
+        assert.equal(link.hasPassword, true);
+        assert.equal('password' in link, false);
+    });
+
+    it('shows the unlock form instead of redirecting', async () => {
+        const res = await api().get('/locked').expect(200);
+        assert.equal(res.headers.location, undefined);
+        assert.equal(res.headers['cache-control'], 'no-store');
+        assert.match(res.text, /<form[^>]*method="POST"/i);
+    });
+
+    it('answers a wrong password with 401 and the form again', async () => {
+        const res = await api().post('/locked').type('form').send({ password: 'wrong' }).expect(401);
+        assert.match(res.text, /Şifrə yanlışdır/);
+    });
+
+    it('redirects with 303 once unlocked, keeping the forwarded query', async () => {
+        const res = await api().post('/locked?ref=mail').type('form').send({ password: 'open-sesame' }).expect(303);
+        assert.equal(res.headers.location, 'https://example.com/doc?ref=mail');
+    });
+
+    it('locks the visitor out with 429 after repeated wrong passwords', async () => {
+        for (let i = 0; i < 4; i++) await api().post('/locked').type('form').send({ password: 'wrong' }).expect(401);
+
+        const res = await api().post('/locked').type('form').send({ password: 'open-sesame' }).expect(429);
+        assert.ok(Number(res.headers['retry-after']) > 0);
+    });
+});
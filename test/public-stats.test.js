@@ -0,0 +1,69 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, flushClicks } = require('./helpers/api');
+
+describe('public stats pages', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/secret-destination', customAlias: 'shared' });
+        await api().get('/shared').expect(302);
+        await flushClicks();
+    });
+
+    const share = (sections, auth = token) =>
+        api().put('/api/v1/links/shared/share').set(bearer(auth)).send(sections ? { sections } : {});
+    const pathOf = url => new URL(url).pathname;
+
+    it('stays private until published', async () => {
+        const res = await api().get('/api/v1/links/shared/share').set(bearer(token)).expect(200);
+        assert.equal(res.body.share, null);
+    });
+
+    it('publishes the chosen sections only, under a stable token', async () => {
+        const defaults = (await share().expect(200)).body.share;
+        assert.deepEqual(defaults.sections, ['overview', 'activity', 'countries']);
+        let page = await api().get(pathOf(defaults.url)).expect(200);
+        assert.equal(page.headers['cache-control'], 'no-store');
+        assert.equal(page.headers['x-robots-tag'], 'noindex, nofollow');
+        assert.match(page.text, /Ümumi Klik/);
+        assert.match(page.text, /Ölkələr/);
+        assert.doesNotMatch(page.text, /secret-destination/);
+
+        const changed = (await share(['destination', 'overview']).expect(200)).body.share;
+        assert.equal(pathOf(changed.url), pathOf(defaults.url));
+        assert.deepEqual(changed.sections, ['overview', 'destination']);
+        page = await api().get(pathOf(changed.url)).expect(200);
+        assert.match(page.text, /secret-destination/);
+        assert.doesNotMatch(page.text, /Ölkələr/);
+    });
+
+    it('stops serving the page once revoked', async () => {
+        const { url } = (await share().expect(200)).body.share;
+        await api().delete('/api/v1/links/shared/share').set(bearer(token)).expect(204);
+
+        const page = await api().get(pathOf(url)).expect(404);
+        assert.match(page.text, /Statistika tapılmadı/);
+        assert.equal((await api().get('/api/v1/links/shared/share').set(bearer(token))).body.share, null);
+    });
+
+    it('rejects unknown sections, other accounts and read-only keys', async () => {
+        const invalid = await share(['overview', 'passwords']).expect(400);
+        assert.equal(invalid.body.error.code, 'INVALID_SECTIONS');
+        await share([]).expect(400);
+
+        await share(undefined, await registerAccount()).expect(404);
+        const { key } = (await api().post('/api/v1/keys').set(bearer(token)).send({ scopes: ['read-stats'] })).body;
+        await share(undefined, key).expect(403);
+    });
+
+    it('allows PUT in CORS preflights', async () => {
+        const res = await api().options('/api/v1/links/shared/share')
+            .set('origin', 'https://dashboard.example')
+            .set('access-control-request-method', 'PUT')
+            .expect(200);
+        assert.ok(res.headers['access-control-allow-methods'].split(/,\s*/).includes('PUT'));
+        assert.equal(res.headers['access-control-allow-origin'], '*');
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, flushClicks } = require('./helpers/api');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('redirect status codes and previews', () => {
+    let token;
+
+    const visit = path => api().get(path).set('user-agent', BROWSER);
+    const clicksOf = async code => {
+        await flushClicks();
+        return (await api().get(`/api/v1/links/${code}`).set(bearer(token)).expect(200)).body.link.totalClicks;
+    };
+    // The "continue" button of a preview page
+    const nextOf = html => html.match(/<a class="button" href="([^"]*)"/)[1].replace(/&amp;/g, '&');
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/plain', customAlias: 'plain' });
+        for (const status of [301, 307, 308]) {
+            await createLink(token, { fullUrl: `https://example.com/${status}`, customAlias: `status-${status}`, redirectType: status });
+        }
+        await createLink(token, { fullUrl: 'https://example.com/landing', customAlias: 'careful', preview: true, forwardQuery: true });
+        await createLink(token, { fullUrl: 'https://example.com/locked', customAlias: 'locked-preview', password: 'open-sesame' });
+        await createLink(token, { fullUrl: 'https://example.com/limited', customAlias: 'limited-preview', maxClicks: 5 });
+    });
+
+    it('redirects with 302 unless the link asks for another status', async () => {
+        const plain = await visit('/plain').expect(302);
+        assert.equal(plain.headers.location, 'https://example.com/plain');
+
+        for (const status of [301, 307, 308]) {
+            const res = await visit(`/status-${status}`).expect(status);
+            assert.equal(res.headers.location, `https://example.com/${status}`);
+        }
+    });
+
+    it('changes the status on edit and rejects the ones it does not support', async () => {
+        const { body } = await api().patch('/api/v1/links/plain').set(bearer(token)).send({ redirectType: 308 }).expect(200);
+        assert.equal(body.link.redirectType, 308);
+        await visit('/plain').expect(308);
+
+        for (const redirectType of [303, 200, 'temporary']) {
+            const res = await api().post('/api/v1/links').set(bearer(token))
+                .send({ fullUrl: 'https://example.com/', redirectType })
+                .expect(400);
+            assert.equal(res.body.error.code, 'VALIDATION_FAILED');
+            assert.deepEqual(res.body.error.details, { redirectType: 'one of 301, 302, 307, 308' });
+        }
+        await api().patch('/api/v1/links/plain').set(bearer(token)).send({ redirectType: 300 }).expect(400);
+    });
+
+    it('previews any link at code+ without counting a click', async () => {
+        const counted = await clicksOf('status-301');
+        const res = await visit('/status-301+').expect(200);
+
+        assert.match(res.headers['content-type'], /text\/html/);
+        assert.equal(res.headers['cache-control'], 'no-store');
+        assert.match(res.text, /<div class="domain">example\.com<\/div>/);
+        assert.match(res.text, /<div class="url">https:\/\/example\.com\/301<\/div>/);
+        // Continuing goes through the short link, where the visit is counted
+        assert.equal(nextOf(res.text), '/status-301');
+        assert.equal(await clicksOf('status-301'), counted);
+    });
+
+    it('shows links in preview mode only after counting the visit, continuing to the destination', async () => {
+        const res = await visit('/careful?ref=mail').expect(200);
+        assert.match(res.text, /<div class="domain">example\.com<\/div>/);
+        assert.equal(nextOf(res.text), 'https://example.com/landing?ref=mail');
+        assert.equal(await clicksOf('careful'), 1);
+
+        const preview = await visit('/careful+?ref=mail').expect(200);
+        assert.equal(nextOf(preview.text), 'https://example.com/landing?ref=mail');
+        assert.equal(await clicksOf('careful'), 1);
+    });
+
+    it('keeps the destination of password-protected and limited links hidden', async () => {
+        const locked = await visit('/locked-preview+').expect(200);
+        assert.doesNotMatch(locked.text, /example\.com\/locked/);
+        assert.match(locked.text, /şifrə ilə qorunur/);
+        assert.equal(nextOf(locked.text), '/locked-preview');
+
+        const limited = await visit('/limited-preview+').expect(200);
+        assert.doesNotMatch(limited.text, /example\.com\/limited/);
+        assert.match(limited.text, /klik limiti var/);
+        assert.equal(nextOf(limited.text), '/limited-preview');
+        assert.equal(await clicksOf('limited-preview'), 0);
+    });
+
+    it('answers 404 for the preview of an unknown code', async () => {
+        await visit('/no-such-code+').expect(404);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, flushClicks, storage } = require('./helpers/api');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('referrer and UTM breakdowns', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'sourced' });
+
+        const visit = (query, referer) => {
+            const req = api().get(`/sourced${query}`).set('user-agent', BROWSER);
+            return (referer ? req.set('referer', referer) : req).expect(302);
+        };
+        await visit('', 'https://www.google.com/search?q=aglink');
+        await visit('?utm_source=twitter&utm_medium=social&utm_campaign=launch', 'https://t.co/abc');
+        await visit('?utm_source=nl&utm_medium=newsletter&utm_campaign=launch');
+        await visit('');
+        await visit('', 'https://blog.example.org/post');
+        await api().get('/sourced').set('user-agent', 'Googlebot/2.1').set('referer', 'https://www.google.com/').expect(302);
+        await flushClicks();
+
+        // Stored before referrer categories were, so classified when the stats are built
+        await storage.addClicks([{
+            clickId: 'legacy-1', shortCode: 'sourced', ip: '10.9.9.9', deviceId: 'legacy', isBot: false,
+            referrer: 'https://mail.google.com/mail/u/0/', timestamp: new Date()
+        }]);
+    });
+
+    const stats = async (query = '') => (await api().get(`/api/v1/links/sourced/stats${query}`).set(bearer(token)).expect(200)).body.stats;
+
+    it('groups human clicks by referrer category and domain', async () => {
+        const { referrerCategories, referrers } = await stats();
+        assert.deepEqual(referrerCategories, [
+            { category: 'social', count: 1 },
+            { category: 'search', count: 1 },
+            { category: 'email', count: 2 },
+            { category: 'direct', count: 1 },
+            { category: 'other', count: 1 }
+        ]);
+        assert.deepEqual(referrers, [
+            { value: 'blog.example.org', count: 1 },
+            { value: 'google.com', count: 1 },
+            { value: 'mail.google.com', count: 1 },
+            { value: 't.co', count: 1 }
+        ]);
+    });
+
+    it('counts each UTM parameter', async () => {
+        const { utm } = await stats();
+        assert.deepEqual(utm, {
+            source: [{ value: 'nl', count: 1 }, { value: 'twitter', count: 1 }],
+            medium: [{ value: 'newsletter', count: 1 }, { value: 'social', count: 1 }],
+            campaign: [{ value: 'launch', count: 2 }],
+            term: [],
+            content: []
+        });
+    });
+
+    it('adds bot referrals on request and keeps to top', async () => {
+        const all = await stats('?includeBots=true');
+        assert.equal(all.referrerCategories.find(row => row.category === 'search').count, 2);
+        assert.deepEqual(all.referrers[0], { value: 'google.com', count: 2 });
+
+        const top = await stats('?top=1');
+        assert.equal(top.referrers.length, 1);
+        assert.deepEqual(top.utm.campaign, [{ value: 'launch', count: 2 }]);
+    });
+
+    it('shows where the latest clicks came from', async () => {
+        const { recentClicks } = await stats();
+        assert.equal(recentClicks.length, 6);
+        assert.deepEqual(recentClicks.filter(c => c.utmSource).map(c => c.utmSource).sort(), ['nl', 'twitter']);
+    });
+});
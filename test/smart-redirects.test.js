@@ -0,0 +1,77 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink } = require('./helpers/api');
+
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1';
+const ANDROID = 'Mozilla/5.0 (Linux; Android 13; SM-S908B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+
+describe('device and language redirects', () => {
+    let token;
+    let link;
+
+    before(async () => {
+        token = await registerAccount();
+        link = await createLink(token, {
+            fullUrl: 'https://example.com/',
+            customAlias: 'get-app',
+            rules: [
+                { conditions: { devices: ['mobile'], languages: ['TR'] }, url: 'https://example.com/tr/mobile' },
+                { conditions: { os: ['IOS'] }, url: 'https://apps.apple.com/app/id1' },
+                { conditions: { os: 'android' }, url: 'https://play.google.com/store/apps/details?id=az.example' },
+                { conditions: { languages: ['az'] }, url: 'https://example.com/az' }
+            ]
+        });
+    });
+
+    it('stores device, OS and language names in their canonical form', () => {
+        assert.deepEqual(link.rules.map(rule => rule.conditions), [
+            { countries: [], devices: ['Mobile'], os: [], languages: ['tr'] },
+            { countries: [], devices: [], os: ['iOS'], languages: [] },
+            { countries: [], devices: [], os: ['Android'], languages: [] },
+            { countries: [], devices: [], os: [], languages: ['az'] }
+        ]);
+    });
+
+    it('sends each visitor to the first rule all of whose conditions match, or to the default', async () => {
+        const cases = [
+            [IPHONE, 'tr-TR,tr;q=0.9', 'https://example.com/tr/mobile'],
+            [IPHONE, 'en-US', 'https://apps.apple.com/app/id1'],
+            [ANDROID, 'en-GB,en;q=0.9', 'https://play.google.com/store/apps/details?id=az.example'],
+            [DESKTOP, 'az-AZ,az;q=0.9,en;q=0.8', 'https://example.com/az'],
+            [DESKTOP, 'en-US,az;q=0.5', 'https://example.com/'],
+            [DESKTOP, 'tr-TR', 'https://example.com/'],
+            [DESKTOP, null, 'https://example.com/']
+        ];
+        for (const [ua, language, expected] of cases) {
+            const req = api().get('/get-app').set('user-agent', ua);
+            const res = await (language ? req.set('accept-language', language) : req).expect(302);
+            assert.equal(res.headers.location, expected, `${ua} / ${language}`);
+        }
+    });
+
+    it('applies edited rules to the next visit', async () => {
+        await api().patch('/api/v1/links/get-app').set(bearer(token))
+            .send({ rules: [{ conditions: { devices: ['Desktop'] }, url: 'https://example.com/web' }] })
+            .expect(200);
+
+        const desktop = await api().get('/get-app').set('user-agent', DESKTOP).expect(302);
+        assert.equal(desktop.headers.location, 'https://example.com/web');
+        const iphone = await api().get('/get-app').set('user-agent', IPHONE).expect(302);
+        assert.equal(iphone.headers.location, 'https://example.com/');
+    });
+
+    it('rejects unknown devices and malformed language codes', async () => {
+        const cases = [
+            [{ devices: ['phone'] }, 'devices'],
+            [{ languages: ['english'] }, 'languages']
+        ];
+        for (const [conditions, field] of cases) {
+            const res = await api().post('/api/v1/links').set(bearer(token))
+                .send({ fullUrl: 'https://example.com/', rules: [{ conditions, url: 'https://example.com/x' }] })
+                .expect(400);
+            assert.equal(res.body.error.code, 'INVALID_RULES');
+            assert.deepEqual(Object.keys(res.body.error.details), ['rule', field]);
+        }
+    });
+});
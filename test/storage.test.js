@@ -0,0 +1,430 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { MongoStorage, PersistentStorage, StorageAdapter } = require('./helpers/server');
+const { createModels } = require('./helpers/mongo-stand-in');
+
+const T0 = new Date('2026-03-02T10:15:00Z');
+
+function minutesLater(minutes) {
+    return new Date(T0.getTime() + minutes * 60000);
+}
+
+function linkFixture(shortCode, overrides = {}) {
+    return {
+        linkId: `link-${shortCode}`,
+        shortCode,
+        fullUrl: 'https://example.com/',
+        userId: 'u1',
+        totalClicks: 0,
+        uniqueClicks: 0,
+        clicks: [],
+        isActive: true,
+        createdAt: T0,
+        ...overrides
+    };
+}
+
+let clickCounter = 0;
+function clickFixture(shortCode, ip, deviceId, timestamp, overrides = {}) {
+    clickCounter++;
+    return { clickId: `click-${clickCounter}`, shortCode, ip, deviceId, timestamp, isBot: false, ...overrides };
+}
+
+function rollupCounts(rollups) {
+    return rollups
+        .map(({ shortCode, hour, clicks, uniqueClicks, botClicks }) =>
+            ({ shortCode, hour: new Date(hour).toISOString(), clicks, uniqueClicks, botClicks }))
+        .sort((a, b) => a.hour.localeCompare(b.hour));
+}
+
+const RANGE = { from: new Date('2026-03-01T00:00:00Z'), to: new Date('2026-03-04T00:00:00Z') };
+
+describe('MongoStorage', () => {
+    let models;
+    let mongo;
+
+    beforeEach(async () => {
+        models = createModels();
+        mongo = new MongoStorage(models);
+        await mongo.getOrCreateUser('u1', 'd1', 'test-agent');
+    });
+
+    it('stores links and lists them for their owner without embedded clicks', async () => {
+        await mongo.addLink(linkFixture('alpha'));
+        await mongo.addLink(linkFixture('beta', { createdAt: minutesLater(1) }));
+
+        assert.equal((await mongo.getLink('alpha')).fullUrl, 'https://example.com/');
+        assert.equal(await mongo.getLink('missing'), null);
+
+        const links = await mongo.getUserLinks('u1');
+        assert.deepEqual(links.map(link => link.shortCode), ['beta', 'alpha']);
+        assert.ok(links.every(link => link.clicks === undefined && link.revisions === undefined));
+        assert.deepEqual((await mongo.getUser('u1')).links, ['alpha', 'beta']);
+    });
+
+    it('returns null for a taken short code instead of throwing a duplicate key error', async () => {
+        const results = await Promise.all([
+            mongo.addLink(linkFixture('race', { fullUrl: 'https://first.example/' })),
+            mongo.addLink(linkFixture('race', { fullUrl: 'https://second.example/', userId: 'u2' }))
+        ]);
+
+        assert.equal(results.filter(Boolean).length, 1);
+        const stored = await mongo.getLink('race');
+        assert.equal(stored.fullUrl, results.find(Boolean).fullUrl);
+        assert.equal(models.Link.docs.length, 1);
+    });
+
+    it('counts unique visitors across and within batches and bots separately', async () => {
+        await mongo.addLink(linkFixture('alpha'));
+
+        await mongo.addClicks([
+            clickFixture('alpha', '1.1.1.1', 'd1', T0),
+            clickFixture('alpha', '1.1.1.1', 'd1', minutesLater(1)),
+            clickFixture('alpha', '2.2.2.2', 'd2', minutesLater(2)),
+            clickFixture('alpha', '9.9.9.9', 'bot', minutesLater(3), { isBot: true }),
+            clickFixture('missing', '1.1.1.1', 'd1', T0)
+        ]);
+        const added = await mongo.addClicks([
+            clickFixture('alpha', '1.1.1.1', 'd1', minutesLater(60)),
+            clickFixture('alpha', '3.3.3.3', undefined, minutesLater(61))
+        ]);
+
+        assert.equal(added.length, 2);
+        const link = await mongo.getLink('alpha');
+        assert.equal(link.totalClicks, 5);
+        assert.equal(link.uniqueClicks, 3);
+        assert.equal(link.botClicks, 1);
+        assert.equal(link.lastClicked.toISOString(), minutesLater(61).toISOString());
+        assert.equal(link.clicks[0].ip, '3.3.3.3');
+        assert.equal((await mongo.getClicks('alpha')).length, 6);
+        assert.equal((await mongo.getClicks('missing')).length, 0);
+
+        assert.deepEqual(rollupCounts(await mongo.getRollups(['alpha'], RANGE)), [
+            { shortCode: 'alpha', hour: '2026-03-02T10:00:00.000Z', clicks: 3, uniqueClicks: 2, botClicks: 1 },
+            { shortCode: 'alpha', hour: '2026-03-02T11:00:00.000Z', clicks: 2, uniqueClicks: 1, botClicks: 0 }
+        ]);
+    });
+
+    it('stores and counts the clicks of a retried batch at most once', async () => {
+        await mongo.addLink(linkFixture('alpha'));
+        const batch = [
+            clickFixture('alpha', '1.1.1.1', 'd1', T0),
+            clickFixture('alpha', '2.2.2.2', 'd2', minutesLater(1)),
+            clickFixture('alpha', '3.3.3.3', 'd3', minutesLater(2))
+        ];
+
+        // The connection drops after the first click was stored
+        const { insertMany } = models.Click;
+        models.Click.insertMany = async docs => {
+            await insertMany.call(models.Click, docs.slice(0, 1));
+            throw new Error('connection reset');
+        };
+        await assert.rejects(mongo.addClicks(batch), /connection reset/);
+        models.Click.insertMany = insertMany;
+
+        const added = await mongo.addClicks(batch);
+        await mongo.addClicks(batch);
+
+        assert.equal(added.length, 2);
+        assert.equal((await mongo.getClicks('alpha')).length, 3);
+        // The click stored before the failure stays uncounted rather than risking a double count
+        const link = await mongo.getLink('alpha');
+        assert.equal(link.totalClicks, 2);
+        assert.equal(link.uniqueClicks, 2);
+        assert.deepEqual(rollupCounts(await mongo.getRollups(['alpha'], RANGE)), [
+            { shortCode: 'alpha', hour: '2026-03-02T10:00:00.000Z', clicks: 2, uniqueClicks: 2, botClicks: 0 }
+        ]);
+    });
+
+    it('keeps only the last 100 clicks embedded in the link', async () => {
+        await mongo.addLink(linkFixture('alpha'));
+        await mongo.addClicks(Array.from({ length: 105 }, (_, i) =>
+            clickFixture('alpha', `10.0.0.${i}`, 'd1', minutesLater(i))));
+
+        const link = await mongo.getLink('alpha');
+        assert.equal(link.clicks.length, 100);
+        assert.equal(link.clicks[0].ip, '10.0.0.104');
+        assert.equal(link.totalClicks, 105);
+    });
+
+    it('hands out at most maxClicks claims', async () => {
+        await mongo.addLink(linkFixture('limited', { maxClicks: 2 }));
+
+        const claims = await Promise.all(Array.from({ length: 5 }, () => mongo.claimClick('limited', 2)));
+
+        assert.equal(claims.filter(Boolean).length, 2);
+        assert.equal((await mongo.getLink('limited')).servedClicks, 2);
+        assert.equal(await mongo.claimClick('missing', 2), false);
+    });
+
+    it('moves clicks, rollups and the owner list on rename and refuses taken codes', async () => {
+        await mongo.addLink(linkFixture('old'));
+        await mongo.addLink(linkFixture('taken'));
+        await mongo.addClicks([clickFixture('old', '1.1.1.1', 'd1', T0)]);
+
+        assert.equal(await mongo.renameLink('old', 'taken'), null);
+        const renamed = await mongo.renameLink('old', 'new');
+
+        assert.equal(renamed.shortCode, 'new');
+        assert.equal(await mongo.getLink('old'), null);
+        assert.equal((await mongo.getClicks('new')).length, 1);
+        assert.equal((await mongo.getRollups(['new'], RANGE)).length, 1);
+        assert.deepEqual((await mongo.getUser('u1')).links, ['new', 'taken']);
+    });
+
+    it('builds missing rollups from stored clicks the same way live counting does', async () => {
+        await mongo.addLink(linkFixture('alpha'));
+        await mongo.addLink(linkFixture('beta'));
+        await mongo.addClicks([
+            clickFixture('alpha', '1.1.1.1', 'd1', T0),
+            clickFixture('alpha', '1.1.1.1', 'd1', minutesLater(70)),
+            clickFixture('alpha', '2.2.2.2', 'd2', minutesLater(71)),
+            clickFixture('beta', '1.1.1.1', 'd1', minutesLater(5), { isBot: true })
+        ]);
+        const live = rollupCounts(await mongo.getRollups(['alpha', 'beta'], RANGE));
+
+        models.ClickRollup.docs = [];
+        await mongo.ensureRollups();
+
+        assert.deepEqual(rollupCounts(await mongo.getRollups(['alpha', 'beta'], RANGE)), live);
+    });
+
+    it('rebuilds rollups without dimension slices with the same slices live counting keeps', async () => {
+        await mongo.addLink(linkFixture('alpha'));
+        await mongo.addClicks([
+            clickFixture('alpha', '1.1.1.1', 'd1', T0, { country: 'Azerbaijan', countryCode: 'AZ', device: 'Mobile', language: 'az' }),
+            clickFixture('alpha', '1.1.1.1', 'd1', minutesLater(70), { country: 'Azerbaijan', countryCode: 'AZ', device: 'Desktop' }),
+            clickFixture('alpha', '2.2.2.2', 'd2', minutesLater(71), { country: 'Turkey', countryCode: 'TR', browser: 'Chrome 1.2' }),
+            clickFixture('alpha', '9.9.9.9', 'bot', minutesLater(5), { isBot: true, device: 'Desktop' })
+        ]);
+        const live = await mongo.getRollups(['alpha'], RANGE, { dimensions: true });
+        assert.equal(live.length, 2);
+
+        models.ClickRollup.docs.forEach(rollup => delete rollup.dimensions);
+        await mongo.ensureRollups();
+
+        const rebuilt = await mongo.getRollups(['alpha'], RANGE, { dimensions: true });
+        const slices = rollups => rollups.map(({ hour, dimensions }) => ({ hour: new Date(hour).toISOString(), dimensions }))
+            .sort((a, b) => a.hour.localeCompare(b.hour));
+        assert.deepEqual(slices(rebuilt), slices(live));
+        assert.ok((await mongo.getRollups(['alpha'], RANGE)).every(rollup => rollup.dimensions === undefined));
+    });
+
+    it('iterates clicks in a time range, oldest first', async () => {
+        await mongo.addLink(linkFixture('alpha'));
+        await mongo.addClicks([30, 10, 20, 40].map(minutes =>
+            clickFixture('alpha', `10.0.0.${minutes}`, 'd1', minutesLater(minutes))));
+
+        const seen = [];
+        for await (const click of await mongo.iterateClicks('alpha', { from: minutesLater(10), to: minutesLater(30) })) {
+            seen.push(click.ip);
+        }
+        assert.deepEqual(seen, ['10.0.0.10', '10.0.0.20', '10.0.0.30']);
+    });
+
+    it('deletes a link with its clicks and rollups only for its owner', async () => {
+        await mongo.addLink(linkFixture('alpha'));
+        await mongo.addClicks([clickFixture('alpha', '1.1.1.1', 'd1', T0)]);
+
+        assert.equal(await mongo.deleteLink('someone-else', 'alpha'), false);
+        assert.equal(await mongo.deleteLink('u1', 'alpha'), true);
+
+        assert.equal(await mongo.getLink('alpha'), null);
+        assert.equal((await mongo.getClicks('alpha')).length, 0);
+        assert.equal((await mongo.getRollups(['alpha'], RANGE)).length, 0);
+        assert.deepEqual((await mongo.getUser('u1')).links, []);
+    });
+});
+
+describe('dimension totals', () => {
+    it('sums rollup slices per country/device/OS/browser/language the same in both backends', async () => {
+        for (const backend of [new PersistentStorage(), new MongoStorage(createModels())]) {
+            const adapter = new StorageAdapter(backend, null, () => false);
+            await adapter.getOrCreateUser('u1', 'd1', 'test-agent');
+            await adapter.addLink(linkFixture('alpha'));
+            await adapter.addLink(linkFixture('beta', { linkId: 'link-beta' }));
+            await adapter.addClicks([
+                clickFixture('alpha', '1.1.1.1', 'd1', T0, { countryCode: 'AZ', country: 'Azerbaijan', device: 'Mobile' }),
+                clickFixture('alpha', '1.1.1.1', 'd1', minutesLater(90), { countryCode: 'AZ', country: 'Azerbaijan', device: 'Mobile' }),
+                clickFixture('beta', '1.1.1.1', 'd1', minutesLater(2), { countryCode: 'AZ', country: 'Azerbaijan', device: 'Mobile' }),
+                clickFixture('beta', '2.2.2.2', 'd2', minutesLater(3), { countryCode: 'TR', country: 'Turkey', device: 'Desktop', isBot: true })
+            ]);
+
+            const totals = (await adapter.getDimensionTotals(['alpha', 'beta']))
+                .sort((a, b) => a.countryCode.localeCompare(b.countryCode));
+            const slice = { os: null, browser: null, language: null };
+            assert.deepEqual(totals, [
+                { ...slice, countryCode: 'AZ', country: 'Azerbaijan', device: 'Mobile', clicks: 3, uniqueClicks: 2, botClicks: 0 },
+                { ...slice, countryCode: 'TR', country: 'Turkey', device: 'Desktop', clicks: 0, uniqueClicks: 0, botClicks: 1 }
+            ]);
+        }
+    });
+});
+
+describe('click breakdowns', () => {
+    it('counts rules, variants, referrers and UTM values and reads the latest clicks the same in both backends', async () => {
+        for (const backend of [new PersistentStorage(), new MongoStorage(createModels())]) {
+            const adapter = new StorageAdapter(backend, null, () => false);
+            await adapter.getOrCreateUser('u1', 'd1', 'test-agent');
+            await adapter.addLink(linkFixture('alpha'));
+            const search = { referrerCategory: 'search', referrerDomain: 'google.com' };
+            await adapter.addClicks([
+                clickFixture('alpha', '1.1.1.1', 'd1', T0, { ...search, ruleId: 'r1', destination: 'https://a.example/', variantId: 'v1', countryCode: 'AZ', utmSource: 'news' }),
+                clickFixture('alpha', '1.1.1.1', 'd1', minutesLater(1), { ...search, ruleId: 'r1', destination: 'https://a.example/', variantId: 'v1', countryCode: 'AZ' }),
+                clickFixture('alpha', '2.2.2.2', 'd2', minutesLater(2), { referrer: 'https://t.co/x', variantId: 'v1', countryCode: 'TR', utmSource: 'news' }),
+                clickFixture('alpha', '3.3.3.3', 'd3', minutesLater(3), { ...search, isBot: true, utmSource: 'bot' })
+            ]);
+
+            const breakdowns = await adapter.getClickBreakdowns('alpha', {});
+            assert.deepEqual(breakdowns.rules.sort((a, b) => b.count - a.count), [
+                { ruleId: 'r1', destination: 'https://a.example/', count: 2 },
+                { ruleId: null, destination: null, count: 1 }
+            ]);
+            assert.deepEqual(breakdowns.variants, [{ variantId: 'v1', destination: 'https://a.example/', clicks: 3, uniqueClicks: 2 }]);
+            assert.deepEqual(breakdowns.referrers.sort((a, b) => b.count - a.count), [
+                { ...search, referrer: null, utmMedium: null, count: 2 },
+                { referrerCategory: null, referrerDomain: null, referrer: 'https://t.co/x', utmMedium: null, count: 1 }
+            ]);
+            assert.deepEqual(breakdowns.utm.utm_source, [{ value: 'news', count: 2 }]);
+            assert.deepEqual(breakdowns.utm.utm_medium, []);
+
+            const withBots = await adapter.getClickBreakdowns('alpha', { includeBots: true, clickFilters: { country: 'az' } });
+            assert.deepEqual(withBots.rules, [{ ruleId: 'r1', destination: 'https://a.example/', count: 2 }]);
+
+            const latest = await adapter.getRecentClicks('alpha', 2, { includeBots: true });
+            assert.deepEqual(latest.map(click => new Date(click.timestamp).toISOString()), [minutesLater(3), minutesLater(2)].map(d => d.toISOString()));
+        }
+    });
+});
+
+describe('snapshots', () => {
+    it('bring back date fields as Dates and date-like text as strings in both formats', () => {
+        const stamp = '2025-01-01T00:00:00.000Z';
+        for (const format of ['json', 'ndjson']) {
+            const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aglink-snapshot-'));
+            const memory = new PersistentStorage({ dataDir, format });
+            memory.addLink(linkFixture('alpha', {
+                tags: [stamp],
+                limitMessage: stamp,
+                expiresAt: minutesLater(60),
+                schedule: { timezone: 'UTC', windows: [{ from: T0, to: null, days: [], start: null, end: null }] },
+                revisions: [{ revisionId: 'r1', at: T0, changes: {
+                    expiresAt: { from: null, to: minutesLater(60) },
+                    limitMessage: { from: null, to: stamp }
+                } }]
+            }));
+            memory.addClicks([clickFixture('alpha', '1.1.1.1', 'd1', T0, { utmCampaign: stamp })]);
+            memory.saveToStorage(true);
+            clearInterval(memory.saveTimer);
+
+            const loaded = new PersistentStorage({ dataDir, format });
+            clearInterval(loaded.saveTimer);
+            const link = loaded.getLink('alpha');
+            assert.deepEqual(link.tags, [stamp]);
+            assert.equal(link.limitMessage, stamp);
+            assert.ok(link.createdAt instanceof Date);
+            assert.ok(link.expiresAt instanceof Date);
+            assert.ok(link.schedule.windows[0].from instanceof Date);
+            assert.ok(link.revisions[0].at instanceof Date);
+            assert.ok(link.revisions[0].changes.expiresAt.to instanceof Date);
+            assert.equal(link.revisions[0].changes.limitMessage.to, stamp);
+            const [click] = loaded.getClicks('alpha');
+            assert.ok(click.timestamp instanceof Date);
+            assert.equal(click.utmCampaign, stamp);
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('dead link hits in memory', () => {
+    it('keeps each owner\'s newest hits without one owner pushing out another\'s', () => {
+        const memory = new PersistentStorage();
+        const hit = (userId, i) => ({ hitId: `${userId}-${i}`, shortCode: 'gone', userId, reason: 'expired', timestamp: minutesLater(i) });
+
+        memory.addDeadHit(hit('quiet', 0));
+        for (let i = 0; i < 1005; i++) memory.addDeadHit(hit('noisy', i));
+
+        const noisy = memory.getDeadHits('noisy', 2000);
+        assert.equal(noisy.length, 1000);
+        assert.equal(noisy[0].hitId, 'noisy-1004');
+        assert.equal(noisy[999].hitId, 'noisy-5');
+        assert.deepEqual(memory.getDeadHits('quiet', 10).map(h => h.hitId), ['quiet-0']);
+        assert.equal(memory.deadHits.size, 1001);
+    });
+});
+
+describe('hits on codes without a link', () => {
+    it('counts them per code and shows the codes of a deleted link to its former owner', async () => {
+        for (const backend of [new PersistentStorage(), new MongoStorage(createModels())]) {
+            const adapter = new StorageAdapter(backend, null, () => false);
+            await adapter.getOrCreateUser('u1', 'd1', 'test-agent');
+            await adapter.addLink(linkFixture('first'));
+            await adapter.renameLink('first', 'second');
+            await adapter.countUnknownHit('second', { isBot: false, timestamp: minutesLater(1) });
+            assert.equal(await adapter.deleteLink('u1', 'second'), true);
+
+            await adapter.countUnknownHit('first', { isBot: false, timestamp: minutesLater(2) });
+            await adapter.countUnknownHit('first', { isBot: true, timestamp: minutesLater(3) });
+            await adapter.countUnknownHit('second', { isBot: false, timestamp: minutesLater(4) });
+            await adapter.countUnknownHit('wp-login', { isBot: true, timestamp: minutesLater(5) });
+
+            const counters = (await adapter.getUnknownHits('u1', 10))
+                .map(({ shortCode, hits, botHits, lastHit }) => ({ shortCode, hits, botHits, lastHit: new Date(lastHit).toISOString() }));
+            assert.deepEqual(counters, [
+                { shortCode: 'second', hits: 1, botHits: 0, lastHit: minutesLater(4).toISOString() },
+                { shortCode: 'first', hits: 2, botHits: 1, lastHit: minutesLater(3).toISOString() }
+            ]);
+            assert.deepEqual(await adapter.getUnknownHits(null, 10).then(rows => rows.map(row => row.shortCode)), ['wp-login']);
+        }
+    });
+});
+
+describe('StorageAdapter', () => {
+    it('uses MongoDB while connected and memory otherwise', async () => {
+        let connected = true;
+        const adapter = new StorageAdapter(new PersistentStorage(), new MongoStorage(createModels()), () => connected);
+
+        await adapter.addLink(linkFixture('stored-in-mongo'));
+        connected = false;
+        await adapter.addLink(linkFixture('stored-in-memory'));
+
+        assert.equal(await adapter.getLink('stored-in-mongo'), undefined);
+        assert.equal((await adapter.getLink('stored-in-memory')).shortCode, 'stored-in-memory');
+        connected = true;
+        assert.equal((await adapter.getLink('stored-in-mongo')).shortCode, 'stored-in-mongo');
+        assert.equal(await adapter.getLink('stored-in-memory'), null);
+    });
+
+    it('returns null for a taken short code from either backend', async () => {
+        for (const backend of [new PersistentStorage(), new MongoStorage(createModels())]) {
+            const adapter = new StorageAdapter(backend, null, () => false);
+            assert.ok(await adapter.addLink(linkFixture('taken')));
+            assert.equal(await adapter.addLink(linkFixture('taken', { fullUrl: 'https://other.example/' })), null);
+            assert.equal((await adapter.getLink('taken')).fullUrl, 'https://example.com/');
+        }
+    });
+
+    it('keeps the old code of a renamed link reserved until the link takes it back', async () => {
+        for (const backend of [new PersistentStorage(), new MongoStorage(createModels())]) {
+            const adapter = new StorageAdapter(backend, null, () => false);
+            await adapter.addLink(linkFixture('first'));
+            await adapter.addLink(linkFixture('other', { linkId: 'link-other' }));
+
+            assert.deepEqual((await adapter.renameLink('first', 'second')).previousCodes, ['first']);
+            assert.equal((await adapter.getLinkByPreviousCode('first')).shortCode, 'second');
+            assert.equal(await adapter.addLink(linkFixture('first', { linkId: 'link-intruder' })), null);
+            assert.equal(await adapter.renameLink('other', 'first'), null);
+
+            assert.deepEqual((await adapter.renameLink('second', 'first')).previousCodes, ['second']);
+            assert.equal((await adapter.getLinkByPreviousCode('second')).shortCode, 'first');
+            assert.equal(await adapter.getLinkByPreviousCode('first'), null);
+
+            assert.equal(await adapter.deleteLink('u1', 'first'), true);
+            assert.equal(await adapter.getLinkByPreviousCode('second'), null);
+            assert.ok(await adapter.addLink(linkFixture('second', { linkId: 'link-new' })));
+        }
+    });
+});
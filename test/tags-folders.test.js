@@ -0,0 +1,54 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, flushClicks } = require('./helpers/api');
+
+describe('tags and folders', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/spring', customAlias: 'spring', tags: ['Promo', 'promo', ' Email '], folder: '  Campaigns   2026 ' });
+        await createLink(token, { fullUrl: 'https://example.com/summer', customAlias: 'summer', tags: 'promo;social', folder: 'Campaigns 2026' });
+        await createLink(token, { fullUrl: 'https://docs.example.com/', customAlias: 'docs' });
+        await api().get('/summer').expect(302);
+        await flushClicks();
+    });
+
+    const list = async query => (await api().get(`/api/v1/links${query}`).set(bearer(token)).expect(200)).body;
+
+    it('normalizes tags and folder names', async () => {
+        const { link } = (await api().get('/api/v1/links/spring').set(bearer(token)).expect(200)).body;
+        assert.deepEqual(link.tags, ['promo', 'email']);
+        assert.equal(link.folder, 'Campaigns 2026');
+    });
+
+    it('filters by tag, folder and search text, with facets over all links', async () => {
+        assert.deepEqual((await list('?tag=PROMO')).links.map(l => l.shortCode).sort(), ['spring', 'summer']);
+        assert.deepEqual((await list('?tag=social')).links.map(l => l.shortCode), ['summer']);
+        assert.deepEqual((await list('?folder=Campaigns%202026&tag=email')).links.map(l => l.shortCode), ['spring']);
+        assert.deepEqual((await list('?q=docs.example')).links.map(l => l.shortCode), ['docs']);
+
+        const { facets, total } = await list('?tag=social');
+        assert.equal(total, 1);
+        assert.deepEqual(facets, {
+            tags: [{ name: 'email', count: 1 }, { name: 'promo', count: 2 }, { name: 'social', count: 1 }],
+            folders: [{ name: 'Campaigns 2026', count: 2 }]
+        });
+    });
+
+    it('narrows the dashboard to the filtered links', async () => {
+        const promo = (await api().post('/api/dashboard?tag=promo').set(bearer(token)).send({}).expect(200)).body.overview;
+        const docs = (await api().post('/api/dashboard?q=docs').set(bearer(token)).send({}).expect(200)).body.overview;
+        assert.equal(promo.totalLinks, 2);
+        assert.equal(promo.totalClicks, 1);
+        assert.equal(docs.totalLinks, 1);
+        assert.equal(docs.totalClicks, 0);
+    });
+
+    it('retags and moves links out of their folder', async () => {
+        const res = await api().patch('/api/v1/links/summer').set(bearer(token)).send({ tags: [], folder: '' }).expect(200);
+        assert.deepEqual(res.body.link.tags, []);
+        assert.equal(res.body.link.folder, null);
+        assert.deepEqual((await list('?tag=social')).links, []);
+    });
+});
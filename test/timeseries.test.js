@@ -0,0 +1,74 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink, storage } = require('./helpers/api');
+
+let clickCounter = 0;
+const click = (shortCode, timestamp, overrides = {}) => ({
+    clickId: `series-${++clickCounter}`, shortCode, ip: `10.0.0.${clickCounter}`, deviceId: `d${clickCounter}`,
+    timestamp: new Date(timestamp), isBot: false, device: 'Desktop', ...overrides
+});
+
+describe('click time series', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'series', tags: ['tracked'] });
+        await createLink(token, { fullUrl: 'https://example.com/', customAlias: 'other' });
+        await storage.addClicks([
+            click('series', '2026-03-01T22:30:00Z'),
+            click('series', '2026-03-02T01:00:00Z', { device: 'Mobile' }),
+            click('series', '2026-03-02T10:00:00Z'),
+            click('series', '2026-03-02T10:30:00Z', { isBot: true }),
+            click('other', '2026-03-02T12:00:00Z')
+        ]);
+    });
+
+    const series = async query => (await api().get(`/api/v1/analytics/timeseries?${query}`).set(bearer(token)).expect(200)).body;
+    const points = body => body.series.map(({ bucket, clicks }) => [bucket, clicks]);
+
+    it('buckets one link\'s clicks by day, bots counted apart', async () => {
+        const body = await series('code=series&from=2026-03-01&to=2026-03-02');
+        assert.equal(body.from, '2026-03-01T00:00:00.000Z');
+        assert.equal(body.to, '2026-03-03T00:00:00.000Z');
+        assert.deepEqual(points(body), [['2026-03-01', 1], ['2026-03-02', 2]]);
+        assert.deepEqual(body.totals, { clicks: 3, uniqueClicks: 3, botClicks: 1 });
+    });
+
+    it('draws bucket edges in the requested time zone', async () => {
+        const body = await series('code=series&from=2026-03-01&to=2026-03-02&timezone=Asia/Baku');
+        assert.equal(body.from, '2026-02-28T20:00:00.000Z');
+        assert.deepEqual(points(body), [['2026-03-01', 0], ['2026-03-02', 3]]);
+    });
+
+    it('supports hour, week and month buckets, zero-filled', async () => {
+        const hours = await series('code=series&from=2026-03-02T00:00:00Z&to=2026-03-02T03:00:00Z&granularity=hour');
+        assert.deepEqual(points(hours), [['2026-03-02T00:00', 0], ['2026-03-02T01:00', 1], ['2026-03-02T02:00', 0]]);
+
+        const weeks = await series('code=series&from=2026-02-23&to=2026-03-08&granularity=week');
+        assert.deepEqual(points(weeks), [['2026-02-23', 1], ['2026-03-02', 2]]);
+
+        const months = await series('from=2026-02-01&to=2026-03-31&granularity=month');
+        assert.deepEqual(points(months), [['2026-02', 0], ['2026-03', 4]]);
+    });
+
+    it('narrows to tagged links and click dimensions', async () => {
+        assert.equal((await series('from=2026-03-01&to=2026-03-02&tag=tracked')).totals.clicks, 3);
+        assert.equal((await series('from=2026-03-01&to=2026-03-02&device=mobile')).totals.clicks, 1);
+    });
+
+    it('rejects bad granularities, time zones and ranges', async () => {
+        const codes = {
+            'granularity=minute': 'INVALID_GRANULARITY',
+            'timezone=Mars/Base': 'INVALID_TIMEZONE',
+            'from=2026-03-02&to=2026-03-01': 'INVALID_RANGE',
+            'from=yesterday': 'INVALID_RANGE',
+            'from=2026-01-01&to=2026-03-01&granularity=hour': 'RANGE_TOO_LARGE'
+        };
+        for (const [query, code] of Object.entries(codes)) {
+            const res = await api().get(`/api/v1/analytics/timeseries?${query}`).set(bearer(token)).expect(400);
+            assert.equal(res.body.error.code, code, query);
+        }
+        await api().get('/api/v1/analytics/timeseries?code=nope').set(bearer(token)).expect(404);
+    });
+});
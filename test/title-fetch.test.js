@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress } = require('./helpers/server');
+
+describe('isPrivateAddress', () => {
+    const blocked = [
+        '0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.0.0.8',
+        '192.0.2.1', '192.88.99.1', '192.168.1.1', '198.18.0.1', '198.19.255.255', '198.51.100.1',
+        '203.0.113.9', '224.0.0.1', '239.255.255.250', '240.0.0.1', '255.255.255.255',
+        '::', '::1', '::ffff:127.0.0.1', '::ffff:8.8.8.8', '::127.0.0.1', '64:ff9b::a00:1', '64:ff9b:1::1',
+        '100::1', '2001::1', '2001:db8::1', '2002:a00:1::', '3fff::1', 'fc00::1', 'fd12::1', 'fe80::1', 'ff02::1'
+    ];
+    const allowed = ['8.8.8.8', '1.1.1.1', '198.20.0.1', '203.0.114.1', '2001:4860:4860::8888', '2a00:1450:4001::200e'];
+
+    for (const address of blocked) {
+        it(`blocks ${address}`, () => assert.equal(isPrivateAddress(address), true));
+    }
+    for (const address of allowed) {
+        it(`allows ${address}`, () => assert.equal(isPrivateAddress(address), false));
+    }
+});
@@ -0,0 +1,14 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUserAgent } = require('./helpers/server');
+const fixtures = require('./fixtures/user-agents');
+
+describe('parseUserAgent', () => {
+    for (const { name, ua, hints, expected } of fixtures) {
+        it(name, () => {
+            const { userAgent, ...parsed } = parseUserAgent(ua, hints);
+            assert.deepEqual(parsed, expected);
+            assert.equal(userAgent, ua.substring(0, 200));
+        });
+    }
+});
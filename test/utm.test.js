@@ -0,0 +1,55 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerAccount, createLink } = require('./helpers/api');
+
+describe('UTM parameters on create', () => {
+    let token;
+
+    before(async () => {
+        token = await registerAccount();
+    });
+
+    const savePreset = async (name, utm) =>
+        (await api().post('/api/v1/utm-presets').set(bearer(token)).send({ name, utm }).expect(201)).body.preset;
+
+    it('appends the given values to the destination, replacing ones already there', async () => {
+        const link = await createLink(token, {
+            fullUrl: 'https://example.com/page?utm_source=old&id=7',
+            utm: { source: ' newsletter ', medium: 'email', campaign: '' }
+        });
+        assert.equal(link.fullUrl, 'https://example.com/page?utm_source=newsletter&id=7&utm_medium=email');
+    });
+
+    it('starts from a saved preset with explicit values on top', async () => {
+        const preset = await savePreset('Spring mail', { source: 'nl', medium: 'email', campaign: 'spring' });
+        const link = await createLink(token, { fullUrl: 'https://example.com/', utmPreset: preset.presetId, utm: { campaign: 'spring-2' } });
+
+        const url = new URL(link.fullUrl);
+        assert.deepEqual(Object.fromEntries(url.searchParams), { utm_source: 'nl', utm_medium: 'email', utm_campaign: 'spring-2' });
+    });
+
+    it('overwrites a preset saved again under the same name', async () => {
+        const first = await savePreset('Social', { source: 'fb' });
+        const second = await savePreset('Social', { source: 'ig' });
+        assert.equal(second.presetId, first.presetId);
+
+        const { presets } = (await api().get('/api/v1/utm-presets').set(bearer(token)).expect(200)).body;
+        assert.deepEqual(presets.find(p => p.name === 'Social').utm, { source: 'ig' });
+
+        await api().delete(`/api/v1/utm-presets/${first.presetId}`).set(bearer(token)).expect(204);
+        await api().delete(`/api/v1/utm-presets/${first.presetId}`).set(bearer(token)).expect(404);
+    });
+
+    it('rejects bad values and other accounts\' presets', async () => {
+        const invalid = await api().post('/api/v1/links').set(bearer(token)).send({ fullUrl: 'https://example.com/', utm: { source: 5 } }).expect(400);
+        assert.equal(invalid.body.error.code, 'INVALID_UTM');
+
+        const empty = await api().post('/api/v1/utm-presets').set(bearer(token)).send({ name: 'Empty', utm: { source: ' ' } }).expect(400);
+        assert.equal(empty.body.error.code, 'UTM_REQUIRED');
+
+        const preset = await savePreset('Mine', { source: 'x' });
+        const other = await registerAccount();
+        const res = await api().post('/api/v1/links').set(bearer(other)).send({ fullUrl: 'https://example.com/', utmPreset: preset.presetId }).expect(404);
+        assert.equal(res.body.error.code, 'PRESET_NOT_FOUND');
+    });
+});